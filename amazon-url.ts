@@ -0,0 +1,106 @@
+/**
+ * SonicWall Amazon Storefront - Amazon URL builder
+ * Pure functions (no DOM access) for handing a cart off to Amazon.
+ *
+ * Cart hand-off uses Amazon's "add to cart" form endpoint:
+ *   https://www.amazon.com/gp/aws/cart/add.html?ASIN.1=B0...&Quantity.1=2&ASIN.2=...&AssociateTag=tag-20
+ * Amazon asks the shopper to confirm, then merges the items into their cart.
+ */
+
+export interface AmazonCartLine {
+  readonly asin: string;
+  readonly quantity: number;
+}
+
+export interface AmazonUrlOptions {
+  /** Marketplace host, e.g. "www.amazon.com" or "www.amazon.de". */
+  readonly domain?: string;
+  /** Associate / partner tracking tag, e.g. "storefront-20". */
+  readonly associateTag?: string | null;
+}
+
+export class AmazonUrlError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'AmazonUrlError';
+  }
+}
+
+const DEFAULT_DOMAIN = 'www.amazon.com' as const;
+
+// ASINs are 10 characters, uppercase letters and digits (ISBN-10s included)
+const ASIN_PATTERN: RegExp = /^[A-Z0-9]{10}$/;
+
+// Marketplace hosts only -- keeps a bad config from building links to other sites
+const DOMAIN_PATTERN: RegExp = /^www\.amazon\.[a-z]{2,3}(\.[a-z]{2})?$/;
+
+// Amazon's cart form accepts at most this quantity per line
+export const MAX_LINE_QUANTITY = 999 as const;
+
+export function normalizeAsin(asin: string): string {
+  return asin.trim().toUpperCase();
+}
+
+export function isValidAsin(asin: string): boolean {
+  return ASIN_PATTERN.test(normalizeAsin(asin));
+}
+
+function resolveDomain(options: AmazonUrlOptions): string {
+  const domain: string = options.domain ?? DEFAULT_DOMAIN;
+  if (!DOMAIN_PATTERN.test(domain)) {
+    throw new AmazonUrlError(`Not an Amazon marketplace domain: "${domain}"`);
+  }
+  return domain;
+}
+
+/**
+ * Merges lines that share an ASIN so the same product never appears twice
+ * in the hand-off, validating every ASIN and quantity on the way.
+ */
+function mergeLines(lines: readonly AmazonCartLine[]): AmazonCartLine[] {
+  const merged: Map<string, number> = new Map();
+
+  lines.forEach((line: AmazonCartLine): void => {
+    const asin: string = normalizeAsin(line.asin);
+    if (!ASIN_PATTERN.test(asin)) {
+      throw new AmazonUrlError(`Invalid ASIN: "${line.asin}"`);
+    }
+    if (!Number.isInteger(line.quantity) || line.quantity < 1) {
+      throw new AmazonUrlError(`Invalid quantity ${line.quantity} for ASIN ${asin}`);
+    }
+    merged.set(asin, (merged.get(asin) ?? 0) + line.quantity);
+  });
+
+  return Array.from(merged, ([asin, quantity]: [string, number]): AmazonCartLine => {
+    if (quantity > MAX_LINE_QUANTITY) {
+      throw new AmazonUrlError(`Quantity ${quantity} for ASIN ${asin} exceeds ${MAX_LINE_QUANTITY}`);
+    }
+    return { asin, quantity };
+  });
+}
+
+/**
+ * Builds an Amazon add-to-cart URL for one or more ASINs.
+ * Throws AmazonUrlError for an empty cart, a malformed ASIN or quantity,
+ * or a non-Amazon domain.
+ */
+export function buildCartAddUrl(lines: readonly AmazonCartLine[], options: AmazonUrlOptions = {}): string {
+  if (!lines.length) {
+    throw new AmazonUrlError('Cannot build a cart URL without items');
+  }
+
+  const url: URL = new URL(`https://${resolveDomain(options)}/gp/aws/cart/add.html`);
+
+  // Amazon numbers cart parameters from 1: ASIN.1/Quantity.1, ASIN.2/Quantity.2, ...
+  mergeLines(lines).forEach((line: AmazonCartLine, index: number): void => {
+    url.searchParams.append(`ASIN.${index + 1}`, line.asin);
+    url.searchParams.append(`Quantity.${index + 1}`, String(line.quantity));
+  });
+
+  const tag: string | undefined = options.associateTag?.trim();
+  if (tag) {
+    url.searchParams.append('AssociateTag', tag);
+  }
+
+  return url.toString();
+}
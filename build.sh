@@ -3,6 +3,11 @@ set -eu
 
 DIST="dist"
 
+# Public URL of the storefront, for canonical links and sitemap.xml. On
+# Railway it defaults to the service's public domain.
+SITE_URL="${SITE_URL:-${RAILWAY_PUBLIC_DOMAIN:+https://$RAILWAY_PUBLIC_DOMAIN}}"
+export SITE_URL
+
 # Clean previous build
 rm -rf "$DIST"
 mkdir -p "$DIST"
@@ -24,9 +29,14 @@ npx sass styles.scss "$DIST/styles.css" --style=compressed --no-source-map
 
 # ---------- Minify & Copy assets ----------
 
-# Minify JS with terser
+# Minify JS with terser (one ES module per .ts source; script.js imports the
+# shared modules and loads feature modules from modules/ on demand)
 echo "Minifying JavaScript..."
-npx terser script.js --compress --mangle --output "$DIST/script.js"
+mkdir -p "$DIST/modules"
+for src in *.ts modules/*.ts; do
+  js="${src%.ts}.js"
+  npx terser "$js" --compress --mangle --module --output "$DIST/$js"
+done
 
 # HTML files
 cp index.html "$DIST/"
@@ -35,6 +45,44 @@ for f in *.html; do
   [ -e "$f" ] && cp "$f" "$DIST/"
 done
 
+# Assemble shared header, brand nav, breadcrumbs and footer from partials/
+echo "Assembling page partials..."
+node scripts/render-partials.js "$DIST"
+
+# Render product cards and comparison prices from data/catalog.json
+echo "Rendering product catalog..."
+node scripts/render-catalog.js "$DIST"
+
+# schema.org Product/ItemList/BreadcrumbList JSON-LD and per-page og:title /
+# og:image from the featured product (validated by check-site.js)
+echo "Generating structured data..."
+node scripts/render-structured-data.js "$DIST"
+
+# Runtime copies of the catalog (configurable comparison tables, sizing
+# advisor) and the validated service pricing (quote builder)
+mkdir -p "$DIST/data"
+node -e "process.stdout.write(JSON.stringify(require('./data/catalog.json')))" > "$DIST/data/catalog.json"
+node -e "process.stdout.write(JSON.stringify(require('./scripts/lib/catalog').loadServices()))" > "$DIST/data/services.json"
+
+# Search index for the header typeahead and search.html (reads rendered pages)
+echo "Building search index..."
+node scripts/build-search-index.js "$DIST"
+
+# Responsive <picture> variants (AVIF/WebP/JPEG, several widths) of the
+# images ingested into images/ (npm run images:ingest); others stay hot-linked
+echo "Building responsive images..."
+node scripts/build-images.js "$DIST"
+
+# Preload each page's feature modules and report JS shipped per page
+echo "Preloading page modules..."
+node scripts/preload-modules.js "$DIST"
+
+# Canonical links, sitemap.xml (lastmod from data/sitemap-lastmod.json; pages
+# changed since it was last refreshed, with SITEMAP_LASTMOD=update, are dated
+# today), robots.txt, and root-relative URLs in the 404 page
+echo "Generating sitemap and robots.txt..."
+node scripts/build-sitemap.js "$DIST"
+
 # Minify HTML files
 echo "Minifying HTML..."
 for f in "$DIST"/*.html; do
@@ -66,23 +114,30 @@ done
 # Logo assets
 cp -r logos/* "$DIST/logos/" 2>/dev/null || true
 
-# Image assets (MUST exist - if missing, Dockerfile is probably missing COPY images/)
-if [ -d "images" ]; then
-  echo "Copying images..."
-  cp -r images "$DIST/"
-  img_count=$(find "$DIST/images" -type f | wc -l | tr -d ' ')
-  echo "  Copied $img_count image files to $DIST/images/"
-  if [ "$img_count" -eq 0 ]; then
-    echo "WARNING: images/ directory exists but contains 0 files!" >&2
-  fi
-else
-  echo "ERROR: images/ directory not found! All images will 404 in production." >&2
-  echo "  If running inside Docker, check that Dockerfile has: COPY images/ ./images/" >&2
-fi
+# ---------- Fingerprint ----------
+
+# Content-hashed JS, CSS, logo and image filenames (nginx caches them as
+# immutable), every reference rewritten, plus dist/asset-manifest.json
+echo "Fingerprinting assets..."
+node scripts/fingerprint-assets.js "$DIST"
+
+# ---------- Service worker ----------
+
+# dist/sw.js precaches the pages, CSS, JS and logos for offline use
+# (listed in dist/precache-manifest.json); after fingerprinting
+echo "Generating service worker..."
+node scripts/build-service-worker.js "$DIST"
+
+# ---------- Integrity check ----------
+
+# Fails the build on broken links, anchors and asset references, duplicate
+# ids, missing alt text, pages missing from the brand nav and malformed JSON-LD
+echo "Checking site integrity..."
+node scripts/check-site.js "$DIST"
 
 # ---------- Pre-compress for gzip_static ----------
 echo "Pre-compressing assets..."
-for f in "$DIST"/*.html "$DIST"/*.css "$DIST"/*.js; do
+for f in "$DIST"/*.html "$DIST"/*.css "$DIST"/*.js "$DIST"/modules/*.js "$DIST"/*.json "$DIST"/*.xml "$DIST"/data/*.json; do
   [ -e "$f" ] || continue
   gzip -9 -k "$f"
 done
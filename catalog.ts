@@ -0,0 +1,130 @@
+/**
+ * SonicWall Amazon Storefront - Runtime catalog
+ * Typed access to data/catalog.json, which build.sh copies next to the pages.
+ * Build-time rendering reads the same file through scripts/lib/catalog.js.
+ */
+
+export type CatalogCategory = 'firewall' | 'switch' | 'access-point';
+
+export interface CatalogImage {
+  readonly src: string;
+  readonly alt: string;
+  readonly width: number;
+  readonly height: number;
+}
+
+/** Union of the spec fields used across firewalls, switches and access points. */
+export interface CatalogSpecs {
+  // Firewalls
+  readonly maxUsers?: string;
+  readonly firewallThroughputMbps?: number;
+  readonly ipsThroughputMbps?: number;
+  readonly vpnThroughputMbps?: number;
+  readonly maxVpnTunnels?: number;
+  /** Concurrent connections under stateful (SPI) inspection. */
+  readonly maxConnections?: number;
+  readonly newConnectionsPerSecond?: number;
+  readonly interfaces?: string;
+  readonly ports?: number;
+  readonly wireless?: 'built-in' | 'optional' | 'none';
+  // Firewalls + switches
+  readonly poePorts?: number;
+  // Switches
+  readonly totalInterfaces?: number;
+  readonly copperPorts?: number;
+  readonly sfpPorts?: number;
+  readonly sfpPlusPorts?: number;
+  readonly switchingCapacityGbps?: number;
+  readonly poeBudgetW?: number;
+  /** Highest PoE standard every PoE port supplies. */
+  readonly poeStandard?: '802.3af' | '802.3at' | '802.3bt';
+  // Access points
+  readonly wifiStandard?: string;
+  readonly mimo?: string;
+  readonly antennas?: number;
+  readonly uplink?: string;
+  readonly maxClients?: number;
+  readonly clientsPerRadio?: number;
+  readonly securityRadio?: boolean;
+  readonly ipRating?: string;
+  /** IEEE 802.3 PoE class the access point requests (0-8). */
+  readonly poeClass?: number;
+}
+
+export interface CatalogProduct {
+  readonly sku: string;
+  /** Amazon listing; null for models not (yet) verified on Amazon, which stay out of the cart hand-off. */
+  readonly asin: string | null;
+  readonly name: string;
+  readonly title: string;
+  readonly category: CatalogCategory;
+  readonly series: string;
+  readonly segment?: string;
+  readonly generation: number | null;
+  readonly placement?: 'indoor' | 'outdoor';
+  /** Overrides the series page for models that live elsewhere (outdoor APs). */
+  readonly href?: string;
+  readonly price: number | null;
+  readonly image: CatalogImage | null;
+  readonly bestFor?: string;
+  readonly specs: CatalogSpecs;
+}
+
+export interface CatalogSeries {
+  readonly id: string;
+  readonly label: string;
+  readonly category: CatalogCategory;
+  readonly href: string;
+}
+
+export interface Catalog {
+  readonly products: readonly CatalogProduct[];
+  readonly series: readonly CatalogSeries[];
+  readonly bySku: ReadonlyMap<string, CatalogProduct>;
+  readonly seriesById: ReadonlyMap<string, CatalogSeries>;
+}
+
+export const CATALOG_URL = 'data/catalog.json' as const;
+
+let pending: Promise<Catalog> | null = null;
+
+/**
+ * Fetches the catalog once per page. A failed request is not cached, so a
+ * later caller (e.g. after the connection comes back) can retry.
+ */
+export function loadCatalog(url: string = CATALOG_URL): Promise<Catalog> {
+  if (pending) return pending;
+
+  pending = fetch(url, { credentials: 'same-origin' })
+    .then((response: Response): Promise<{ products?: CatalogProduct[]; series?: CatalogSeries[] }> => {
+      if (!response.ok) throw new Error(`Catalog request failed: ${response.status}`);
+      return response.json();
+    })
+    .then((raw): Catalog => {
+      const products: readonly CatalogProduct[] = raw.products ?? [];
+      const series: readonly CatalogSeries[] = raw.series ?? [];
+      return {
+        products,
+        series,
+        bySku: new Map(products.map((product: CatalogProduct): [string, CatalogProduct] => [product.sku, product])),
+        seriesById: new Map(series.map((entry: CatalogSeries): [string, CatalogSeries] => [entry.id, entry]))
+      };
+    })
+    .catch((err: unknown): never => {
+      pending = null;
+      throw err;
+    });
+
+  return pending;
+}
+
+/** Page (and section) where a model's buying options live. */
+export function productHref(catalog: Catalog, product: CatalogProduct): string {
+  return product.href ?? catalog.seriesById.get(product.series)?.href ?? 'index.html';
+}
+
+/** 500 -> "500 Mbps", 1500 -> "1.5 Gbps" */
+export function formatThroughput(mbps: number | undefined): string | null {
+  if (mbps === undefined) return null;
+  return mbps >= 1000 ? `${(mbps / 1000).toFixed(1)} Gbps` : `${mbps} Mbps`;
+}
@@ -0,0 +1,94 @@
+/**
+ * SonicWall Amazon Storefront - Comparison rows
+ * Pure functions (no DOM access) that turn catalog spec data into the rows of
+ * a .comparison-table, for any mix of firewalls, switches and access points.
+ */
+
+import { formatThroughput } from './catalog.js';
+import type { CatalogCategory, CatalogProduct, CatalogSpecs } from './catalog.js';
+
+export interface ComparisonRow {
+  readonly label: string;
+  readonly values: readonly string[];
+  /** True when every compared model shows the same value. */
+  readonly identical: boolean;
+}
+
+interface SpecRowDefinition {
+  readonly label: string;
+  readonly value: (product: CatalogProduct) => string | null;
+}
+
+/** Placeholder shown where a model has no value for a row (matches the static tables). */
+export const EMPTY_CELL = '-' as const;
+
+const CATEGORY_LABELS: Readonly<Record<CatalogCategory, string>> = {
+  'firewall': 'Firewall',
+  'switch': 'Switch',
+  'access-point': 'Access Point'
+};
+
+const WIRELESS_LABELS: Readonly<Record<NonNullable<CatalogSpecs['wireless']>, string>> = {
+  'built-in': 'Built-in',
+  'optional': 'Optional',
+  'none': EMPTY_CELL
+};
+
+function formatNumber(value: number | undefined): string | null {
+  return value === undefined ? null : value.toLocaleString('en-US');
+}
+
+// Zero counts read better as a dash, like the hand-written tables did
+function formatCount(value: number | undefined): string | null {
+  if (value === undefined) return null;
+  return value === 0 ? EMPTY_CELL : formatNumber(value);
+}
+
+// Row order is display order; rows no compared model has a value for are dropped
+const SPEC_ROWS: readonly SpecRowDefinition[] = [
+  { label: 'Category', value: (p) => CATEGORY_LABELS[p.category] },
+  { label: 'Max Users', value: (p) => p.specs.maxUsers ?? null },
+  { label: 'Firewall Throughput', value: (p) => formatThroughput(p.specs.firewallThroughputMbps) },
+  { label: 'IPS Throughput', value: (p) => formatThroughput(p.specs.ipsThroughputMbps) },
+  { label: 'VPN Throughput', value: (p) => formatThroughput(p.specs.vpnThroughputMbps) },
+  { label: 'Max VPN Tunnels', value: (p) => formatNumber(p.specs.maxVpnTunnels) },
+  { label: 'Max Connections', value: (p) => formatNumber(p.specs.maxConnections) },
+  { label: 'New Connections/sec', value: (p) => formatNumber(p.specs.newConnectionsPerSecond) },
+  { label: 'Interfaces', value: (p) => p.specs.interfaces ?? null },
+  { label: 'Wireless', value: (p) => (p.specs.wireless ? WIRELESS_LABELS[p.specs.wireless] : null) },
+  { label: 'Total Ports', value: (p) => formatNumber(p.specs.totalInterfaces) },
+  { label: 'Copper Ports', value: (p) => formatCount(p.specs.copperPorts) },
+  { label: 'SFP / SFP+ Ports', value: (p) => (p.category === 'switch'
+    ? `${p.specs.sfpPorts ?? 0} / ${p.specs.sfpPlusPorts ?? 0}`
+    : null) },
+  { label: 'PoE+ Ports', value: (p) => formatCount(p.specs.poePorts) },
+  { label: 'PoE Budget', value: (p) => (p.specs.poeBudgetW ? `${p.specs.poeBudgetW} W` : null) },
+  { label: 'Switching Capacity', value: (p) => (p.specs.switchingCapacityGbps ? `${p.specs.switchingCapacityGbps} Gbps` : null) },
+  { label: 'Wi-Fi Standard', value: (p) => p.specs.wifiStandard ?? null },
+  { label: 'MIMO', value: (p) => p.specs.mimo ?? null },
+  { label: 'Uplink', value: (p) => p.specs.uplink ?? null },
+  { label: 'Max Clients', value: (p) => formatNumber(p.specs.maxClients) },
+  { label: 'Outdoor Rating', value: (p) => p.specs.ipRating ?? null }
+];
+
+export function allEqual(values: readonly string[]): boolean {
+  return values.every((value: string): boolean => value === values[0]);
+}
+
+/**
+ * Builds one row per spec that at least one of the products defines.
+ * Missing values render as EMPTY_CELL and count toward "identical".
+ */
+export function buildComparisonRows(products: readonly CatalogProduct[]): ComparisonRow[] {
+  const rows: ComparisonRow[] = [];
+
+  SPEC_ROWS.forEach((definition: SpecRowDefinition): void => {
+    const raw: (string | null)[] = products.map(definition.value);
+    if (raw.every((value: string | null): boolean => value === null)) return;
+
+    const values: string[] = raw.map((value: string | null): string => value ?? EMPTY_CELL);
+    rows.push({ label: definition.label, values, identical: allEqual(values) });
+  });
+
+  return rows;
+}
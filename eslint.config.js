@@ -0,0 +1,58 @@
+/**
+ * ESLint flat config: the TypeScript sources (browser modules, their pure
+ * helpers and the tests) and the CommonJS build scripts. Compiled *.js next
+ * to the sources is build output and is not linted.
+ */
+
+const js = require('@eslint/js');
+const globals = require('globals');
+const tseslint = require('typescript-eslint');
+
+module.exports = tseslint.config(
+  {
+    ignores: [
+      'dist/',
+      'node_modules/',
+      '.test-build/',
+      '*.js',
+      'modules/*.js',
+      '!eslint.config.js'
+    ]
+  },
+  {
+    files: ['**/*.ts'],
+    extends: [js.configs.recommended, ...tseslint.configs.recommended],
+    languageOptions: {
+      globals: globals.browser
+    },
+    rules: {
+      '@typescript-eslint/no-unused-vars': ['error', { argsIgnorePattern: '^_', varsIgnorePattern: '^_' }]
+    }
+  },
+  {
+    files: ['test/**/*.ts'],
+    languageOptions: {
+      globals: globals.node
+    }
+  },
+  {
+    files: ['eslint.config.js', 'scripts/**/*.js'],
+    extends: [js.configs.recommended],
+    languageOptions: {
+      sourceType: 'commonjs',
+      globals: globals.node
+    },
+    rules: {
+      'no-unused-vars': ['error', { argsIgnorePattern: '^_', varsIgnorePattern: '^_' }]
+    }
+  },
+  {
+    // Runs in the service worker scope, not Node; build-service-worker.js
+    // replaces the __PRECACHE_URLS__ token with the file list
+    files: ['scripts/templates/**/*.js'],
+    languageOptions: {
+      sourceType: 'script',
+      globals: { ...globals.serviceworker, __PRECACHE_URLS__: 'readonly' }
+    }
+  }
+);
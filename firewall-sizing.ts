@@ -0,0 +1,226 @@
+/**
+ * SonicWall Amazon Storefront - Firewall sizing
+ * Pure functions (no DOM access) behind the sizing advisor: turn a
+ * shopper's answers into capacity requirements and score TZ, NSa and NSsp
+ * models against their user, threat-prevention throughput, VPN tunnel,
+ * concurrent connection and new-connection ratings from data/catalog.json.
+ */
+
+import { formatThroughput } from './catalog.js';
+import type { CatalogProduct } from './catalog.js';
+
+export type SizingWifi = 'built-in' | 'access-points' | 'none';
+export type SizingCompliance = 'pci' | 'hipaa' | 'other';
+export type SizingGrowth = 1 | 3 | 5;
+
+export interface SizingAnswers {
+  /** People (or devices) behind the firewall today. */
+  readonly users: number;
+  /** Internet connection speed. */
+  readonly bandwidthMbps: number;
+  /** People connecting in over client VPN at the same time. */
+  readonly vpnUsers: number;
+  /** Locations, this one included; each other site is a site-to-site tunnel. */
+  readonly sites: number;
+  readonly wifi: SizingWifi;
+  readonly compliance: readonly SizingCompliance[];
+  /** Years the firewall should last before it is outgrown. */
+  readonly growthYears: SizingGrowth;
+}
+
+export interface SizingRequirements {
+  readonly users: number;
+  /** Threat-prevention (IPS) throughput to inspect the connection with headroom. */
+  readonly throughputMbps: number;
+  readonly vpnTunnels: number;
+  /** Concurrent connections, and new connections per second at peak. */
+  readonly connections: number;
+  readonly connectionsPerSecond: number;
+  readonly wifi: SizingWifi;
+  readonly growthFactor: number;
+  readonly headroom: number;
+}
+
+export interface SizingRecommendation {
+  readonly product: CatalogProduct;
+  /** 0-100; models that meet every requirement score above FIT_SCORE_FLOOR. */
+  readonly score: number;
+  readonly fits: boolean;
+  /** Requirement over rating for the busiest resource; above 1 when it falls short. */
+  readonly utilization: number;
+  readonly reasons: readonly string[];
+}
+
+export const SIZING_SERIES: readonly string[] = ['TZ', 'NSa', 'NSsp'];
+
+export const COMPLIANCE_LABELS: Readonly<Record<SizingCompliance, string>> = {
+  'pci': 'PCI DSS',
+  'hipaa': 'HIPAA',
+  'other': 'other regulations'
+};
+
+// Yearly growth of ~10%, compounded
+export const GROWTH_FACTORS: Readonly<Record<SizingGrowth, number>> = { 1: 1.1, 3: 1.33, 5: 1.61 };
+
+// Spare threat-prevention throughput kept for traffic peaks; compliance adds
+// TLS decryption and full logging, which cost the appliance more per Mbps
+const THROUGHPUT_HEADROOM = 1.25 as const;
+const COMPLIANCE_HEADROOM = 1.5 as const;
+
+// A busy user's share of the connection table (browser tabs, SaaS and sync
+// clients, a phone or two), and the connections they open each second at peak
+const CONNECTIONS_PER_USER = 500 as const;
+const CONNECTIONS_PER_USER_PER_SECOND = 15 as const;
+
+// Busiest resource at about 70% once grown: room to spare without paying for an oversized box
+const TARGET_UTILIZATION = 0.7 as const;
+const FIT_SCORE_FLOOR = 50 as const;
+const CURRENT_GENERATION_BONUS = 5 as const;
+const NO_WIFI_PENALTY = 5 as const;
+
+/**
+ * Users a model is rated for: the top of "25-50", or twice the floor of an
+ * open-ended "1,000+" (the next model up starts around there).
+ */
+export function userCapacity(maxUsers: string | undefined): number | null {
+  const numbers: number[] = (maxUsers ?? '').replace(/,/g, '').match(/\d+/g)?.map(Number) ?? [];
+  if (!numbers.length) return null;
+  return maxUsers?.trim().endsWith('+') ? numbers[0] * 2 : numbers[numbers.length - 1];
+}
+
+export function sizingRequirements(answers: SizingAnswers): SizingRequirements {
+  const growthFactor: number = GROWTH_FACTORS[answers.growthYears];
+  const headroom: number = answers.compliance.length ? COMPLIANCE_HEADROOM : THROUGHPUT_HEADROOM;
+  // Someone is behind the firewall: zero users would leave nothing to size against
+  const users: number = Math.ceil(Math.max(1, answers.users) * growthFactor);
+  return {
+    users,
+    throughputMbps: Math.ceil(answers.bandwidthMbps * headroom),
+    vpnTunnels: Math.ceil(answers.vpnUsers * growthFactor) + Math.max(0, answers.sites - 1),
+    connections: users * CONNECTIONS_PER_USER,
+    connectionsPerSecond: users * CONNECTIONS_PER_USER_PER_SECOND,
+    wifi: answers.wifi,
+    growthFactor,
+    headroom
+  };
+}
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.min(max, Math.max(min, value));
+}
+
+function formatCount(value: number): string {
+  return value.toLocaleString('en-US');
+}
+
+function describeReasons(product: CatalogProduct, requirements: SizingRequirements, answers: SizingAnswers): string[] {
+  const specs = product.specs;
+  const reasons: string[] = [];
+  const growth: string = `${answers.growthYears} year${answers.growthYears === 1 ? '' : 's'}`;
+
+  reasons.push(`Rated for ${specs.maxUsers ?? 'unlisted'} users; you need ${formatCount(requirements.users)} `
+    + `(${formatCount(answers.users)} today, grown over ${growth}).`);
+
+  const why: string = answers.compliance.length
+    ? `headroom for TLS inspection and logging under ${answers.compliance.map((c: SizingCompliance): string => COMPLIANCE_LABELS[c]).join(' and ')}`
+    : 'headroom for traffic peaks';
+  reasons.push(`${formatThroughput(specs.ipsThroughputMbps) ?? 'Unlisted'} threat-prevention throughput for your `
+    + `${formatThroughput(answers.bandwidthMbps)} connection, with ${why}.`);
+
+  reasons.push(`${formatCount(specs.maxConnections ?? 0)} concurrent connections and `
+    + `${formatCount(specs.newConnectionsPerSecond ?? 0)} new per second; you need about `
+    + `${formatCount(requirements.connections)} and ${formatCount(requirements.connectionsPerSecond)}.`);
+
+  if (requirements.vpnTunnels > 0) {
+    const siteLinks: number = Math.max(0, answers.sites - 1);
+    const parts: string[] = [];
+    if (answers.vpnUsers > 0) parts.push(`${formatCount(answers.vpnUsers)} remote user${answers.vpnUsers === 1 ? '' : 's'}`);
+    if (siteLinks > 0) parts.push(`${siteLinks} site-to-site link${siteLinks === 1 ? '' : 's'}`);
+    reasons.push(`${formatCount(specs.maxVpnTunnels ?? 0)} VPN tunnels for ${parts.join(' and ')}.`);
+  }
+
+  if (requirements.wifi === 'built-in') {
+    reasons.push(specs.wireless === 'built-in'
+      ? 'Built-in Wi-Fi covers the office without separate access points.'
+      : specs.wireless === 'optional'
+        ? 'Wi-Fi is an option on this model, or pair it with SonicWave access points.'
+        : 'No built-in Wi-Fi: pair it with SonicWave access points.');
+  }
+  if (product.generation === 8) reasons.push('Current Gen 8 model, with the longest support ahead of it.');
+  return reasons;
+}
+
+/**
+ * Scores one model. The busiest of its users, throughput, tunnels and
+ * connections decides: models that meet every requirement score FIT_SCORE_FLOOR-100,
+ * highest when that resource sits near TARGET_UTILIZATION; models that fall
+ * short score below FIT_SCORE_FLOOR by how far short they fall. Empty
+ * requirements (nothing to size against) count as the most oversized.
+ */
+export function scoreFirewall(
+  product: CatalogProduct,
+  requirements: SizingRequirements,
+  answers: SizingAnswers
+): SizingRecommendation | null {
+  const specs = product.specs;
+  const users: number | null = userCapacity(specs.maxUsers);
+  if (users === null || !specs.ipsThroughputMbps || !specs.maxVpnTunnels
+    || !specs.maxConnections || !specs.newConnectionsPerSecond) return null;
+
+  const utilization: number = Math.max(
+    requirements.users / users,
+    requirements.throughputMbps / specs.ipsThroughputMbps,
+    requirements.vpnTunnels / specs.maxVpnTunnels,
+    requirements.connections / specs.maxConnections,
+    requirements.connectionsPerSecond / specs.newConnectionsPerSecond
+  );
+  const fits: boolean = utilization <= 1;
+  const oversize: number = utilization > 0 ? Math.abs(Math.log10(utilization / TARGET_UTILIZATION)) : Infinity;
+
+  let score: number = fits
+    // Oversizing costs points on a log scale: 10x too big loses 45
+    ? 100 - Math.min(45, oversize * 45)
+    : FIT_SCORE_FLOOR / utilization;
+  if (product.generation === 8) score += CURRENT_GENERATION_BONUS;
+  if (requirements.wifi === 'built-in' && specs.wireless !== 'built-in') score -= NO_WIFI_PENALTY;
+
+  return {
+    product,
+    score: Math.round(fits ? clamp(score, FIT_SCORE_FLOOR, 100) : clamp(score, 0, FIT_SCORE_FLOOR - 1)),
+    fits,
+    utilization,
+    reasons: describeReasons(product, requirements, answers)
+  };
+}
+
+/**
+ * Fitting models first, best score first; equal scores go to the model with
+ * less idle capacity, then the lower price. Models that fall short follow,
+ * largest capacity first -- their scores bottom out at 0 for far-off
+ * requirements and can't rank them.
+ */
+function compareRecommendations(a: SizingRecommendation, b: SizingRecommendation): number {
+  if (a.fits !== b.fits) return a.fits ? -1 : 1;
+  const byCapacity: number = a.fits
+    ? b.score - a.score || b.utilization - a.utilization
+    : a.utilization - b.utilization;
+  return byCapacity || (a.product.price ?? Infinity) - (b.product.price ?? Infinity);
+}
+
+/**
+ * The best firewalls for the answers, best first. When nothing fits
+ * (beyond a single appliance) the largest models come back with fits: false.
+ */
+export function recommendFirewalls(
+  products: readonly CatalogProduct[],
+  answers: SizingAnswers,
+  limit: number = 3
+): SizingRecommendation[] {
+  const requirements: SizingRequirements = sizingRequirements(answers);
+  return products
+    .filter((product: CatalogProduct): boolean => product.category === 'firewall' && SIZING_SERIES.includes(product.series))
+    .map((product: CatalogProduct): SizingRecommendation | null => scoreFirewall(product, requirements, answers))
+    .filter((recommendation: SizingRecommendation | null): recommendation is SizingRecommendation => recommendation !== null)
+    .sort(compareRecommendations)
+    .slice(0, limit);
+}
@@ -0,0 +1,184 @@
+/**
+ * SonicWall Amazon Storefront - MDR/MXDR estimates
+ * Pure functions (no DOM access) that price SonicSentry MDR and MXDR for a
+ * count of endpoints, network sensors and cloud workloads over a term (or
+ * leave the price to sales where no rate is published), pick the plan that
+ * fits, and read/write the inputs as query-string keys so an
+ * estimate can be shared as a link.
+ */
+
+import type { DetectionPlan, DetectionPricing, DetectionRate, DetectionUnit, DetectionUnitId, ServiceTerm } from './services.js';
+
+export type DetectionCounts = Readonly<Record<DetectionUnitId, number>>;
+
+export interface DetectionInputs {
+  readonly counts: DetectionCounts;
+  readonly termYears: number;
+}
+
+export interface DetectionLine {
+  readonly unit: DetectionUnitId;
+  readonly name: string;
+  readonly href: string;
+  readonly count: number;
+  /** Per unit per month, term discount applied; null when sales quotes it. */
+  readonly unitMonthly: number | null;
+  readonly monthly: number | null;
+}
+
+export interface DetectionEstimate {
+  readonly plan: DetectionPlan;
+  readonly term: ServiceTerm;
+  readonly lines: readonly DetectionLine[];
+  /** True when the covered units come to less than the plan's monthly minimum. */
+  readonly minimumApplied: boolean;
+  /** Null when sales quotes the plan or any covered unit. */
+  readonly monthly: number | null;
+  readonly annual: number | null;
+  readonly termTotal: number | null;
+}
+
+export interface DetectionRecommendation {
+  readonly planId: 'mdr' | 'mxdr';
+  readonly reason: string;
+}
+
+export const DETECTION_UNIT_IDS: readonly DetectionUnitId[] = ['endpoints', 'sensors', 'workloads'];
+
+export const DEFAULT_DETECTION_INPUTS: DetectionInputs = {
+  counts: { endpoints: 100, sensors: 1, workloads: 0 },
+  termYears: 1
+};
+
+// Query-string keys: the unit ids, plus the term in years
+const TERM_PARAM = 'term' as const;
+
+// MXDR's reason to exist is correlating telemetry across domains
+const MXDR_MIN_DOMAINS = 2 as const;
+
+function roundCents(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+function clampCount(value: number, unit: DetectionUnit): number {
+  return Number.isFinite(value) ? Math.min(unit.max, Math.max(0, Math.floor(value))) : 0;
+}
+
+// "a, b and c"
+function joinLabels(labels: readonly string[]): string {
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels.join('');
+}
+
+export function hasCoverage(inputs: DetectionInputs): boolean {
+  return DETECTION_UNIT_IDS.some((id: DetectionUnitId): boolean => inputs.counts[id] > 0);
+}
+
+/**
+ * Prices a plan: every unit at its rate with the term discount, billed at
+ * no less than the plan's monthly minimum. Without a published minimum or
+ * rate for a covered unit the totals are null: sales quotes the plan.
+ * Returns null for a term the pricing does not offer.
+ */
+export function estimateDetection(
+  plan: DetectionPlan,
+  terms: readonly ServiceTerm[],
+  inputs: DetectionInputs
+): DetectionEstimate | null {
+  const term: ServiceTerm | undefined = terms.find((entry: ServiceTerm): boolean => entry.years === inputs.termYears);
+  if (!term) return null;
+
+  const lines: DetectionLine[] = plan.rates
+    .filter((rate: DetectionRate): boolean => inputs.counts[rate.unit] > 0)
+    .map((rate: DetectionRate): DetectionLine => {
+      const unitMonthly: number | null = rate.monthly === null ? null : roundCents(rate.monthly * (1 - term.discount));
+      const count: number = inputs.counts[rate.unit];
+      return {
+        unit: rate.unit, name: rate.name, href: rate.href, count, unitMonthly,
+        monthly: unitMonthly === null ? null : roundCents(unitMonthly * count)
+      };
+    });
+
+  const minimum: number | null = plan.monthlyMinimum;
+  if (minimum === null || lines.some((line: DetectionLine): boolean => line.monthly === null)) {
+    return { plan, term, lines, minimumApplied: false, monthly: null, annual: null, termTotal: null };
+  }
+
+  const usage: number = roundCents(lines.reduce((total: number, line: DetectionLine): number => total + (line.monthly ?? 0), 0));
+  const monthly: number = Math.max(usage, minimum);
+  return {
+    plan,
+    term,
+    lines,
+    minimumApplied: usage < minimum,
+    monthly,
+    annual: roundCents(monthly * 12),
+    termTotal: roundCents(monthly * 12 * term.years)
+  };
+}
+
+/** MXDR once two or more domains need watching, MDR for a single one. */
+export function recommendDetectionPlan(inputs: DetectionInputs, units: readonly DetectionUnit[]): DetectionRecommendation {
+  const covered: DetectionUnit[] = units.filter((unit: DetectionUnit): boolean => inputs.counts[unit.id] > 0);
+  if (covered.length >= MXDR_MIN_DOMAINS) {
+    return {
+      planId: 'mxdr',
+      reason: `You're covering ${joinLabels(covered.map((unit: DetectionUnit): string => unit.label.toLowerCase()))}: `
+        + 'MXDR correlates them in one SOC, with threat hunting and automated response.'
+    };
+  }
+  return {
+    planId: 'mdr',
+    reason: covered.length
+      ? `MDR covers your ${covered[0].label.toLowerCase()} for less; step up to MXDR as you add domains.`
+      : 'Add the endpoints, sensors or workloads to protect.'
+  };
+}
+
+// ==========================================================================
+// SHAREABLE LINKS
+// ==========================================================================
+
+/** Reads the inputs from a query string; missing or malformed keys keep `defaults`. */
+export function parseDetectionParams(
+  params: URLSearchParams,
+  pricing: DetectionPricing,
+  terms: readonly ServiceTerm[],
+  defaults: DetectionInputs = DEFAULT_DETECTION_INPUTS
+): DetectionInputs {
+  const counts: Record<DetectionUnitId, number> = { ...defaults.counts };
+  pricing.units.forEach((unit: DetectionUnit): void => {
+    const value: string | null = params.get(unit.id);
+    if (value !== null && value !== '' && Number.isFinite(Number(value))) counts[unit.id] = clampCount(Number(value), unit);
+  });
+
+  const termYears: number = Number(params.get(TERM_PARAM));
+  return {
+    counts,
+    termYears: terms.some((term: ServiceTerm): boolean => term.years === termYears) ? termYears : defaults.termYears
+  };
+}
+
+/**
+ * Writes every input into a copy of `params`, leaving unrelated keys alone.
+ * Defaults are written too: pages start from different ones, and a shared
+ * link must open the same estimate on any of them.
+ */
+export function serializeDetectionParams(inputs: DetectionInputs, params: URLSearchParams): URLSearchParams {
+  const next: URLSearchParams = new URLSearchParams(params);
+  DETECTION_UNIT_IDS.forEach((id: DetectionUnitId): void => next.set(id, String(inputs.counts[id])));
+  next.set(TERM_PARAM, String(inputs.termYears));
+  return next;
+}
+
+/**
+ * Page defaults from a data-mdr-defaults expression such as
+ * "endpoints:0;sensors:2;term:3"; unknown keys are ignored.
+ */
+export function parseDetectionDefaults(expression: string, pricing: DetectionPricing, terms: readonly ServiceTerm[]): DetectionInputs {
+  const params: URLSearchParams = new URLSearchParams();
+  expression.split(';').forEach((part: string): void => {
+    const [key, value] = part.split(':').map((item: string): string => item.trim());
+    if (key && value !== undefined) params.set(key, value);
+  });
+  return parseDetectionParams(params, pricing, terms);
+}
@@ -0,0 +1,265 @@
+/**
+ * SonicWall Amazon Storefront - Analytics bus
+ * Typed shopper-interaction events from every feature module, batched and
+ * handed to pluggable sinks (console, beacon POST, dataLayer). One bus per
+ * page; batches a sink failed to take are retried on the next flush, the
+ * last one being on pagehide. Nothing is queued or sent without the
+ * visitor's analytics consent (modules/consent-store.ts).
+ */
+
+import { hasConsent, onConsentChange } from './consent-store.js';
+
+// ==========================================================================
+// EVENTS
+// ==========================================================================
+
+export interface AnalyticsCartLine {
+  readonly sku: string;
+  readonly asin: string | null;
+  readonly unitPrice: number;
+  readonly quantity: number;
+}
+
+/** One real-user performance measurement (modules/web-vitals.ts). */
+export interface AnalyticsWebVital {
+  readonly metric: 'LCP' | 'CLS' | 'INP' | 'TTFB' | 'LongTasks';
+  /** Milliseconds; a unitless score for CLS; total blocking time for LongTasks. */
+  readonly value: number;
+  /** Against the Core Web Vitals thresholds; null where none is defined. */
+  readonly rating: 'good' | 'needs-improvement' | 'poor' | null;
+  readonly deviceClass: 'mobile' | 'tablet' | 'desktop';
+  /** At most 4 CPU cores or 4 GB of memory. */
+  readonly lowEnd: boolean;
+  /** navigator.connection.effectiveType ("4g", "3g"...), where supported. */
+  readonly connection: string | null;
+  /** The element (or script, for LongTasks) responsible, as a short selector. */
+  readonly target: string | null;
+  readonly detail: Readonly<Record<string, string | number | boolean | null>>;
+}
+
+/** Every event the storefront emits, by name. */
+export interface AnalyticsEventMap {
+  'nav_tab_click': { readonly section: string; readonly label: string };
+  'category_tile_click': { readonly section: string; readonly name: string };
+  'add_to_cart': {
+    readonly source: 'product-card' | 'bundle' | 'coverage-estimator';
+    readonly items: readonly AnalyticsCartLine[];
+    readonly value: number;
+  };
+  'bundle_item_toggle': { readonly sku: string; readonly selected: boolean };
+  'video_play': { readonly index: number; readonly src: string };
+  /** destination: "section" scrolled to the model on this page, "page" followed the link. */
+  'compare_see_options': { readonly sku: string; readonly destination: 'section' | 'page' };
+  'mdr_estimate_share': {
+    readonly endpoints: number;
+    readonly sensors: number;
+    readonly workloads: number;
+    readonly termYears: number;
+    readonly recommended: 'mdr' | 'mxdr';
+  };
+  'quote_export': {
+    readonly format: 'print' | 'csv' | 'json';
+    readonly sku: string;
+    readonly quantity: number;
+    readonly termYears: number;
+    /** Hardware plus priced services for the term; managed tiers quoted by sales are not in it. */
+    readonly total: number;
+  };
+  /** fits: false when no single model covers the answers and the largest were shown. */
+  'sizing_recommendation': {
+    readonly skus: readonly string[];
+    readonly users: number;
+    readonly bandwidthMbps: number;
+    readonly fits: boolean;
+  };
+  'web_vital': AnalyticsWebVital;
+}
+
+export type AnalyticsEventName = keyof AnalyticsEventMap;
+
+export interface AnalyticsEvent<K extends AnalyticsEventName = AnalyticsEventName> {
+  readonly name: K;
+  readonly payload: AnalyticsEventMap[K];
+  /** Epoch milliseconds. */
+  readonly timestamp: number;
+  /** location.pathname the event happened on. */
+  readonly page: string;
+}
+
+// ==========================================================================
+// SINKS
+// ==========================================================================
+
+export interface AnalyticsFlushContext {
+  /** The page is going away -- only fire-and-forget transports will finish. */
+  readonly unloading: boolean;
+}
+
+/** Receives batches of events; a rejected (or throwing) send is retried later. */
+export interface AnalyticsSink {
+  readonly name: string;
+  send(events: readonly AnalyticsEvent[], context: AnalyticsFlushContext): void | Promise<void>;
+}
+
+declare global {
+  interface Window {
+    dataLayer?: Record<string, unknown>[];
+  }
+}
+
+/** Logs each batch with console.debug -- for development only. */
+export function consoleSink(): AnalyticsSink {
+  return {
+    name: 'console',
+    send(events: readonly AnalyticsEvent[]): void {
+      console.debug('[analytics]', events);
+    }
+  };
+}
+
+/**
+ * POSTs each batch as JSON ({ events: [...] }) to endpoint: fetch with
+ * keepalive normally, so failures can be retried, and navigator.sendBeacon
+ * on pagehide.
+ */
+export function beaconSink(endpoint: string): AnalyticsSink {
+  return {
+    name: 'beacon',
+    send(events: readonly AnalyticsEvent[], context: AnalyticsFlushContext): Promise<void> {
+      const body: string = JSON.stringify({ events });
+
+      if (context.unloading && typeof navigator.sendBeacon === 'function') {
+        const queued: boolean = navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+        return queued ? Promise.resolve() : Promise.reject(new Error('sendBeacon refused the batch'));
+      }
+
+      return fetch(endpoint, {
+        method: 'POST',
+        body,
+        keepalive: true,
+        headers: { 'Content-Type': 'application/json' }
+      }).then((response: Response): void => {
+        if (!response.ok) throw new Error(`Analytics endpoint answered ${response.status}`);
+      });
+    }
+  };
+}
+
+/** Passes on only the named events -- e.g. a dedicated Web Vitals collector. */
+export function filterSink(sink: AnalyticsSink, names: readonly AnalyticsEventName[]): AnalyticsSink {
+  return {
+    name: `${sink.name}:${names.join(',')}`,
+    send(events: readonly AnalyticsEvent[], context: AnalyticsFlushContext): void | Promise<void> {
+      const matching: AnalyticsEvent[] = events.filter((event: AnalyticsEvent): boolean => names.includes(event.name));
+      if (matching.length) return sink.send(matching, context);
+    }
+  };
+}
+
+/** Pushes { event: name, ...payload } per event onto window.dataLayer (Google Tag Manager). */
+export function dataLayerSink(): AnalyticsSink {
+  return {
+    name: 'dataLayer',
+    send(events: readonly AnalyticsEvent[]): void {
+      window.dataLayer = window.dataLayer ?? [];
+      const dataLayer: Record<string, unknown>[] = window.dataLayer;
+      events.forEach((event: AnalyticsEvent): void => {
+        dataLayer.push({ event: event.name, ...event.payload });
+      });
+    }
+  };
+}
+
+// ==========================================================================
+// BUS -- Queue, batching, retry
+// ==========================================================================
+
+const ANALYTICS_BATCH_SIZE = 20 as const;
+const ANALYTICS_FLUSH_INTERVAL_MS = 5000 as const;
+// Per sink; a sink that keeps failing must not grow the page's memory forever
+const ANALYTICS_MAX_RETRY_EVENTS = 200 as const;
+
+interface SinkState {
+  readonly sink: AnalyticsSink;
+  failed: AnalyticsEvent[];
+}
+
+let queue: AnalyticsEvent[] = [];
+const sinks: SinkState[] = [];
+let consentGranted: boolean = hasConsent('analytics');
+let flushTimer: ReturnType<typeof setTimeout> | undefined;
+
+function scheduleFlush(): void {
+  if (flushTimer !== undefined) return;
+  flushTimer = setTimeout((): void => flushAnalytics(), ANALYTICS_FLUSH_INTERVAL_MS);
+}
+
+function deliver(state: SinkState, batch: AnalyticsEvent[], context: AnalyticsFlushContext): void {
+  const retry = (): void => {
+    state.failed = [...batch, ...state.failed].slice(-ANALYTICS_MAX_RETRY_EVENTS);
+  };
+  try {
+    Promise.resolve(state.sink.send(batch, context)).catch(retry);
+  } catch {
+    retry();
+  }
+}
+
+/** Hands queued (and previously failed) events to every sink now. */
+export function flushAnalytics(context: AnalyticsFlushContext = { unloading: false }): void {
+  clearTimeout(flushTimer);
+  flushTimer = undefined;
+  if (!consentGranted) return;
+
+  const events: AnalyticsEvent[] = queue;
+  queue = [];
+  sinks.forEach((state: SinkState): void => {
+    const batch: AnalyticsEvent[] = [...state.failed, ...events];
+    state.failed = [];
+    if (batch.length) deliver(state, batch, context);
+  });
+}
+
+export function track<K extends AnalyticsEventName>(name: K, payload: AnalyticsEventMap[K]): void {
+  if (!consentGranted) return;
+
+  queue.push({ name, payload, timestamp: Date.now(), page: window.location.pathname });
+  if (queue.length >= ANALYTICS_BATCH_SIZE) {
+    flushAnalytics();
+  } else {
+    scheduleFlush();
+  }
+}
+
+/** Registers a sink; the returned function removes it again. */
+export function addAnalyticsSink(sink: AnalyticsSink): () => void {
+  const state: SinkState = { sink, failed: [] };
+  sinks.push(state);
+  return (): void => {
+    const index: number = sinks.indexOf(state);
+    if (index >= 0) sinks.splice(index, 1);
+  };
+}
+
+// Withdrawing consent drops everything still waiting to be sent
+function setAnalyticsConsent(granted: boolean): void {
+  consentGranted = granted;
+  if (granted) return;
+
+  clearTimeout(flushTimer);
+  flushTimer = undefined;
+  queue = [];
+  sinks.forEach((state: SinkState): void => {
+    state.failed = [];
+  });
+}
+
+// Follows the visitor's choice in the consent banner / preferences
+onConsentChange((): void => setAnalyticsConsent(hasConsent('analytics')));
+
+// Last chance to send: pagehide also fires for back/forward-cache entries,
+// where unload would not
+window.addEventListener('pagehide', (): void => flushAnalytics({ unloading: true }));
+document.addEventListener('visibilitychange', (): void => {
+  if (document.visibilityState === 'hidden') flushAnalytics({ unloading: true });
+});
@@ -0,0 +1,487 @@
+/**
+ * SonicWall Amazon Storefront - Brand navigation
+ * Tabs, dropdown menus, sticky behaviour and mobile scroll hints for the
+ * brand header (partials/brand-nav.html). Root: the .brand-header element.
+ */
+
+import { track } from './analytics.js';
+import { STICKY_HEADER_HEIGHT, abortableTimeout, createThrottle, debounce, onAbort, smoothScrollTo } from './core.js';
+
+// ==========================================================================
+// TAB NAVIGATION
+// ==========================================================================
+
+function initTabNavigation(root: HTMLElement, signal: AbortSignal): void {
+  const tabs: NodeListOf<Element> = root.querySelectorAll('.brand-nav__tab');
+  // Only observe actual page sections, not nav elements that happen to have data-section
+  const sections: NodeListOf<Element> = document.querySelectorAll(
+    'section[data-section], div[data-section]:not(.brand-nav__tab):not(.brand-nav__dropdown-link)'
+  );
+
+  if (!tabs.length) return;
+
+  // Add tablist role to the container
+  const tabContainer: HTMLElement | null = root.querySelector('.brand-header__nav, .brand-nav');
+  if (tabContainer) {
+    tabContainer.setAttribute('role', 'tablist');
+  }
+
+  // Add keyboard navigation support with roving tabindex
+  tabs.forEach((tab: Element, index: number): void => {
+    tab.setAttribute('role', 'tab');
+    // Only the active tab (or first tab if none active) gets tabindex 0
+    const isActive: boolean = tab.classList.contains('brand-nav__tab--active');
+    tab.setAttribute('tabindex', isActive || (index === 0 && !root.querySelector('.brand-nav__tab--active')) ? '0' : '-1');
+
+    // Click handler
+    tab.addEventListener('click', (e: Event): void => {
+      track('nav_tab_click', {
+        section: tab.getAttribute('data-section') ?? '',
+        label: tab.textContent?.trim() ?? ''
+      });
+      const href: string | null = (tab as HTMLAnchorElement).getAttribute('href');
+      // If href points to another page, allow default browser navigation
+      if (href && !href.startsWith('#')) {
+        const currentPage: string = window.location.pathname.split('/').pop() || 'index.html';
+        const linkPage: string = href.split('#')[0];
+        if (linkPage && linkPage !== currentPage) {
+          return; // Allow navigation to other page
+        }
+      }
+      e.preventDefault();
+      activateTab(tab);
+    }, { signal });
+
+    // Keyboard handler
+    tab.addEventListener('keydown', (e: Event): void => {
+      const keyEvent = e as KeyboardEvent;
+      if (keyEvent.key === 'Enter' || keyEvent.key === ' ') {
+        keyEvent.preventDefault();
+        activateTab(tab);
+      }
+
+      // Arrow key navigation with roving tabindex
+      if (keyEvent.key === 'ArrowRight') {
+        keyEvent.preventDefault();
+        const nextTab: Element = tabs[index + 1] || tabs[0];
+        tab.setAttribute('tabindex', '-1');
+        nextTab.setAttribute('tabindex', '0');
+        (nextTab as HTMLElement).focus();
+      }
+      if (keyEvent.key === 'ArrowLeft') {
+        keyEvent.preventDefault();
+        const prevTab: Element = tabs[index - 1] || tabs[tabs.length - 1];
+        tab.setAttribute('tabindex', '-1');
+        prevTab.setAttribute('tabindex', '0');
+        (prevTab as HTMLElement).focus();
+      }
+    }, { signal });
+  });
+
+  function activateTab(tab: Element): void {
+    const targetSection: string | null = tab.getAttribute('data-section');
+
+    // Update active tab with roving tabindex
+    tabs.forEach((t: Element): void => {
+      t.classList.remove('brand-nav__tab--active');
+      t.setAttribute('aria-selected', 'false');
+      t.setAttribute('tabindex', '-1');
+    });
+    tab.classList.add('brand-nav__tab--active');
+    tab.setAttribute('aria-selected', 'true');
+    tab.setAttribute('tabindex', '0');
+
+    // Scroll to section (use specific selector to avoid matching nav elements)
+    if (targetSection) {
+      const section: Element | null = document.querySelector(
+        `section[data-section="${targetSection}"], div[data-section="${targetSection}"]:not(.brand-nav__tab)`
+      );
+      if (section) {
+        smoothScrollTo(section);
+      }
+    }
+  }
+
+  // Update active tab on scroll with improved threshold
+  const sectionObserver: IntersectionObserver = new IntersectionObserver(
+    (entries: IntersectionObserverEntry[]): void => {
+      entries.forEach((entry: IntersectionObserverEntry): void => {
+        if (entry.isIntersecting && entry.intersectionRatio > 0.5) {
+          const sectionName: string | null = entry.target.getAttribute('data-section');
+          const activeTab: Element | null = root.querySelector(
+            `.brand-nav__tab[data-section="${sectionName}"]`
+          );
+
+          if (activeTab) {
+            tabs.forEach((t: Element): void => {
+              t.classList.remove('brand-nav__tab--active');
+              t.setAttribute('aria-selected', 'false');
+              t.setAttribute('tabindex', '-1');
+            });
+            activeTab.classList.add('brand-nav__tab--active');
+            activeTab.setAttribute('aria-selected', 'true');
+            activeTab.setAttribute('tabindex', '0');
+          }
+        }
+      });
+    },
+    {
+      threshold: [0.5, 0.75],
+      rootMargin: `-${STICKY_HEADER_HEIGHT + 20}px 0px -30% 0px`
+    }
+  );
+
+  sections.forEach((section: Element): void => {
+    sectionObserver.observe(section);
+  });
+
+  onAbort(signal, (): void => sectionObserver.disconnect());
+
+  // HANDLE INITIAL SCROLL POSITION - Set correct active tab on page load
+  function setInitialActiveTab(): void {
+    const scrollY: number = window.scrollY;
+
+    // If page is scrolled on load, find which section is visible
+    if (scrollY > 100) {
+      let activeSection: Element | null = null;
+      let maxVisibility: number = 0;
+
+      sections.forEach((section: Element): void => {
+        const rect: DOMRect = section.getBoundingClientRect();
+        const viewportHeight: number = window.innerHeight;
+        const visibleHeight: number = Math.min(rect.bottom, viewportHeight) - Math.max(rect.top, 0);
+        const visibilityRatio: number = visibleHeight / viewportHeight;
+
+        if (visibilityRatio > maxVisibility) {
+          maxVisibility = visibilityRatio;
+          activeSection = section;
+        }
+      });
+
+      if (activeSection) {
+        const sectionName: string | null = (activeSection as Element).getAttribute('data-section');
+        const correspondingTab: Element | null = root.querySelector(
+          `.brand-nav__tab[data-section="${sectionName}"]`
+        );
+
+        if (correspondingTab) {
+          tabs.forEach((t: Element): void => {
+            t.classList.remove('brand-nav__tab--active');
+            t.setAttribute('aria-selected', 'false');
+            t.setAttribute('tabindex', '-1');
+          });
+          correspondingTab.classList.add('brand-nav__tab--active');
+          correspondingTab.setAttribute('aria-selected', 'true');
+          correspondingTab.setAttribute('tabindex', '0');
+        }
+      }
+    }
+  }
+
+  // Run on load and after a brief delay to handle browser scroll restoration
+  setInitialActiveTab();
+  abortableTimeout(setInitialActiveTab, 100, signal);
+}
+
+// ==========================================================================
+// DROPDOWN NAVIGATION -- Keyboard, touch & accessibility support
+// ==========================================================================
+
+function initDropdownNavigation(root: HTMLElement, signal: AbortSignal): void {
+  // Markup comes from partials/brand-nav.html:
+  // .brand-nav__dropdown > .brand-nav__tab + .brand-nav__dropdown-menu > .brand-nav__dropdown-item
+  const dropdownWrappers: NodeListOf<Element> = root.querySelectorAll('.brand-nav__dropdown');
+  // Hover opens menus on desktop; touch screens need the first tap to do it
+  const canHover: MediaQueryList = window.matchMedia('(hover: hover)');
+
+  if (!dropdownWrappers.length) return;
+
+  dropdownWrappers.forEach((wrapper: Element): void => {
+    const tab: Element | null = wrapper.querySelector(':scope > .brand-nav__tab');
+    const dropdown: Element | null = wrapper.querySelector('.brand-nav__dropdown-menu');
+
+    if (!tab || !dropdown) return;
+
+    // Set ARIA attributes
+    tab.setAttribute('aria-haspopup', 'true');
+    tab.setAttribute('aria-expanded', 'false');
+
+    // Click toggle (mobile/touch) -- first tap opens, a tap on the open tab follows its link
+    tab.addEventListener('click', (e: Event): void => {
+      const isOpen: boolean = tab.getAttribute('aria-expanded') === 'true';
+      if (canHover.matches || isOpen) return;
+      e.preventDefault();
+      e.stopPropagation();
+      closeAllDropdowns();
+      tab.setAttribute('aria-expanded', 'true');
+      wrapper.classList.add('active');
+    }, { signal });
+
+    // Keyboard: Enter/Space toggles, Escape closes, ArrowDown enters dropdown
+    tab.addEventListener('keydown', (e: Event): void => {
+      const keyEvent = e as KeyboardEvent;
+      if (keyEvent.key === 'Enter' || keyEvent.key === ' ') {
+        keyEvent.preventDefault();
+        keyEvent.stopPropagation();
+        const isOpen: boolean = tab.getAttribute('aria-expanded') === 'true';
+        closeAllDropdowns();
+        if (!isOpen) {
+          tab.setAttribute('aria-expanded', 'true');
+          wrapper.classList.add('active');
+          // Focus first dropdown link
+          const firstLink: HTMLElement | null = dropdown.querySelector('.brand-nav__dropdown-item');
+          if (firstLink) firstLink.focus();
+        }
+      }
+      if (keyEvent.key === 'ArrowDown') {
+        keyEvent.preventDefault();
+        tab.setAttribute('aria-expanded', 'true');
+        wrapper.classList.add('active');
+        const firstLink: HTMLElement | null = dropdown.querySelector('.brand-nav__dropdown-item');
+        if (firstLink) firstLink.focus();
+      }
+    }, { signal });
+
+    // Arrow key navigation within dropdown items
+    const links: NodeListOf<HTMLElement> = dropdown.querySelectorAll('.brand-nav__dropdown-item');
+    links.forEach((link: HTMLElement, linkIndex: number): void => {
+      link.addEventListener('keydown', (e: Event): void => {
+        const keyEvent = e as KeyboardEvent;
+        if (keyEvent.key === 'ArrowDown') {
+          keyEvent.preventDefault();
+          const next: HTMLElement = links[linkIndex + 1] || links[0];
+          next.focus();
+        }
+        if (keyEvent.key === 'ArrowUp') {
+          keyEvent.preventDefault();
+          const prev: HTMLElement = links[linkIndex - 1] || links[links.length - 1];
+          prev.focus();
+        }
+        if (keyEvent.key === 'Escape') {
+          closeAllDropdowns();
+          (tab as HTMLElement).focus();
+        }
+      }, { signal });
+
+      // Dropdown link clicks -- navigate to page or scroll to section
+      link.addEventListener('click', (e: Event): void => {
+        const href: string | null = link.getAttribute('href');
+        if (href) {
+          const currentPage: string = window.location.pathname.split('/').pop() || 'index.html';
+          const [linkPage, hash] = href.split('#');
+          // If link points to another page, allow default navigation
+          if (linkPage && linkPage !== currentPage) {
+            closeAllDropdowns();
+            return; // Allow browser navigation
+          }
+          // Same-page hash link -- scroll to section
+          if (hash) {
+            e.preventDefault();
+            const section: Element | null = document.getElementById(hash)
+              || document.querySelector(`section[data-section="${hash}"], [data-section="${hash}"]`);
+            if (section && section.tagName !== 'A' && section.tagName !== 'BUTTON') {
+              smoothScrollTo(section);
+            }
+          }
+        }
+        closeAllDropdowns();
+      }, { signal });
+    });
+  });
+
+  // Close all dropdowns
+  function closeAllDropdowns(): void {
+    dropdownWrappers.forEach((wrapper: Element): void => {
+      const tab: Element | null = wrapper.querySelector(':scope > .brand-nav__tab');
+      if (tab) tab.setAttribute('aria-expanded', 'false');
+      wrapper.classList.remove('active');
+    });
+  }
+
+  // Close on outside click
+  document.addEventListener('click', (e: Event): void => {
+    const mouseEvent = e as MouseEvent;
+    if (!(mouseEvent.target as Element)?.closest('.brand-nav__dropdown')) {
+      closeAllDropdowns();
+    }
+  }, { signal });
+
+  // Close on Escape (global)
+  document.addEventListener('keydown', (e: Event): void => {
+    const keyEvent = e as KeyboardEvent;
+    if (keyEvent.key === 'Escape') closeAllDropdowns();
+  }, { signal });
+
+  onAbort(signal, closeAllDropdowns);
+}
+
+// ==========================================================================
+// STICKY BRAND HEADER
+// ==========================================================================
+
+function initStickyHeader(brandHeader: HTMLElement, signal: AbortSignal): void {
+  const amazonHeaderMaybe: HTMLElement | null = document.querySelector('.amazon-header');
+
+  if (!amazonHeaderMaybe) return;
+  const amazonHeader: HTMLElement = amazonHeaderMaybe;
+
+  // Cache measurements — recalculated on resize
+  let stickyThreshold: number = amazonHeader.offsetHeight;
+  let brandHeaderHeight: number = brandHeader.offsetHeight;
+  let isSticky: boolean = false;
+
+  const throttle = createThrottle();
+
+  // Apply sticky styles via JS since no CSS rule exists for brand-header--sticky
+  function applySticky(): void {
+    if (isSticky) return;
+    isSticky = true;
+    brandHeader.classList.add('brand-header--sticky');
+    brandHeader.style.position = 'fixed';
+    brandHeader.style.top = '0';
+    brandHeader.style.left = '0';
+    brandHeader.style.width = '100%';
+    brandHeader.style.zIndex = '999';
+    brandHeader.style.boxShadow = '0 2px 8px rgba(0,0,0,0.15)';
+    document.body.style.paddingTop = brandHeaderHeight + 'px';
+  }
+
+  function removeSticky(): void {
+    if (!isSticky) return;
+    isSticky = false;
+    brandHeader.classList.remove('brand-header--sticky');
+    brandHeader.style.position = '';
+    brandHeader.style.top = '';
+    brandHeader.style.left = '';
+    brandHeader.style.width = '';
+    brandHeader.style.zIndex = '';
+    brandHeader.style.boxShadow = '';
+    document.body.style.paddingTop = '0';
+  }
+
+  const handleScroll = (): void => {
+    throttle((): void => {
+      if (window.scrollY > stickyThreshold) {
+        applySticky();
+      } else {
+        removeSticky();
+      }
+    });
+  };
+
+  window.addEventListener('scroll', handleScroll, { passive: true, signal });
+
+  // Recalculate cached measurements on resize
+  const handleResize = debounce((): void => {
+    const wasSticky: boolean = isSticky;
+    if (wasSticky) removeSticky();
+    stickyThreshold = amazonHeader.offsetHeight;
+    brandHeaderHeight = brandHeader.offsetHeight;
+    if (wasSticky && window.scrollY > stickyThreshold) applySticky();
+  }, 200, signal);
+  window.addEventListener('resize', handleResize as EventListener, { passive: true, signal });
+  onAbort(signal, removeSticky);
+
+  // Check on init in case page loaded already scrolled
+  if (window.scrollY > stickyThreshold) {
+    applySticky();
+  }
+}
+
+// ==========================================================================
+// MOBILE NAVIGATION SCROLL INDICATORS
+// ==========================================================================
+
+function initMobileNavScrollIndicators(root: HTMLElement, signal: AbortSignal): void {
+  const brandNav: HTMLElement | null = root.querySelector('.brand-header__nav');
+
+  if (!brandNav) return;
+
+  const navContainerMaybe: HTMLElement | null = brandNav.querySelector('.brand-header__container');
+  if (!navContainerMaybe) return;
+  const navContainer: HTMLElement = navContainerMaybe;
+
+  // Create visual scroll indicators
+  const leftIndicator: HTMLDivElement = document.createElement('div');
+  leftIndicator.className = 'nav-scroll-indicator nav-scroll-indicator--left';
+  leftIndicator.setAttribute('aria-hidden', 'true');
+  leftIndicator.style.cssText = `
+    position: absolute;
+    left: 0;
+    top: 0;
+    bottom: 0;
+    width: 40px;
+    background: linear-gradient(to right, rgba(255,255,255,0.95), transparent);
+    pointer-events: none;
+    opacity: 0;
+    transition: opacity 0.3s ease;
+    z-index: 2;
+  `;
+
+  const rightIndicator: HTMLDivElement = document.createElement('div');
+  rightIndicator.className = 'nav-scroll-indicator nav-scroll-indicator--right';
+  rightIndicator.setAttribute('aria-hidden', 'true');
+  rightIndicator.style.cssText = `
+    position: absolute;
+    right: 0;
+    top: 0;
+    bottom: 0;
+    width: 40px;
+    background: linear-gradient(to left, rgba(255,255,255,0.95), transparent);
+    pointer-events: none;
+    opacity: 0;
+    transition: opacity 0.3s ease;
+    z-index: 2;
+  `;
+
+  brandNav.style.position = 'relative';
+  brandNav.appendChild(leftIndicator);
+  brandNav.appendChild(rightIndicator);
+  onAbort(signal, (): void => {
+    leftIndicator.remove();
+    rightIndicator.remove();
+    brandNav.style.position = '';
+  });
+
+  // Use rAF-based throttle for smooth indicator updates during scroll
+  const scrollThrottle = createThrottle();
+
+  function updateScrollIndicators(): void {
+    const isScrollable: boolean = navContainer.scrollWidth > navContainer.clientWidth;
+    const scrollLeft: number = navContainer.scrollLeft;
+    const maxScroll: number = navContainer.scrollWidth - navContainer.clientWidth;
+
+    if (isScrollable) {
+      // Show left indicator if scrolled right
+      leftIndicator.style.opacity = scrollLeft > 10 ? '1' : '0';
+
+      // Show right indicator if not at end
+      rightIndicator.style.opacity = scrollLeft < maxScroll - 10 ? '1' : '0';
+    } else {
+      leftIndicator.style.opacity = '0';
+      rightIndicator.style.opacity = '0';
+    }
+  }
+
+  navContainer.addEventListener('scroll', (): void => {
+    scrollThrottle(updateScrollIndicators);
+  }, { passive: true, signal });
+
+  window.addEventListener('resize', (): void => {
+    scrollThrottle(updateScrollIndicators);
+  }, { passive: true, signal });
+
+  // Initial check -- call directly, no delay needed
+  requestAnimationFrame(updateScrollIndicators);
+}
+
+// ==========================================================================
+// INITIALIZATION
+// ==========================================================================
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  initTabNavigation(root, signal);
+  initDropdownNavigation(root, signal);
+  initStickyHeader(root, signal);
+  initMobileNavScrollIndicators(root, signal);
+}
@@ -0,0 +1,148 @@
+/**
+ * SonicWall Amazon Storefront - Cart store
+ * The shopper's cart, keyed by SKU and persisted in localStorage. Shared by
+ * every module that adds to or shows the cart; one instance per page.
+ */
+
+import type { AmazonUrlOptions } from '../amazon-url.js';
+
+export interface CartItem {
+  readonly sku: string;
+  readonly asin: string | null;
+  readonly name: string;
+  readonly image: string | null;
+  readonly unitPrice: number;
+  readonly quantity: number;
+}
+
+export type CartProduct = Omit<CartItem, 'quantity'>;
+
+type CartListener = (items: readonly CartItem[]) => void;
+
+const AMAZON_DOMAIN = 'www.amazon.com' as const;
+
+// Marketplace for every cart hand-off to Amazon, plus the partner tag from
+// <meta name="amazon-associate-tag" content="TAG"> -- no tag without one
+export function amazonUrlOptions(): AmazonUrlOptions {
+  const associateTag: string | undefined = document.querySelector<HTMLMetaElement>('meta[name="amazon-associate-tag"]')?.content.trim();
+  return { domain: AMAZON_DOMAIN, associateTag: associateTag || null };
+}
+
+// Versioned key so a future shape change can't misread an old cart
+const CART_STORAGE_KEY = 'sonicwall-storefront:cart:v1';
+export const CART_MAX_QUANTITY = 99 as const;
+
+let cartItems: CartItem[] = readStoredCart();
+const cartListeners: CartListener[] = [];
+
+function isCartItem(value: unknown): value is CartItem {
+  const item = value as Partial<CartItem> | null;
+  return !!item
+    && typeof item.sku === 'string'
+    && typeof item.name === 'string'
+    && typeof item.unitPrice === 'number'
+    && typeof item.quantity === 'number'
+    && item.quantity > 0;
+}
+
+function readStoredCart(): CartItem[] {
+  try {
+    const raw: string | null = window.localStorage.getItem(CART_STORAGE_KEY);
+    const parsed: unknown = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.filter(isCartItem) : [];
+  } catch {
+    // Storage disabled (private mode) or corrupted JSON -- start empty
+    return [];
+  }
+}
+
+function commitCart(next: CartItem[]): void {
+  cartItems = next;
+  try {
+    window.localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cartItems));
+  } catch {
+    // Quota exceeded or storage disabled -- cart still works for this page view
+  }
+  cartListeners.forEach((listener: CartListener): void => listener(cartItems));
+}
+
+export function clampQuantity(quantity: number): number {
+  return Math.min(CART_MAX_QUANTITY, Math.max(0, Math.floor(quantity)));
+}
+
+export function addToCart(product: CartProduct, quantity: number = 1): void {
+  const existing: CartItem | undefined = cartItems.find((item: CartItem): boolean => item.sku === product.sku);
+  if (existing) {
+    setCartQuantity(product.sku, existing.quantity + quantity);
+    return;
+  }
+  const clamped: number = clampQuantity(quantity);
+  if (clamped === 0) return;
+  commitCart([...cartItems, { ...product, quantity: clamped }]);
+}
+
+export function setCartQuantity(sku: string, quantity: number): void {
+  const clamped: number = clampQuantity(quantity);
+  if (clamped === 0) {
+    removeFromCart(sku);
+    return;
+  }
+  commitCart(cartItems.map((item: CartItem): CartItem =>
+    item.sku === sku ? { ...item, quantity: clamped } : item
+  ));
+}
+
+export function removeFromCart(sku: string): void {
+  commitCart(cartItems.filter((item: CartItem): boolean => item.sku !== sku));
+}
+
+export function getCartItems(): readonly CartItem[] {
+  return cartItems;
+}
+
+export function getCartCount(): number {
+  return cartItems.reduce((sum: number, item: CartItem): number => sum + item.quantity, 0);
+}
+
+export function getCartSubtotal(): number {
+  return cartItems.reduce((sum: number, item: CartItem): number => sum + item.unitPrice * item.quantity, 0);
+}
+
+/** Subscribes until signal aborts. */
+export function onCartChange(listener: CartListener, signal: AbortSignal): void {
+  if (signal.aborted) return;
+  cartListeners.push(listener);
+  signal.addEventListener('abort', (): void => {
+    cartListeners.splice(cartListeners.indexOf(listener), 1);
+  }, { once: true });
+}
+
+// Keep every open tab in sync -- 'storage' only fires in the *other* tabs
+window.addEventListener('storage', (e: StorageEvent): void => {
+  if (e.key !== CART_STORAGE_KEY) return;
+  cartItems = readStoredCart();
+  cartListeners.forEach((listener: CartListener): void => listener(cartItems));
+});
+
+/**
+ * Reads the purchasable product behind a catalog-rendered element
+ * (data-sku / data-price / data-asin). Returns null for quote-only
+ * products, which carry no data-price.
+ */
+export function readCartProduct(element: Element): CartProduct | null {
+  const htmlEl = element as HTMLElement;
+  const sku: string | undefined = htmlEl.dataset.sku;
+  const unitPrice: number = parseFloat(htmlEl.dataset.price ?? '');
+  if (!sku || isNaN(unitPrice)) return null;
+
+  const nameEl: Element | null = element.querySelector('.product-card__name');
+  const imgEl: HTMLImageElement | null = element.querySelector('img:not(.prime-badge)');
+
+  return {
+    sku,
+    asin: htmlEl.dataset.asin ?? null,
+    name: htmlEl.dataset.name ?? nameEl?.textContent?.trim() ?? sku,
+    image: htmlEl.dataset.image ?? (imgEl ? imgEl.src : null),
+    unitPrice
+  };
+}
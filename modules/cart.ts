@@ -0,0 +1,363 @@
+/**
+ * SonicWall Amazon Storefront - Header cart
+ * The item-count badge and the slide-out mini-cart with the Amazon
+ * checkout hand-off. Root: the .amazon-header__cart link.
+ */
+
+import { AmazonUrlError, buildCartAddUrl, isValidAsin } from '../amazon-url.js';
+import type { AmazonCartLine } from '../amazon-url.js';
+import {
+  CART_MAX_QUANTITY,
+  amazonUrlOptions,
+  getCartCount,
+  getCartItems,
+  getCartSubtotal,
+  onCartChange,
+  removeFromCart,
+  setCartQuantity
+} from './cart-store.js';
+import type { CartItem } from './cart-store.js';
+import {
+  CART_ANIMATION_DURATION,
+  EASING_BOUNCE,
+  EASING_SMOOTH,
+  abortableTimeout,
+  formatCurrency,
+  onAbort,
+  prefersReducedMotion
+} from './core.js';
+
+// ==========================================================================
+// CART COUNTER -- Header badge
+// ==========================================================================
+
+function initCartCounter(cartLink: HTMLElement, signal: AbortSignal): void {
+  const cartCountMaybe: HTMLElement | null = cartLink.querySelector('.amazon-header__cart-count');
+
+  if (!cartCountMaybe) return;
+  const cartCount: HTMLElement = cartCountMaybe;
+
+  // Provide a live region for screen readers
+  cartCount.setAttribute('aria-live', 'polite');
+  cartCount.setAttribute('aria-atomic', 'true');
+
+  function renderCount(): void {
+    const count: number = getCartCount();
+    cartCount.textContent = String(count);
+    cartLink.setAttribute('aria-label', `Shopping cart, ${count} ${count === 1 ? 'item' : 'items'}`);
+  }
+
+  function bounce(): void {
+    if (prefersReducedMotion) {
+      // Simple color flash only
+      cartCount.style.color = '#ff9900';
+      abortableTimeout((): void => {
+        cartCount.style.color = '';
+      }, CART_ANIMATION_DURATION, signal);
+    } else {
+      // Premium bounce animation with proper easing
+      cartCount.style.transition = `transform 0.15s ${EASING_BOUNCE}, color 0.15s ${EASING_SMOOTH}`;
+      cartCount.style.transform = 'scale(1.15)';
+      cartCount.style.color = '#ff9900';
+
+      abortableTimeout((): void => {
+        cartCount.style.transform = 'scale(1)';
+        cartCount.style.color = '';
+      }, CART_ANIMATION_DURATION, signal);
+    }
+  }
+
+  let previousCount: number = getCartCount();
+  renderCount();
+  onCartChange((): void => {
+    const count: number = getCartCount();
+    renderCount();
+    if (count > previousCount) bounce();
+    previousCount = count;
+  }, signal);
+  onAbort(signal, (): void => {
+    cartCount.style.transition = '';
+    cartCount.style.transform = '';
+    cartCount.style.color = '';
+  });
+}
+
+// ==========================================================================
+// MINI-CART DRAWER -- Slide-out panel behind the header cart icon
+// ==========================================================================
+
+function initMiniCart(cartLink: HTMLElement, signal: AbortSignal): void {
+  const drawer: HTMLDivElement = document.createElement('div');
+  drawer.className = 'mini-cart';
+  drawer.hidden = true;
+  drawer.innerHTML = `
+    <div class="mini-cart__overlay" data-cart-close></div>
+    <aside class="mini-cart__panel" role="dialog" aria-modal="true" aria-labelledby="mini-cart-title" tabindex="-1">
+      <header class="mini-cart__header">
+        <h2 class="mini-cart__title" id="mini-cart-title">Shopping Cart</h2>
+        <button type="button" class="mini-cart__close" aria-label="Close cart" data-cart-close>&times;</button>
+      </header>
+      <p class="mini-cart__empty">Your cart is empty.</p>
+      <ul class="mini-cart__items" aria-label="Cart items"></ul>
+      <footer class="mini-cart__footer">
+        <p class="mini-cart__subtotal">
+          Subtotal (<span class="mini-cart__subtotal-count">0 items</span>):
+          <strong class="mini-cart__subtotal-amount">$0.00</strong>
+        </p>
+        <a class="btn btn--amazon mini-cart__checkout" href="#" rel="nofollow">Proceed to checkout on Amazon</a>
+        <p class="mini-cart__note">You'll review and confirm these items on Amazon.com.</p>
+      </footer>
+    </aside>
+  `;
+  document.body.appendChild(drawer);
+
+  const panel = drawer.querySelector('.mini-cart__panel') as HTMLElement;
+  const list = drawer.querySelector('.mini-cart__items') as HTMLUListElement;
+  const emptyState = drawer.querySelector('.mini-cart__empty') as HTMLElement;
+  const footer = drawer.querySelector('.mini-cart__footer') as HTMLElement;
+  const subtotalCount = drawer.querySelector('.mini-cart__subtotal-count') as HTMLElement;
+  const subtotalAmount = drawer.querySelector('.mini-cart__subtotal-amount') as HTMLElement;
+  const checkout = drawer.querySelector('.mini-cart__checkout') as HTMLAnchorElement;
+  const checkoutNote = drawer.querySelector('.mini-cart__note') as HTMLElement;
+
+  let closeTimer: ReturnType<typeof setTimeout> | undefined;
+
+  function renderLineItem(item: CartItem): HTMLLIElement {
+    // Built with textContent -- cart contents come from localStorage
+    const li: HTMLLIElement = document.createElement('li');
+    li.className = 'mini-cart__item';
+    li.dataset.sku = item.sku;
+
+    if (item.image) {
+      const img: HTMLImageElement = document.createElement('img');
+      img.className = 'mini-cart__item-image';
+      img.src = item.image;
+      img.alt = '';
+      img.width = 64;
+      img.height = 48;
+      img.loading = 'lazy';
+      li.appendChild(img);
+    }
+
+    const body: HTMLDivElement = document.createElement('div');
+    body.className = 'mini-cart__item-body';
+
+    const name: HTMLParagraphElement = document.createElement('p');
+    name.className = 'mini-cart__item-name';
+    name.textContent = item.name;
+
+    const price: HTMLParagraphElement = document.createElement('p');
+    price.className = 'mini-cart__item-price';
+    price.textContent = formatCurrency(item.unitPrice);
+
+    const stepper: HTMLDivElement = document.createElement('div');
+    stepper.className = 'mini-cart__stepper';
+    stepper.innerHTML = `
+      <button type="button" class="mini-cart__step" data-cart-action="decrement">&minus;</button>
+      <input type="number" class="mini-cart__qty" min="1" max="${CART_MAX_QUANTITY}" inputmode="numeric">
+      <button type="button" class="mini-cart__step" data-cart-action="increment">+</button>
+      <button type="button" class="mini-cart__remove" data-cart-action="remove">Delete</button>
+    `;
+    const [decrement, increment] = Array.from(stepper.querySelectorAll('.mini-cart__step'));
+    const qtyInput = stepper.querySelector('.mini-cart__qty') as HTMLInputElement;
+    const remove = stepper.querySelector('.mini-cart__remove') as HTMLElement;
+    decrement.setAttribute('aria-label', `Decrease quantity of ${item.name}`);
+    increment.setAttribute('aria-label', `Increase quantity of ${item.name}`);
+    remove.setAttribute('aria-label', `Remove ${item.name} from cart`);
+    qtyInput.setAttribute('aria-label', `Quantity of ${item.name}`);
+    qtyInput.value = String(item.quantity);
+    (increment as HTMLButtonElement).disabled = item.quantity >= CART_MAX_QUANTITY;
+
+    const lineTotal: HTMLSpanElement = document.createElement('span');
+    lineTotal.className = 'mini-cart__item-total';
+    lineTotal.textContent = formatCurrency(item.unitPrice * item.quantity);
+
+    body.append(name, price, stepper);
+    li.append(body, lineTotal);
+    return li;
+  }
+
+  function render(): void {
+    const focusedAction: string | undefined = (document.activeElement as HTMLElement | null)?.dataset?.cartAction;
+    const focusedSku: string | undefined = (document.activeElement?.closest('.mini-cart__item') as HTMLElement | null)?.dataset.sku;
+
+    list.replaceChildren(...getCartItems().map(renderLineItem));
+
+    const count: number = getCartCount();
+    const isEmpty: boolean = count === 0;
+    emptyState.hidden = !isEmpty;
+    list.hidden = isEmpty;
+    footer.hidden = isEmpty;
+    subtotalCount.textContent = `${count} ${count === 1 ? 'item' : 'items'}`;
+    subtotalAmount.textContent = formatCurrency(getCartSubtotal());
+    renderCheckout();
+
+    // Re-rendering replaces the stepper buttons -- keep keyboard focus in place
+    if (focusedSku && focusedAction) {
+      const restore: HTMLElement | null = list.querySelector(
+        `.mini-cart__item[data-sku="${CSS.escape(focusedSku)}"] [data-cart-action="${focusedAction}"]`
+      );
+      (restore ?? panel).focus();
+    }
+  }
+
+  // Hand-off link is rebuilt on every render so it always mirrors the cart
+  function renderCheckout(): void {
+    const cartItems: readonly CartItem[] = getCartItems();
+    const lines: AmazonCartLine[] = cartItems
+      .filter((item: CartItem): boolean => !!item.asin && isValidAsin(item.asin))
+      .map((item: CartItem): AmazonCartLine => ({ asin: item.asin as string, quantity: item.quantity }));
+    const skipped: number = cartItems.length - lines.length;
+
+    let href: string | null = null;
+    let handoffError: string | null = null;
+    if (lines.length) {
+      try {
+        href = buildCartAddUrl(lines, amazonUrlOptions());
+      } catch (err) {
+        if (!(err instanceof AmazonUrlError)) throw err;
+        handoffError = err.message;
+      }
+    }
+
+    if (href) {
+      checkout.href = href;
+      checkout.removeAttribute('aria-disabled');
+    } else {
+      checkout.href = '#';
+      checkout.setAttribute('aria-disabled', 'true');
+    }
+
+    // Say why checkout is unavailable -- a disabled button alone leaves the shopper guessing
+    checkoutNote.classList.toggle('mini-cart__note--error', handoffError !== null);
+    checkoutNote.setAttribute('role', handoffError ? 'alert' : 'status');
+    if (handoffError) {
+      checkoutNote.textContent = `Can't check out on Amazon: ${handoffError}.`;
+    } else {
+      checkoutNote.textContent = !lines.length && skipped > 0
+        ? 'These items aren\'t sold on Amazon yet; contact sales for a quote.'
+        : skipped > 0
+          ? `${skipped} ${skipped === 1 ? 'item is' : 'items are'} not sold on Amazon and will not be transferred; contact sales to quote ${skipped === 1 ? 'it' : 'them'}.`
+          : 'You\'ll review and confirm these items on Amazon.com.';
+    }
+  }
+
+  function isOpen(): boolean {
+    return drawer.classList.contains('mini-cart--open');
+  }
+
+  function open(): void {
+    clearTimeout(closeTimer);
+    render();
+    drawer.hidden = false;
+    cartLink.setAttribute('aria-expanded', 'true');
+    document.body.style.overflow = 'hidden';
+    // Next frame so the transition runs from the closed state
+    requestAnimationFrame((): void => {
+      drawer.classList.add('mini-cart--open');
+      panel.focus();
+    });
+  }
+
+  function close(): void {
+    if (!isOpen()) return;
+    drawer.classList.remove('mini-cart--open');
+    cartLink.setAttribute('aria-expanded', 'false');
+    document.body.style.overflow = '';
+    closeTimer = setTimeout((): void => {
+      drawer.hidden = true;
+    }, prefersReducedMotion ? 0 : CART_ANIMATION_DURATION);
+    cartLink.focus();
+  }
+
+  cartLink.setAttribute('aria-haspopup', 'dialog');
+  cartLink.setAttribute('aria-expanded', 'false');
+  cartLink.addEventListener('click', (e: Event): void => {
+    e.preventDefault();
+    open();
+  }, { signal });
+
+  drawer.addEventListener('click', (e: Event): void => {
+    const target = e.target as HTMLElement;
+    if (target.closest('.mini-cart__checkout[aria-disabled="true"]')) {
+      e.preventDefault();
+      return;
+    }
+    if (target.closest('[data-cart-close]')) {
+      close();
+      return;
+    }
+
+    const actionEl: HTMLElement | null = target.closest('[data-cart-action]');
+    const sku: string | undefined = (target.closest('.mini-cart__item') as HTMLElement | null)?.dataset.sku;
+    if (!actionEl || !sku) return;
+
+    const item: CartItem | undefined = getCartItems().find((i: CartItem): boolean => i.sku === sku);
+    if (!item) return;
+
+    switch (actionEl.dataset.cartAction) {
+      case 'increment':
+        setCartQuantity(sku, item.quantity + 1);
+        break;
+      case 'decrement':
+        setCartQuantity(sku, item.quantity - 1);
+        break;
+      case 'remove':
+        removeFromCart(sku);
+        break;
+    }
+  }, { signal });
+
+  drawer.addEventListener('change', (e: Event): void => {
+    const input = e.target as HTMLInputElement;
+    if (!input.classList.contains('mini-cart__qty')) return;
+    const sku: string | undefined = (input.closest('.mini-cart__item') as HTMLElement | null)?.dataset.sku;
+    const quantity: number = parseInt(input.value, 10);
+    if (sku) setCartQuantity(sku, isNaN(quantity) ? 0 : quantity);
+  }, { signal });
+
+  // Escape closes; Tab is trapped inside the open panel
+  drawer.addEventListener('keydown', (e: KeyboardEvent): void => {
+    if (e.key === 'Escape') {
+      close();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable: HTMLElement[] = Array.from(panel.querySelectorAll<HTMLElement>(
+      'button:not([disabled]), input, a[href]'
+    )).filter((el: HTMLElement): boolean => !el.closest('[hidden]'));
+    if (!focusable.length) return;
+
+    const first: HTMLElement = focusable[0];
+    const last: HTMLElement = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === panel)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }, { signal });
+
+  onCartChange((): void => {
+    if (isOpen()) render();
+  }, signal);
+
+  onAbort(signal, (): void => {
+    clearTimeout(closeTimer);
+    if (isOpen()) document.body.style.overflow = '';
+    drawer.remove();
+    cartLink.removeAttribute('aria-haspopup');
+    cartLink.removeAttribute('aria-expanded');
+  });
+}
+
+// ==========================================================================
+// INITIALIZATION
+// ==========================================================================
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  initCartCounter(root, signal);
+  initMiniCart(root, signal);
+}
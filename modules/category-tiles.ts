@@ -0,0 +1,30 @@
+/**
+ * SonicWall Amazon Storefront - Category tiles
+ * Home page tiles linking to their product pages. The links work on their
+ * own; this adds the hover transition and click tracking.
+ * Root: the section holding the .category-tile grid.
+ */
+
+import { track } from './analytics.js';
+import { EASING_SMOOTH, onAbort, prefersReducedMotion } from './core.js';
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  const categoryTiles: NodeListOf<HTMLAnchorElement> = root.querySelectorAll<HTMLAnchorElement>('a.category-tile');
+
+  if (!categoryTiles.length) return;
+
+  categoryTiles.forEach((tile: HTMLAnchorElement): void => {
+    // Add smooth hover transitions
+    if (!prefersReducedMotion) {
+      tile.style.transition = `transform 0.3s ${EASING_SMOOTH}, box-shadow 0.3s ${EASING_SMOOTH}`;
+      onAbort(signal, (): void => {
+        tile.style.transition = '';
+      });
+    }
+
+    tile.addEventListener('click', (): void => {
+      const title: string = tile.querySelector('.category-tile__title')?.textContent?.trim() ?? '';
+      track('category_tile_click', { section: tile.getAttribute('href') ?? '', name: title });
+    }, { signal });
+  });
+}
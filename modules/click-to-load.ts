@@ -0,0 +1,98 @@
+/**
+ * SonicWall Amazon Storefront - Click-to-load embeds
+ * Keeps a third-party iframe (Brightcove player) empty behind a placeholder
+ * until the visitor has granted the consent category it needs -- for good
+ * ("Always allow") or for this one embed ("Load video").
+ */
+
+import { NO_OPTIONAL_CONSENT, getConsentChoices, hasConsent, onConsentChange, setConsentChoices } from './consent-store.js';
+import type { ConsentCategory, ConsentChoices } from './consent-store.js';
+import { onAbort } from './core.js';
+
+export interface EmbedOptions {
+  readonly category: Exclude<ConsentCategory, 'necessary'>;
+  /** Who serves the embed, shown on the placeholder ("Brightcove"). */
+  readonly provider: string;
+  /** What the embed is ("video"), for the button and its label. */
+  readonly kind: string;
+}
+
+interface PendingEmbed {
+  readonly placeholder: HTMLElement;
+  /** Releases the placeholder's listeners and consent subscription. */
+  readonly controller: AbortController;
+}
+
+// What stands in for each gated iframe, so a later call replaces it
+const pendingEmbeds: WeakMap<HTMLIFrameElement, PendingEmbed> = new WeakMap();
+
+function clearPending(iframe: HTMLIFrameElement): void {
+  const pending: PendingEmbed | undefined = pendingEmbeds.get(iframe);
+  if (!pending) return;
+  pendingEmbeds.delete(iframe);
+  pending.controller.abort();
+  pending.placeholder.remove();
+  iframe.hidden = false;
+}
+
+function reveal(iframe: HTMLIFrameElement, src: string): void {
+  clearPending(iframe);
+  if (iframe.src !== src) iframe.src = src;
+}
+
+function createPlaceholder(options: EmbedOptions): HTMLDivElement {
+  const placeholder: HTMLDivElement = document.createElement('div');
+  placeholder.className = 'consent-placeholder';
+  placeholder.innerHTML = `
+    <p class="consent-placeholder__text"></p>
+    <div class="consent-placeholder__actions">
+      <button type="button" class="btn btn--modern btn--amazon btn--small" data-embed-action="load"></button>
+      <button type="button" class="consent-placeholder__always" data-embed-action="always">Always allow</button>
+    </div>
+  `;
+  (placeholder.querySelector('.consent-placeholder__text') as HTMLElement).textContent =
+    `This ${options.kind} is played by ${options.provider}, which may set cookies on your device.`;
+  (placeholder.querySelector('[data-embed-action="load"]') as HTMLElement).textContent = `Load ${options.kind}`;
+  return placeholder;
+}
+
+/**
+ * Points iframe at src straight away when options.category is granted;
+ * otherwise hides it behind a placeholder until the visitor opts in. A
+ * second call for the same iframe replaces the pending src.
+ */
+export function loadEmbed(iframe: HTMLIFrameElement, src: string, options: EmbedOptions, signal: AbortSignal): void {
+  if (signal.aborted) return;
+  if (hasConsent(options.category)) {
+    reveal(iframe, src);
+    return;
+  }
+
+  clearPending(iframe);
+  const placeholder: HTMLDivElement = createPlaceholder(options);
+  const embedController: AbortController = new AbortController();
+  const embedSignal: AbortSignal = embedController.signal;
+  pendingEmbeds.set(iframe, { placeholder, controller: embedController });
+  iframe.hidden = true;
+  iframe.removeAttribute('src');
+  iframe.before(placeholder);
+
+  placeholder.addEventListener('click', (e: Event): void => {
+    const action: string | undefined = (e.target as HTMLElement).closest<HTMLElement>('[data-embed-action]')?.dataset.embedAction;
+    if (action === 'always') {
+      const current: ConsentChoices = getConsentChoices() ?? NO_OPTIONAL_CONSENT;
+      setConsentChoices({ ...current, [options.category]: true });
+    } else if (action === 'load') {
+      reveal(iframe, src);
+    }
+  }, { signal: embedSignal });
+
+  onConsentChange((): void => {
+    if (hasConsent(options.category)) reveal(iframe, src);
+  }, embedSignal);
+
+  // Torn down before the visitor chose: drop the placeholder, keep the iframe empty
+  onAbort(signal, (): void => {
+    if (pendingEmbeds.get(iframe)?.placeholder === placeholder) clearPending(iframe);
+  });
+}
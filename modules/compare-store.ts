@@ -0,0 +1,86 @@
+/**
+ * SonicWall Amazon Storefront - Compare store
+ * Models queued for side-by-side comparison, persisted in localStorage so
+ * the list follows the shopper across category pages.
+ */
+
+export interface CompareItem {
+  readonly sku: string;
+  readonly name: string;
+  readonly image: string | null;
+}
+
+type CompareListener = (items: readonly CompareItem[]) => void;
+
+/** The most models a shopper can put side by side. */
+export const MAX_COMPARE_COLUMNS = 4 as const;
+
+const COMPARE_STORAGE_KEY = 'sonicwall-storefront:compare:v1';
+
+let compareItems: CompareItem[] = readStoredCompare();
+const compareListeners: CompareListener[] = [];
+
+function isCompareItem(value: unknown): value is CompareItem {
+  const item = value as Partial<CompareItem> | null;
+  return !!item && typeof item.sku === 'string' && typeof item.name === 'string';
+}
+
+function readStoredCompare(): CompareItem[] {
+  try {
+    const raw: string | null = window.localStorage.getItem(COMPARE_STORAGE_KEY);
+    const parsed: unknown = raw ? JSON.parse(raw) : [];
+    return Array.isArray(parsed) ? parsed.filter(isCompareItem).slice(0, MAX_COMPARE_COLUMNS) : [];
+  } catch {
+    // Storage disabled (private mode) or corrupted JSON -- start empty
+    return [];
+  }
+}
+
+function commitCompare(next: CompareItem[]): void {
+  compareItems = next;
+  try {
+    window.localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(compareItems));
+  } catch {
+    // Quota exceeded or storage disabled -- list still works for this page view
+  }
+  compareListeners.forEach((listener: CompareListener): void => listener(compareItems));
+}
+
+export function getCompareItems(): readonly CompareItem[] {
+  return compareItems;
+}
+
+export function isInCompare(sku: string): boolean {
+  return compareItems.some((item: CompareItem): boolean => item.sku === sku);
+}
+
+/** Adds a model; returns false when the list is already full. */
+export function addToCompare(item: CompareItem): boolean {
+  if (isInCompare(item.sku)) return true;
+  if (compareItems.length >= MAX_COMPARE_COLUMNS) return false;
+  commitCompare([...compareItems, item]);
+  return true;
+}
+
+export function clearCompare(): void {
+  commitCompare([]);
+}
+
+export function removeFromCompare(sku: string): void {
+  commitCompare(compareItems.filter((item: CompareItem): boolean => item.sku !== sku));
+}
+
+/** Subscribes until signal aborts. */
+export function onCompareChange(listener: CompareListener, signal: AbortSignal): void {
+  if (signal.aborted) return;
+  compareListeners.push(listener);
+  signal.addEventListener('abort', (): void => {
+    compareListeners.splice(compareListeners.indexOf(listener), 1);
+  }, { once: true });
+}
+
+window.addEventListener('storage', (e: StorageEvent): void => {
+  if (e.key !== COMPARE_STORAGE_KEY) return;
+  compareItems = readStoredCompare();
+  compareListeners.forEach((listener: CompareListener): void => listener(compareItems));
+});
@@ -0,0 +1,248 @@
+/**
+ * SonicWall Amazon Storefront - Compare tray
+ * Sticky tray listing the models queued for comparison and the
+ * side-by-side compare view it opens. One per page, appended to <body> by
+ * the first module that needs it (see product-cards.ts) and removed again
+ * once every module using it has been torn down.
+ */
+
+import { loadCatalog } from '../catalog.js';
+import type { CatalogProduct } from '../catalog.js';
+import { MAX_COMPARE_COLUMNS, clearCompare, getCompareItems, onCompareChange, removeFromCompare } from './compare-store.js';
+import type { CompareItem } from './compare-store.js';
+import { CART_ANIMATION_DURATION, onAbort, prefersReducedMotion } from './core.js';
+
+// ==========================================================================
+// COMPARE TRAY -- Sticky tray & compare view
+// ==========================================================================
+
+// Shared by every product grid on the page; lives while any of them does
+let trayUsers: number = 0;
+let trayController: AbortController | null = null;
+
+/** Shows the tray for as long as signal (the caller's lifecycle) is live. */
+export function initCompareTray(signal: AbortSignal): void {
+  if (signal.aborted) return;
+  trayUsers++;
+  onAbort(signal, (): void => {
+    trayUsers--;
+    if (trayUsers > 0 || !trayController) return;
+    trayController.abort();
+    trayController = null;
+  });
+
+  if (trayController) return;
+  trayController = new AbortController();
+  createCompareTray(trayController.signal);
+}
+
+function createCompareTray(signal: AbortSignal): void {
+  const tray: HTMLDivElement = document.createElement('div');
+  tray.className = 'compare-tray';
+  tray.hidden = true;
+  tray.setAttribute('role', 'region');
+  tray.setAttribute('aria-label', 'Models to compare');
+  tray.innerHTML = `
+    <div class="compare-tray__inner container">
+      <ul class="compare-tray__items"></ul>
+      <div class="compare-tray__actions">
+        <p class="compare-tray__hint" aria-live="polite"></p>
+        <button type="button" class="btn btn--modern btn--amazon btn--small compare-tray__compare" aria-haspopup="dialog">Compare</button>
+        <button type="button" class="compare-tray__clear">Clear all</button>
+      </div>
+    </div>
+  `;
+
+  const view: HTMLDivElement = document.createElement('div');
+  view.className = 'compare-view';
+  view.hidden = true;
+  view.innerHTML = `
+    <div class="compare-view__overlay" data-compare-close></div>
+    <section class="compare-view__panel" role="dialog" aria-modal="true" aria-labelledby="compare-view-title" tabindex="-1">
+      <header class="compare-view__header">
+        <h2 class="compare-view__title" id="compare-view-title">Compare Models</h2>
+        <button type="button" class="compare-view__close" aria-label="Close comparison" data-compare-close>&times;</button>
+      </header>
+      <p class="compare-view__status" hidden></p>
+      <div class="comparison-table-wrapper compare-view__body">
+        <table class="comparison-table compare-view__table"></table>
+      </div>
+    </section>
+  `;
+  document.body.append(tray, view);
+
+  const list = tray.querySelector('.compare-tray__items') as HTMLUListElement;
+  const hint = tray.querySelector('.compare-tray__hint') as HTMLElement;
+  const compareBtn = tray.querySelector('.compare-tray__compare') as HTMLButtonElement;
+  const panel = view.querySelector('.compare-view__panel') as HTMLElement;
+  const status = view.querySelector('.compare-view__status') as HTMLElement;
+  const table = view.querySelector('.compare-view__table') as HTMLTableElement;
+
+  let tableEnhanced: boolean = false;
+
+  function renderTrayItem(item: CompareItem): HTMLLIElement {
+    // Built with textContent -- tray contents come from localStorage
+    const li: HTMLLIElement = document.createElement('li');
+    li.className = 'compare-tray__item';
+    li.dataset.sku = item.sku;
+
+    if (item.image) {
+      const img: HTMLImageElement = document.createElement('img');
+      img.className = 'compare-tray__thumb';
+      img.src = item.image;
+      img.alt = '';
+      img.width = 56;
+      img.height = 42;
+      img.loading = 'lazy';
+      li.appendChild(img);
+    }
+
+    const name: HTMLSpanElement = document.createElement('span');
+    name.className = 'compare-tray__name';
+    name.textContent = item.name;
+
+    const remove: HTMLButtonElement = document.createElement('button');
+    remove.type = 'button';
+    remove.className = 'compare-tray__remove';
+    remove.dataset.compareRemove = item.sku;
+    remove.setAttribute('aria-label', `Remove ${item.name} from comparison`);
+    remove.innerHTML = '&times;';
+
+    li.append(name, remove);
+    return li;
+  }
+
+  function renderTray(): void {
+    const compareItems: readonly CompareItem[] = getCompareItems();
+    const count: number = compareItems.length;
+    tray.hidden = count === 0;
+    document.body.classList.toggle('has-compare-tray', count > 0);
+    list.replaceChildren(...compareItems.map(renderTrayItem));
+
+    compareBtn.disabled = count < 2;
+    compareBtn.textContent = `Compare ${count} ${count === 1 ? 'item' : 'items'}`;
+    hint.textContent = count < 2
+      ? 'Select at least one more model to compare'
+      : `Up to ${MAX_COMPARE_COLUMNS} models`;
+  }
+
+  // --- Compare view (dialog) ---
+  let closeTimer: ReturnType<typeof setTimeout> | undefined;
+
+  function renderView(): void {
+    status.hidden = false;
+    status.textContent = 'Loading comparison…';
+    table.hidden = true;
+
+    // The table renderer is only fetched once a shopper actually opens the view
+    Promise.all([loadCatalog(), import('./comparison-table.js'), import('./comparison-render.js')])
+      .then(([catalog, comparisonTable, comparisonRender]): void => {
+        if (signal.aborted) return;
+        if (!tableEnhanced) {
+          comparisonTable.enhanceComparisonTable(table, signal);
+          tableEnhanced = true;
+        }
+        const products: CatalogProduct[] = getCompareItems()
+          .map((item: CompareItem): CatalogProduct | undefined => catalog.bySku.get(item.sku))
+          .filter((p: CatalogProduct | undefined): p is CatalogProduct => !!p);
+        comparisonRender.renderComparisonTable(table, catalog, products, null);
+        comparisonRender.applyComparisonFilters(table, true, false);
+        status.hidden = true;
+        table.hidden = false;
+      })
+      .catch((): void => {
+        status.textContent = 'The comparison could not be loaded. Please try again.';
+      });
+  }
+
+  function isOpen(): boolean {
+    return view.classList.contains('compare-view--open');
+  }
+
+  function open(): void {
+    clearTimeout(closeTimer);
+    renderView();
+    view.hidden = false;
+    document.body.style.overflow = 'hidden';
+    // Next frame so the transition runs from the closed state
+    requestAnimationFrame((): void => {
+      view.classList.add('compare-view--open');
+      panel.focus();
+    });
+  }
+
+  function close(): void {
+    if (!isOpen()) return;
+    view.classList.remove('compare-view--open');
+    document.body.style.overflow = '';
+    closeTimer = setTimeout((): void => {
+      view.hidden = true;
+    }, prefersReducedMotion ? 0 : CART_ANIMATION_DURATION);
+    if (!tray.hidden) compareBtn.focus();
+  }
+
+  tray.addEventListener('click', (e: Event): void => {
+    const target = e.target as HTMLElement;
+    const removeBtn: HTMLElement | null = target.closest('[data-compare-remove]');
+
+    if (removeBtn) {
+      removeFromCompare(removeBtn.dataset.compareRemove ?? '');
+    } else if (target.closest('.compare-tray__clear')) {
+      clearCompare();
+    } else if (target.closest('.compare-tray__compare')) {
+      open();
+    }
+  }, { signal });
+
+  view.addEventListener('click', (e: Event): void => {
+    if ((e.target as HTMLElement).closest('[data-compare-close]')) close();
+  }, { signal });
+
+  // Capture phase: close before the table's "See options" handler scrolls the page
+  view.addEventListener('click', (e: Event): void => {
+    if ((e.target as HTMLElement).closest('[data-compare-sku]')) close();
+  }, { capture: true, signal });
+
+  // Escape closes; Tab is trapped inside the open panel
+  view.addEventListener('keydown', (e: KeyboardEvent): void => {
+    if (e.key === 'Escape') {
+      close();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable: HTMLElement[] = Array.from(panel.querySelectorAll<HTMLElement>('button, a[href]'));
+    if (!focusable.length) return;
+
+    const first: HTMLElement = focusable[0];
+    const last: HTMLElement = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === panel)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }, { signal });
+
+  onCompareChange((): void => {
+    renderTray();
+    if (!isOpen()) return;
+    // Dropping below two models leaves nothing to compare
+    if (getCompareItems().length < 2) {
+      close();
+    } else {
+      renderView();
+    }
+  }, signal);
+
+  onAbort(signal, (): void => {
+    clearTimeout(closeTimer);
+    if (isOpen()) document.body.style.overflow = '';
+    document.body.classList.remove('has-compare-tray');
+    tray.remove();
+    view.remove();
+  });
+
+  renderTray();
+}
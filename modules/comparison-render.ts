@@ -0,0 +1,271 @@
+/**
+ * SonicWall Amazon Storefront - Comparison rendering
+ * Builds .comparison-table rows from catalog spec data, for the model
+ * picker on tables marked data-compare="SKU,..." and the compare tray's
+ * side-by-side view. Fetched only when one of those needs it, so the spec
+ * rows and the catalog stay out of the pages' first load.
+ */
+
+import { productHref } from '../catalog.js';
+import type { Catalog, CatalogProduct, CatalogSeries } from '../catalog.js';
+import { allEqual, buildComparisonRows } from '../comparison.js';
+import type { ComparisonRow } from '../comparison.js';
+import { MAX_COMPARE_COLUMNS } from './compare-store.js';
+import { formatCurrency, onAbort } from './core.js';
+
+// ==========================================================================
+// COMPARISON RENDERING -- Spec rows, column picker, difference highlighting
+// ==========================================================================
+
+function parseSkuList(value: string | undefined): string[] {
+  return (value ?? '').split(',').map((sku: string): string => sku.trim()).filter(Boolean);
+}
+
+function createComparisonCell(tag: 'td' | 'th', className: string, text: string): HTMLTableCellElement {
+  const cell: HTMLTableCellElement = document.createElement(tag);
+  cell.className = className;
+  cell.textContent = text;
+  return cell;
+}
+
+function createComparisonRow(
+  label: string,
+  values: readonly string[],
+  highlightIndex: number,
+  extraClass: string = ''
+): HTMLTableRowElement {
+  const row: HTMLTableRowElement = document.createElement('tr');
+  row.className = ('comparison-table__row ' + extraClass).trim();
+  row.dataset.identical = String(allEqual(values));
+
+  const labelCell: HTMLTableCellElement = createComparisonCell('th', 'comparison-table__cell comparison-table__cell--label', '');
+  labelCell.scope = 'row';
+  labelCell.appendChild(document.createElement('strong')).textContent = label;
+  row.appendChild(labelCell);
+
+  values.forEach((value: string, index: number): void => {
+    const className: string = index === highlightIndex
+      ? 'comparison-table__cell comparison-table__cell--highlight'
+      : 'comparison-table__cell';
+    row.appendChild(createComparisonCell('td', className, value));
+  });
+  return row;
+}
+
+/**
+ * Rebuilds a .comparison-table's head and body from catalog spec data.
+ * highlightSku marks the recommended column, as the static tables did.
+ */
+export function renderComparisonTable(
+  table: HTMLTableElement,
+  catalog: Catalog,
+  products: readonly CatalogProduct[],
+  highlightSku: string | null
+): void {
+  const thead: HTMLTableSectionElement = table.tHead ?? table.createTHead();
+  const tbody: HTMLTableSectionElement = table.tBodies[0] ?? table.createTBody();
+  const highlightIndex: number = products.findIndex((p: CatalogProduct): boolean => p.sku === highlightSku);
+
+  // --- Header: one column per model ---
+  const headRow: HTMLTableRowElement = document.createElement('tr');
+  headRow.className = 'comparison-table__header-row';
+  const featureHeader: HTMLTableCellElement = createComparisonCell(
+    'th', 'comparison-table__header comparison-table__header--feature', 'Feature'
+  );
+  featureHeader.scope = 'col';
+  headRow.appendChild(featureHeader);
+
+  products.forEach((product: CatalogProduct, index: number): void => {
+    const header: HTMLTableCellElement = createComparisonCell(
+      'th',
+      'comparison-table__header comparison-table__header--product'
+        + (index === highlightIndex ? ' comparison-table__header--highlight' : ''),
+      ''
+    );
+    header.scope = 'col';
+    header.dataset.sku = product.sku;
+
+    const name: HTMLSpanElement = document.createElement('span');
+    name.className = 'comparison-table__product-name';
+    name.textContent = product.name;
+    const subtitle: HTMLSpanElement = document.createElement('span');
+    subtitle.className = 'comparison-table__subtitle';
+    subtitle.textContent = product.segment ?? catalog.seriesById.get(product.series)?.label ?? '';
+
+    header.append(name, subtitle);
+    headRow.appendChild(header);
+  });
+  thead.replaceChildren(headRow);
+
+  // --- Body: spec rows, then price, then "See options" ---
+  const rows: HTMLTableRowElement[] = buildComparisonRows(products).map(
+    (row: ComparisonRow): HTMLTableRowElement => createComparisonRow(row.label, row.values, highlightIndex)
+  );
+
+  const priceRow: HTMLTableRowElement = createComparisonRow(
+    'Price',
+    products.map((p: CatalogProduct): string => (p.price === null ? 'Contact Sales' : formatCurrency(p.price))),
+    highlightIndex,
+    'comparison-table__row--price'
+  );
+  priceRow.querySelectorAll('td').forEach((cell: HTMLTableCellElement): void => {
+    cell.classList.add('comparison-table__cell--price');
+    cell.replaceChildren(Object.assign(document.createElement('strong'), { textContent: cell.textContent }));
+  });
+  rows.push(priceRow);
+
+  const ctaRow: HTMLTableRowElement = document.createElement('tr');
+  ctaRow.className = 'comparison-table__row comparison-table__row--cta';
+  ctaRow.appendChild(createComparisonCell('td', 'comparison-table__cell', ''));
+  products.forEach((product: CatalogProduct, index: number): void => {
+    const cell: HTMLTableCellElement = createComparisonCell(
+      'td',
+      index === highlightIndex ? 'comparison-table__cell comparison-table__cell--highlight' : 'comparison-table__cell',
+      ''
+    );
+    const link: HTMLAnchorElement = document.createElement('a');
+    link.className = 'btn btn--modern btn--amazon btn--small';
+    link.href = productHref(catalog, product);
+    link.dataset.compareSku = product.sku;
+    link.textContent = product.price === null ? 'Contact Sales →' : 'See options →';
+    link.setAttribute('aria-label', `See buying options for ${product.title}`);
+    cell.appendChild(link);
+    ctaRow.appendChild(cell);
+  });
+  rows.push(ctaRow);
+
+  tbody.replaceChildren(...rows);
+}
+
+/** Applies the "highlight differences" / "hide identical rows" toggles and restripes. */
+export function applyComparisonFilters(table: HTMLTableElement, highlightDifferences: boolean, hideIdentical: boolean): void {
+  const columnCount: number = table.querySelectorAll('thead .comparison-table__header--product').length;
+  let visibleIndex: number = 0;
+
+  table.querySelectorAll('tbody tr[data-identical]').forEach((row: Element): void => {
+    const htmlRow = row as HTMLTableRowElement;
+    const identical: boolean = htmlRow.dataset.identical === 'true' && columnCount > 1;
+    const isPrice: boolean = htmlRow.classList.contains('comparison-table__row--price');
+
+    htmlRow.hidden = hideIdentical && identical && !isPrice;
+    htmlRow.classList.toggle('comparison-table__row--diff', highlightDifferences && !identical && columnCount > 1);
+    if (isPrice || htmlRow.hidden) return;
+
+    htmlRow.classList.toggle('comparison-table__row--alt', visibleIndex % 2 === 1);
+    visibleIndex++;
+  });
+}
+
+function createModelPicker(catalog: Catalog, index: number): HTMLLabelElement {
+  const label: HTMLLabelElement = document.createElement('label');
+  label.className = 'comparison-controls__picker';
+
+  const caption: HTMLSpanElement = document.createElement('span');
+  caption.className = 'comparison-controls__picker-label';
+  caption.textContent = `Model ${index + 1}`;
+
+  const select: HTMLSelectElement = document.createElement('select');
+  select.className = 'comparison-controls__select';
+  select.add(new Option('None', ''));
+
+  // One optgroup per series, in catalog order
+  catalog.series.forEach((series: CatalogSeries): void => {
+    const group: HTMLOptGroupElement = document.createElement('optgroup');
+    group.label = series.label;
+    catalog.products
+      .filter((p: CatalogProduct): boolean => p.series === series.id)
+      .forEach((p: CatalogProduct): void => {
+        group.appendChild(new Option(p.title, p.sku));
+      });
+    if (group.children.length) select.appendChild(group);
+  });
+
+  label.append(caption, select);
+  return label;
+}
+
+function createComparisonToggle(text: string, toggle: string): HTMLLabelElement {
+  const label: HTMLLabelElement = document.createElement('label');
+  label.className = 'comparison-controls__toggle';
+  const input: HTMLInputElement = document.createElement('input');
+  input.type = 'checkbox';
+  input.dataset.compareToggle = toggle;
+  label.append(input, ' ' + text);
+  return label;
+}
+
+/**
+ * Turns a static table marked with data-compare="SKU,SKU,..." into a
+ * configurable one: up to MAX_COMPARE_COLUMNS models from the whole catalog.
+ * The static markup stays as the no-JS fallback until the catalog loads;
+ * tearing down removes the controls but keeps the last rendered table.
+ */
+export function initConfigurableComparison(table: HTMLTableElement, catalog: Catalog, signal: AbortSignal): void {
+  const highlightSku: string | null = table.dataset.compareHighlight ?? null;
+  let selected: string[] = parseSkuList(table.dataset.compare)
+    .filter((sku: string): boolean => catalog.bySku.has(sku))
+    .slice(0, MAX_COMPARE_COLUMNS);
+
+  if (!selected.length) return;
+
+  const controls: HTMLDivElement = document.createElement('div');
+  controls.className = 'comparison-controls';
+
+  const pickers: HTMLDivElement = document.createElement('div');
+  pickers.className = 'comparison-controls__pickers';
+  for (let i = 0; i < MAX_COMPARE_COLUMNS; i++) {
+    pickers.appendChild(createModelPicker(catalog, i));
+  }
+
+  const toggles: HTMLDivElement = document.createElement('div');
+  toggles.className = 'comparison-controls__toggles';
+  toggles.append(
+    createComparisonToggle('Highlight differences', 'differences'),
+    createComparisonToggle('Hide identical rows', 'identical')
+  );
+
+  controls.append(pickers, toggles);
+  (table.closest('.comparison-table-wrapper') ?? table).before(controls);
+  onAbort(signal, (): void => controls.remove());
+
+  const selects: HTMLSelectElement[] = Array.from(controls.querySelectorAll('select'));
+  const differencesToggle = controls.querySelector('[data-compare-toggle="differences"]') as HTMLInputElement;
+  const identicalToggle = controls.querySelector('[data-compare-toggle="identical"]') as HTMLInputElement;
+
+  function syncPickers(): void {
+    selects.forEach((select: HTMLSelectElement, index: number): void => {
+      select.value = selected[index] ?? '';
+      // A model can only occupy one column
+      Array.from(select.options).forEach((option: HTMLOptionElement): void => {
+        option.disabled = option.value !== '' && option.value !== select.value && selected.includes(option.value);
+      });
+    });
+  }
+
+  function render(): void {
+    const products: CatalogProduct[] = selected.map((sku: string): CatalogProduct => catalog.bySku.get(sku) as CatalogProduct);
+    renderComparisonTable(table, catalog, products, highlightSku);
+    applyComparisonFilters(table, differencesToggle.checked, identicalToggle.checked);
+    syncPickers();
+  }
+
+  selects.forEach((select: HTMLSelectElement): void => {
+    select.addEventListener('change', (): void => {
+      const next: string[] = selects
+        .map((s: HTMLSelectElement): string => s.value)
+        .filter((sku: string, index: number, all: string[]): boolean => sku !== '' && all.indexOf(sku) === index);
+
+      // Keep at least one column -- revert a change that would empty the table
+      if (next.length) selected = next;
+      render();
+    }, { signal });
+  });
+
+  [differencesToggle, identicalToggle].forEach((toggle: HTMLInputElement): void => {
+    toggle.addEventListener('change', (): void => {
+      applyComparisonFilters(table, differencesToggle.checked, identicalToggle.checked);
+    }, { signal });
+  });
+
+  render();
+}
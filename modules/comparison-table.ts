@@ -0,0 +1,121 @@
+/**
+ * SonicWall Amazon Storefront - Comparison table
+ * Column hover, sticky head and "See options" for any .comparison-table,
+ * plus the model picker / difference toggles (comparison-render.ts) for
+ * tables marked data-compare="SKU,...". Root: the table. The enhancements
+ * are shared with the compare tray's side-by-side view.
+ */
+
+import type { Catalog } from '../catalog.js';
+import { track } from './analytics.js';
+import { createThrottle, onAbort, smoothScrollTo } from './core.js';
+
+// ==========================================================================
+// COMPARISON TABLE -- Hover, sticky head & "See options"
+// ==========================================================================
+
+// A model's own section on this page (hidden Gen 7 cards resolve to their grid's section)
+function findProductSection(sku: string): HTMLElement | null {
+  const card: Element | null = document.querySelector(
+    `.product-card[data-sku="${CSS.escape(sku)}"], .ap-card[data-sku="${CSS.escape(sku)}"]`
+  );
+  return card ? (card.closest('section') as HTMLElement | null) ?? (card as HTMLElement) : null;
+}
+
+// Hover highlighting, sticky head and "See options" -- shared by every comparison table
+export function enhanceComparisonTable(table: HTMLTableElement, signal: AbortSignal): void {
+  const thead: HTMLTableSectionElement | null = table.tHead;
+
+  // --- Column hover highlighting (delegated so rebuilt tables keep working) ---
+  let hoveredColumn: number = -1;
+
+  // Add/remove highlight on all cells in a column
+  function highlightColumn(colIndex: number, active: boolean): void {
+    table.querySelectorAll('tr').forEach(function (row: HTMLTableRowElement): void {
+      const cell: Element | undefined = row.children[colIndex];
+      if (cell) {
+        (cell as HTMLElement).style.backgroundColor = active ? 'rgba(255, 110, 66, 0.06)' : '';
+      }
+    });
+  }
+
+  table.addEventListener('mouseover', (e: Event): void => {
+    const cell: Element | null = (e.target as Element).closest('td, th');
+    const row: Element | null = cell ? cell.parentElement : null;
+    // Skip col 0 -- that's the label column
+    const colIndex: number = cell && row ? Array.prototype.indexOf.call(row.children, cell) : -1;
+
+    if (hoveredColumn > 0) highlightColumn(hoveredColumn, false);
+    hoveredColumn = colIndex;
+    if (colIndex > 0) highlightColumn(colIndex, true);
+  }, { signal });
+
+  table.addEventListener('mouseleave', (): void => {
+    if (hoveredColumn > 0) highlightColumn(hoveredColumn, false);
+    hoveredColumn = -1;
+  }, { signal });
+
+  onAbort(signal, (): void => {
+    if (hoveredColumn > 0) highlightColumn(hoveredColumn, false);
+  });
+
+  // --- Sticky thead within wrapper on scroll ---
+  const wrapper: HTMLElement | null = table.closest('.comparison-table-wrapper');
+
+  if (wrapper && thead) {
+    const tableThrottle = createThrottle();
+    wrapper.addEventListener('scroll', function (): void {
+      tableThrottle(function (): void {
+        const scrollTop: number = wrapper.scrollTop;
+        if (scrollTop > 0) {
+          thead.style.position = 'sticky';
+          thead.style.top = '0';
+          thead.style.zIndex = '2';
+        }
+      });
+    }, { passive: true, signal });
+
+    // Set sticky by default (works if wrapper has overflow-y)
+    thead.style.position = 'sticky';
+    thead.style.top = '0';
+    thead.style.zIndex = '2';
+    onAbort(signal, (): void => {
+      thead.style.position = '';
+      thead.style.top = '';
+      thead.style.zIndex = '';
+    });
+  }
+
+  // --- "See options" scrolls to the model's own section when it is on this page ---
+  table.addEventListener('click', (e: Event): void => {
+    const link: HTMLElement | null = (e.target as Element).closest('[data-compare-sku]');
+    if (!link) return;
+
+    const sku: string = link.dataset.compareSku ?? '';
+    const section: HTMLElement | null = findProductSection(sku);
+    track('compare_see_options', { sku, destination: section ? 'section' : 'page' });
+    if (!section) return; // Follow the link to the model's series page
+
+    e.preventDefault();
+    e.stopPropagation(); // Prevent cart counter from firing
+    smoothScrollTo(section);
+  }, { signal });
+}
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  if (!(root instanceof HTMLTableElement)) return;
+  const table: HTMLTableElement = root;
+
+  enhanceComparisonTable(table, signal);
+
+  if (!table.dataset.compare) return;
+
+  // The picker, spec rows and catalog load after first paint, behind the static table
+  Promise.all([import('../catalog.js').then((catalog): Promise<Catalog> => catalog.loadCatalog()), import('./comparison-render.js')])
+    .then(([catalog, comparisonRender]): void => {
+      if (!signal.aborted) comparisonRender.initConfigurableComparison(table, catalog, signal);
+    })
+    .catch((): void => {
+      // Catalog or chunk unavailable -- the static table stays as the fallback
+    });
+}
@@ -0,0 +1,99 @@
+/**
+ * SonicWall Amazon Storefront - Consent store
+ * The visitor's cookie / tracking choices per category, persisted in
+ * localStorage. Modules ask hasConsent() before sending analytics or
+ * loading third-party embeds; until the visitor decides, only "necessary"
+ * is granted.
+ */
+
+/**
+ * necessary -- the store itself: cart, compare list, this record, and the
+ *   product images served from m.media-amazon.com / images-cms.sonicwall.com
+ * analytics -- the analytics bus (modules/analytics.ts) and its sinks
+ * media -- third-party players that set their own cookies (Brightcove)
+ */
+export type ConsentCategory = 'necessary' | 'analytics' | 'media';
+
+export interface ConsentChoices {
+  readonly analytics: boolean;
+  readonly media: boolean;
+}
+
+type ConsentListener = (choices: ConsentChoices | null) => void;
+
+interface ConsentRecord {
+  readonly version: number;
+  readonly choices: ConsentChoices;
+  /** ISO timestamp of the decision, kept as proof of consent. */
+  readonly decidedAt: string;
+}
+
+const CONSENT_STORAGE_KEY = 'sonicwall-storefront:consent:v1';
+// Bump when the categories or what they cover change -- visitors are asked again
+const CONSENT_POLICY_VERSION = 1 as const;
+
+export const ALL_CONSENT: ConsentChoices = { analytics: true, media: true };
+export const NO_OPTIONAL_CONSENT: ConsentChoices = { analytics: false, media: false };
+
+let consentChoices: ConsentChoices | null = readStoredConsent();
+const consentListeners: ConsentListener[] = [];
+
+function isConsentRecord(value: unknown): value is ConsentRecord {
+  const record = value as Partial<ConsentRecord> | null;
+  return !!record
+    && record.version === CONSENT_POLICY_VERSION
+    && typeof record.choices?.analytics === 'boolean'
+    && typeof record.choices?.media === 'boolean';
+}
+
+function readStoredConsent(): ConsentChoices | null {
+  try {
+    const raw: string | null = window.localStorage.getItem(CONSENT_STORAGE_KEY);
+    const parsed: unknown = raw ? JSON.parse(raw) : null;
+    return isConsentRecord(parsed) ? parsed.choices : null;
+  } catch {
+    // Storage disabled (private mode) or corrupted JSON -- ask again
+    return null;
+  }
+}
+
+/** The visitor's choices, or null while they have not decided. */
+export function getConsentChoices(): ConsentChoices | null {
+  return consentChoices;
+}
+
+export function hasConsent(category: ConsentCategory): boolean {
+  if (category === 'necessary') return true;
+  return consentChoices?.[category] ?? false;
+}
+
+export function setConsentChoices(choices: ConsentChoices): void {
+  consentChoices = { analytics: choices.analytics, media: choices.media };
+  const record: ConsentRecord = {
+    version: CONSENT_POLICY_VERSION,
+    choices: consentChoices,
+    decidedAt: new Date().toISOString()
+  };
+  try {
+    window.localStorage.setItem(CONSENT_STORAGE_KEY, JSON.stringify(record));
+  } catch {
+    // Quota exceeded or storage disabled -- the choice holds for this page view
+  }
+  // Copy: a listener may unsubscribe itself (click-to-load embeds do)
+  [...consentListeners].forEach((listener: ConsentListener): void => listener(consentChoices));
+}
+
+/** Subscribes until signal aborts (for good without one). */
+export function onConsentChange(listener: ConsentListener, signal?: AbortSignal): void {
+  if (signal?.aborted) return;
+  consentListeners.push(listener);
+  signal?.addEventListener('abort', (): void => {
+    consentListeners.splice(consentListeners.indexOf(listener), 1);
+  }, { once: true });
+}
+
+window.addEventListener('storage', (e: StorageEvent): void => {
+  if (e.key !== CONSENT_STORAGE_KEY) return;
+  consentChoices = readStoredConsent();
+  [...consentListeners].forEach((listener: ConsentListener): void => listener(consentChoices));
+});
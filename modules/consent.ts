@@ -0,0 +1,209 @@
+/**
+ * SonicWall Amazon Storefront - Consent banner & preferences
+ * Asks first-time visitors which optional categories (analytics, media)
+ * they allow, and reopens the choice as a preferences dialog from the
+ * footer. Root: the footer's "Cookie preferences" button.
+ */
+
+import { ALL_CONSENT, NO_OPTIONAL_CONSENT, getConsentChoices, onConsentChange, setConsentChoices } from './consent-store.js';
+import type { ConsentChoices } from './consent-store.js';
+import { CART_ANIMATION_DURATION, onAbort, prefersReducedMotion } from './core.js';
+
+// ==========================================================================
+// CONSENT BANNER
+// ==========================================================================
+
+function createBanner(): HTMLDivElement {
+  const banner: HTMLDivElement = document.createElement('div');
+  banner.className = 'consent-banner';
+  banner.setAttribute('role', 'region');
+  banner.setAttribute('aria-label', 'Cookie consent');
+  banner.innerHTML = `
+    <div class="consent-banner__inner container">
+      <p class="consent-banner__text">
+        We use cookies and similar technologies to run this store. With your permission we also measure how
+        the store is used and play videos from third-party players, which may set their own cookies.
+      </p>
+      <div class="consent-banner__actions">
+        <button type="button" class="btn btn--modern btn--amazon btn--small" data-consent-action="accept">Accept all</button>
+        <button type="button" class="btn btn--modern btn--outline-dark btn--small" data-consent-action="reject">Necessary only</button>
+        <button type="button" class="consent-banner__manage" data-consent-action="manage">Manage preferences</button>
+      </div>
+    </div>
+  `;
+  return banner;
+}
+
+// ==========================================================================
+// PREFERENCES DIALOG
+// ==========================================================================
+
+function createDialog(): HTMLDivElement {
+  const dialog: HTMLDivElement = document.createElement('div');
+  dialog.className = 'consent-dialog';
+  dialog.hidden = true;
+  dialog.innerHTML = `
+    <div class="consent-dialog__overlay" data-consent-action="close"></div>
+    <form class="consent-dialog__panel" role="dialog" aria-modal="true" aria-labelledby="consent-dialog-title" tabindex="-1">
+      <header class="consent-dialog__header">
+        <h2 class="consent-dialog__title" id="consent-dialog-title">Cookie Preferences</h2>
+        <button type="button" class="consent-dialog__close" aria-label="Close cookie preferences" data-consent-action="close">&times;</button>
+      </header>
+      <label class="consent-dialog__category">
+        <input type="checkbox" name="necessary" checked disabled>
+        <span class="consent-dialog__name">Necessary</span>
+        <span class="consent-dialog__description">Your cart, compare list and these choices, stored on this device, and
+          product images loaded from Amazon (m.media-amazon.com) and SonicWall (images-cms.sonicwall.com).
+          Always on.</span>
+      </label>
+      <label class="consent-dialog__category">
+        <input type="checkbox" name="analytics">
+        <span class="consent-dialog__name">Analytics</span>
+        <span class="consent-dialog__description">Which tabs, products and videos visitors use, so we can improve the store.</span>
+      </label>
+      <label class="consent-dialog__category">
+        <input type="checkbox" name="media">
+        <span class="consent-dialog__name">Media</span>
+        <span class="consent-dialog__description">Product videos played by Brightcove, which may set its own cookies.
+          Without it, videos wait for you to load them one by one.</span>
+      </label>
+      <footer class="consent-dialog__footer">
+        <button type="submit" class="btn btn--modern btn--amazon btn--small">Save choices</button>
+        <button type="button" class="btn btn--modern btn--outline-dark btn--small" data-consent-action="accept">Accept all</button>
+      </footer>
+    </form>
+  `;
+  return dialog;
+}
+
+// ==========================================================================
+// INITIALIZATION
+// ==========================================================================
+
+export function init(trigger: HTMLElement, signal: AbortSignal): void {
+  const banner: HTMLDivElement = createBanner();
+  const dialog: HTMLDivElement = createDialog();
+  const panel = dialog.querySelector('.consent-dialog__panel') as HTMLFormElement;
+  const analyticsInput = panel.elements.namedItem('analytics') as HTMLInputElement;
+  const mediaInput = panel.elements.namedItem('media') as HTMLInputElement;
+
+  let closeTimer: ReturnType<typeof setTimeout> | undefined;
+  let returnFocus: HTMLElement = trigger;
+
+  function syncBanner(): void {
+    if (getConsentChoices()) {
+      banner.remove();
+    } else if (!banner.isConnected) {
+      document.body.appendChild(banner);
+    }
+  }
+
+  function syncInputs(): void {
+    const choices: ConsentChoices = getConsentChoices() ?? NO_OPTIONAL_CONSENT;
+    analyticsInput.checked = choices.analytics;
+    mediaInput.checked = choices.media;
+  }
+
+  function isOpen(): boolean {
+    return dialog.classList.contains('consent-dialog--open');
+  }
+
+  function open(): void {
+    clearTimeout(closeTimer);
+    returnFocus = banner.contains(document.activeElement) ? trigger : (document.activeElement as HTMLElement | null) ?? trigger;
+    syncInputs();
+    dialog.hidden = false;
+    trigger.setAttribute('aria-expanded', 'true');
+    document.body.style.overflow = 'hidden';
+    // Next frame so the transition runs from the closed state
+    requestAnimationFrame((): void => {
+      dialog.classList.add('consent-dialog--open');
+      panel.focus();
+    });
+  }
+
+  function close(): void {
+    if (!isOpen()) return;
+    dialog.classList.remove('consent-dialog--open');
+    trigger.setAttribute('aria-expanded', 'false');
+    document.body.style.overflow = '';
+    closeTimer = setTimeout((): void => {
+      dialog.hidden = true;
+    }, prefersReducedMotion ? 0 : CART_ANIMATION_DURATION);
+    returnFocus.focus();
+  }
+
+  function decide(choices: ConsentChoices): void {
+    setConsentChoices(choices);
+    close();
+  }
+
+  function handleAction(e: Event): void {
+    const action: string | undefined = (e.target as HTMLElement).closest<HTMLElement>('[data-consent-action]')?.dataset.consentAction;
+    switch (action) {
+      case 'accept':
+        decide(ALL_CONSENT);
+        break;
+      case 'reject':
+        decide(NO_OPTIONAL_CONSENT);
+        break;
+      case 'manage':
+        open();
+        break;
+      case 'close':
+        close();
+        break;
+    }
+  }
+
+  trigger.setAttribute('aria-haspopup', 'dialog');
+  trigger.setAttribute('aria-expanded', 'false');
+  trigger.addEventListener('click', (e: Event): void => {
+    e.preventDefault();
+    open();
+  }, { signal });
+
+  banner.addEventListener('click', handleAction, { signal });
+  dialog.addEventListener('click', handleAction, { signal });
+  panel.addEventListener('submit', (e: Event): void => {
+    e.preventDefault();
+    decide({ analytics: analyticsInput.checked, media: mediaInput.checked });
+  }, { signal });
+
+  // Escape closes; Tab is trapped inside the open panel
+  dialog.addEventListener('keydown', (e: KeyboardEvent): void => {
+    if (e.key === 'Escape') {
+      close();
+      return;
+    }
+    if (e.key !== 'Tab') return;
+
+    const focusable: HTMLElement[] = Array.from(panel.querySelectorAll<HTMLElement>('input:not([disabled]), button'));
+    const first: HTMLElement = focusable[0];
+    const last: HTMLElement = focusable[focusable.length - 1];
+    if (e.shiftKey && (document.activeElement === first || document.activeElement === panel)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && document.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }, { signal });
+
+  onConsentChange((): void => {
+    syncBanner();
+    if (isOpen()) syncInputs();
+  }, signal);
+
+  onAbort(signal, (): void => {
+    clearTimeout(closeTimer);
+    if (isOpen()) document.body.style.overflow = '';
+    banner.remove();
+    dialog.remove();
+    trigger.removeAttribute('aria-haspopup');
+    trigger.removeAttribute('aria-expanded');
+  });
+
+  document.body.appendChild(dialog);
+  syncBanner();
+}
@@ -0,0 +1,149 @@
+/**
+ * SonicWall Amazon Storefront - Shared runtime
+ * Motion settings, timing constants, the feature-module contract and small
+ * DOM helpers shared by storefront.ts and the feature modules in modules/.
+ * Importing it has no side effects beyond tracking the reduced-motion
+ * preference.
+ */
+
+export type DebouncedFunction<T extends (...args: never[]) => void> = (...args: Parameters<T>) => void;
+
+/**
+ * What every modules/<name>.ts exports. root is the element carrying
+ * data-module="name"; everything init() sets up -- listeners, timers,
+ * observers, inserted markup, inline styles on shared elements -- is undone
+ * when signal aborts.
+ */
+export interface FeatureModule {
+  init(root: HTMLElement, signal: AbortSignal): void;
+}
+
+// ==========================================================================
+// STATE & CONFIGURATION
+// ==========================================================================
+
+export const CART_ANIMATION_DURATION = 300 as const;
+export const STICKY_HEADER_HEIGHT = 84 as const;
+export const PRODUCT_STAGGER_DELAY = 100 as const;
+export const EASING_BOUNCE: string = 'cubic-bezier(0.34, 1.56, 0.64, 1)';
+export const EASING_SMOOTH: string = 'cubic-bezier(0.4, 0, 0.2, 1)';
+
+// Detect reduced motion preference (live binding — updates if user changes setting)
+export let prefersReducedMotion: boolean = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+const motionQuery: MediaQueryList = window.matchMedia('(prefers-reduced-motion: reduce)');
+motionQuery.addEventListener('change', (e: MediaQueryListEvent): void => {
+  prefersReducedMotion = e.matches;
+});
+
+// ==========================================================================
+// UTILITY FUNCTIONS
+// ==========================================================================
+
+/**
+ * Returns a scoped rAF-based throttle function.
+ * Each call to createThrottle() produces an independent gate,
+ * so multiple consumers (sticky header, comparison table, etc.)
+ * never block each other.
+ */
+export function createThrottle(): (callback: () => void) => void {
+  let ticking: boolean = false;
+  return function throttle(callback: () => void): void {
+    if (ticking) return;
+    ticking = true;
+    requestAnimationFrame((): void => {
+      callback();
+      ticking = false;
+    });
+  };
+}
+
+export function smoothScrollTo(element: Element, offset: number = STICKY_HEADER_HEIGHT): void {
+  if (!element) return;
+
+  const elementPosition: number = element.getBoundingClientRect().top + window.scrollY;
+  const offsetPosition: number = elementPosition - offset;
+
+  window.scrollTo({
+    top: offsetPosition,
+    behavior: prefersReducedMotion ? 'auto' : 'smooth'
+  });
+}
+
+/** A pending call is dropped once `signal` aborts. */
+export function debounce<T extends (...args: never[]) => void>(
+  func: T,
+  wait: number,
+  signal?: AbortSignal
+): DebouncedFunction<T> {
+  let timeout: ReturnType<typeof setTimeout> | undefined;
+  if (signal) onAbort(signal, (): void => clearTimeout(timeout));
+  return function executedFunction(this: unknown, ...args: Parameters<T>): void {
+    const later = (): void => {
+      clearTimeout(timeout);
+      func(...args);
+    };
+    clearTimeout(timeout);
+    timeout = setTimeout(later, wait);
+  };
+}
+
+/** Formats a USD amount as "$1,234.56". */
+export function formatCurrency(amount: number): string {
+  return '$' + amount.toFixed(2).replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+}
+
+/**
+ * Fades cards in column by column. Call after the cards are display:block
+ * so the grid's column count can be read once. Returns the time (ms) until
+ * the last card has finished animating.
+ */
+export function staggerReveal(cards: readonly HTMLElement[], signal: AbortSignal): number {
+  if (!cards.length) return 0;
+
+  // Read layout ONCE after all display changes are applied
+  const parent: HTMLElement | null = cards[0].parentElement;
+  const computedStyle: CSSStyleDeclaration | null = parent
+    ? window.getComputedStyle(parent)
+    : null;
+  const colString: string = computedStyle?.gridTemplateColumns || '';
+  const gridCols: number = colString ? colString.split(' ').length : 5;
+
+  cards.forEach((card: HTMLElement, cardIndex: number): void => {
+    const columnIndex: number = cardIndex % gridCols;
+
+    abortableTimeout((): void => {
+      if (prefersReducedMotion) {
+        card.style.opacity = '1';
+        card.style.transform = 'translateY(0)';
+      } else {
+        card.classList.add('fade-in-up', 'visible');
+      }
+    }, columnIndex * PRODUCT_STAGGER_DELAY, signal);
+  });
+
+  return ((gridCols - 1) * PRODUCT_STAGGER_DELAY) + 400;
+}
+
+// ==========================================================================
+// LIFECYCLE
+// ==========================================================================
+
+/** Runs teardown when signal aborts -- straight away if it already has. */
+export function onAbort(signal: AbortSignal, teardown: () => void): void {
+  if (signal.aborted) {
+    teardown();
+    return;
+  }
+  signal.addEventListener('abort', teardown, { once: true });
+}
+
+/**
+ * setTimeout whose callback is skipped once signal has aborted. Meant for
+ * the short animation / focus delays; long-running timers should be cleared
+ * in an onAbort() teardown instead.
+ */
+export function abortableTimeout(callback: () => void, delay: number, signal: AbortSignal): void {
+  setTimeout((): void => {
+    if (!signal.aborted) callback();
+  }, delay);
+}
@@ -0,0 +1,309 @@
+/**
+ * SonicWall Amazon Storefront - Access point estimator
+ * Floor area, floors, building material, client density and indoor/outdoor
+ * split in; the SonicWave model and quantity for each part of the site
+ * out, with "Add this set to Cart" through the shared cart store. The
+ * sizing rules live in wireless-coverage.ts. Root: an empty
+ * form.coverage-estimator, optionally with
+ * data-coverage-defaults="outdoorPercent:100;density:light".
+ */
+
+import { loadCatalog, productHref } from '../catalog.js';
+import type { Catalog } from '../catalog.js';
+import {
+  COVERAGE_DENSITIES,
+  COVERAGE_MATERIALS,
+  estimateCoverage,
+  parseCoverageDefaults
+} from '../wireless-coverage.js';
+import type {
+  CoverageDensity,
+  CoverageDensityOption,
+  CoverageEstimate,
+  CoverageInputs,
+  CoverageMaterial,
+  CoverageMaterialOption,
+  CoveragePlan
+} from '../wireless-coverage.js';
+import { track } from './analytics.js';
+import type { AnalyticsCartLine } from './analytics.js';
+import { CART_MAX_QUANTITY, addToCart } from './cart-store.js';
+import { abortableTimeout, debounce, formatCurrency, onAbort } from './core.js';
+
+const INPUT_DEBOUNCE_MS = 400 as const;
+const CART_STATUS_MS = 2500 as const;
+const MAX_AREA_SQFT = 1000000 as const;
+const MAX_FLOORS = 100 as const;
+
+interface NumberField {
+  readonly name: 'areaSqFt' | 'floors' | 'outdoorPercent';
+  readonly label: string;
+  readonly min: number;
+  readonly max: number;
+  readonly step: number;
+  readonly hint: string;
+}
+
+const NUMBER_FIELDS: readonly NumberField[] = [
+  { name: 'areaSqFt', label: 'Area per floor (sq ft)', min: 0, max: MAX_AREA_SQFT, step: 100, hint: 'One floor\'s footprint, outdoor areas included.' },
+  { name: 'floors', label: 'Floors', min: 1, max: MAX_FLOORS, step: 1, hint: 'Each floor gets its own access points.' },
+  { name: 'outdoorPercent', label: 'Outdoors (%)', min: 0, max: 100, step: 5, hint: 'Patios, yards and lots to cover at ground level.' }
+];
+
+function formatCount(value: number): string {
+  return value.toLocaleString('en-US');
+}
+
+function clamp(value: number, min: number, max: number, fallback: number): number {
+  return Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback;
+}
+
+// ==========================================================================
+// INPUTS
+// ==========================================================================
+
+function createField(id: string, text: string, control: HTMLElement, hintText?: string): HTMLDivElement {
+  const field: HTMLDivElement = document.createElement('div');
+  field.className = 'coverage-estimator__field';
+
+  const label: HTMLLabelElement = document.createElement('label');
+  label.className = 'coverage-estimator__label';
+  label.htmlFor = id;
+  label.textContent = text;
+  control.id = id;
+  field.append(label, control);
+
+  if (hintText) {
+    const hint: HTMLParagraphElement = document.createElement('p');
+    hint.className = 'coverage-estimator__hint';
+    hint.id = `${id}-hint`;
+    hint.textContent = hintText;
+    control.setAttribute('aria-describedby', hint.id);
+    field.appendChild(hint);
+  }
+  return field;
+}
+
+function createNumberField(spec: NumberField, value: number): HTMLDivElement {
+  const input: HTMLInputElement = document.createElement('input');
+  Object.assign(input, {
+    type: 'number', name: spec.name, className: 'coverage-estimator__input',
+    value: String(value), min: String(spec.min), max: String(spec.max), step: String(spec.step), inputMode: 'numeric'
+  });
+  return createField(`coverage-estimator-${spec.name}`, spec.label, input, spec.hint);
+}
+
+function createSelectField(
+  name: 'material' | 'density',
+  text: string,
+  options: readonly (CoverageMaterialOption | CoverageDensityOption)[],
+  selected: string
+): HTMLDivElement {
+  const select: HTMLSelectElement = document.createElement('select');
+  select.name = name;
+  select.className = 'coverage-estimator__input';
+  options.forEach((option: CoverageMaterialOption | CoverageDensityOption): void => {
+    select.appendChild(new Option(option.label, option.id, false, option.id === selected));
+  });
+  return createField(`coverage-estimator-${name}`, text, select);
+}
+
+function readInputs(form: HTMLFormElement, defaults: CoverageInputs): CoverageInputs {
+  const data: FormData = new FormData(form);
+  const material: string = String(data.get('material'));
+  const density: string = String(data.get('density'));
+  return {
+    areaSqFt: clamp(Number(data.get('areaSqFt')), 0, MAX_AREA_SQFT, 0),
+    floors: Math.floor(clamp(Number(data.get('floors')), 1, MAX_FLOORS, 1)),
+    material: COVERAGE_MATERIALS.some((option: CoverageMaterialOption): boolean => option.id === material)
+      ? material as CoverageMaterial
+      : defaults.material,
+    density: COVERAGE_DENSITIES.some((option: CoverageDensityOption): boolean => option.id === density)
+      ? density as CoverageDensity
+      : defaults.density,
+    outdoorPercent: clamp(Number(data.get('outdoorPercent')), 0, 100, 0)
+  };
+}
+
+// ==========================================================================
+// RESULTS
+// ==========================================================================
+
+function createPlan(catalog: Catalog, plan: CoveragePlan, area: string): HTMLElement {
+  const card: HTMLElement = document.createElement('article');
+  card.className = 'coverage-plan';
+  card.dataset.sku = plan.product.sku;
+
+  const heading: HTMLHeadingElement = document.createElement('h3');
+  heading.className = 'coverage-plan__name';
+  const link: HTMLAnchorElement = document.createElement('a');
+  link.href = productHref(catalog, plan.product);
+  link.textContent = plan.product.name;
+  heading.append(`${formatCount(plan.quantity)} × `, link);
+
+  const where: HTMLParagraphElement = document.createElement('p');
+  where.className = 'coverage-plan__area';
+  where.textContent = area;
+
+  // Say which limit set the count, so a shopper knows what changing it would take
+  const reason: HTMLParagraphElement = document.createElement('p');
+  reason.className = 'coverage-plan__reason';
+  reason.textContent = plan.forClients > plan.forArea
+    ? `Sized for capacity: ${formatCount(plan.forArea)} would cover the space, ${formatCount(plan.quantity)} serve about ${formatCount(plan.clients)} clients at once.`
+    : `Sized for coverage: ${formatCount(plan.quantity)} to reach every corner, with capacity to spare for about ${formatCount(plan.clients)} clients.`;
+
+  const price: HTMLParagraphElement = document.createElement('p');
+  price.className = 'coverage-plan__price';
+  price.textContent = plan.total === null || plan.product.price === null
+    ? 'Contact sales for pricing'
+    : `${formatCount(plan.quantity)} × ${formatCurrency(plan.product.price)} = ${formatCurrency(plan.total)}`;
+
+  card.append(heading, where, reason, price);
+  return card;
+}
+
+function planAreas(estimate: CoverageEstimate, inputs: CoverageInputs): { indoor: string; outdoor: string } {
+  const floors: string = inputs.floors === 1 ? '' : ` across ${inputs.floors} floors`;
+  return {
+    indoor: `Indoors: ${formatCount(estimate.indoorSqFt)} sq ft${floors}`,
+    outdoor: `Outdoors: ${formatCount(estimate.outdoorSqFt)} sq ft`
+  };
+}
+
+// ==========================================================================
+// ESTIMATOR
+// ==========================================================================
+
+function buildEstimator(form: HTMLFormElement, catalog: Catalog, signal: AbortSignal): void {
+  const defaults: CoverageInputs = parseCoverageDefaults(form.dataset.coverageDefaults ?? '');
+
+  const inputs: HTMLFieldSetElement = document.createElement('fieldset');
+  inputs.className = 'coverage-estimator__inputs';
+  const legend: HTMLLegendElement = document.createElement('legend');
+  legend.className = 'coverage-estimator__legend';
+  legend.textContent = 'Your site';
+  inputs.append(
+    legend,
+    ...NUMBER_FIELDS.map((spec: NumberField): HTMLDivElement => createNumberField(spec, defaults[spec.name])),
+    createSelectField('material', 'Walls', COVERAGE_MATERIALS, defaults.material),
+    createSelectField('density', 'Client density', COVERAGE_DENSITIES, defaults.density)
+  );
+
+  const summary: HTMLParagraphElement = document.createElement('p');
+  summary.className = 'coverage-estimator__summary';
+  summary.setAttribute('aria-live', 'polite');
+
+  const plansEl: HTMLDivElement = document.createElement('div');
+  plansEl.className = 'coverage-estimator__plans';
+
+  const cartBtn: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'button', className: 'btn btn--modern btn--amazon btn--small', textContent: 'Add this set to Cart'
+  });
+  const cartStatus: HTMLSpanElement = document.createElement('span');
+  cartStatus.className = 'coverage-estimator__cart-status';
+  cartStatus.setAttribute('role', 'status');
+  const cartNote: HTMLParagraphElement = document.createElement('p');
+  cartNote.className = 'coverage-estimator__hint';
+  const actions: HTMLDivElement = document.createElement('div');
+  actions.className = 'coverage-estimator__actions';
+  actions.append(cartBtn, cartStatus, cartNote);
+
+  const disclaimer: HTMLParagraphElement = document.createElement('p');
+  disclaimer.className = 'coverage-estimator__disclaimer';
+  disclaimer.textContent = 'A planning estimate from typical coverage and client loads. Ceiling height, interference and '
+    + 'layout change the real count; contact sales for a predictive site survey before large deployments.';
+
+  form.append(inputs, summary, plansEl, actions, disclaimer);
+
+  let plans: CoveragePlan[] = [];
+
+  function update(): void {
+    const state: CoverageInputs = readInputs(form, defaults);
+    const estimate: CoverageEstimate = estimateCoverage(catalog.products, state);
+    const areas: { indoor: string; outdoor: string } = planAreas(estimate, state);
+    plans = [estimate.indoor, estimate.outdoor].filter((plan: CoveragePlan | null): plan is CoveragePlan => plan !== null);
+
+    plansEl.replaceChildren(
+      ...(estimate.indoor ? [createPlan(catalog, estimate.indoor, areas.indoor)] : []),
+      ...(estimate.outdoor ? [createPlan(catalog, estimate.outdoor, areas.outdoor)] : [])
+    );
+
+    if (!plans.length) {
+      summary.textContent = 'Enter the floor area to cover.';
+      actions.hidden = true;
+      return;
+    }
+
+    const count: number = plans.reduce((total: number, plan: CoveragePlan): number => total + plan.quantity, 0);
+    const priced: boolean = plans.every((plan: CoveragePlan): boolean => plan.total !== null);
+    const total: number = plans.reduce((sum: number, plan: CoveragePlan): number => sum + (plan.total ?? 0), 0);
+    summary.textContent = `You'll need about ${formatCount(count)} access point${count === 1 ? '' : 's'}`
+      + (priced ? `, ${formatCurrency(total)} in hardware.` : '.');
+
+    const oversized: boolean = plans.some((plan: CoveragePlan): boolean => plan.quantity > CART_MAX_QUANTITY);
+    actions.hidden = false;
+    cartBtn.disabled = !priced;
+    cartNote.textContent = !priced
+      ? 'Some of these models are quote-only; contact sales to order them.'
+      : oversized ? `The cart takes up to ${CART_MAX_QUANTITY} of a model; contact sales for larger deployments.` : '';
+  }
+
+  form.addEventListener('change', update, { signal });
+  form.addEventListener('input', debounce(update, INPUT_DEBOUNCE_MS, signal), { signal });
+  form.addEventListener('submit', (e: Event): void => {
+    e.preventDefault();
+    update();
+  }, { signal });
+
+  // Each model becomes its own cart line at the recommended quantity
+  cartBtn.addEventListener('click', (): void => {
+    const items: AnalyticsCartLine[] = plans
+      .filter((plan: CoveragePlan): boolean => plan.product.price !== null)
+      .map((plan: CoveragePlan): AnalyticsCartLine => {
+        const { sku, asin, name, image } = plan.product;
+        const unitPrice: number = plan.product.price as number;
+        const quantity: number = Math.min(plan.quantity, CART_MAX_QUANTITY);
+        addToCart({ sku, asin, name, image: image?.src ?? null, unitPrice }, quantity);
+        return { sku, asin, unitPrice, quantity };
+      });
+    if (!items.length) return;
+
+    track('add_to_cart', {
+      source: 'coverage-estimator',
+      items,
+      value: items.reduce((sum: number, item: AnalyticsCartLine): number => sum + item.unitPrice * item.quantity, 0)
+    });
+    cartStatus.textContent = 'Added to cart';
+    abortableTimeout((): void => {
+      cartStatus.textContent = '';
+    }, CART_STATUS_MS, signal);
+  }, { signal });
+
+  update();
+}
+
+function initCoverageEstimator(form: HTMLFormElement, signal: AbortSignal): void {
+  loadCatalog()
+    .then((catalog: Catalog): void => {
+      if (signal.aborted) return;
+      buildEstimator(form, catalog, signal);
+      form.hidden = false;
+    })
+    .catch((): void => {
+      if (signal.aborted) return;
+      const message: HTMLParagraphElement = document.createElement('p');
+      message.className = 'coverage-estimator__disclaimer';
+      message.textContent = 'The access point catalog could not be loaded. Check your connection and reload the page.';
+      form.replaceChildren(message);
+      form.hidden = false;
+    });
+
+  onAbort(signal, (): void => {
+    form.replaceChildren();
+    form.hidden = true;
+  });
+}
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  if (root instanceof HTMLFormElement) initCoverageEstimator(root, signal);
+}
@@ -0,0 +1,293 @@
+/**
+ * SonicWall Amazon Storefront - Page enhancements
+ * Behaviour every storefront page shares (scroll reveals, back to top,
+ * image fallbacks, button polish), applied to everything under a mount
+ * root rather than to one data-module element. Loaded with storefront.ts.
+ */
+
+import { EASING_SMOOTH, onAbort, prefersReducedMotion } from './core.js';
+
+const SCROLL_OBSERVER_THRESHOLD = 0.15 as const;
+
+// ==========================================================================
+// SCROLL ANIMATIONS
+// ==========================================================================
+
+function initScrollAnimations(root: HTMLElement, signal: AbortSignal): void {
+  const animatedElements: NodeListOf<Element> = root.querySelectorAll(
+    '.story-card, .category-tile, .product-card:not(.product-card--gen7), .stat-item, .testimonial, .peace-of-mind, .contact-cta, .from-manufacturer__item, .cert-badge, .category-banner, .btn--modern, .btn--gradient'
+  );
+
+  if (!animatedElements.length) return;
+
+  // Skip animations if reduced motion is preferred
+  if (prefersReducedMotion) {
+    animatedElements.forEach((element: Element): void => {
+      const htmlEl = element as HTMLElement;
+      htmlEl.style.opacity = '1';
+      htmlEl.style.transform = 'none';
+    });
+    onAbort(signal, (): void => {
+      animatedElements.forEach((element: Element): void => {
+        (element as HTMLElement).style.opacity = '';
+        (element as HTMLElement).style.transform = '';
+      });
+    });
+    return;
+  }
+
+  // WRITE PASS: add fade-in-up class to all elements first
+  animatedElements.forEach((element: Element): void => {
+    (element as HTMLElement).classList.add('fade-in-up');
+  });
+
+  // READ PASS: calculate grid-aware stagger delays (separated to prevent layout thrashing)
+  requestAnimationFrame((): void => {
+    if (signal.aborted) return;
+    animatedElements.forEach((element: Element): void => {
+      const htmlEl = element as HTMLElement;
+      const parent: HTMLElement | null = htmlEl.parentElement;
+
+      if (parent?.classList.contains('story-cards') ||
+          parent?.classList.contains('category-grid') ||
+          parent?.classList.contains('product-grid') ||
+          parent?.classList.contains('stats-grid') ||
+          parent?.classList.contains('from-manufacturer__grid') ||
+          parent?.classList.contains('certifications-bar__badges')) {
+
+        // Get all visible siblings (not display:none)
+        const siblings: Element[] = Array.from(parent.children).filter((child: Element): boolean => {
+          return window.getComputedStyle(child).display !== 'none';
+        });
+
+        const siblingIndex: number = siblings.indexOf(element);
+
+        // Calculate column position for responsive grids
+        const computedStyle: CSSStyleDeclaration = window.getComputedStyle(parent);
+        const colString: string = computedStyle.gridTemplateColumns || '';
+        const gridCols: number = colString ? colString.split(' ').length : 3;
+        const columnIndex: number = siblingIndex % gridCols;
+
+        // Stagger by column position (not total index)
+        htmlEl.style.transitionDelay = `${columnIndex * 0.08}s`;
+      }
+    });
+  });
+
+  // IntersectionObserver for triggering animations
+  const observer: IntersectionObserver = new IntersectionObserver(
+    (entries: IntersectionObserverEntry[]): void => {
+      entries.forEach((entry: IntersectionObserverEntry): void => {
+        if (entry.isIntersecting) {
+          entry.target.classList.add('visible');
+          observer.unobserve(entry.target);
+        }
+      });
+    },
+    {
+      threshold: SCROLL_OBSERVER_THRESHOLD,
+      rootMargin: '0px 0px -100px 0px'
+    }
+  );
+
+  animatedElements.forEach((element: Element): void => observer.observe(element));
+  onAbort(signal, (): void => {
+    observer.disconnect();
+    animatedElements.forEach((element: Element): void => {
+      element.classList.remove('fade-in-up', 'visible');
+      (element as HTMLElement).style.transitionDelay = '';
+    });
+  });
+
+  // HANDLE INITIAL VIEWPORT - Trigger animations for elements already visible on page load
+  requestAnimationFrame((): void => {
+    if (signal.aborted) return;
+    animatedElements.forEach((element: Element): void => {
+      const rect: DOMRect = element.getBoundingClientRect();
+      const isInViewport: boolean = rect.top < window.innerHeight && rect.bottom > 0;
+
+      if (isInViewport) {
+        element.classList.add('visible');
+      }
+    });
+  });
+}
+
+// ==========================================================================
+// BACK TO TOP
+// ==========================================================================
+
+function initBackToTop(root: HTMLElement, signal: AbortSignal): void {
+  const backToTopLink: Element | null = root.querySelector('.footer__back-to-top-link');
+
+  if (!backToTopLink) return;
+
+  backToTopLink.addEventListener('click', (e: Event): void => {
+    e.preventDefault();
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  }, { signal });
+}
+
+// ==========================================================================
+// IMAGE PLACEHOLDERS -- data-lqip previews from scripts/build-images.js
+// ==========================================================================
+
+function showPlaceholder(img: HTMLImageElement): void {
+  img.style.backgroundImage = `url("${img.dataset.lqip}")`;
+  img.style.backgroundSize = 'cover';
+  img.style.backgroundRepeat = 'no-repeat';
+}
+
+function hidePlaceholder(img: HTMLImageElement): void {
+  img.style.backgroundImage = '';
+  img.style.backgroundSize = '';
+  img.style.backgroundRepeat = '';
+}
+
+// ==========================================================================
+// IMAGE ERROR HANDLING
+// ==========================================================================
+
+function initImageErrorHandling(root: HTMLElement, signal: AbortSignal): void {
+  const images: NodeListOf<HTMLImageElement> = root.querySelectorAll('img');
+
+  images.forEach((img: HTMLImageElement): void => {
+    // Skip if already loaded
+    if (img.complete && img.naturalHeight !== 0) return;
+
+    img.addEventListener('error', function (this: HTMLImageElement): void {
+      // Add error class for styling
+      this.classList.add('image-error');
+      this.alt = this.alt || 'Image failed to load';
+
+      // The blurred preview (build-images.js) stands in where there is one;
+      // its width/height already hold the space
+      if (this.dataset.lqip) {
+        showPlaceholder(this);
+        return;
+      }
+
+      // Set a minimal fallback background
+      this.style.backgroundColor = '#f0f0f0';
+      this.style.minHeight = '200px';
+    }, { once: true, signal });
+  });
+}
+
+// ==========================================================================
+// LAZY LOADING
+// ==========================================================================
+
+function initLazyLoading(root: HTMLElement, signal: AbortSignal): void {
+  // Add loading="lazy" to images below the fold
+  const images: NodeListOf<HTMLImageElement> = root.querySelectorAll('img:not([loading])');
+
+  images.forEach((img: HTMLImageElement, index: number): void => {
+    // First 3 images are likely above fold (hero, story cards)
+    if (index > 3) {
+      img.setAttribute('loading', 'lazy');
+    }
+  });
+
+  // Blurred preview behind each responsive image until the real one has loaded
+  root.querySelectorAll<HTMLImageElement>('img[data-lqip]').forEach((img: HTMLImageElement): void => {
+    if (img.complete && img.naturalWidth !== 0) return;
+
+    showPlaceholder(img);
+    img.addEventListener('load', (): void => hidePlaceholder(img), { once: true, signal });
+    onAbort(signal, (): void => hidePlaceholder(img));
+  });
+}
+
+// ==========================================================================
+// GLOBAL BUTTON HOVER POLISH
+// ==========================================================================
+
+function initButtonHoverPolish(root: HTMLElement, signal: AbortSignal): void {
+  if (prefersReducedMotion) return;
+
+  const buttons: NodeListOf<Element> = root.querySelectorAll(
+    'button, .btn, .brand-nav__tab, .category-tile'
+  );
+
+  buttons.forEach((button: Element): void => {
+    const htmlButton = button as HTMLElement;
+
+    // Skip if already has transition
+    const currentTransition: string = window.getComputedStyle(htmlButton).transition;
+    if (currentTransition && currentTransition !== 'none' && currentTransition !== 'all 0s ease 0s') return;
+
+    // Only animate visual properties -- avoid 'all' which can cause layout jank
+    htmlButton.style.transition = `opacity 0.2s ${EASING_SMOOTH}, box-shadow 0.2s ${EASING_SMOOTH}, background-color 0.2s ${EASING_SMOOTH}, color 0.2s ${EASING_SMOOTH}, border-color 0.2s ${EASING_SMOOTH}`;
+    onAbort(signal, (): void => {
+      htmlButton.style.transition = '';
+    });
+  });
+}
+
+// ==========================================================================
+// MODERN BUTTON RIPPLE EFFECT
+// ==========================================================================
+
+function initButtonRippleEffect(root: HTMLElement, signal: AbortSignal): void {
+  if (prefersReducedMotion) return;
+
+  const buttons: NodeListOf<Element> = root.querySelectorAll(
+    '.btn--modern, .btn--gradient, .btn--outline-dark, .btn--outline-light'
+  );
+
+  if (!buttons.length) return;
+
+  buttons.forEach((button: Element): void => {
+    button.addEventListener('click', function (this: HTMLElement, e: Event): void {
+      const mouseEvent = e as MouseEvent;
+      const ripple: HTMLSpanElement = document.createElement('span');
+      const rect: DOMRect = this.getBoundingClientRect();
+      const size: number = Math.max(rect.width, rect.height);
+      const x: number = mouseEvent.clientX - rect.left - size / 2;
+      const y: number = mouseEvent.clientY - rect.top - size / 2;
+
+      ripple.style.cssText = `
+        position: absolute;
+        width: ${size}px; height: ${size}px;
+        left: ${x}px; top: ${y}px;
+        background: rgba(255,255,255,0.3);
+        border-radius: 50%;
+        transform: scale(0);
+        animation: rippleEffect 0.6s ease-out;
+        pointer-events: none;
+      `;
+
+      this.style.position = 'relative';
+      this.style.overflow = 'hidden';
+      this.appendChild(ripple);
+
+      setTimeout((): void => ripple.remove(), 600);
+    }, { signal });
+  });
+
+  // Add ripple keyframes if not already present (left in place -- other mounts may use them)
+  if (!document.querySelector('#ripple-styles')) {
+    const style: HTMLStyleElement = document.createElement('style');
+    style.id = 'ripple-styles';
+    style.textContent = `
+      @keyframes rippleEffect {
+        to { transform: scale(4); opacity: 0; }
+      }
+    `;
+    document.head.appendChild(style);
+  }
+}
+
+// ==========================================================================
+// INITIALIZATION
+// ==========================================================================
+
+export function initEnhancements(root: HTMLElement, signal: AbortSignal): void {
+  initScrollAnimations(root, signal);
+  initBackToTop(root, signal);
+  initImageErrorHandling(root, signal);
+  initLazyLoading(root, signal);
+  initButtonHoverPolish(root, signal);
+  initButtonRippleEffect(root, signal);
+}
@@ -0,0 +1,423 @@
+/**
+ * SonicWall Amazon Storefront - Product filter bar
+ * Facet / sort controls over the build-time product cards of a category
+ * page. Root: a form[data-product-filters="grid-id ..."].
+ */
+
+import { formatThroughput } from '../catalog.js';
+import {
+  EMPTY_FILTER_STATE,
+  PRODUCT_SORTS,
+  compareFacets,
+  isNarrowing,
+  matchesFilters,
+  parseFilterState,
+  serializeFilterState
+} from '../product-filters.js';
+import type { FilterState, ProductFacets, ProductSort } from '../product-filters.js';
+import { debounce, onAbort, staggerReveal } from './core.js';
+
+interface ProductFilterCard {
+  readonly element: HTMLElement;
+  readonly facets: ProductFacets;
+  /** Part of a "See Gen 7 products" group (hidden until its toggle is opened). */
+  readonly seeMore: boolean;
+}
+
+// ==========================================================================
+// PRODUCT FILTERS -- Facet / sort bar over build-time product cards
+// ==========================================================================
+
+// Candidate "at least" steps; only steps that split the cards on the page are offered
+const THROUGHPUT_STEPS_MBPS: readonly number[] = [1000, 2500, 5000, 10000, 25000, 50000, 100000];
+const PORT_STEPS: readonly number[] = [8, 10, 16, 24, 48];
+const RATING_STEPS: readonly number[] = [4, 4.5];
+const PRICE_INPUT_DEBOUNCE_MS = 400 as const;
+
+const SORT_LABELS: Readonly<Record<ProductSort, string>> = {
+  'featured': 'Featured',
+  'price-asc': 'Price: Low to High',
+  'price-desc': 'Price: High to Low',
+  'rating': 'Avg. Customer Review',
+  'newest': 'Newest Generation'
+};
+
+function readNumberData(element: HTMLElement, key: string): number | null {
+  const value: number = parseFloat(element.dataset[key] ?? '');
+  return isNaN(value) ? null : value;
+}
+
+function readProductFacets(card: HTMLElement, order: number): ProductFacets {
+  const wireless: string | undefined = card.dataset.wireless;
+  return {
+    series: card.dataset.series ?? null,
+    generation: readNumberData(card, 'generation'),
+    price: readNumberData(card, 'price'),
+    rating: readNumberData(card, 'rating'),
+    throughputMbps: readNumberData(card, 'throughput'),
+    ports: readNumberData(card, 'ports'),
+    wireless: wireless === 'yes' ? true : wireless === 'no' ? false : null,
+    order
+  };
+}
+
+function uniqueValues<T>(values: readonly (T | null)[]): T[] {
+  return Array.from(new Set(values.filter((value: T | null): value is T => value !== null)));
+}
+
+// A step is worth offering only if some products pass it and some don't
+function splittingSteps(steps: readonly number[], values: readonly number[]): number[] {
+  return steps.filter((step: number): boolean =>
+    values.some((value: number): boolean => value >= step) && values.some((value: number): boolean => value < step)
+  );
+}
+
+function createFacetGroup(legendText: string): HTMLFieldSetElement {
+  const group: HTMLFieldSetElement = document.createElement('fieldset');
+  group.className = 'product-filters__group';
+  const legend: HTMLLegendElement = document.createElement('legend');
+  legend.className = 'product-filters__legend';
+  legend.textContent = legendText;
+  group.appendChild(legend);
+  return group;
+}
+
+function createFacetCheckboxes(
+  legendText: string,
+  name: string,
+  options: readonly (readonly [string, string])[]
+): HTMLFieldSetElement {
+  const group: HTMLFieldSetElement = createFacetGroup(legendText);
+  options.forEach(([value, text]: readonly [string, string]): void => {
+    const label: HTMLLabelElement = document.createElement('label');
+    label.className = 'product-filters__check';
+    const input: HTMLInputElement = document.createElement('input');
+    input.type = 'checkbox';
+    input.name = name;
+    input.value = value;
+    label.append(input, ' ' + text);
+    group.appendChild(label);
+  });
+  return group;
+}
+
+function createFacetSelect(
+  legendText: string,
+  name: string,
+  options: readonly (readonly [string, string])[]
+): HTMLFieldSetElement {
+  const group: HTMLFieldSetElement = createFacetGroup(legendText);
+  const select: HTMLSelectElement = document.createElement('select');
+  select.className = 'product-filters__select';
+  select.name = name;
+  select.setAttribute('aria-label', legendText);
+  options.forEach(([value, text]: readonly [string, string]): void => {
+    select.add(new Option(text, value));
+  });
+  group.appendChild(select);
+  return group;
+}
+
+function createPriceInput(name: string, label: string, placeholder: number): HTMLInputElement {
+  const input: HTMLInputElement = document.createElement('input');
+  input.type = 'number';
+  input.className = 'product-filters__price';
+  input.name = name;
+  input.min = '0';
+  input.step = '1';
+  input.inputMode = 'numeric';
+  input.placeholder = `$${placeholder.toLocaleString('en-US')}`;
+  input.setAttribute('aria-label', label);
+  return input;
+}
+
+/** Form controls -> FilterState, via the same parser the query string uses. */
+function readFilterForm(form: HTMLFormElement): FilterState {
+  const data: FormData = new FormData(form);
+  const value = (key: string): string => String(data.get(key) ?? '');
+  const params: URLSearchParams = new URLSearchParams();
+  params.set('series', data.getAll('series').join(','));
+  params.set('gen', data.getAll('gen').join(','));
+  params.set('price', `${value('price-min')}-${value('price-max')}`);
+  ['throughput', 'ports', 'wireless', 'rating', 'sort'].forEach((key: string): void => {
+    params.set(key, value(key));
+  });
+  return parseFilterState(params);
+}
+
+function writeFilterForm(form: HTMLFormElement, state: FilterState): void {
+  const setValue = (name: string, value: string): void => {
+    const control = form.elements.namedItem(name) as HTMLInputElement | HTMLSelectElement | null;
+    if (!control) return;
+    control.value = value;
+    // A value the page doesn't offer (stale shared link) falls back to "Any"
+    if (control instanceof HTMLSelectElement && control.selectedIndex < 0) control.selectedIndex = 0;
+  };
+
+  form.querySelectorAll<HTMLInputElement>('input[type="checkbox"]').forEach((input: HTMLInputElement): void => {
+    input.checked = input.name === 'series'
+      ? state.series.includes(input.value)
+      : state.generations.includes(Number(input.value));
+  });
+  setValue('price-min', state.priceMin === null ? '' : String(state.priceMin));
+  setValue('price-max', state.priceMax === null ? '' : String(state.priceMax));
+  setValue('throughput', state.minThroughputMbps === null ? '' : String(state.minThroughputMbps));
+  setValue('ports', state.minPorts === null ? '' : String(state.minPorts));
+  setValue('wireless', state.wireless === null ? '' : state.wireless ? 'yes' : 'no');
+  setValue('rating', state.minRating === null ? '' : String(state.minRating));
+  setValue('sort', state.sort);
+}
+
+/**
+ * Builds the filter bar for a form marked data-product-filters="grid-id ...".
+ * Works on the cards already in the page: matching cards are shown (Gen 7
+ * "see more" cards included while a facet is active), the rest hidden, and
+ * each grid reordered by the chosen sort. State lives in the query string,
+ * so tearing down puts the cards back as built but leaves the URL alone.
+ */
+function initProductFilterBar(form: HTMLFormElement, signal: AbortSignal): void {
+  const grids: HTMLElement[] = (form.dataset.productFilters ?? '')
+    .split(/\s+/)
+    .map((id: string): HTMLElement | null => (id ? document.getElementById(id) : null))
+    .filter((grid: HTMLElement | null): grid is HTMLElement => grid !== null);
+
+  if (!grids.length) return;
+
+  let order: number = 0;
+  const gridCards: ProductFilterCard[][] = grids.map((grid: HTMLElement): ProductFilterCard[] =>
+    Array.from(grid.querySelectorAll<HTMLElement>(':scope > .product-card')).map(
+      (element: HTMLElement): ProductFilterCard => ({
+        element,
+        facets: readProductFacets(element, order++),
+        seeMore: element.classList.contains('product-card--gen7')
+      })
+    )
+  );
+  const allFacets: ProductFacets[] = gridCards.flat().map((card: ProductFilterCard): ProductFacets => card.facets);
+
+  if (!allFacets.length) return;
+
+  // ---- Controls: only facets that can actually narrow this page ----
+  const controls: HTMLDivElement = document.createElement('div');
+  controls.className = 'product-filters__controls';
+
+  const series: string[] = uniqueValues(allFacets.map((f: ProductFacets): string | null => f.series));
+  if (series.length > 1) {
+    controls.appendChild(createFacetCheckboxes('Series', 'series',
+      series.map((id: string): [string, string] => [id, id])));
+  }
+
+  const generations: number[] = uniqueValues(allFacets.map((f: ProductFacets): number | null => f.generation))
+    .sort((a: number, b: number): number => b - a);
+  if (generations.length > 1) {
+    controls.appendChild(createFacetCheckboxes('Generation', 'gen',
+      generations.map((gen: number): [string, string] => [String(gen), `Gen ${gen}`])));
+  }
+
+  const prices: number[] = uniqueValues(allFacets.map((f: ProductFacets): number | null => f.price));
+  if (prices.length > 1) {
+    const group: HTMLFieldSetElement = createFacetGroup('Price');
+    const range: HTMLDivElement = document.createElement('div');
+    range.className = 'product-filters__range';
+    range.append(
+      createPriceInput('price-min', 'Minimum price', Math.floor(Math.min(...prices))),
+      '–',
+      createPriceInput('price-max', 'Maximum price', Math.ceil(Math.max(...prices)))
+    );
+    group.appendChild(range);
+    controls.appendChild(group);
+  }
+
+  const throughputSteps: number[] = splittingSteps(THROUGHPUT_STEPS_MBPS,
+    uniqueValues(allFacets.map((f: ProductFacets): number | null => f.throughputMbps)));
+  if (throughputSteps.length) {
+    controls.appendChild(createFacetSelect('Firewall Throughput', 'throughput', [
+      ['', 'Any'],
+      ...throughputSteps.map((mbps: number): [string, string] => [String(mbps), `${formatThroughput(mbps)}+`])
+    ]));
+  }
+
+  const portSteps: number[] = splittingSteps(PORT_STEPS,
+    uniqueValues(allFacets.map((f: ProductFacets): number | null => f.ports)));
+  if (portSteps.length) {
+    controls.appendChild(createFacetSelect('Ports', 'ports', [
+      ['', 'Any'],
+      ...portSteps.map((ports: number): [string, string] => [String(ports), `${ports}+ ports`])
+    ]));
+  }
+
+  const wireless: boolean[] = uniqueValues(allFacets.map((f: ProductFacets): boolean | null => f.wireless));
+  if (wireless.length > 1) {
+    controls.appendChild(createFacetSelect('Wireless', 'wireless', [
+      ['', 'Any'],
+      ['yes', 'Built-in Wi-Fi'],
+      ['no', 'Wired only']
+    ]));
+  }
+
+  const ratings: number[] = uniqueValues(allFacets.map((f: ProductFacets): number | null => f.rating));
+  const ratingSteps: number[] = RATING_STEPS.filter((step: number): boolean =>
+    ratings.some((rating: number): boolean => rating >= step));
+  if (ratingSteps.length) {
+    controls.appendChild(createFacetSelect('Customer Review', 'rating', [
+      ['', 'Any'],
+      ...ratingSteps.map((step: number): [string, string] => [String(step), `${step}★ & up`])
+    ]));
+  }
+
+  const sorts: ProductSort[] = PRODUCT_SORTS.filter((sort: ProductSort): boolean => {
+    if (sort === 'price-asc' || sort === 'price-desc') return prices.length > 1;
+    if (sort === 'rating') return ratings.length > 1;
+    if (sort === 'newest') return generations.length > 1;
+    return true;
+  });
+  if (sorts.length > 1) {
+    const sortGroup: HTMLFieldSetElement = createFacetSelect('Sort by', 'sort',
+      sorts.map((sort: ProductSort): [string, string] => [sort, SORT_LABELS[sort]]));
+    sortGroup.classList.add('product-filters__group--sort');
+    controls.appendChild(sortGroup);
+  }
+
+  if (!controls.children.length) return;
+
+  const footer: HTMLDivElement = document.createElement('div');
+  footer.className = 'product-filters__footer';
+  const status: HTMLParagraphElement = document.createElement('p');
+  status.className = 'product-filters__status';
+  status.setAttribute('role', 'status');
+  const clearBtn: HTMLButtonElement = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.className = 'btn btn--link product-filters__clear';
+  clearBtn.textContent = 'Clear filters';
+  footer.append(status, clearBtn);
+
+  form.replaceChildren(controls, footer);
+  form.hidden = false;
+
+  // ---- Applying a state ----
+  function isSeeMoreExpanded(grid: HTMLElement): boolean {
+    return document.querySelector(`[aria-controls="${grid.id}"]`)?.getAttribute('aria-expanded') === 'true';
+  }
+
+  function apply(state: FilterState): void {
+    const narrowing: boolean = isNarrowing(state);
+    const compare = compareFacets(state.sort);
+    let matched: number = 0;
+
+    grids.forEach((grid: HTMLElement, gridIndex: number): void => {
+      const cards: ProductFilterCard[] = gridCards[gridIndex];
+      const expanded: boolean = isSeeMoreExpanded(grid);
+      const revealed: HTMLElement[] = [];
+      let visibleInGrid: number = 0;
+
+      // Reorder first so the stagger below follows the new visual order
+      const sorted: ProductFilterCard[] = [...cards].sort(
+        (a: ProductFilterCard, b: ProductFilterCard): number => compare(a.facets, b.facets)
+      );
+      if (sorted.some((card: ProductFilterCard, i: number): boolean => grid.children[i] !== card.element)) {
+        grid.append(...sorted.map((card: ProductFilterCard): HTMLElement => card.element));
+      }
+
+      sorted.forEach(({ element, facets, seeMore }: ProductFilterCard): void => {
+        const matches: boolean = matchesFilters(facets, state);
+        const show: boolean = matches && (narrowing || !seeMore || expanded);
+        const shown: boolean = element.style.display !== 'none';
+        if (matches) matched++;
+        if (show) visibleInGrid++;
+
+        if (show && !shown) {
+          element.style.display = 'block';
+          element.removeAttribute('aria-hidden');
+          revealed.push(element);
+        } else if (!show && shown) {
+          element.classList.remove('visible');
+          element.style.display = 'none';
+          element.style.opacity = '';
+          element.style.transform = '';
+          element.setAttribute('aria-hidden', 'true');
+        }
+      });
+
+      staggerReveal(revealed, signal);
+
+      // The "See Gen 7 products" toggle is meaningless while a facet picks the cards
+      const seeMoreBtn: HTMLElement | null = grid.id ? document.querySelector(`[aria-controls="${grid.id}"]`) : null;
+      if (seeMoreBtn) seeMoreBtn.hidden = narrowing;
+
+      // Collapse whole series sections that have nothing left to show
+      const section: HTMLElement | null = grid.closest('section');
+      if (section && !section.contains(form)) section.hidden = visibleInGrid === 0;
+    });
+
+    const total: number = allFacets.length;
+    if (!narrowing) {
+      status.textContent = `${total} products`;
+    } else if (matched) {
+      status.textContent = `${matched} of ${total} products match`;
+    } else {
+      status.textContent = 'No products match these filters.';
+    }
+    clearBtn.disabled = !narrowing && state.sort === 'featured';
+  }
+
+  function update(): void {
+    const state: FilterState = readFilterForm(form);
+    apply(state);
+
+    // replaceState: tweaking a filter shouldn't add a history entry per click
+    const params: URLSearchParams = serializeFilterState(state, new URLSearchParams(window.location.search));
+    const query: string = params.toString();
+    history.replaceState(history.state, '', `${window.location.pathname}${query ? `?${query}` : ''}${window.location.hash}`);
+  }
+
+  form.addEventListener('change', update, { signal });
+  form.addEventListener('input', debounce((e: Event): void => {
+    // Selects and checkboxes are handled by "change"; this catches typing in the price boxes
+    if ((e.target as HTMLElement).matches('.product-filters__price')) update();
+  }, PRICE_INPUT_DEBOUNCE_MS, signal), { signal });
+  form.addEventListener('submit', (e: Event): void => {
+    e.preventDefault();
+    update();
+  }, { signal });
+  clearBtn.addEventListener('click', (): void => {
+    writeFilterForm(form, EMPTY_FILTER_STATE);
+    update();
+  }, { signal });
+
+  // Catalog order, every series shown, Gen 7 cards as their toggle left them
+  onAbort(signal, (): void => {
+    grids.forEach((grid: HTMLElement, gridIndex: number): void => {
+      const expanded: boolean = isSeeMoreExpanded(grid);
+      gridCards[gridIndex].forEach(({ element, seeMore }: ProductFilterCard): void => {
+        grid.appendChild(element);
+        if (seeMore && !expanded) {
+          element.classList.remove('visible');
+          element.style.display = 'none';
+          element.setAttribute('aria-hidden', 'true');
+        } else if (element.style.display === 'none') {
+          element.classList.remove('fade-in-up', 'visible');
+          element.style.display = 'block';
+          element.removeAttribute('aria-hidden');
+        }
+        element.style.opacity = '';
+        element.style.transform = '';
+      });
+
+      const seeMoreBtn: HTMLElement | null = grid.id ? document.querySelector(`[aria-controls="${grid.id}"]`) : null;
+      if (seeMoreBtn) seeMoreBtn.hidden = false;
+      const section: HTMLElement | null = grid.closest('section');
+      if (section) section.hidden = false;
+    });
+    form.replaceChildren();
+    form.hidden = true;
+  });
+
+  // Restore a shared / reloaded view
+  const initial: FilterState = parseFilterState(new URLSearchParams(window.location.search));
+  writeFilterForm(form, initial);
+  apply(readFilterForm(form));
+}
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  if (root instanceof HTMLFormElement) initProductFilterBar(root, signal);
+}
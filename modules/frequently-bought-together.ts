@@ -0,0 +1,166 @@
+/**
+ * SonicWall Amazon Storefront - Frequently bought together
+ * Live totals, quantities and bundle discounts for a build-time bundle
+ * block. Root: a section.frequently-bought-together.
+ */
+
+import { track } from './analytics.js';
+import type { AnalyticsCartLine } from './analytics.js';
+import { addToCart, clampQuantity, readCartProduct } from './cart-store.js';
+import type { CartProduct } from './cart-store.js';
+import { formatCurrency } from './core.js';
+
+interface BundleDiscount {
+  readonly type: 'fixed' | 'percent';
+  readonly value: number;
+  readonly minItems: number;
+}
+
+interface BundleLine {
+  readonly product: CartProduct;
+  readonly checkbox: HTMLInputElement;
+  readonly quantityInput: HTMLInputElement | null;
+}
+
+// ==========================================================================
+// FREQUENTLY BOUGHT TOGETHER -- Bundle totals, quantities & discounts
+// ==========================================================================
+
+// Bundles are rendered at build time from data/bundles.json: every .fbt-item
+// carries its product data, .fbt-container carries the discount rule.
+function readBundleDiscount(element: HTMLElement): BundleDiscount | null {
+  const type: string | undefined = element.dataset.discountType;
+  const value: number = parseFloat(element.dataset.discountValue ?? '');
+  const minItems: number = parseInt(element.dataset.discountMinItems ?? '', 10);
+
+  if ((type !== 'fixed' && type !== 'percent') || !(value > 0)) return null;
+  return { type, value, minItems: isNaN(minItems) ? Infinity : minItems };
+}
+
+// Keep in sync with bundleSavings() in scripts/render-catalog.js
+function bundleSavings(discount: BundleDiscount | null, selectedCount: number, total: number): number {
+  if (!discount || selectedCount < discount.minItems) return 0;
+  const savings: number = discount.type === 'percent' ? total * discount.value / 100 : discount.value;
+  return Math.min(Math.round(savings * 100) / 100, total);
+}
+
+export function init(bundle: HTMLElement, signal: AbortSignal): void {
+  const totalPriceMaybe: HTMLElement | null = bundle.querySelector('.fbt-price-amount');
+  const addToCartBtnMaybe: HTMLButtonElement | null = bundle.querySelector('.fbt-pricing > .btn--amazon');
+  const containerMaybe: HTMLElement | null = bundle.querySelector('.fbt-container');
+
+  if (!totalPriceMaybe || !addToCartBtnMaybe || !containerMaybe) return;
+  const totalPriceEl: HTMLElement = totalPriceMaybe;
+  const addToCartBtn: HTMLButtonElement = addToCartBtnMaybe;
+  const savingsEl: HTMLElement | null = bundle.querySelector('.fbt-savings');
+
+  const discount: BundleDiscount | null = readBundleDiscount(containerMaybe);
+  const products: NodeListOf<HTMLElement> = bundle.querySelectorAll('.fbt-product');
+  const plusSigns: NodeListOf<HTMLElement> = bundle.querySelectorAll('.fbt-plus');
+
+  const lines: BundleLine[] = [];
+  bundle.querySelectorAll('.fbt-item').forEach((item: Element): void => {
+    const product: CartProduct | null = readCartProduct(item);
+    const checkbox: HTMLInputElement | null = item.querySelector('input[type="checkbox"]');
+    if (!product || !checkbox) return;
+    lines.push({ product, checkbox, quantityInput: item.querySelector('.fbt-quantity') });
+  });
+
+  if (!lines.length) return;
+
+  function lineQuantity(line: BundleLine): number {
+    const quantity: number = clampQuantity(parseInt(line.quantityInput?.value ?? '1', 10));
+    return quantity > 0 ? quantity : 1;
+  }
+
+  function updateFBT(): void {
+    let total: number = 0;
+    let checkedCount: number = 0;
+
+    lines.forEach((line: BundleLine, index: number): void => {
+      const isChecked: boolean = line.checkbox.checked;
+
+      if (isChecked) {
+        total += line.product.unitPrice * lineQuantity(line);
+        checkedCount++;
+      }
+      if (line.quantityInput) line.quantityInput.disabled = !isChecked;
+
+      // Dim/brighten the corresponding product visual
+      const product: HTMLElement | undefined = products[index];
+      if (product) {
+        product.style.transition = 'opacity 0.3s ease, filter 0.3s ease';
+        product.style.opacity = isChecked ? '1' : '0.4';
+        product.style.filter = isChecked ? '' : 'grayscale(100%)';
+      }
+    });
+
+    // A plus sign is lit only when the products on both sides are selected
+    plusSigns.forEach((plus: HTMLElement, plusIndex: number): void => {
+      const leftChecked: boolean = lines[plusIndex] ? lines[plusIndex].checkbox.checked : false;
+      const rightChecked: boolean = lines[plusIndex + 1] ? lines[plusIndex + 1].checkbox.checked : false;
+      plus.style.opacity = leftChecked && rightChecked ? '1' : '0.3';
+    });
+
+    const savings: number = bundleSavings(discount, checkedCount, total);
+    totalPriceEl.textContent = formatCurrency(total - savings);
+
+    if (savingsEl) {
+      if (savings > 0) {
+        savingsEl.textContent = `You save ${formatCurrency(savings)} when bought together`;
+      } else if (discount && checkedCount > 0 && discount.minItems <= lines.length) {
+        const needed: number = discount.minItems - checkedCount;
+        const offer: string = discount.type === 'percent' ? `${discount.value}%` : formatCurrency(discount.value);
+        savingsEl.textContent = `Add ${needed} more ${needed === 1 ? 'item' : 'items'} to save ${offer}`;
+      } else {
+        savingsEl.textContent = '';
+      }
+    }
+
+    if (checkedCount === 0) {
+      addToCartBtn.textContent = 'Select items to add';
+      addToCartBtn.disabled = true;
+      addToCartBtn.style.opacity = '0.5';
+      addToCartBtn.style.cursor = 'not-allowed';
+    } else {
+      addToCartBtn.textContent = checkedCount === lines.length
+        ? 'Add all ' + lines.length + ' to Cart'
+        : 'Add ' + checkedCount + ' to Cart';
+      addToCartBtn.disabled = false;
+      addToCartBtn.style.opacity = '';
+      addToCartBtn.style.cursor = '';
+    }
+  }
+
+  lines.forEach((line: BundleLine): void => {
+    line.checkbox.addEventListener('change', (): void => {
+      track('bundle_item_toggle', { sku: line.product.sku, selected: line.checkbox.checked });
+      updateFBT();
+    }, { signal });
+    if (!line.quantityInput) return;
+    const quantityInput: HTMLInputElement = line.quantityInput;
+    quantityInput.addEventListener('input', updateFBT, { signal });
+    // Normalise blank/out-of-range entries once the shopper leaves the field
+    quantityInput.addEventListener('change', (): void => {
+      quantityInput.value = String(lineQuantity(line));
+      updateFBT();
+    }, { signal });
+  });
+
+  // Each selected product becomes its own cart line at its chosen quantity
+  addToCartBtn.addEventListener('click', (e: Event): void => {
+    e.preventDefault();
+    const items: AnalyticsCartLine[] = lines
+      .filter((line: BundleLine): boolean => line.checkbox.checked)
+      .map((line: BundleLine): AnalyticsCartLine => {
+        addToCart(line.product, lineQuantity(line));
+        const { sku, asin, unitPrice } = line.product;
+        return { sku, asin, unitPrice, quantity: lineQuantity(line) };
+      });
+
+    const total: number = items.reduce((sum: number, item: AnalyticsCartLine): number => sum + item.unitPrice * item.quantity, 0);
+    track('add_to_cart', { source: 'bundle', items, value: total - bundleSavings(discount, items.length, total) });
+  }, { signal });
+
+  updateFBT();
+}
@@ -0,0 +1,39 @@
+/**
+ * SonicWall Amazon Storefront - Hero background video
+ * Defers loading the looping hero video until the page has settled.
+ * Root: the video.hero__bg-video element.
+ */
+
+import { onAbort } from './core.js';
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  if (!(root instanceof HTMLVideoElement)) return;
+  const video: HTMLVideoElement = root;
+
+  // Deferred video loading: wait 3s or first user interaction, whichever comes first.
+  // Video has preload="none" so the poster image shows immediately without competing bandwidth.
+  function loadAndPlay(): void {
+    if (video.preload !== 'none') return; // Already loaded
+    video.preload = 'auto';
+    video.load();
+    video.play().catch((): void => {
+      // Autoplay blocked -- poster image shown as fallback
+    });
+  }
+
+  const timer: ReturnType<typeof setTimeout> = setTimeout(loadAndPlay, 3000);
+
+  const interactionEvents: readonly string[] = ['scroll', 'mousemove', 'touchstart', 'keydown'];
+  function onInteraction(): void {
+    clearTimeout(timer);
+    interactionEvents.forEach((evt: string): void => {
+      window.removeEventListener(evt, onInteraction);
+    });
+    loadAndPlay();
+  }
+
+  interactionEvents.forEach((evt: string): void => {
+    window.addEventListener(evt, onInteraction, { once: true, passive: true, signal });
+  });
+  onAbort(signal, (): void => clearTimeout(timer));
+}
@@ -0,0 +1,333 @@
+/**
+ * SonicWall Amazon Storefront - MDR/MXDR estimator
+ * Endpoint, network sensor and cloud workload counts plus a term in; MDR
+ * and MXDR side by side out, with estimated monthly/annual prices where
+ * rates are published ("Quoted by SonicWall sales" where not), what each
+ * covers and which fits. The inputs live in the query string, so the
+ * address bar (or "Copy link") shares the estimate. Pricing lives in
+ * mdr-estimate.ts and data/services.json. Root: an empty form.mdr-estimator,
+ * optionally with data-mdr-defaults="endpoints:0;sensors:2".
+ */
+
+import {
+  DEFAULT_DETECTION_INPUTS,
+  estimateDetection,
+  hasCoverage,
+  parseDetectionDefaults,
+  parseDetectionParams,
+  recommendDetectionPlan,
+  serializeDetectionParams
+} from '../mdr-estimate.js';
+import type { DetectionEstimate, DetectionInputs, DetectionLine, DetectionRecommendation } from '../mdr-estimate.js';
+import { loadServices } from '../services.js';
+import type { DetectionCapability, DetectionPlan, DetectionUnit, DetectionUnitId, ServiceCatalog, ServiceTerm } from '../services.js';
+import { track } from './analytics.js';
+import { abortableTimeout, debounce, formatCurrency, onAbort } from './core.js';
+
+const COUNT_INPUT_DEBOUNCE_MS = 400 as const;
+const COPY_STATUS_MS = 2500 as const;
+
+const UNIT_HINTS: Readonly<Record<DetectionUnitId, string>> = {
+  'endpoints': 'Laptops, desktops and servers running the endpoint agent.',
+  'sensors': 'SonicWall firewalls or network sensors sending telemetry.',
+  'workloads': 'VMs, containers and accounts in AWS, Azure or Google Cloud.'
+};
+
+function formatCount(value: number): string {
+  return value.toLocaleString('en-US');
+}
+
+// ==========================================================================
+// INPUTS
+// ==========================================================================
+
+function createCountField(unit: DetectionUnit, value: number): HTMLDivElement {
+  const id: string = `mdr-estimator-${unit.id}`;
+  const field: HTMLDivElement = document.createElement('div');
+  field.className = 'mdr-estimator__field';
+
+  const label: HTMLLabelElement = document.createElement('label');
+  label.className = 'mdr-estimator__label';
+  label.htmlFor = id;
+  label.textContent = unit.label;
+
+  const input: HTMLInputElement = document.createElement('input');
+  Object.assign(input, {
+    type: 'number', id, name: unit.id, className: 'mdr-estimator__input',
+    value: String(value), min: '0', max: String(unit.max), step: '1', inputMode: 'numeric'
+  });
+
+  const hint: HTMLParagraphElement = document.createElement('p');
+  hint.className = 'mdr-estimator__hint';
+  hint.id = `${id}-hint`;
+  hint.textContent = UNIT_HINTS[unit.id];
+  input.setAttribute('aria-describedby', hint.id);
+
+  field.append(label, input, hint);
+  return field;
+}
+
+function createTermGroup(terms: readonly ServiceTerm[], selected: number): HTMLFieldSetElement {
+  const group: HTMLFieldSetElement = document.createElement('fieldset');
+  group.className = 'mdr-estimator__terms';
+  const legend: HTMLLegendElement = document.createElement('legend');
+  legend.className = 'mdr-estimator__label';
+  legend.textContent = 'Term';
+  group.appendChild(legend);
+
+  terms.forEach((term: ServiceTerm): void => {
+    const label: HTMLLabelElement = document.createElement('label');
+    label.className = 'mdr-estimator__term';
+    const input: HTMLInputElement = document.createElement('input');
+    input.type = 'radio';
+    input.name = 'term';
+    input.value = String(term.years);
+    input.checked = term.years === selected;
+    const years: string = `${term.years} year${term.years === 1 ? '' : 's'}`;
+    label.append(input, ` ${term.discount ? `${years} (save ${Math.round(term.discount * 100)}%)` : years}`);
+    group.appendChild(label);
+  });
+  return group;
+}
+
+function readInputs(form: HTMLFormElement, units: readonly DetectionUnit[]): DetectionInputs {
+  const data: FormData = new FormData(form);
+  const counts: Record<DetectionUnitId, number> = { ...DEFAULT_DETECTION_INPUTS.counts };
+  units.forEach((unit: DetectionUnit): void => {
+    const value: number = Math.floor(Number(data.get(unit.id)));
+    counts[unit.id] = Number.isFinite(value) ? Math.min(unit.max, Math.max(0, value)) : 0;
+  });
+  return { counts, termYears: Number(data.get('term')) || DEFAULT_DETECTION_INPUTS.termYears };
+}
+
+// ==========================================================================
+// PLAN CARDS
+// ==========================================================================
+
+function createPlanCard(
+  estimate: DetectionEstimate,
+  capabilities: readonly DetectionCapability[],
+  recommended: boolean
+): HTMLElement {
+  const { plan, term } = estimate;
+  const card: HTMLElement = document.createElement('article');
+  card.className = 'mdr-plan' + (recommended ? ' mdr-plan--recommended' : '');
+  card.dataset.plan = plan.id;
+
+  const header: HTMLDivElement = document.createElement('div');
+  header.className = 'mdr-plan__header';
+  const name: HTMLHeadingElement = document.createElement('h3');
+  name.className = 'mdr-plan__name';
+  const nameLink: HTMLAnchorElement = document.createElement('a');
+  nameLink.href = plan.href;
+  nameLink.textContent = plan.name;
+  name.appendChild(nameLink);
+  header.appendChild(name);
+  if (recommended) {
+    const badge: HTMLSpanElement = document.createElement('span');
+    badge.className = 'mdr-plan__badge';
+    badge.textContent = 'Best fit';
+    header.appendChild(badge);
+  }
+
+  const price: HTMLParagraphElement = document.createElement('p');
+  price.className = 'mdr-plan__price';
+  const amount: HTMLSpanElement = document.createElement('span');
+  const billing: HTMLParagraphElement = document.createElement('p');
+  billing.className = 'mdr-plan__billing';
+  const years: string = `${term.years}-year term`;
+  if (estimate.monthly === null || estimate.annual === null || estimate.termTotal === null) {
+    amount.className = 'mdr-plan__amount mdr-plan__amount--quoted';
+    amount.textContent = 'Quoted by SonicWall sales';
+    price.append(amount);
+    billing.textContent = `${years} · contact sales for pricing`;
+  } else {
+    amount.className = 'mdr-plan__amount';
+    amount.textContent = formatCurrency(estimate.monthly);
+    price.append(amount, '/month');
+    billing.textContent = term.years === 1
+      ? `${formatCurrency(estimate.annual)} per year`
+      : `${formatCurrency(estimate.annual)} per year · ${formatCurrency(estimate.termTotal)} over ${term.years} years`;
+  }
+
+  const lines: HTMLUListElement = document.createElement('ul');
+  lines.className = 'mdr-plan__lines';
+  estimate.lines.forEach((line: DetectionLine): void => {
+    const item: HTMLLIElement = document.createElement('li');
+    const link: HTMLAnchorElement = document.createElement('a');
+    link.href = line.href;
+    link.textContent = line.name;
+    item.append(link, line.unitMonthly === null || line.monthly === null
+      ? `: ${formatCount(line.count)}`
+      : `: ${formatCount(line.count)} × ${formatCurrency(line.unitMonthly)} = ${formatCurrency(line.monthly)}/mo`);
+    lines.appendChild(item);
+  });
+  if (estimate.minimumApplied && plan.monthlyMinimum !== null) {
+    lines.appendChild(document.createElement('li')).textContent =
+      `Billed at the ${formatCurrency(plan.monthlyMinimum)}/month service minimum.`;
+  }
+
+  const coverage: HTMLUListElement = document.createElement('ul');
+  coverage.className = 'mdr-plan__coverage';
+  coverage.setAttribute('aria-label', `${plan.name} coverage`);
+  capabilities.forEach((capability: DetectionCapability): void => {
+    const included: boolean = plan.capabilities.includes(capability.id);
+    const item: HTMLLIElement = document.createElement('li');
+    item.className = `mdr-plan__capability mdr-plan__capability--${included ? 'included' : 'excluded'}`;
+    const status: HTMLSpanElement = document.createElement('span');
+    status.className = 'mdr-plan__status';
+    status.textContent = included ? 'Included: ' : 'Not included: ';
+    item.append(status, capability.label);
+    coverage.appendChild(item);
+  });
+
+  card.append(header, price, billing, lines, coverage);
+  return card;
+}
+
+// ==========================================================================
+// ESTIMATOR
+// ==========================================================================
+
+function buildEstimator(form: HTMLFormElement, services: ServiceCatalog, signal: AbortSignal): void {
+  const { units, capabilities, plans } = services.detection;
+  const defaults: DetectionInputs = parseDetectionDefaults(form.dataset.mdrDefaults ?? '', services.detection, services.terms);
+  const initial: DetectionInputs = parseDetectionParams(new URLSearchParams(window.location.search), services.detection, services.terms, defaults);
+
+  const inputs: HTMLFieldSetElement = document.createElement('fieldset');
+  inputs.className = 'mdr-estimator__inputs';
+  const legend: HTMLLegendElement = document.createElement('legend');
+  legend.className = 'mdr-estimator__legend';
+  legend.textContent = 'What needs protecting';
+  inputs.append(
+    legend,
+    ...units.map((unit: DetectionUnit): HTMLDivElement => createCountField(unit, initial.counts[unit.id])),
+    createTermGroup(services.terms, initial.termYears)
+  );
+
+  const recommendation: HTMLParagraphElement = document.createElement('p');
+  recommendation.className = 'mdr-estimator__recommendation';
+  recommendation.setAttribute('aria-live', 'polite');
+
+  const plansEl: HTMLDivElement = document.createElement('div');
+  plansEl.className = 'mdr-estimator__plans';
+
+  const shareInput: HTMLInputElement = document.createElement('input');
+  Object.assign(shareInput, {
+    type: 'url', id: 'mdr-estimator-link', className: 'mdr-estimator__input mdr-estimator__link', readOnly: true
+  });
+  const shareLabel: HTMLLabelElement = document.createElement('label');
+  shareLabel.className = 'mdr-estimator__label';
+  shareLabel.htmlFor = shareInput.id;
+  shareLabel.textContent = 'Share this estimate';
+  const copyBtn: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'button', className: 'btn btn--modern btn--amazon btn--small', textContent: 'Copy link'
+  });
+  const copyStatus: HTMLSpanElement = document.createElement('span');
+  copyStatus.className = 'mdr-estimator__copy-status';
+  copyStatus.setAttribute('role', 'status');
+  const share: HTMLDivElement = document.createElement('div');
+  share.className = 'mdr-estimator__share';
+  share.append(shareLabel, shareInput, copyBtn, copyStatus);
+
+  const disclaimer: HTMLParagraphElement = document.createElement('p');
+  disclaimer.className = 'mdr-estimator__disclaimer';
+  disclaimer.textContent = 'Estimates in USD for planning, before tax, where SonicWall publishes rates. Final pricing '
+    + 'depends on your environment; contact sales for a formal quote.';
+
+  form.append(inputs, recommendation, plansEl, share, disclaimer);
+
+  // Shared links land on the estimator, not the top of the page
+  const anchor: string = form.closest<HTMLElement>('section[id]')?.id ?? '';
+  let current: DetectionInputs = initial;
+
+  function render(state: DetectionInputs): void {
+    current = state;
+    const params: URLSearchParams = serializeDetectionParams(state, new URLSearchParams(window.location.search));
+    shareInput.value = `${window.location.origin}${window.location.pathname}?${params.toString()}${anchor ? `#${anchor}` : ''}`;
+
+    if (!hasCoverage(state)) {
+      recommendation.textContent = recommendDetectionPlan(state, units).reason;
+      plansEl.replaceChildren();
+      return;
+    }
+
+    const recommended: DetectionRecommendation = recommendDetectionPlan(state, units);
+    recommendation.textContent = recommended.reason;
+    plansEl.replaceChildren(...plans
+      .map((plan: DetectionPlan): DetectionEstimate | null => estimateDetection(plan, services.terms, state))
+      .filter((estimate: DetectionEstimate | null): estimate is DetectionEstimate => estimate !== null)
+      .map((estimate: DetectionEstimate): HTMLElement =>
+        createPlanCard(estimate, capabilities, estimate.plan.id === recommended.planId)));
+  }
+
+  function update(): void {
+    const state: DetectionInputs = readInputs(form, units);
+    render(state);
+
+    // replaceState: the address bar stays shareable without a history entry per keystroke
+    const params: URLSearchParams = serializeDetectionParams(state, new URLSearchParams(window.location.search));
+    history.replaceState(history.state, '', `${window.location.pathname}?${params.toString()}${window.location.hash}`);
+  }
+
+  form.addEventListener('change', update, { signal });
+  form.addEventListener('input', debounce(update, COUNT_INPUT_DEBOUNCE_MS, signal), { signal });
+  form.addEventListener('submit', (e: Event): void => {
+    e.preventDefault();
+    update();
+  }, { signal });
+
+  copyBtn.addEventListener('click', (): void => {
+    track('mdr_estimate_share', {
+      ...current.counts,
+      termYears: current.termYears,
+      recommended: recommendDetectionPlan(current, units).planId
+    });
+
+    const copied: Promise<void> = navigator.clipboard?.writeText(shareInput.value) ?? Promise.reject(new Error('No clipboard'));
+    copied
+      .then((): void => {
+        copyStatus.textContent = 'Link copied';
+      })
+      .catch((): void => {
+        // Clipboard blocked (permissions, insecure context): leave the link selected to copy by hand
+        shareInput.select();
+        copyStatus.textContent = 'Press Ctrl+C (⌘C) to copy';
+      })
+      .finally((): void => {
+        abortableTimeout((): void => {
+          copyStatus.textContent = '';
+        }, COPY_STATUS_MS, signal);
+      });
+  }, { signal });
+
+  shareInput.addEventListener('focus', (): void => shareInput.select(), { signal });
+
+  render(initial);
+}
+
+function initMdrEstimator(form: HTMLFormElement, signal: AbortSignal): void {
+  loadServices()
+    .then((services: ServiceCatalog): void => {
+      if (signal.aborted) return;
+      buildEstimator(form, services, signal);
+      form.hidden = false;
+    })
+    .catch((): void => {
+      if (signal.aborted) return;
+      const message: HTMLParagraphElement = document.createElement('p');
+      message.className = 'mdr-estimator__disclaimer';
+      message.textContent = 'Pricing could not be loaded. Check your connection and reload the page, or contact sales for an estimate.';
+      form.replaceChildren(message);
+      form.hidden = false;
+    });
+
+  onAbort(signal, (): void => {
+    form.replaceChildren();
+    form.hidden = true;
+  });
+}
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  if (root instanceof HTMLFormElement) initMdrEstimator(root, signal);
+}
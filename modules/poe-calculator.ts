@@ -0,0 +1,359 @@
+/**
+ * SonicWall Amazon Storefront - PoE budget calculator
+ * Device rows in (SonicWave access points, cameras, phones: type, PoE class,
+ * count); total draw against every PoE switch's budget and port count out,
+ * with over-subscription flagged and the smallest switch -- or combination
+ * -- that powers them all. The arithmetic lives in poe-budget.ts.
+ * Root: an empty form.poe-calculator.
+ */
+
+import { loadCatalog, productHref } from '../catalog.js';
+import type { Catalog, CatalogProduct } from '../catalog.js';
+import {
+  POE_CLASS_WATTS,
+  POE_DEVICE_TYPES,
+  POE_HEADROOM_WARNING,
+  evaluateSwitch,
+  poeSwitches,
+  portsNeeded,
+  recommendPoeSwitches,
+  totalDraw
+} from '../poe-budget.js';
+import type { PoeAssignment, PoeDemand, PoeDeviceType, PoeRecommendation, PoeSwitchFit } from '../poe-budget.js';
+import { debounce, onAbort } from './core.js';
+
+const COUNT_INPUT_DEBOUNCE_MS = 400 as const;
+const MAX_DEVICE_COUNT = 500 as const;
+
+// Option values: "ap:<sku>" for catalog access points, "type:<id>" for the rest
+const AP_PREFIX = 'ap:' as const;
+const TYPE_PREFIX = 'type:' as const;
+
+const DEFAULT_ROWS: readonly { readonly value: string; readonly count: number }[] = [
+  { value: `${AP_PREFIX}SWAVE621`, count: 4 },
+  { value: `${TYPE_PREFIX}ip-camera`, count: 6 },
+  { value: `${TYPE_PREFIX}voip-phone`, count: 8 }
+];
+
+/** A device the shopper can pick, and the PoE class it requests by default. */
+interface DeviceOption {
+  readonly label: string;
+  readonly poeClass: number;
+}
+
+function formatWatts(value: number): string {
+  return `${value.toLocaleString('en-US', { maximumFractionDigits: 1 })} W`;
+}
+
+function plural(count: number, noun: string): string {
+  return `${count.toLocaleString('en-US')} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+function accessPoints(catalog: Catalog): CatalogProduct[] {
+  return catalog.products.filter((product: CatalogProduct): boolean =>
+    product.category === 'access-point' && product.specs.poeClass !== undefined);
+}
+
+// ==========================================================================
+// DEVICE ROWS
+// ==========================================================================
+
+function createSelect(className: string): HTMLSelectElement {
+  const select: HTMLSelectElement = document.createElement('select');
+  select.className = `poe-calculator__input ${className}`;
+  return select;
+}
+
+function createField(text: string, control: HTMLElement): HTMLLabelElement {
+  const label: HTMLLabelElement = document.createElement('label');
+  label.className = 'poe-calculator__field';
+  const caption: HTMLSpanElement = document.createElement('span');
+  caption.className = 'poe-calculator__label';
+  caption.textContent = text;
+  label.append(caption, control);
+  return label;
+}
+
+function createTypeSelect(aps: readonly CatalogProduct[]): HTMLSelectElement {
+  const select: HTMLSelectElement = createSelect('poe-calculator__type');
+
+  const apGroup: HTMLOptGroupElement = document.createElement('optgroup');
+  apGroup.label = 'SonicWave access points';
+  aps.forEach((product: CatalogProduct): void => {
+    apGroup.appendChild(new Option(product.name, `${AP_PREFIX}${product.sku}`));
+  });
+
+  const otherGroup: HTMLOptGroupElement = document.createElement('optgroup');
+  otherGroup.label = 'Other devices';
+  POE_DEVICE_TYPES.forEach((type: PoeDeviceType): void => {
+    otherGroup.appendChild(new Option(type.label, `${TYPE_PREFIX}${type.id}`));
+  });
+
+  if (aps.length) select.appendChild(apGroup);
+  select.appendChild(otherGroup);
+  return select;
+}
+
+function createClassSelect(): HTMLSelectElement {
+  const select: HTMLSelectElement = createSelect('poe-calculator__class');
+  POE_CLASS_WATTS.forEach((watts: number, poeClass: number): void => {
+    select.appendChild(new Option(`Class ${poeClass}${poeClass === 0 ? ' (unclassified)' : ''}: ${formatWatts(watts)}`, String(poeClass)));
+  });
+  return select;
+}
+
+function createRow(options: ReadonlyMap<string, DeviceOption>, aps: readonly CatalogProduct[], value: string, count: number): HTMLLIElement {
+  const row: HTMLLIElement = document.createElement('li');
+  row.className = 'poe-calculator__device';
+
+  const type: HTMLSelectElement = createTypeSelect(aps);
+  type.value = options.has(value) ? value : `${TYPE_PREFIX}${POE_DEVICE_TYPES[0].id}`;
+
+  const poeClass: HTMLSelectElement = createClassSelect();
+  poeClass.value = String(options.get(type.value)?.poeClass ?? 0);
+
+  const quantity: HTMLInputElement = document.createElement('input');
+  Object.assign(quantity, {
+    type: 'number', className: 'poe-calculator__input poe-calculator__count',
+    value: String(count), min: '0', max: String(MAX_DEVICE_COUNT), step: '1', inputMode: 'numeric'
+  });
+
+  const remove: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'button', className: 'poe-calculator__remove', textContent: 'Remove'
+  });
+  remove.dataset.action = 'remove';
+
+  row.append(createField('Device', type), createField('PoE class', poeClass), createField('Quantity', quantity), remove);
+  return row;
+}
+
+function readDemands(list: HTMLElement, options: ReadonlyMap<string, DeviceOption>): PoeDemand[] {
+  return Array.from(list.querySelectorAll<HTMLLIElement>('.poe-calculator__device'))
+    .map((row: HTMLLIElement): PoeDemand => {
+      const type: HTMLSelectElement | null = row.querySelector<HTMLSelectElement>('.poe-calculator__type');
+      const poeClass: number = Number(row.querySelector<HTMLSelectElement>('.poe-calculator__class')?.value);
+      const count: number = Math.floor(Number(row.querySelector<HTMLInputElement>('.poe-calculator__count')?.value));
+      return {
+        label: options.get(type?.value ?? '')?.label ?? 'PoE device',
+        poeClass: Number.isInteger(poeClass) ? poeClass : 0,
+        count: Number.isFinite(count) ? Math.min(MAX_DEVICE_COUNT, Math.max(0, count)) : 0
+      };
+    })
+    .filter((demand: PoeDemand): boolean => demand.count > 0);
+}
+
+// ==========================================================================
+// RESULTS
+// ==========================================================================
+
+function createProductLink(catalog: Catalog, product: CatalogProduct): HTMLAnchorElement {
+  const link: HTMLAnchorElement = document.createElement('a');
+  link.href = productHref(catalog, product);
+  link.textContent = product.name;
+  return link;
+}
+
+function renderRecommendation(container: HTMLElement, catalog: Catalog, demands: readonly PoeDemand[]): void {
+  const recommendation: PoeRecommendation = recommendPoeSwitches(catalog.products, demands);
+  const nodes: HTMLElement[] = [];
+
+  if (recommendation.switches.length) {
+    const title: HTMLParagraphElement = document.createElement('p');
+    title.className = 'poe-calculator__verdict';
+    title.textContent = recommendation.switches.length === 1
+      ? 'Recommended switch:'
+      : `No single switch powers everything. Recommended combination of ${recommendation.switches.length} switches:`;
+
+    const list: HTMLUListElement = document.createElement('ul');
+    list.className = 'poe-calculator__picks';
+    recommendation.switches.forEach((assignment: PoeAssignment): void => {
+      const budgetW: number = assignment.product.specs.poeBudgetW ?? 0;
+      const item: HTMLLIElement = document.createElement('li');
+      item.append(
+        createProductLink(catalog, assignment.product),
+        ` powers ${plural(assignment.devices, 'device')}, drawing ${formatWatts(assignment.drawW)} of its ${formatWatts(budgetW)} PoE budget`
+      );
+      if (budgetW && assignment.drawW / budgetW > POE_HEADROOM_WARNING) {
+        const note: HTMLSpanElement = document.createElement('span');
+        note.className = 'poe-calculator__warning';
+        note.textContent = ` (${Math.round(assignment.drawW / budgetW * 100)}% used: little headroom for more devices)`;
+        item.appendChild(note);
+      }
+      list.appendChild(item);
+    });
+    nodes.push(title, list);
+  }
+
+  if (recommendation.unsupported.length) {
+    const note: HTMLParagraphElement = document.createElement('p');
+    note.className = 'poe-calculator__warning';
+    note.textContent = `${recommendation.unsupported.map((demand: PoeDemand): string => `${demand.label} (class ${demand.poeClass})`).join(', ')} `
+      + 'need more power than any SonicWall switch port supplies; plan an 802.3bt (PoE++) injector for them.';
+    nodes.push(note);
+  }
+
+  container.replaceChildren(...nodes);
+}
+
+function renderTable(tbody: HTMLTableSectionElement, catalog: Catalog, demands: readonly PoeDemand[]): void {
+  tbody.replaceChildren(...poeSwitches(catalog.products).map((product: CatalogProduct): HTMLTableRowElement => {
+    const fit: PoeSwitchFit = evaluateSwitch(product, demands);
+    const row: HTMLTableRowElement = document.createElement('tr');
+    row.className = `poe-calculator__switch poe-calculator__switch--${fit.fits ? 'fits' : 'over'}`;
+
+    const name: HTMLTableCellElement = document.createElement('th');
+    name.scope = 'row';
+    name.appendChild(createProductLink(catalog, product));
+
+    const problems: string[] = [];
+    if (fit.overBudgetW) problems.push(`Over budget by ${formatWatts(fit.overBudgetW)}`);
+    if (fit.portShortfall) problems.push(`Needs ${plural(fit.portShortfall, 'more PoE port')}`);
+    if (!problems.length && !fit.fits) problems.push('Ports can\'t supply the PoE class needed');
+
+    const cells: string[] = [
+      `${fit.ports}`,
+      formatWatts(fit.budgetW),
+      `${formatWatts(fit.drawW)} (${Math.round(fit.utilization * 100)}%)`,
+      fit.fits ? 'Fits' : problems.join('; ')
+    ];
+    row.append(name, ...cells.map((text: string): HTMLTableCellElement => {
+      const cell: HTMLTableCellElement = document.createElement('td');
+      cell.textContent = text;
+      return cell;
+    }));
+    return row;
+  }));
+}
+
+function createTable(): { table: HTMLTableElement; tbody: HTMLTableSectionElement } {
+  const table: HTMLTableElement = document.createElement('table');
+  table.className = 'poe-calculator__table';
+  table.createCaption().textContent = 'Every PoE switch against your devices';
+  const headRow: HTMLTableRowElement = table.createTHead().insertRow();
+  ['Switch', 'PoE ports', 'PoE budget', 'Your draw', 'Status'].forEach((text: string): void => {
+    const cell: HTMLTableCellElement = document.createElement('th');
+    cell.scope = 'col';
+    cell.textContent = text;
+    headRow.appendChild(cell);
+  });
+  return { table, tbody: table.createTBody() };
+}
+
+// ==========================================================================
+// CALCULATOR
+// ==========================================================================
+
+function buildCalculator(form: HTMLFormElement, catalog: Catalog, signal: AbortSignal): void {
+  const aps: CatalogProduct[] = accessPoints(catalog);
+  const options: Map<string, DeviceOption> = new Map<string, DeviceOption>([
+    ...aps.map((product: CatalogProduct): [string, DeviceOption] =>
+      [`${AP_PREFIX}${product.sku}`, { label: product.name, poeClass: product.specs.poeClass ?? 0 }]),
+    ...POE_DEVICE_TYPES.map((type: PoeDeviceType): [string, DeviceOption] =>
+      [`${TYPE_PREFIX}${type.id}`, { label: type.label, poeClass: type.poeClass }])
+  ]);
+
+  const devices: HTMLFieldSetElement = document.createElement('fieldset');
+  devices.className = 'poe-calculator__inputs';
+  const legend: HTMLLegendElement = document.createElement('legend');
+  legend.className = 'poe-calculator__legend';
+  legend.textContent = 'Devices to power';
+  const list: HTMLOListElement = document.createElement('ol');
+  list.className = 'poe-calculator__devices';
+  list.append(...DEFAULT_ROWS.map((row: { readonly value: string; readonly count: number }): HTMLLIElement =>
+    createRow(options, aps, row.value, row.count)));
+  const addBtn: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'button', className: 'btn btn--modern btn--outline-dark btn--small', textContent: '+ Add device'
+  });
+  devices.append(legend, list, addBtn);
+
+  const summary: HTMLParagraphElement = document.createElement('p');
+  summary.className = 'poe-calculator__summary';
+  summary.setAttribute('aria-live', 'polite');
+
+  const recommendation: HTMLDivElement = document.createElement('div');
+  recommendation.className = 'poe-calculator__recommendation';
+
+  const { table, tbody } = createTable();
+  const tableWrap: HTMLDivElement = document.createElement('div');
+  tableWrap.className = 'poe-calculator__table-wrap';
+  tableWrap.appendChild(table);
+
+  const disclaimer: HTMLParagraphElement = document.createElement('p');
+  disclaimer.className = 'poe-calculator__disclaimer';
+  disclaimer.textContent = 'Budgets reserve the IEEE 802.3 allocation for each device\'s class at the switch port, '
+    + 'so actual draw is usually lower. Check your device datasheets for the class each one requests.';
+
+  form.append(devices, summary, recommendation, tableWrap, disclaimer);
+
+  function update(): void {
+    const demands: PoeDemand[] = readDemands(list, options);
+    if (!demands.length) {
+      summary.textContent = 'Add the devices you need to power.';
+      recommendation.replaceChildren();
+      tableWrap.hidden = true;
+      return;
+    }
+    summary.textContent = `${plural(portsNeeded(demands), 'device')} reserving ${formatWatts(totalDraw(demands))} of PoE.`;
+    renderRecommendation(recommendation, catalog, demands);
+    renderTable(tbody, catalog, demands);
+    tableWrap.hidden = false;
+  }
+
+  form.addEventListener('change', (e: Event): void => {
+    // A new device type brings its usual class; the class select can still override it
+    const target: EventTarget | null = e.target;
+    if (target instanceof HTMLSelectElement && target.classList.contains('poe-calculator__type')) {
+      const classSelect: HTMLSelectElement | null | undefined = target.closest('li')?.querySelector<HTMLSelectElement>('.poe-calculator__class');
+      if (classSelect) classSelect.value = String(options.get(target.value)?.poeClass ?? 0);
+    }
+    update();
+  }, { signal });
+  form.addEventListener('input', debounce(update, COUNT_INPUT_DEBOUNCE_MS, signal), { signal });
+  form.addEventListener('submit', (e: Event): void => {
+    e.preventDefault();
+    update();
+  }, { signal });
+
+  addBtn.addEventListener('click', (): void => {
+    const row: HTMLLIElement = createRow(options, aps, `${TYPE_PREFIX}${POE_DEVICE_TYPES[0].id}`, 1);
+    list.appendChild(row);
+    row.querySelector<HTMLSelectElement>('select')?.focus();
+    update();
+  }, { signal });
+
+  list.addEventListener('click', (e: MouseEvent): void => {
+    const button: HTMLButtonElement | null = (e.target as HTMLElement).closest<HTMLButtonElement>('[data-action="remove"]');
+    if (!button) return;
+    button.closest('li')?.remove();
+    addBtn.focus();
+    update();
+  }, { signal });
+
+  update();
+}
+
+function initPoeCalculator(form: HTMLFormElement, signal: AbortSignal): void {
+  loadCatalog()
+    .then((catalog: Catalog): void => {
+      if (signal.aborted) return;
+      buildCalculator(form, catalog, signal);
+      form.hidden = false;
+    })
+    .catch((): void => {
+      if (signal.aborted) return;
+      const message: HTMLParagraphElement = document.createElement('p');
+      message.className = 'poe-calculator__disclaimer';
+      message.textContent = 'The switch catalog could not be loaded. Check your connection and reload the page.';
+      form.replaceChildren(message);
+      form.hidden = false;
+    });
+
+  onAbort(signal, (): void => {
+    form.replaceChildren();
+    form.hidden = true;
+  });
+}
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  if (root instanceof HTMLFormElement) initPoeCalculator(root, signal);
+}
@@ -0,0 +1,173 @@
+/**
+ * SonicWall Amazon Storefront - Product cards
+ * "Add to Cart", "Compare" checkboxes and hover zoom for the catalog cards
+ * in a grid; loads the compare tray once a model is queued. Root: a grid of
+ * .product-card.
+ */
+
+import { track } from './analytics.js';
+import { addToCart, readCartProduct } from './cart-store.js';
+import type { CartProduct } from './cart-store.js';
+import { MAX_COMPARE_COLUMNS, addToCompare, getCompareItems, isInCompare, onCompareChange, removeFromCompare } from './compare-store.js';
+import type { CompareItem } from './compare-store.js';
+import { EASING_SMOOTH, onAbort, prefersReducedMotion } from './core.js';
+
+// ==========================================================================
+// ADD TO CART
+// ==========================================================================
+
+function initAddToCart(root: HTMLElement, signal: AbortSignal): void {
+  // Only target "Add to Cart" buttons in product cards,
+  // NOT the comparison table "See options" buttons. Quote-only
+  // cards (no data-price) keep their default link behaviour.
+  const cardButtons: NodeListOf<Element> = root.querySelectorAll('.product-card .btn--amazon');
+  cardButtons.forEach((button: Element): void => {
+    const card: Element | null = button.closest('.product-card');
+    const product: CartProduct | null = card ? readCartProduct(card) : null;
+    if (!product) return;
+
+    button.addEventListener('click', (e: Event): void => {
+      e.preventDefault();
+      addToCart(product);
+      track('add_to_cart', {
+        source: 'product-card',
+        items: [{ sku: product.sku, asin: product.asin, unitPrice: product.unitPrice, quantity: 1 }],
+        value: product.unitPrice
+      });
+    }, { signal });
+  });
+}
+
+// ==========================================================================
+// COMPARE CHECKBOXES
+// ==========================================================================
+
+function readCompareItem(card: Element): CompareItem | null {
+  const sku: string | undefined = (card as HTMLElement).dataset.sku;
+  if (!sku) return null;
+
+  const nameEl: Element | null = card.querySelector('.product-card__name');
+  const imgEl: HTMLImageElement | null = card.querySelector('img:not(.prime-badge)');
+  return {
+    sku,
+    name: nameEl?.textContent?.trim() ?? sku,
+    image: imgEl ? imgEl.src : null
+  };
+}
+
+function initCompareCheckboxes(root: HTMLElement, signal: AbortSignal): void {
+  const cards: NodeListOf<HTMLElement> = root.querySelectorAll('.product-card[data-sku]');
+
+  if (!cards.length) return;
+
+  const inputs: HTMLInputElement[] = [];
+
+  cards.forEach((card: HTMLElement): void => {
+    const item: CompareItem | null = readCompareItem(card);
+    if (!item) return;
+
+    const label: HTMLLabelElement = document.createElement('label');
+    label.className = 'product-card__compare';
+    const input: HTMLInputElement = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'product-card__compare-input';
+    input.dataset.sku = item.sku;
+    input.setAttribute('aria-label', `Compare ${item.name}`);
+    label.append(input, ' Compare');
+
+    // Sit just above the card's call to action
+    const cta: Element | null = card.querySelector('.btn--amazon');
+    if (cta) {
+      cta.before(label);
+    } else {
+      card.appendChild(label);
+    }
+    onAbort(signal, (): void => label.remove());
+
+    input.addEventListener('change', (): void => {
+      if (!input.checked) {
+        removeFromCompare(item.sku);
+      } else if (!addToCompare(item)) {
+        input.checked = false;
+      }
+    }, { signal });
+    inputs.push(input);
+  });
+
+  function sync(): void {
+    const full: boolean = getCompareItems().length >= MAX_COMPARE_COLUMNS;
+    inputs.forEach((input: HTMLInputElement): void => {
+      input.checked = isInCompare(input.dataset.sku ?? '');
+      // Once the tray is full only ticked models can change
+      input.disabled = full && !input.checked;
+      (input.parentElement as HTMLElement).title = input.disabled
+        ? `You can compare up to ${MAX_COMPARE_COLUMNS} models`
+        : '';
+    });
+  }
+
+  onCompareChange(sync, signal);
+  sync();
+}
+
+// ==========================================================================
+// PRODUCT CARD HOVER ENHANCEMENT -- Image zoom on hover
+// ==========================================================================
+
+function initProductCardEnhancements(root: HTMLElement, signal: AbortSignal): void {
+  if (prefersReducedMotion) return;
+
+  const cards: NodeListOf<Element> = root.querySelectorAll('.product-card');
+
+  if (!cards.length) return;
+
+  cards.forEach((card: Element): void => {
+    const img: HTMLElement | null = card.querySelector('.product-card__image img, .product-card__image');
+
+    if (img) {
+      card.addEventListener('mouseenter', (): void => {
+        img.style.transition = `transform 0.4s ${EASING_SMOOTH}`;
+        img.style.transform = 'scale(1.05)';
+      }, { signal });
+
+      card.addEventListener('mouseleave', (): void => {
+        img.style.transform = 'scale(1)';
+      }, { signal });
+
+      onAbort(signal, (): void => {
+        img.style.transition = '';
+        img.style.transform = '';
+      });
+    }
+  });
+}
+
+// ==========================================================================
+// INITIALIZATION
+// ==========================================================================
+
+// The tray only matters once something is queued, so it is fetched then
+function loadCompareTray(signal: AbortSignal): void {
+  import('./compare-tray.js')
+    .then((tray): void => tray.initCompareTray(signal))
+    .catch((): void => {
+      // Chunk failed to load -- the checkboxes still record the list
+    });
+}
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  initAddToCart(root, signal);
+  initCompareCheckboxes(root, signal);
+  initProductCardEnhancements(root, signal);
+
+  if (getCompareItems().length) {
+    loadCompareTray(signal);
+    return;
+  }
+  let trayRequested: boolean = false;
+  onCompareChange((): void => {
+    if (trayRequested) return;
+    trayRequested = true;
+    loadCompareTray(signal);
+  }, signal);
+}
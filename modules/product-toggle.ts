@@ -0,0 +1,99 @@
+/**
+ * SonicWall Amazon Storefront - "See more products" toggle
+ * Reveals / hides a grid's Gen 7 (.product-card--gen7) cards. Root: the
+ * toggle button; its aria-controls names the grid.
+ */
+
+import { abortableTimeout, onAbort, prefersReducedMotion, staggerReveal } from './core.js';
+
+export function init(button: HTMLElement, signal: AbortSignal): void {
+  const containerId: string | null = button.getAttribute('aria-controls');
+  const container: HTMLElement | null = containerId ? document.getElementById(containerId) : null;
+
+  if (!container) return;
+
+  const gen7Products: NodeListOf<Element> = container.querySelectorAll('.product-card--gen7');
+  let isExpanded: boolean = false;
+  let isAnimating: boolean = false;
+
+  // Set initial ARIA state
+  button.setAttribute('aria-expanded', 'false');
+
+  // Click handler — isAnimating guard prevents double-fire (no debounce needed)
+  const handleToggle = (): void => {
+    if (isAnimating) return;
+    isAnimating = true;
+
+    isExpanded = !isExpanded;
+    button.setAttribute('aria-expanded', isExpanded.toString());
+    (button as HTMLButtonElement).disabled = true; // Disable during animation
+
+    if (isExpanded) {
+      // Batch all display changes first to avoid layout thrashing
+      gen7Products.forEach((card: Element): void => {
+        (card as HTMLElement).style.display = 'block';
+      });
+
+      // Show products with grid-aware staggered animation
+      const maxDelay: number = staggerReveal(Array.from(gen7Products) as HTMLElement[], signal);
+
+      button.textContent = 'Show fewer products';
+
+      // Re-enable button after all column animations finish
+      abortableTimeout((): void => {
+        isAnimating = false;
+        (button as HTMLButtonElement).disabled = false;
+      }, maxDelay, signal);
+
+    } else {
+      // Hide products with reverse stagger
+      const totalCards: number = gen7Products.length;
+      const lastCardDelay: number = (totalCards - 1) * 40;
+
+      gen7Products.forEach((card: Element, index: number): void => {
+        const htmlCard = card as HTMLElement;
+        abortableTimeout((): void => {
+          htmlCard.classList.remove('visible');
+          if (prefersReducedMotion) {
+            // Reset inline styles set during expand
+            htmlCard.style.opacity = '';
+            htmlCard.style.transform = '';
+            htmlCard.style.display = 'none';
+          }
+        }, index * 40, signal);
+      });
+
+      button.textContent = 'See more products';
+
+      // Re-enable AFTER all individual card animations complete
+      const hideDelay: number = Math.max(lastCardDelay + 300, 500);
+      abortableTimeout((): void => {
+        gen7Products.forEach((card: Element): void => {
+          const htmlCard = card as HTMLElement;
+          htmlCard.style.display = 'none';
+          // Reset stale inline styles so next expand starts clean
+          htmlCard.style.opacity = '';
+          htmlCard.style.transform = '';
+        });
+        isAnimating = false;
+        (button as HTMLButtonElement).disabled = false;
+      }, hideDelay, signal);
+    }
+  };
+
+  button.addEventListener('click', handleToggle, { signal });
+
+  // Back to the collapsed state the page was built with
+  onAbort(signal, (): void => {
+    gen7Products.forEach((card: Element): void => {
+      const htmlCard = card as HTMLElement;
+      htmlCard.classList.remove('visible');
+      htmlCard.style.display = 'none';
+      htmlCard.style.opacity = '';
+      htmlCard.style.transform = '';
+    });
+    button.textContent = 'See more products';
+    button.setAttribute('aria-expanded', 'false');
+    (button as HTMLButtonElement).disabled = false;
+  });
+}
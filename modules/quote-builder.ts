@@ -0,0 +1,38 @@
+/**
+ * SonicWall Amazon Storefront - Quote builder
+ * Pick a firewall, a 1/3/5-year security bundle, add-on services and a
+ * managed tier; an itemised quote updates as the choices change and can be
+ * printed or downloaded as CSV and JSON. Pricing lives in quote.ts and
+ * data/services.json, the form in quote-form.ts (fetched with the pricing).
+ * Root: an empty form.quote-builder.
+ */
+
+import { loadCatalog } from '../catalog.js';
+import { loadServices } from '../services.js';
+import { onAbort } from './core.js';
+
+function initQuoteBuilder(form: HTMLFormElement, signal: AbortSignal): void {
+  Promise.all([loadCatalog(), loadServices(), import('./quote-form.js')])
+    .then(([catalog, services, quoteForm]): void => {
+      if (signal.aborted) return;
+      quoteForm.buildForm(form, catalog, services, signal);
+      form.hidden = false;
+    })
+    .catch((): void => {
+      if (signal.aborted) return;
+      const message: HTMLParagraphElement = document.createElement('p');
+      message.className = 'quote-builder__notes';
+      message.textContent = 'Pricing could not be loaded. Check your connection and reload the page to build a quote.';
+      form.replaceChildren(message);
+      form.hidden = false;
+    });
+
+  onAbort(signal, (): void => {
+    form.replaceChildren();
+    form.hidden = true;
+  });
+}
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  if (root instanceof HTMLFormElement) initQuoteBuilder(root, signal);
+}
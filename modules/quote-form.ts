@@ -0,0 +1,353 @@
+/**
+ * SonicWall Amazon Storefront - Quote form
+ * The quote builder's controls, itemised quote table and print/CSV/JSON
+ * export. Fetched by quote-builder.ts with the pricing data, so quote.ts
+ * stays out of the page's first load.
+ */
+
+import type { Catalog, CatalogProduct, CatalogSeries } from '../catalog.js';
+import { MAX_QUOTE_QUANTITY, availableAddOns, buildQuote, quoteFilename, quoteKindLabel, quoteToCsv, quoteToJson, unpricedLines } from '../quote.js';
+import type { Quote, QuoteLine, QuoteSelection } from '../quote.js';
+import { applianceClassFor } from '../services.js';
+import type { ApplianceClass, ServiceCatalog, ServiceOffering, ServiceTerm } from '../services.js';
+import { track } from './analytics.js';
+import { formatCurrency, onAbort } from './core.js';
+
+const DEFAULT_SKU = 'TZ280W' as const;
+const DEFAULT_TERM_YEARS = 3 as const;
+const DEFAULT_BUNDLE = 'advanced' as const;
+
+// Printing shows the quote alone (see PRINT STYLES in styles.scss)
+const PRINTING_CLASS = 'is-printing-quote' as const;
+
+// ==========================================================================
+// CONTROLS
+// ==========================================================================
+
+function createFieldset(legendText: string, className: string = 'quote-builder__group'): HTMLFieldSetElement {
+  const fieldset: HTMLFieldSetElement = document.createElement('fieldset');
+  fieldset.className = className;
+  const legend: HTMLLegendElement = document.createElement('legend');
+  legend.className = 'quote-builder__legend';
+  legend.textContent = legendText;
+  fieldset.appendChild(legend);
+  return fieldset;
+}
+
+function createChoice(type: 'radio' | 'checkbox', name: string, value: string, text: string, checked: boolean): HTMLLabelElement {
+  const label: HTMLLabelElement = document.createElement('label');
+  label.className = 'quote-builder__choice';
+  const input: HTMLInputElement = document.createElement('input');
+  input.type = type;
+  input.name = name;
+  input.value = value;
+  input.checked = checked;
+  const textEl: HTMLSpanElement = document.createElement('span');
+  textEl.className = 'quote-builder__choice-text';
+  textEl.textContent = text;
+  const priceEl: HTMLSpanElement = document.createElement('span');
+  priceEl.className = 'quote-builder__choice-price';
+  label.append(input, textEl, priceEl);
+  return label;
+}
+
+function createFirewallSelect(catalog: Catalog, services: ServiceCatalog, selectedSku: string): HTMLSelectElement {
+  const select: HTMLSelectElement = document.createElement('select');
+  select.className = 'quote-builder__input';
+  select.name = 'sku';
+
+  services.applianceClasses.forEach((applianceClass: ApplianceClass): void => {
+    applianceClass.series.forEach((seriesId: string): void => {
+      const series: CatalogSeries | undefined = catalog.seriesById.get(seriesId);
+      const models: CatalogProduct[] = catalog.products.filter((product: CatalogProduct): boolean =>
+        product.series === seriesId && product.price !== null);
+      if (!series || !models.length) return;
+
+      const group: HTMLOptGroupElement = document.createElement('optgroup');
+      group.label = series.label;
+      models.forEach((product: CatalogProduct): void => {
+        const text: string = `${product.name} - ${formatCurrency(product.price ?? 0)}`;
+        group.appendChild(new Option(text, product.sku, false, product.sku === selectedSku));
+      });
+      select.appendChild(group);
+    });
+  });
+  return select;
+}
+
+function createLabelledInput(text: string, input: HTMLInputElement | HTMLSelectElement, id: string): HTMLDivElement {
+  const field: HTMLDivElement = document.createElement('div');
+  field.className = 'quote-builder__field';
+  const label: HTMLLabelElement = document.createElement('label');
+  label.className = 'quote-builder__legend';
+  label.htmlFor = id;
+  label.textContent = text;
+  input.id = id;
+  field.append(label, input);
+  return field;
+}
+
+function termText(term: ServiceTerm): string {
+  const years: string = `${term.years} year${term.years === 1 ? '' : 's'}`;
+  return term.discount ? `${years} (save ${Math.round(term.discount * 100)}%)` : years;
+}
+
+function readSelection(form: HTMLFormElement): QuoteSelection {
+  const data: FormData = new FormData(form);
+  const bundleId: string = String(data.get('bundle') ?? '');
+  const managedTierId: string = String(data.get('managed') ?? '');
+  return {
+    quantity: Number(data.get('quantity')) || 1,
+    termYears: Number(data.get('term')) || DEFAULT_TERM_YEARS,
+    bundleId: bundleId || null,
+    addOnIds: data.getAll('addOn').map(String),
+    managedTierId: managedTierId || null
+  };
+}
+
+// ==========================================================================
+// QUOTE TABLE
+// ==========================================================================
+
+function cell(tag: 'td' | 'th', text: string, className?: string): HTMLTableCellElement {
+  const element: HTMLTableCellElement = document.createElement(tag);
+  element.textContent = text;
+  if (className) element.className = className;
+  return element;
+}
+
+function money(amount: number | null, fallback: string = '-'): string {
+  return amount === null ? fallback : formatCurrency(amount);
+}
+
+function unitPriceText(line: QuoteLine): string {
+  if (line.unitPrice === null) return 'Contact Sales';
+  return line.kind === 'hardware' ? formatCurrency(line.unitPrice) : `${formatCurrency(line.unitPrice)}/yr`;
+}
+
+function renderQuote(output: HTMLElement, quote: Quote): void {
+  const years: number = quote.term.years;
+
+  const table: HTMLTableElement = document.createElement('table');
+  table.className = 'quote-builder__table';
+  const caption: HTMLTableCaptionElement = table.createCaption();
+  caption.textContent = `Quote for ${quote.quantity} × ${quote.product.name}, ${years}-year term`;
+
+  const headRow: HTMLTableRowElement = table.createTHead().insertRow();
+  ['Item', 'Qty', 'Unit price', 'Per year', `${years}-year total`].forEach((text: string, index: number): void => {
+    const th: HTMLTableCellElement = cell('th', text, index ? 'quote-builder__num' : undefined);
+    th.scope = 'col';
+    headRow.appendChild(th);
+  });
+
+  const body: HTMLTableSectionElement = table.createTBody();
+  quote.lines.forEach((line: QuoteLine): void => {
+    const row: HTMLTableRowElement = body.insertRow();
+    const item: HTMLTableCellElement = cell('th', line.description);
+    item.scope = 'row';
+    const kind: HTMLSpanElement = document.createElement('span');
+    kind.className = 'quote-builder__kind';
+    kind.textContent = line.kind === 'hardware' ? `${quoteKindLabel(line.kind)} · ${line.id}` : quoteKindLabel(line.kind);
+    item.appendChild(kind);
+
+    row.append(
+      item,
+      cell('td', String(line.quantity), 'quote-builder__num'),
+      cell('td', unitPriceText(line), 'quote-builder__num'),
+      cell('td', line.kind === 'hardware' ? 'One-time' : money(line.perYear, 'Contact Sales'), 'quote-builder__num'),
+      cell('td', money(line.total, 'Contact Sales'), 'quote-builder__num')
+    );
+  });
+
+  const foot: HTMLTableSectionElement = table.createTFoot();
+  const totalRows: readonly (readonly [string, string, string])[] = [
+    ['Hardware', '', money(quote.totals.hardware)],
+    ['Services', `${money(quote.totals.servicesPerYear)}/yr`, money(quote.totals.services)],
+    [`Total for ${years} year${years === 1 ? '' : 's'}`, '', money(quote.totals.total)]
+  ];
+  totalRows.forEach(([label, perYear, total]: readonly [string, string, string], index: number): void => {
+    const row: HTMLTableRowElement = foot.insertRow();
+    if (index === totalRows.length - 1) row.className = 'quote-builder__grand-total';
+    const th: HTMLTableCellElement = cell('th', label);
+    th.scope = 'row';
+    th.colSpan = 3;
+    row.append(th, cell('td', perYear, 'quote-builder__num'), cell('td', total, 'quote-builder__num'));
+  });
+
+  const notes: HTMLUListElement = document.createElement('ul');
+  notes.className = 'quote-builder__notes';
+  if (quote.totals.termSavings > 0) {
+    notes.appendChild(document.createElement('li')).textContent =
+      `The ${years}-year term saves ${formatCurrency(quote.totals.termSavings)} on services against renewing every year.`;
+  }
+  unpricedLines(quote).forEach((line: QuoteLine): void => {
+    notes.appendChild(document.createElement('li')).textContent =
+      `${line.description} is priced by SonicWall sales for your environment and is not included in the total.`;
+  });
+  notes.appendChild(document.createElement('li')).textContent =
+    'Estimated list prices in USD, before tax. Hardware ships from Amazon; services are billed per appliance.';
+
+  output.replaceChildren(table, notes);
+}
+
+// ==========================================================================
+// EXPORT
+// ==========================================================================
+
+function download(filename: string, type: string, content: string): void {
+  const url: string = URL.createObjectURL(new Blob([content], { type }));
+  const link: HTMLAnchorElement = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout((): void => URL.revokeObjectURL(url));
+}
+
+function printQuote(signal: AbortSignal): void {
+  const root: HTMLElement = document.documentElement;
+  root.classList.add(PRINTING_CLASS);
+  window.addEventListener('afterprint', (): void => root.classList.remove(PRINTING_CLASS), { once: true, signal });
+  window.print();
+}
+
+// ==========================================================================
+// BUILDER
+// ==========================================================================
+
+/** Fills the empty form with the controls and the live quote. */
+export function buildForm(form: HTMLFormElement, catalog: Catalog, services: ServiceCatalog, signal: AbortSignal): void {
+  const firewall: HTMLSelectElement = createFirewallSelect(catalog, services, DEFAULT_SKU);
+  const quantity: HTMLInputElement = document.createElement('input');
+  Object.assign(quantity, {
+    type: 'number', className: 'quote-builder__input quote-builder__input--qty', name: 'quantity',
+    value: '1', min: '1', max: String(MAX_QUOTE_QUANTITY), step: '1', inputMode: 'numeric'
+  });
+
+  const hardware: HTMLFieldSetElement = createFieldset('1. Firewall');
+  hardware.append(
+    createLabelledInput('Model', firewall, 'quote-builder-sku'),
+    createLabelledInput('Quantity', quantity, 'quote-builder-quantity')
+  );
+
+  const term: HTMLFieldSetElement = createFieldset('2. Term');
+  services.terms.forEach((entry: ServiceTerm): void => {
+    term.appendChild(createChoice('radio', 'term', String(entry.years), termText(entry), entry.years === DEFAULT_TERM_YEARS));
+  });
+
+  const bundles: HTMLFieldSetElement = createFieldset('3. Security bundle');
+  bundles.appendChild(createChoice('radio', 'bundle', '', 'No bundle', false));
+  services.bundles.forEach((bundle: ServiceOffering): void => {
+    bundles.appendChild(createChoice('radio', 'bundle', bundle.id, bundle.name, bundle.id === DEFAULT_BUNDLE));
+  });
+
+  const addOns: HTMLFieldSetElement = createFieldset('4. Add-on services');
+  services.addOns.forEach((addOn: ServiceOffering): void => {
+    addOns.appendChild(createChoice('checkbox', 'addOn', addOn.id, addOn.name, false));
+  });
+
+  const managed: HTMLFieldSetElement = createFieldset('5. Managed service');
+  managed.appendChild(createChoice('radio', 'managed', '', 'Self-managed', true));
+  services.managedTiers.forEach((tier: ServiceOffering): void => {
+    managed.appendChild(createChoice('radio', 'managed', tier.id, tier.name, false));
+  });
+
+  const controls: HTMLDivElement = document.createElement('div');
+  controls.className = 'quote-builder__controls';
+  controls.append(hardware, term, bundles, addOns, managed);
+
+  const output: HTMLDivElement = document.createElement('div');
+  output.className = 'quote-builder__output';
+  output.setAttribute('aria-live', 'polite');
+
+  const printBtn: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'button', className: 'btn btn--modern btn--amazon btn--small', textContent: 'Print quote'
+  });
+  const csvBtn: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'button', className: 'btn btn--modern btn--outline-dark btn--small', textContent: 'Download CSV'
+  });
+  const jsonBtn: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'button', className: 'btn btn--modern btn--outline-dark btn--small', textContent: 'Download JSON'
+  });
+  const actions: HTMLDivElement = document.createElement('div');
+  actions.className = 'quote-builder__actions';
+  actions.append(printBtn, csvBtn, jsonBtn);
+
+  const summary: HTMLDivElement = document.createElement('div');
+  summary.className = 'quote-builder__summary';
+  summary.append(output, actions);
+
+  form.append(controls, summary);
+
+  let quote: Quote | null = null;
+
+  // Prices follow the firewall's service class; add-ons the bundle covers are shown as included
+  function update(): void {
+    const selection: QuoteSelection = readSelection(form);
+    const product: CatalogProduct | undefined = catalog.bySku.get(firewall.value);
+    const applianceClass: ApplianceClass | null = product ? applianceClassFor(services, product) : null;
+    const available: ServiceOffering[] = availableAddOns(services, selection.bundleId);
+
+    const priceLabels: [HTMLFieldSetElement, readonly ServiceOffering[]][] = [
+      [bundles, services.bundles], [addOns, services.addOns], [managed, services.managedTiers]
+    ];
+    priceLabels.forEach(([fieldset, offerings]: [HTMLFieldSetElement, readonly ServiceOffering[]]): void => {
+      offerings.forEach((offering: ServiceOffering): void => {
+        const input: HTMLInputElement | null = fieldset.querySelector<HTMLInputElement>(`input[value="${offering.id}"]`);
+        const price: HTMLElement | null | undefined = input?.parentElement?.querySelector<HTMLElement>('.quote-builder__choice-price');
+        if (!input || !price) return;
+
+        const included: boolean = fieldset === addOns && !available.includes(offering);
+        input.disabled = included;
+        price.textContent = included
+          ? 'Included'
+          : offering.annual && applianceClass ? `${formatCurrency(offering.annual[applianceClass.id])}/yr` : 'Contact Sales';
+      });
+    });
+
+    quote = product ? buildQuote(product, services, selection) : null;
+    if (quote) {
+      renderQuote(output, quote);
+    } else {
+      const message: HTMLParagraphElement = document.createElement('p');
+      message.className = 'quote-builder__notes';
+      message.textContent = 'Choose a firewall to see your quote.';
+      output.replaceChildren(message);
+    }
+    [printBtn, csvBtn, jsonBtn].forEach((button: HTMLButtonElement): void => {
+      button.disabled = !quote;
+    });
+  }
+
+  function exported(format: 'print' | 'csv' | 'json', current: Quote): void {
+    track('quote_export', {
+      format,
+      sku: current.product.sku,
+      quantity: current.quantity,
+      termYears: current.term.years,
+      total: current.totals.total
+    });
+  }
+
+  form.addEventListener('change', update, { signal });
+  form.addEventListener('input', update, { signal });
+  form.addEventListener('submit', (e: Event): void => e.preventDefault(), { signal });
+
+  printBtn.addEventListener('click', (): void => {
+    if (!quote) return;
+    exported('print', quote);
+    printQuote(signal);
+  }, { signal });
+  csvBtn.addEventListener('click', (): void => {
+    if (!quote) return;
+    exported('csv', quote);
+    download(quoteFilename(quote, 'csv'), 'text/csv;charset=utf-8', quoteToCsv(quote));
+  }, { signal });
+  jsonBtn.addEventListener('click', (): void => {
+    if (!quote) return;
+    exported('json', quote);
+    download(quoteFilename(quote, 'json'), 'application/json', quoteToJson(quote, new Date()));
+  }, { signal });
+
+  onAbort(signal, (): void => document.documentElement.classList.remove(PRINTING_CLASS));
+  update();
+}
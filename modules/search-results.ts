@@ -0,0 +1,170 @@
+/**
+ * SonicWall Amazon Storefront - Search results
+ * Fills the search.html results page for the ?q= / ?category= query.
+ * Root: the section.search-results element.
+ */
+
+import { SEARCH_TYPE_LABELS, loadSearchIndex, searchEntries } from '../search.js';
+import type { SearchCategory, SearchEntry, SearchIndex } from '../search.js';
+import { addToCart, readCartProduct } from './cart-store.js';
+import type { CartProduct } from './cart-store.js';
+import { formatCurrency } from './core.js';
+
+// ==========================================================================
+// SEARCH RESULTS -- search.html
+// ==========================================================================
+
+function createStarRating(rating: number, reviews: number): HTMLDivElement {
+  const wrapper: HTMLDivElement = document.createElement('div');
+  wrapper.className = 'product-card__rating';
+
+  const stars: HTMLSpanElement = document.createElement('span');
+  stars.className = 'stars';
+  stars.setAttribute('role', 'img');
+  stars.setAttribute('aria-label', `${rating} out of 5 stars`);
+  for (let i = 1; i <= Math.floor(rating); i++) {
+    stars.appendChild(document.createElement('span')).className = 'star-filled';
+  }
+  if (rating - Math.floor(rating) >= 0.5) {
+    stars.appendChild(document.createElement('span')).className = 'star-half';
+  }
+
+  const count: HTMLSpanElement = document.createElement('span');
+  count.className = 'rating-count';
+  count.setAttribute('aria-label', `${reviews} customer reviews`);
+  count.textContent = String(reviews);
+
+  wrapper.append(stars, count);
+  return wrapper;
+}
+
+/** Same structure as the build-time cards in scripts/render-catalog.js. */
+function createResultCard(entry: SearchEntry): HTMLElement {
+  const card: HTMLElement = document.createElement('article');
+  card.className = 'product-card';
+  card.dataset.sku = entry.sku ?? '';
+  if (entry.asin) card.dataset.asin = entry.asin;
+  if (typeof entry.price === 'number') card.dataset.price = entry.price.toFixed(2);
+
+  const imageWrap: HTMLDivElement = document.createElement('div');
+  imageWrap.className = 'product-card__image';
+  if (entry.image) {
+    const img: HTMLImageElement = document.createElement('img');
+    img.src = entry.image;
+    img.alt = entry.title;
+    img.width = 400;
+    img.height = 300;
+    img.loading = 'lazy';
+    imageWrap.appendChild(img);
+  }
+  card.appendChild(imageWrap);
+
+  const name: HTMLHeadingElement = document.createElement('h3');
+  name.className = 'product-card__name';
+  const link: HTMLAnchorElement = document.createElement('a');
+  link.href = entry.href;
+  link.textContent = entry.title;
+  name.appendChild(link);
+  card.appendChild(name);
+
+  if (entry.rating && entry.reviews) card.appendChild(createStarRating(entry.rating, entry.reviews));
+
+  if (typeof entry.price === 'number') {
+    const [whole, fraction] = formatCurrency(entry.price).slice(1).split('.');
+    const price: HTMLSpanElement = document.createElement('span');
+    price.className = 'product-card__price';
+    [['symbol', '$'], ['whole', whole], ['fraction', '.' + fraction]].forEach(([part, text]: string[]): void => {
+      const span: HTMLSpanElement = document.createElement('span');
+      span.className = `product-card__price-${part}`;
+      span.textContent = text;
+      price.appendChild(span);
+    });
+    card.appendChild(price);
+  }
+
+  const cta: HTMLElement = typeof entry.price === 'number'
+    ? document.createElement('button')
+    : Object.assign(document.createElement('a'), { href: entry.href });
+  cta.className = 'btn btn--modern btn--amazon btn--small';
+  cta.textContent = typeof entry.price === 'number' ? 'Add to Cart' : 'See options →';
+  card.appendChild(cta);
+
+  const product: CartProduct | null = readCartProduct(card);
+  if (product) {
+    cta.addEventListener('click', (e: Event): void => {
+      e.preventDefault();
+      addToCart(product);
+    });
+  }
+  return card;
+}
+
+function createResultItem(entry: SearchEntry): HTMLLIElement {
+  const item: HTMLLIElement = document.createElement('li');
+  item.className = 'search-results__item';
+
+  const type: HTMLSpanElement = document.createElement('span');
+  type.className = 'search-results__type';
+  type.textContent = SEARCH_TYPE_LABELS[entry.type];
+
+  const link: HTMLAnchorElement = document.createElement('a');
+  link.className = 'search-results__link';
+  link.href = entry.href;
+  link.textContent = entry.title;
+
+  const description: HTMLParagraphElement = document.createElement('p');
+  description.className = 'search-results__description';
+  description.textContent = entry.subtitle;
+
+  item.append(type, link, description);
+  return item;
+}
+
+export function init(resultsSection: HTMLElement, signal: AbortSignal): void {
+  const params: URLSearchParams = new URLSearchParams(window.location.search);
+  const query: string = (params.get('q') ?? '').trim();
+  const category: SearchCategory = (params.get('category') ?? '') as SearchCategory;
+
+  const summary = resultsSection.querySelector('.search-results__summary') as HTMLElement;
+  const grid = resultsSection.querySelector('.search-results__products') as HTMLElement;
+  const pages = resultsSection.querySelector('.search-results__pages') as HTMLElement;
+
+  // Echo the query back into the header search boxes
+  document.querySelectorAll<HTMLInputElement>('form[role="search"] input[name="q"]').forEach(
+    (input: HTMLInputElement): void => { input.value = query; }
+  );
+  const headerSelect: HTMLSelectElement | null = document.querySelector('.amazon-header__search-category');
+  if (headerSelect) headerSelect.value = category;
+
+  if (!query) {
+    summary.textContent = 'Enter a product, series or service name to search the store.';
+    return;
+  }
+
+  document.title = `“${query}” - Search | SonicWall Official Store on Amazon`;
+  summary.textContent = 'Searching…';
+
+  loadSearchIndex()
+    .then((index: SearchIndex): void => {
+      if (signal.aborted) return;
+      const results: SearchEntry[] = searchEntries(index, query, { category });
+      const products: SearchEntry[] = results.filter((entry: SearchEntry): boolean => entry.type === 'product');
+      const others: SearchEntry[] = results.filter((entry: SearchEntry): boolean => entry.type !== 'product');
+
+      grid.replaceChildren(...products.map(createResultCard));
+      pages.replaceChildren(...others.map(createResultItem));
+      grid.hidden = !products.length;
+      pages.hidden = !others.length;
+
+      const scope: string = headerSelect && category
+        ? ` in ${headerSelect.options[headerSelect.selectedIndex].text}`
+        : '';
+      summary.textContent = results.length
+        ? `${results.length} ${results.length === 1 ? 'result' : 'results'} for “${query}”${scope}`
+        : `No results for “${query}”${scope}. Try a model number such as TZ280W or a service like Capture ATP.`;
+    })
+    .catch((): void => {
+      if (signal.aborted) return;
+      summary.textContent = 'Search is unavailable right now. Please try again later.';
+    });
+}
@@ -0,0 +1,96 @@
+/**
+ * SonicWall Amazon Storefront - Service worker registration
+ * Registers the offline service worker the build generates (sw.js) and,
+ * when a newer version has installed behind the current one, offers to
+ * switch to it. Nothing happens where sw.js is missing (local, unbuilt
+ * pages) or service workers are unavailable.
+ */
+
+const SERVICE_WORKER_URL = 'sw.js' as const;
+
+// ==========================================================================
+// UPDATE PROMPT
+// ==========================================================================
+
+function showUpdatePrompt(worker: ServiceWorker): void {
+  if (document.querySelector('.sw-update')) return;
+
+  const prompt: HTMLDivElement = document.createElement('div');
+  prompt.className = 'sw-update';
+  prompt.setAttribute('role', 'status');
+  prompt.innerHTML = `
+    <p class="sw-update__text">A new version of the store is available.</p>
+    <button type="button" class="btn btn--modern btn--amazon btn--small" data-sw-action="reload">Refresh</button>
+    <button type="button" class="sw-update__dismiss" aria-label="Dismiss update notice" data-sw-action="dismiss">&times;</button>
+  `;
+
+  prompt.addEventListener('click', (e: Event): void => {
+    const button: HTMLButtonElement | null = (e.target as HTMLElement).closest<HTMLButtonElement>('[data-sw-action]');
+    if (button?.dataset.swAction === 'reload') {
+      button.disabled = true;
+      // The page reloads on controllerchange once the new version has taken over
+      worker.postMessage({ type: 'SKIP_WAITING' });
+    } else if (button?.dataset.swAction === 'dismiss') {
+      prompt.remove();
+    }
+  });
+
+  document.body.appendChild(prompt);
+}
+
+function watchForUpdates(registration: ServiceWorkerRegistration): void {
+  // Installed on an earlier visit and still waiting for the old version's pages to close
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    showUpdatePrompt(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', (): void => {
+    const installing: ServiceWorker | null = registration.installing;
+    if (!installing) return;
+    installing.addEventListener('statechange', (): void => {
+      // Without a controller this is the first install, not an update
+      if (installing.state === 'installed' && navigator.serviceWorker.controller) {
+        showUpdatePrompt(installing);
+      }
+    });
+  });
+
+  // Back on the network after a stretch offline (trade-show Wi-Fi): look for a new version
+  window.addEventListener('online', (): void => {
+    registration.update().catch((): void => {
+      // Still unreachable -- the next navigation checks again
+    });
+  });
+}
+
+// ==========================================================================
+// REGISTRATION
+// ==========================================================================
+
+function register(): void {
+  // Only reload for an update -- not when the very first version claims the page
+  const hadController: boolean = !!navigator.serviceWorker.controller;
+  let reloading: boolean = false;
+  navigator.serviceWorker.addEventListener('controllerchange', (): void => {
+    if (!hadController || reloading) return;
+    reloading = true;
+    window.location.reload();
+  });
+
+  navigator.serviceWorker.register(SERVICE_WORKER_URL)
+    .then(watchForUpdates)
+    .catch((): void => {
+      // No sw.js (unbuilt pages) or registration refused (private mode) -- online only
+    });
+}
+
+/** Registers once the page has loaded, so precaching does not compete with it. */
+export function registerServiceWorker(): void {
+  if (!('serviceWorker' in navigator)) return;
+
+  if (document.readyState === 'complete') {
+    register();
+  } else {
+    window.addEventListener('load', register, { once: true });
+  }
+}
@@ -0,0 +1,208 @@
+/**
+ * SonicWall Amazon Storefront - Search typeahead
+ * Suggestions under a header search form as the shopper types, from the
+ * build-time index. Root: a form[role="search"].
+ */
+
+import type { SearchCategory, SearchEntry, SearchEntryType, SearchIndex } from '../search.js';
+import { debounce, formatCurrency, onAbort } from './core.js';
+
+// ==========================================================================
+// SITE SEARCH -- Header typeahead
+// ==========================================================================
+
+const SEARCH_SUGGESTION_LIMIT = 8 as const;
+const SEARCH_DEBOUNCE_MS = 120 as const;
+
+let typeaheadCount: number = 0;
+
+function readSearchCategory(select: HTMLSelectElement | null): SearchCategory {
+  return (select?.value ?? '') as SearchCategory;
+}
+
+function initSearchTypeahead(form: HTMLFormElement, signal: AbortSignal): void {
+  const inputMaybe: HTMLInputElement | null = form.querySelector('input[name="q"]');
+
+  if (!inputMaybe) return;
+  const input: HTMLInputElement = inputMaybe;
+  const categorySelect: HTMLSelectElement | null = form.querySelector('select[name="category"]');
+
+  const listId: string = `search-suggest-${++typeaheadCount}`;
+  const list: HTMLUListElement = document.createElement('ul');
+  list.className = 'search-suggest';
+  list.id = listId;
+  list.hidden = true;
+  list.setAttribute('role', 'listbox');
+  list.setAttribute('aria-label', 'Search suggestions');
+  form.appendChild(list);
+
+  input.setAttribute('role', 'combobox');
+  input.setAttribute('aria-autocomplete', 'list');
+  input.setAttribute('aria-controls', listId);
+  input.setAttribute('aria-expanded', 'false');
+
+  onAbort(signal, (): void => {
+    list.remove();
+    ['role', 'aria-autocomplete', 'aria-controls', 'aria-expanded', 'aria-activedescendant']
+      .forEach((name: string): void => input.removeAttribute(name));
+  });
+
+  let results: SearchEntry[] = [];
+  let activeIndex: number = -1;
+
+  function close(): void {
+    list.hidden = true;
+    activeIndex = -1;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+  }
+
+  function setActive(index: number): void {
+    const options: HTMLElement[] = Array.from(list.querySelectorAll<HTMLElement>('[role="option"]'));
+    if (!options.length) return;
+
+    // Wrap around; the last option is "See all results"
+    activeIndex = (index + options.length) % options.length;
+    options.forEach((option: HTMLElement, i: number): void => {
+      option.classList.toggle('search-suggest__option--active', i === activeIndex);
+      option.setAttribute('aria-selected', String(i === activeIndex));
+    });
+    input.setAttribute('aria-activedescendant', options[activeIndex].id);
+    options[activeIndex].scrollIntoView({ block: 'nearest' });
+  }
+
+  function createOption(index: number, title: string, meta: string, href: string): HTMLLIElement {
+    const option: HTMLLIElement = document.createElement('li');
+    option.className = 'search-suggest__option';
+    option.id = `${listId}-option-${index}`;
+    option.dataset.href = href;
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', 'false');
+
+    const titleEl: HTMLSpanElement = document.createElement('span');
+    titleEl.className = 'search-suggest__title';
+    titleEl.textContent = title;
+    const metaEl: HTMLSpanElement = document.createElement('span');
+    metaEl.className = 'search-suggest__meta';
+    metaEl.textContent = meta;
+
+    option.append(titleEl, metaEl);
+    return option;
+  }
+
+  function render(query: string, typeLabels: Readonly<Record<SearchEntryType, string>>): void {
+    activeIndex = -1;
+    input.removeAttribute('aria-activedescendant');
+
+    if (!query.trim()) {
+      close();
+      return;
+    }
+
+    const options: HTMLLIElement[] = results.map((entry: SearchEntry, index: number): HTMLLIElement => {
+      const detail: string = entry.type === 'product' && typeof entry.price === 'number'
+        ? formatCurrency(entry.price)
+        : entry.subtitle;
+      return createOption(index, entry.title, `${typeLabels[entry.type]} · ${detail}`, entry.href);
+    });
+    const seeAll: HTMLLIElement = createOption(
+      options.length,
+      results.length ? `See all results for “${query.trim()}”` : `No quick matches for “${query.trim()}”`,
+      results.length ? 'Search' : 'Search the whole store',
+      ''
+    );
+    seeAll.classList.add('search-suggest__option--all');
+    options.push(seeAll);
+
+    list.replaceChildren(...options);
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+  }
+
+  const update = debounce((): void => {
+    const query: string = input.value;
+    // Ranking (and the index) are only fetched once the shopper types
+    import('../search.js')
+      .then((search): Promise<void> => search.loadSearchIndex().then((index: SearchIndex): void => {
+        // Ignore responses for a query the shopper has already changed
+        if (signal.aborted || query !== input.value) return;
+        results = search.searchEntries(index, query, {
+          category: readSearchCategory(categorySelect),
+          limit: SEARCH_SUGGESTION_LIMIT
+        });
+        render(query, search.SEARCH_TYPE_LABELS);
+      }))
+      .catch((): void => {
+        // Index or chunk unavailable -- the form still submits to search.html
+      });
+  }, SEARCH_DEBOUNCE_MS, signal);
+
+  function choose(option: HTMLElement): void {
+    const href: string | undefined = option.dataset.href;
+    if (href) {
+      window.location.href = href;
+    } else {
+      form.requestSubmit();
+    }
+  }
+
+  input.addEventListener('input', update, { signal });
+  input.addEventListener('focus', (): void => {
+    if (input.value.trim()) update();
+  }, { signal });
+  categorySelect?.addEventListener('change', (): void => {
+    if (input.value.trim()) update();
+  }, { signal });
+
+  input.addEventListener('keydown', (e: KeyboardEvent): void => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        if (list.hidden) {
+          update();
+        } else {
+          setActive(activeIndex + 1);
+        }
+        break;
+      case 'ArrowUp':
+        if (list.hidden) return;
+        e.preventDefault();
+        setActive(activeIndex - 1);
+        break;
+      case 'Enter': {
+        const active: HTMLElement | null = activeIndex >= 0 ? list.children[activeIndex] as HTMLElement : null;
+        if (!active) return; // Plain Enter submits the form
+        e.preventDefault();
+        choose(active);
+        break;
+      }
+      case 'Escape':
+        if (!list.hidden) {
+          e.preventDefault();
+          close();
+        }
+        break;
+    }
+  }, { signal });
+
+  // mousedown keeps focus in the input so blur doesn't close the list first
+  list.addEventListener('mousedown', (e: Event): void => e.preventDefault(), { signal });
+  list.addEventListener('click', (e: Event): void => {
+    const option: HTMLElement | null = (e.target as Element).closest('[role="option"]');
+    if (option) choose(option);
+  }, { signal });
+
+  input.addEventListener('blur', close, { signal });
+
+  // An empty search has nowhere useful to go
+  form.addEventListener('submit', (e: Event): void => {
+    if (!input.value.trim()) {
+      e.preventDefault();
+      input.focus();
+    }
+  }, { signal });
+}
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  if (root instanceof HTMLFormElement) initSearchTypeahead(root, signal);
+}
@@ -0,0 +1,357 @@
+/**
+ * SonicWall Amazon Storefront - Firewall sizing advisor
+ * A step-by-step questionnaire (users, bandwidth, VPN, sites, Wi-Fi,
+ * compliance, growth) that recommends TZ, NSa or NSsp models with the
+ * reasoning, linking each to its series section. Scoring lives in
+ * firewall-sizing.ts. Root: an empty form.sizing-wizard.
+ */
+
+import { loadCatalog, productHref } from '../catalog.js';
+import type { Catalog } from '../catalog.js';
+import type { SizingAnswers, SizingCompliance, SizingGrowth, SizingRecommendation, SizingWifi } from '../firewall-sizing.js';
+import { track } from './analytics.js';
+import { formatCurrency, onAbort, smoothScrollTo } from './core.js';
+
+// ==========================================================================
+// SIZING ADVISOR -- Questions, one step at a time, then recommendations
+// ==========================================================================
+
+interface SizingStep {
+  readonly title: string;
+  readonly build: () => HTMLElement[];
+}
+
+const BANDWIDTH_OPTIONS_MBPS: readonly number[] = [100, 300, 500, 1000, 2500, 5000, 10000, 25000, 50000];
+
+const WIFI_OPTIONS: readonly (readonly [SizingWifi, string])[] = [
+  ['built-in', 'Built into the firewall'],
+  ['access-points', 'Separate access points'],
+  ['none', 'No Wi-Fi needed']
+];
+
+const COMPLIANCE_OPTIONS: readonly (readonly [SizingCompliance, string])[] = [
+  ['pci', 'PCI DSS (card payments)'],
+  ['hipaa', 'HIPAA (health data)'],
+  ['other', 'Other regulations']
+];
+
+const GROWTH_OPTIONS: readonly (readonly [SizingGrowth, string])[] = [
+  [1, '1 year'],
+  [3, '3 years'],
+  [5, '5 years']
+];
+
+let nextId: number = 0;
+
+function createField(label: string, input: HTMLInputElement | HTMLSelectElement, hint?: string): HTMLElement {
+  const id: string = `sizing-${++nextId}`;
+  const field: HTMLDivElement = document.createElement('div');
+  field.className = 'sizing-wizard__field';
+
+  const labelEl: HTMLLabelElement = document.createElement('label');
+  labelEl.className = 'sizing-wizard__label';
+  labelEl.htmlFor = id;
+  labelEl.textContent = label;
+  input.id = id;
+  field.append(labelEl, input);
+
+  if (hint) {
+    const hintEl: HTMLParagraphElement = document.createElement('p');
+    hintEl.className = 'sizing-wizard__hint';
+    hintEl.id = `${id}-hint`;
+    hintEl.textContent = hint;
+    input.setAttribute('aria-describedby', hintEl.id);
+    field.appendChild(hintEl);
+  }
+  return field;
+}
+
+function createNumberInput(name: string, value: number, min: number): HTMLInputElement {
+  const input: HTMLInputElement = document.createElement('input');
+  input.type = 'number';
+  input.className = 'sizing-wizard__input';
+  input.name = name;
+  input.value = String(value);
+  input.min = String(min);
+  input.max = '100000';
+  input.step = '1';
+  input.inputMode = 'numeric';
+  input.required = true;
+  return input;
+}
+
+function createChoiceGroup(
+  legendText: string,
+  type: 'radio' | 'checkbox',
+  name: string,
+  options: readonly (readonly [string | number, string])[],
+  checked: readonly (string | number)[]
+): HTMLFieldSetElement {
+  const group: HTMLFieldSetElement = document.createElement('fieldset');
+  group.className = 'sizing-wizard__choices';
+  const legend: HTMLLegendElement = document.createElement('legend');
+  legend.className = 'sizing-wizard__label';
+  legend.textContent = legendText;
+  group.appendChild(legend);
+
+  options.forEach(([value, text]: readonly [string | number, string]): void => {
+    const label: HTMLLabelElement = document.createElement('label');
+    label.className = 'sizing-wizard__choice';
+    const input: HTMLInputElement = document.createElement('input');
+    input.type = type;
+    input.name = name;
+    input.value = String(value);
+    input.checked = checked.includes(value);
+    label.append(input, ' ' + text);
+    group.appendChild(label);
+  });
+  return group;
+}
+
+const STEPS: readonly SizingStep[] = [
+  {
+    title: 'Your organization',
+    build: (): HTMLElement[] => [
+      createField('How many people use the network?', createNumberInput('users', 25, 1),
+        'Count employees, or devices if there are more of them.'),
+      createField('How many locations need protecting?', createNumberInput('sites', 1, 1),
+        'Each additional site connects back over a site-to-site VPN.')
+    ]
+  },
+  {
+    title: 'Connectivity',
+    build: (): HTMLElement[] => {
+      const bandwidth: HTMLSelectElement = document.createElement('select');
+      bandwidth.className = 'sizing-wizard__input';
+      bandwidth.name = 'bandwidth';
+      BANDWIDTH_OPTIONS_MBPS.forEach((mbps: number): void => {
+        const text: string = mbps >= 1000 ? `${mbps / 1000} Gbps` : `${mbps} Mbps`;
+        bandwidth.add(new Option(text, String(mbps), mbps === 500, mbps === 500));
+      });
+      return [
+        createField('Internet connection speed', bandwidth, 'Your fastest internet link at this location.'),
+        createField('Remote workers on VPN at the same time', createNumberInput('vpnUsers', 0, 0))
+      ];
+    }
+  },
+  {
+    title: 'Requirements',
+    build: (): HTMLElement[] => [
+      createChoiceGroup('Wi-Fi', 'radio', 'wifi', WIFI_OPTIONS, ['access-points']),
+      createChoiceGroup('Compliance requirements (optional)', 'checkbox', 'compliance', COMPLIANCE_OPTIONS, [])
+    ]
+  },
+  {
+    title: 'Growth',
+    build: (): HTMLElement[] => [
+      createChoiceGroup('How long should the firewall last before you outgrow it?', 'radio', 'growth', GROWTH_OPTIONS, [3])
+    ]
+  }
+];
+
+function readAnswers(form: HTMLFormElement): SizingAnswers {
+  const data: FormData = new FormData(form);
+  const number = (key: string): number => Math.max(0, Math.floor(Number(data.get(key)) || 0));
+  return {
+    users: Math.max(1, number('users')),
+    bandwidthMbps: number('bandwidth') || BANDWIDTH_OPTIONS_MBPS[0],
+    vpnUsers: number('vpnUsers'),
+    sites: Math.max(1, number('sites')),
+    wifi: (data.get('wifi') as SizingWifi | null) ?? 'none',
+    compliance: data.getAll('compliance') as SizingCompliance[],
+    growthYears: (Number(data.get('growth')) || 3) as SizingGrowth
+  };
+}
+
+// ==========================================================================
+// RESULTS
+// ==========================================================================
+
+function createRecommendation(catalog: Catalog, recommendation: SizingRecommendation, rank: number): HTMLElement {
+  const { product, score, reasons } = recommendation;
+  const series: string = catalog.seriesById.get(product.series)?.label ?? product.series;
+
+  const card: HTMLElement = document.createElement('article');
+  card.className = 'sizing-result' + (rank === 0 ? ' sizing-result--top' : '');
+  card.dataset.sku = product.sku;
+
+  const header: HTMLDivElement = document.createElement('div');
+  header.className = 'sizing-result__header';
+  const name: HTMLHeadingElement = document.createElement('h4');
+  name.className = 'sizing-result__name';
+  name.textContent = product.title;
+  const match: HTMLSpanElement = document.createElement('span');
+  match.className = 'sizing-result__score';
+  match.textContent = `${score}% match`;
+  header.append(name, match);
+
+  const meta: HTMLParagraphElement = document.createElement('p');
+  meta.className = 'sizing-result__meta';
+  meta.textContent = [rank === 0 ? 'Best fit' : null, series, product.price === null ? 'Contact Sales' : formatCurrency(product.price)]
+    .filter(Boolean)
+    .join(' · ');
+
+  const list: HTMLUListElement = document.createElement('ul');
+  list.className = 'sizing-result__reasons';
+  reasons.forEach((reason: string): void => {
+    list.appendChild(document.createElement('li')).textContent = reason;
+  });
+
+  const link: HTMLAnchorElement = document.createElement('a');
+  link.className = 'btn btn--modern btn--amazon btn--small';
+  link.href = productHref(catalog, product);
+  link.textContent = `See the ${series} →`;
+  link.setAttribute('aria-label', `See the ${product.title} in the ${series}`);
+
+  card.append(header, meta, list, link);
+  return card;
+}
+
+function renderResults(results: HTMLElement, catalog: Catalog, recommendations: readonly SizingRecommendation[]): void {
+  const heading: HTMLHeadingElement = document.createElement('h3');
+  heading.className = 'sizing-wizard__results-title';
+  const fits: boolean = recommendations.some((r: SizingRecommendation): boolean => r.fits);
+  heading.textContent = fits ? 'Recommended for your network' : 'Your network needs more than one appliance';
+
+  const nodes: HTMLElement[] = [heading];
+  if (!fits) {
+    const note: HTMLParagraphElement = document.createElement('p');
+    note.className = 'sizing-wizard__note';
+    note.textContent = 'No single firewall covers these numbers with room to grow. These are the largest models; '
+      + 'our security experts can design a clustered or multi-site deployment.';
+    nodes.push(note);
+  }
+
+  const grid: HTMLDivElement = document.createElement('div');
+  grid.className = 'sizing-wizard__results-grid';
+  grid.append(...recommendations
+    .filter((r: SizingRecommendation): boolean => r.fits === fits)
+    .map((r: SizingRecommendation, rank: number): HTMLElement => createRecommendation(catalog, r, rank)));
+  nodes.push(grid);
+
+  results.replaceChildren(...nodes);
+}
+
+function renderMessage(results: HTMLElement, text: string): void {
+  const message: HTMLParagraphElement = document.createElement('p');
+  message.className = 'sizing-wizard__note';
+  message.textContent = text;
+  results.replaceChildren(message);
+}
+
+// ==========================================================================
+// WIZARD
+// ==========================================================================
+
+function initSizingWizard(form: HTMLFormElement, signal: AbortSignal): void {
+  const progress: HTMLParagraphElement = document.createElement('p');
+  progress.className = 'sizing-wizard__progress';
+  progress.setAttribute('aria-live', 'polite');
+
+  const steps: HTMLFieldSetElement[] = STEPS.map((step: SizingStep, index: number): HTMLFieldSetElement => {
+    const fieldset: HTMLFieldSetElement = document.createElement('fieldset');
+    fieldset.className = 'sizing-wizard__step';
+    fieldset.dataset.step = String(index);
+    const legend: HTMLLegendElement = document.createElement('legend');
+    legend.className = 'sizing-wizard__step-title';
+    legend.textContent = step.title;
+    fieldset.append(legend, ...step.build());
+    return fieldset;
+  });
+
+  const backBtn: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'button', className: 'btn btn--modern btn--outline-dark btn--small', textContent: '← Back'
+  });
+  const nextBtn: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'button', className: 'btn btn--modern btn--amazon btn--small', textContent: 'Next →'
+  });
+  const submitBtn: HTMLButtonElement = Object.assign(document.createElement('button'), {
+    type: 'submit', className: 'btn btn--modern btn--amazon btn--small', textContent: 'See my recommendations'
+  });
+  const actions: HTMLDivElement = document.createElement('div');
+  actions.className = 'sizing-wizard__actions';
+  actions.append(backBtn, nextBtn, submitBtn);
+
+  const results: HTMLDivElement = document.createElement('div');
+  results.className = 'sizing-wizard__results';
+  results.tabIndex = -1;
+  results.setAttribute('aria-live', 'polite');
+  results.hidden = true;
+
+  form.append(progress, ...steps, actions, results);
+  form.noValidate = true;
+  form.hidden = false;
+
+  let current: number = 0;
+  let requestId: number = 0;
+
+  function showStep(index: number, focus: boolean): void {
+    current = index;
+    steps.forEach((step: HTMLFieldSetElement, i: number): void => {
+      step.hidden = i !== index;
+    });
+    progress.textContent = `Step ${index + 1} of ${steps.length}: ${STEPS[index].title}`;
+    backBtn.hidden = index === 0;
+    nextBtn.hidden = index === steps.length - 1;
+    submitBtn.hidden = index !== steps.length - 1;
+    if (focus) steps[index].querySelector<HTMLElement>('input, select')?.focus();
+  }
+
+  // Native messages, one step at a time (the form itself is noValidate)
+  function stepIsValid(index: number): boolean {
+    const invalid: HTMLInputElement | undefined = Array.from(steps[index].querySelectorAll<HTMLInputElement>('input'))
+      .find((input: HTMLInputElement): boolean => !input.checkValidity());
+    invalid?.reportValidity();
+    return !invalid;
+  }
+
+  backBtn.addEventListener('click', (): void => showStep(Math.max(0, current - 1), true), { signal });
+  nextBtn.addEventListener('click', (): void => {
+    if (stepIsValid(current)) showStep(current + 1, true);
+  }, { signal });
+
+  form.addEventListener('submit', (e: Event): void => {
+    e.preventDefault();
+    const invalidStep: number = steps.findIndex((_step: HTMLFieldSetElement, i: number): boolean => !stepIsValid(i));
+    if (invalidStep !== -1) {
+      showStep(invalidStep, false);
+      return;
+    }
+
+    const answers: SizingAnswers = readAnswers(form);
+    const request: number = ++requestId;
+    results.hidden = false;
+    renderMessage(results, 'Finding the right firewall…');
+
+    // Scoring is only fetched once there are answers to score
+    Promise.all([loadCatalog(), import('../firewall-sizing.js')])
+      .then(([catalog, sizing]): void => {
+        if (signal.aborted || request !== requestId) return;
+        const recommendations: SizingRecommendation[] = sizing.recommendFirewalls(catalog.products, answers);
+        renderResults(results, catalog, recommendations);
+        results.focus({ preventScroll: true });
+        smoothScrollTo(results);
+        track('sizing_recommendation', {
+          skus: recommendations.map((r: SizingRecommendation): string => r.product.sku),
+          users: answers.users,
+          bandwidthMbps: answers.bandwidthMbps,
+          fits: recommendations.some((r: SizingRecommendation): boolean => r.fits)
+        });
+      })
+      .catch((): void => {
+        if (signal.aborted || request !== requestId) return;
+        renderMessage(results, 'We couldn\'t load the product catalog. Check your connection and try again.');
+      });
+  }, { signal });
+
+  showStep(0, false);
+
+  onAbort(signal, (): void => {
+    form.replaceChildren();
+    form.hidden = true;
+  });
+}
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  if (root instanceof HTMLFormElement) initSizingWizard(root, signal);
+}
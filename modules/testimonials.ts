@@ -0,0 +1,147 @@
+/**
+ * SonicWall Amazon Storefront - Testimonial carousel
+ * Dot navigation, auto-advance and swipe for the home page testimonials.
+ * Root: the .testimonials-section.
+ */
+
+import { onAbort, prefersReducedMotion } from './core.js';
+
+const TESTIMONIAL_INTERVAL_MS = 5000 as const;
+const TOUCH_SWIPE_THRESHOLD = 75 as const;
+
+// ==========================================================================
+// TESTIMONIAL CAROUSEL
+// ==========================================================================
+
+export function init(testimonialSection: HTMLElement, signal: AbortSignal): void {
+  const dots: NodeListOf<Element> = testimonialSection.querySelectorAll('.dot');
+
+  if (!dots.length) return;
+
+  let currentTestimonialIndex: number = 0;
+  let testimonialInterval: ReturnType<typeof setInterval> | null = null;
+  let touchStartX: number = 0;
+  let touchEndX: number = 0;
+
+  // Add ARIA attributes -- dots act as tab-like controls
+  const dotsContainer: HTMLElement | null = testimonialSection.querySelector('.dots-container, .testimonial-dots');
+  if (dotsContainer) {
+    dotsContainer.setAttribute('role', 'tablist');
+    dotsContainer.setAttribute('aria-label', 'Testimonial navigation');
+  }
+
+  dots.forEach((dot: Element, index: number): void => {
+    dot.setAttribute('role', 'tab');
+    dot.setAttribute('aria-label', `Show testimonial ${index + 1}`);
+    dot.setAttribute('tabindex', index === 0 ? '0' : '-1');
+  });
+
+  function updateActiveDot(index: number): void {
+    dots.forEach((dot: Element, i: number): void => {
+      dot.classList.toggle('dot--active', i === index);
+      dot.setAttribute('aria-selected', i === index ? 'true' : 'false');
+      dot.setAttribute('tabindex', i === index ? '0' : '-1');
+    });
+  }
+
+  function nextTestimonial(): void {
+    currentTestimonialIndex = (currentTestimonialIndex + 1) % dots.length;
+    updateActiveDot(currentTestimonialIndex);
+  }
+
+  function prevTestimonial(): void {
+    currentTestimonialIndex = (currentTestimonialIndex - 1 + dots.length) % dots.length;
+    updateActiveDot(currentTestimonialIndex);
+  }
+
+  function resetInterval(): void {
+    if (testimonialInterval) {
+      clearInterval(testimonialInterval);
+    }
+    // Respect reduced motion - disable auto-advance
+    if (!prefersReducedMotion) {
+      testimonialInterval = setInterval(nextTestimonial, TESTIMONIAL_INTERVAL_MS);
+    }
+  }
+
+  // Dot click/keyboard handlers
+  dots.forEach((dot: Element, index: number): void => {
+    dot.addEventListener('click', (): void => {
+      currentTestimonialIndex = index;
+      updateActiveDot(index);
+      resetInterval();
+    }, { signal });
+
+    dot.addEventListener('keydown', (e: Event): void => {
+      const keyEvent = e as KeyboardEvent;
+      if (keyEvent.key === 'Enter' || keyEvent.key === ' ') {
+        keyEvent.preventDefault();
+        currentTestimonialIndex = index;
+        updateActiveDot(index);
+        resetInterval();
+      }
+      // Arrow key navigation between dots
+      if (keyEvent.key === 'ArrowRight') {
+        keyEvent.preventDefault();
+        const nextIndex: number = (index + 1) % dots.length;
+        (dots[nextIndex] as HTMLElement).focus();
+        currentTestimonialIndex = nextIndex;
+        updateActiveDot(nextIndex);
+        resetInterval();
+      }
+      if (keyEvent.key === 'ArrowLeft') {
+        keyEvent.preventDefault();
+        const prevIndex: number = (index - 1 + dots.length) % dots.length;
+        (dots[prevIndex] as HTMLElement).focus();
+        currentTestimonialIndex = prevIndex;
+        updateActiveDot(prevIndex);
+        resetInterval();
+      }
+    }, { signal });
+  });
+
+  // TOUCH SWIPE SUPPORT for mobile
+  testimonialSection.addEventListener('touchstart', (e: Event): void => {
+    const touchEvent = e as TouchEvent;
+    touchStartX = touchEvent.changedTouches[0].screenX;
+  }, { passive: true, signal });
+
+  testimonialSection.addEventListener('touchend', (e: Event): void => {
+    const touchEvent = e as TouchEvent;
+    touchEndX = touchEvent.changedTouches[0].screenX;
+    handleSwipe();
+  }, { passive: true, signal });
+
+  function handleSwipe(): void {
+    const swipeDistance: number = touchEndX - touchStartX;
+
+    if (Math.abs(swipeDistance) > TOUCH_SWIPE_THRESHOLD) {
+      if (swipeDistance > 0) {
+        // Swipe right - previous
+        prevTestimonial();
+      } else {
+        // Swipe left - next
+        nextTestimonial();
+      }
+      resetInterval();
+    }
+  }
+
+  // Pause on hover
+  testimonialSection.addEventListener('mouseenter', (): void => {
+    if (testimonialInterval) {
+      clearInterval(testimonialInterval);
+    }
+  }, { signal });
+
+  testimonialSection.addEventListener('mouseleave', (): void => {
+    resetInterval();
+  }, { signal });
+
+  onAbort(signal, (): void => {
+    if (testimonialInterval) clearInterval(testimonialInterval);
+  });
+
+  // Start auto-advance
+  resetInterval();
+}
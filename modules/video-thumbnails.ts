@@ -0,0 +1,102 @@
+/**
+ * SonicWall Amazon Storefront - Video thumbnails
+ * Thumbnail strip that swaps the main player's video, with a loading
+ * hint. Root: a .video-section holding .video-thumbnail items. The player
+ * is a Brightcove iframe, so it stays click-to-load until the visitor
+ * grants media consent; put its initial URL in data-src, not src.
+ */
+
+import { track } from './analytics.js';
+import { loadEmbed } from './click-to-load.js';
+import type { EmbedOptions } from './click-to-load.js';
+import { EASING_SMOOTH, abortableTimeout, onAbort, prefersReducedMotion } from './core.js';
+
+const BRIGHTCOVE_EMBED: EmbedOptions = { category: 'media', provider: 'Brightcove', kind: 'video' };
+
+export function init(root: HTMLElement, signal: AbortSignal): void {
+  const thumbnails: NodeListOf<Element> = root.querySelectorAll('.video-thumbnail');
+  const mainVideoContainer: HTMLIFrameElement | null = root.querySelector('.video-section__main iframe');
+  const videoWrapper: HTMLElement | null = root.querySelector('.video-section__main');
+
+  if (!thumbnails.length || !mainVideoContainer) return;
+
+  // Add loading state handler for iframe
+  const loadingIndicator: HTMLDivElement = document.createElement('div');
+  loadingIndicator.className = 'video-loading';
+  loadingIndicator.setAttribute('aria-hidden', 'true');
+  loadingIndicator.style.cssText = `
+    position: absolute;
+    top: 50%;
+    left: 50%;
+    transform: translate(-50%, -50%);
+    color: #fff;
+    font-size: 14px;
+    opacity: 0;
+    transition: opacity 0.3s ease;
+    pointer-events: none;
+    z-index: 1;
+  `;
+  loadingIndicator.textContent = 'Loading video...';
+
+  if (videoWrapper) {
+    videoWrapper.style.position = 'relative';
+    videoWrapper.appendChild(loadingIndicator);
+    onAbort(signal, (): void => {
+      loadingIndicator.remove();
+      videoWrapper.style.position = '';
+    });
+  }
+
+  // Video URLs mapped to thumbnails (in order)
+  const videoUrls: readonly string[] = [
+    'https://players.brightcove.net/5380177764001/default_default/index.html?videoId=6372048292112',
+    'https://players.brightcove.net/5380177764001/default_default/index.html?videoId=6372048292112'
+  ];
+
+  // Show loading state on iframe load
+  mainVideoContainer.addEventListener('load', (): void => {
+    loadingIndicator.style.opacity = '0';
+  }, { signal });
+
+  const initialSrc: string | undefined = mainVideoContainer.dataset.src;
+  if (initialSrc) loadEmbed(mainVideoContainer, initialSrc, BRIGHTCOVE_EMBED, signal);
+
+  thumbnails.forEach((thumbnail: Element, index: number): void => {
+    const htmlThumbnail = thumbnail as HTMLElement;
+
+    // Add keyboard accessibility
+    htmlThumbnail.setAttribute('role', 'button');
+    htmlThumbnail.setAttribute('tabindex', '0');
+    htmlThumbnail.setAttribute('aria-label', `Play video ${index + 1}`);
+
+    const clickHandler = (): void => {
+      if (mainVideoContainer && videoUrls[index]) {
+        // Change iframe source (or the click-to-load placeholder's pending one)
+        loadEmbed(mainVideoContainer, videoUrls[index], BRIGHTCOVE_EMBED, signal);
+        if (!mainVideoContainer.hidden) loadingIndicator.style.opacity = '1';
+        track('video_play', { index, src: videoUrls[index] });
+      }
+
+      // Visual feedback with smooth easing
+      if (!prefersReducedMotion) {
+        htmlThumbnail.style.transition = `transform 0.2s ${EASING_SMOOTH}, opacity 0.2s ${EASING_SMOOTH}`;
+        htmlThumbnail.style.transform = 'scale(0.95)';
+        htmlThumbnail.style.opacity = '0.7';
+
+        abortableTimeout((): void => {
+          htmlThumbnail.style.transform = 'scale(1)';
+          htmlThumbnail.style.opacity = '1';
+        }, 200, signal);
+      }
+    };
+
+    htmlThumbnail.addEventListener('click', clickHandler, { signal });
+    htmlThumbnail.addEventListener('keydown', (e: Event): void => {
+      const keyEvent = e as KeyboardEvent;
+      if (keyEvent.key === 'Enter' || keyEvent.key === ' ') {
+        keyEvent.preventDefault();
+        clickHandler();
+      }
+    }, { signal });
+  });
+}
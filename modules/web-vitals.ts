@@ -0,0 +1,329 @@
+/**
+ * SonicWall Amazon Storefront - Web Vitals
+ * Measures LCP, CLS, INP, TTFB and long tasks for real visitors, attributes
+ * each to the element (or script) responsible and reports it once per page
+ * view as a web_vital analytics event -- field data for the performance
+ * heuristics in enhancements.ts and hero-video.ts.
+ */
+
+import { flushAnalytics, track } from './analytics.js';
+import type { AnalyticsWebVital } from './analytics.js';
+
+// ==========================================================================
+// TYPES -- Entry types TypeScript's DOM lib does not describe yet
+// ==========================================================================
+
+interface LayoutShiftEntry extends PerformanceEntry {
+  readonly value: number;
+  readonly hadRecentInput: boolean;
+  readonly sources: readonly { readonly node: Node | null }[];
+}
+
+interface EventTimingEntry extends PerformanceEventTiming {
+  /** 0 for events that are not part of a discrete interaction (e.g. mousemove). */
+  readonly interactionId?: number;
+}
+
+interface LongAnimationFrameScript {
+  readonly duration: number;
+  readonly invoker: string;
+  readonly sourceURL: string;
+}
+
+interface LongAnimationFrameEntry extends PerformanceEntry {
+  readonly blockingDuration: number;
+  readonly scripts: readonly LongAnimationFrameScript[];
+}
+
+type NavigatorHints = Navigator & {
+  readonly deviceMemory?: number;
+  readonly connection?: { readonly effectiveType?: string };
+};
+
+type WebVitalContext = Pick<AnalyticsWebVital, 'deviceClass' | 'lowEnd' | 'connection'>;
+type RatedMetric = Exclude<AnalyticsWebVital['metric'], 'LongTasks'>;
+
+// ==========================================================================
+// CONSTANTS
+// ==========================================================================
+
+// [good up to, poor above] -- https://web.dev/articles/vitals
+const WEB_VITAL_THRESHOLDS: Readonly<Record<RatedMetric, readonly [number, number]>> = {
+  LCP: [2500, 4000],
+  CLS: [0.1, 0.25],
+  INP: [200, 500],
+  TTFB: [800, 1800]
+};
+
+// Main-thread time beyond this is "blocking" (the long-task definition)
+const LONG_TASK_BUDGET_MS = 50 as const;
+// Shorter interactions cannot be the INP of a page that also has a 40ms+ one
+const INP_DURATION_THRESHOLD_MS = 40 as const;
+// INP ignores one outlier per 50 interactions; keeping the worst 10 covers 500
+const INP_MAX_CANDIDATES = 10 as const;
+// CLS counts the worst burst: shifts less than 1s apart, within a 5s window
+const CLS_SESSION_GAP_MS = 1000 as const;
+const CLS_SESSION_MAX_MS = 5000 as const;
+
+// ==========================================================================
+// HELPERS
+// ==========================================================================
+
+function rate(metric: RatedMetric, value: number): AnalyticsWebVital['rating'] {
+  const [good, poor] = WEB_VITAL_THRESHOLDS[metric];
+  if (value <= good) return 'good';
+  return value <= poor ? 'needs-improvement' : 'poor';
+}
+
+// Breakpoints match $breakpoint-tablet-portrait / $breakpoint-tablet in styles.scss
+function readContext(): WebVitalContext {
+  const hints = navigator as NavigatorHints;
+  const width: number = window.innerWidth;
+  return {
+    deviceClass: width < 768 ? 'mobile' : width < 1024 ? 'tablet' : 'desktop',
+    lowEnd: (hints.hardwareConcurrency || Infinity) <= 4 || (hints.deviceMemory ?? Infinity) <= 4,
+    connection: hints.connection?.effectiveType ?? null
+  };
+}
+
+/** "tag#id" or "tag.class.class", prefixed by the parent when that says nothing. */
+function describeElement(node: Node | null | undefined): string | null {
+  if (!(node instanceof Element)) return null;
+
+  const tag: string = node.tagName.toLowerCase();
+  if (node.id) return `${tag}#${node.id}`;
+
+  const classes: string = Array.from(node.classList).slice(0, 2).map((name: string): string => `.${name}`).join('');
+  if (classes) return tag + classes;
+
+  const parent: string | null = node.parentElement ? describeElement(node.parentElement) : null;
+  return parent ? `${parent} > ${tag}` : tag;
+}
+
+function round(value: number, digits: number = 0): number {
+  const factor: number = 10 ** digits;
+  return Math.round(value * factor) / factor;
+}
+
+// Drains of every observer, so the final report also sees entries not yet delivered
+const pendingDrains: (() => void)[] = [];
+
+function observe<T extends PerformanceEntry>(
+  type: string,
+  callback: (entries: readonly T[]) => void,
+  options: PerformanceObserverInit & { durationThreshold?: number } = {}
+): boolean {
+  if (typeof PerformanceObserver === 'undefined' || !PerformanceObserver.supportedEntryTypes?.includes(type)) return false;
+
+  try {
+    const observer: PerformanceObserver = new PerformanceObserver((list: PerformanceObserverEntryList): void => {
+      callback(list.getEntries() as T[]);
+    });
+    observer.observe({ type, buffered: true, ...options });
+    pendingDrains.push((): void => callback(observer.takeRecords() as T[]));
+    return true;
+  } catch {
+    // Entry type listed but refused (older engines) -- that metric is simply not reported
+    return false;
+  }
+}
+
+// ==========================================================================
+// METRICS
+// ==========================================================================
+
+function report(
+  context: WebVitalContext,
+  metric: AnalyticsWebVital['metric'],
+  value: number,
+  target: string | null,
+  detail: AnalyticsWebVital['detail']
+): void {
+  const rating: AnalyticsWebVital['rating'] = metric === 'LongTasks' ? null : rate(metric, value);
+  track('web_vital', { metric, value, rating, ...context, target, detail });
+}
+
+// Measured against the server, so it is reported straight away
+function reportTimeToFirstByte(context: WebVitalContext): void {
+  const navigation = performance.getEntriesByType('navigation')[0] as PerformanceNavigationTiming | undefined;
+  if (!navigation || navigation.responseStart <= 0) return;
+
+  report(context, 'TTFB', round(navigation.responseStart), null, {
+    navigationType: navigation.type,
+    dns: round(navigation.domainLookupEnd - navigation.domainLookupStart),
+    connect: round(navigation.connectEnd - navigation.connectStart),
+    server: round(navigation.responseStart - navigation.requestStart)
+  });
+}
+
+/** Starts every observer; the returned function reports the final values. */
+function observeFinalMetrics(context: WebVitalContext): () => void {
+  // A page opened in a background tab paints whenever it is shown -- no LCP
+  const startedHidden: boolean = document.visibilityState === 'hidden';
+
+  // Largest Contentful Paint -- the browser stops updating it after the first input
+  let lcp: LargestContentfulPaint | undefined;
+  let lcpFinal: boolean = false;
+  observe<LargestContentfulPaint>('largest-contentful-paint', (entries: readonly LargestContentfulPaint[]): void => {
+    if (!lcpFinal && entries.length) lcp = entries[entries.length - 1];
+  });
+  ['keydown', 'pointerdown'].forEach((type: string): void => {
+    window.addEventListener(type, (): void => {
+      lcpFinal = true;
+    }, { once: true, capture: true });
+  });
+
+  // Cumulative Layout Shift -- the worst session window
+  let cls: number = 0;
+  let clsEntries: LayoutShiftEntry[] = [];
+  let session: LayoutShiftEntry[] = [];
+  let sessionValue: number = 0;
+  observe<LayoutShiftEntry>('layout-shift', (entries: readonly LayoutShiftEntry[]): void => {
+    entries.forEach((entry: LayoutShiftEntry): void => {
+      if (entry.hadRecentInput) return;
+      const first: LayoutShiftEntry | undefined = session[0];
+      const last: LayoutShiftEntry | undefined = session[session.length - 1];
+      if (first && last
+        && entry.startTime - last.startTime < CLS_SESSION_GAP_MS
+        && entry.startTime - first.startTime < CLS_SESSION_MAX_MS) {
+        session.push(entry);
+        sessionValue += entry.value;
+      } else {
+        session = [entry];
+        sessionValue = entry.value;
+      }
+      if (sessionValue > cls) {
+        cls = sessionValue;
+        clsEntries = [...session];
+      }
+    });
+  });
+
+  // Interaction to Next Paint -- the slowest interactions, by interactionId
+  let interactionCount: number = 0;
+  const interactions: Map<number, EventTimingEntry> = new Map();
+  const collectInteractions = (entries: readonly EventTimingEntry[]): void => {
+    entries.forEach((entry: EventTimingEntry): void => {
+      if (!entry.interactionId) return;
+      const known: EventTimingEntry | undefined = interactions.get(entry.interactionId);
+      if (!known) interactionCount++;
+      if (!known || entry.duration > known.duration) interactions.set(entry.interactionId, entry);
+    });
+    // Keep only the candidates INP can still be picked from
+    if (interactions.size > INP_MAX_CANDIDATES) {
+      const worst: EventTimingEntry[] = [...interactions.values()]
+        .sort((a: EventTimingEntry, b: EventTimingEntry): number => b.duration - a.duration)
+        .slice(0, INP_MAX_CANDIDATES);
+      interactions.clear();
+      worst.forEach((entry: EventTimingEntry): void => {
+        interactions.set(entry.interactionId as number, entry);
+      });
+    }
+  };
+  observe<EventTimingEntry>('event', collectInteractions, { durationThreshold: INP_DURATION_THRESHOLD_MS });
+  observe<EventTimingEntry>('first-input', collectInteractions);
+
+  // Long tasks -- long animation frames name the script; plain long tasks only count
+  let longTaskCount: number = 0;
+  let blockingTime: number = 0;
+  let longest: number = 0;
+  let longestSource: string | null = null;
+  let longestScript: string | null = null;
+  const usesAnimationFrames: boolean = observe<LongAnimationFrameEntry>('long-animation-frame', (entries: readonly LongAnimationFrameEntry[]): void => {
+    entries.forEach((entry: LongAnimationFrameEntry): void => {
+      if (entry.blockingDuration <= 0) return;
+      longTaskCount++;
+      blockingTime += entry.blockingDuration;
+      if (entry.duration <= longest) return;
+      longest = entry.duration;
+      const script: LongAnimationFrameScript | undefined = [...entry.scripts]
+        .sort((a: LongAnimationFrameScript, b: LongAnimationFrameScript): number => b.duration - a.duration)[0];
+      longestSource = script?.invoker || null;
+      longestScript = script?.sourceURL || null;
+    });
+  });
+  if (!usesAnimationFrames) {
+    observe<PerformanceEntry>('longtask', (entries: readonly PerformanceEntry[]): void => {
+      entries.forEach((entry: PerformanceEntry): void => {
+        longTaskCount++;
+        blockingTime += Math.max(0, entry.duration - LONG_TASK_BUDGET_MS);
+        longest = Math.max(longest, entry.duration);
+      });
+    });
+  }
+
+  return (): void => {
+    pendingDrains.forEach((drain: () => void): void => drain());
+
+    if (lcp && !startedHidden) {
+      const element: Element | null = lcp.element;
+      report(context, 'LCP', round(lcp.startTime), describeElement(element), {
+        url: lcp.url || null,
+        // Validates the "first images are above the fold" guess in initLazyLoading
+        lazy: element?.getAttribute('loading') === 'lazy',
+        size: lcp.size
+      });
+    }
+
+    const largestShift: LayoutShiftEntry | undefined = [...clsEntries]
+      .sort((a: LayoutShiftEntry, b: LayoutShiftEntry): number => b.value - a.value)[0];
+    const shiftedNode: Node | null | undefined = largestShift?.sources.find(
+      (source: { readonly node: Node | null }): boolean => source.node instanceof Element
+    )?.node;
+    report(context, 'CLS', round(cls, 4), describeElement(shiftedNode), {
+      shifts: clsEntries.length,
+      largestShiftAt: largestShift ? round(largestShift.startTime) : null
+    });
+
+    if (interactions.size) {
+      const ranked: EventTimingEntry[] = [...interactions.values()]
+        .sort((a: EventTimingEntry, b: EventTimingEntry): number => b.duration - a.duration);
+      const inp: EventTimingEntry = ranked[Math.min(ranked.length - 1, Math.floor(interactionCount / 50))];
+      report(context, 'INP', round(inp.duration), describeElement(inp.target as Node | null), {
+        event: inp.name,
+        inputDelay: round(inp.processingStart - inp.startTime),
+        processing: round(inp.processingEnd - inp.processingStart),
+        interactions: interactionCount
+      });
+    }
+
+    report(context, 'LongTasks', round(blockingTime), longestSource, {
+      count: longTaskCount,
+      longest: round(longest),
+      script: longestScript,
+      source: usesAnimationFrames ? 'long-animation-frame' : 'longtask'
+    });
+  };
+}
+
+// ==========================================================================
+// INITIALIZATION
+// ==========================================================================
+
+let observing: boolean = false;
+
+/**
+ * Starts measuring this page view. TTFB is reported at once, the rest when
+ * the page is first hidden (tab switch, navigation, close) -- their final
+ * values are only known then -- followed by an immediate analytics flush.
+ */
+export function observeWebVitals(): void {
+  if (observing) return;
+  observing = true;
+
+  const context: WebVitalContext = readContext();
+  reportTimeToFirstByte(context);
+  const reportFinal: () => void = observeFinalMetrics(context);
+
+  let reported: boolean = false;
+  const finish = (): void => {
+    if (reported) return;
+    reported = true;
+    reportFinal();
+    flushAnalytics({ unloading: true });
+  };
+  document.addEventListener('visibilitychange', (): void => {
+    if (document.visibilityState === 'hidden') finish();
+  });
+  window.addEventListener('pagehide', finish);
+}
@@ -0,0 +1,185 @@
+/**
+ * SonicWall Amazon Storefront - PoE budgets
+ * Pure functions (no DOM access) that add up the power a set of PoE devices
+ * (SonicWave access points, cameras, phones) reserves, check it against
+ * each SonicWall switch's PoE budget and port count, and recommend the
+ * smallest switch -- or combination of switches -- that powers them all.
+ */
+
+import type { CatalogProduct } from './catalog.js';
+
+export type PoeStandard = NonNullable<CatalogProduct['specs']['poeStandard']>;
+
+/** A generic (non-catalog) PoE device and the class it usually requests. */
+export interface PoeDeviceType {
+  readonly id: string;
+  readonly label: string;
+  readonly poeClass: number;
+}
+
+/** Some number of identical devices on the shopper's list. */
+export interface PoeDemand {
+  readonly label: string;
+  readonly poeClass: number;
+  readonly count: number;
+}
+
+export interface PoeSwitchFit {
+  readonly product: CatalogProduct;
+  readonly ports: number;
+  readonly budgetW: number;
+  readonly portsNeeded: number;
+  readonly drawW: number;
+  /** Draw against budget: above 1 is over-subscribed. */
+  readonly utilization: number;
+  readonly portShortfall: number;
+  readonly overBudgetW: number;
+  readonly fits: boolean;
+}
+
+/** One switch of a recommendation and the share of the devices it powers. */
+export interface PoeAssignment {
+  readonly product: CatalogProduct;
+  readonly devices: number;
+  readonly drawW: number;
+}
+
+export interface PoeRecommendation {
+  /** One entry when a single switch does it, else the largest switches first; empty with nothing to power. */
+  readonly switches: readonly PoeAssignment[];
+  /** Demands whose class no switch port can supply (they need a PoE++ injector). */
+  readonly unsupported: readonly PoeDemand[];
+}
+
+/**
+ * Power the switch (PSE) reserves per port for each IEEE 802.3 class --
+ * class 0 is an unclassified device, budgeted like class 3.
+ */
+export const POE_CLASS_WATTS: readonly number[] = [15.4, 4, 7, 15.4, 30, 45, 60, 75, 90];
+
+/** The highest class each standard's ports can supply. */
+export const POE_STANDARD_MAX_CLASS: Readonly<Record<PoeStandard, number>> = {
+  '802.3af': 3,
+  '802.3at': 4,
+  '802.3bt': 8
+};
+
+export const POE_DEVICE_TYPES: readonly PoeDeviceType[] = [
+  { id: 'ip-camera', label: 'IP camera', poeClass: 3 },
+  { id: 'ptz-camera', label: 'PTZ camera', poeClass: 4 },
+  { id: 'voip-phone', label: 'VoIP phone', poeClass: 2 },
+  { id: 'video-phone', label: 'Video phone', poeClass: 3 },
+  { id: 'other', label: 'Other PoE device', poeClass: 0 }
+];
+
+/** Above this share of the budget a switch fits, but with little room for more devices. */
+export const POE_HEADROOM_WARNING = 0.8 as const;
+
+function roundTenths(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+export function classWatts(poeClass: number): number {
+  return POE_CLASS_WATTS[poeClass] ?? POE_CLASS_WATTS[0];
+}
+
+export function totalDraw(demands: readonly PoeDemand[]): number {
+  return roundTenths(demands.reduce((total: number, demand: PoeDemand): number => total + classWatts(demand.poeClass) * demand.count, 0));
+}
+
+export function portsNeeded(demands: readonly PoeDemand[]): number {
+  return demands.reduce((total: number, demand: PoeDemand): number => total + demand.count, 0);
+}
+
+/** PoE switches, smallest budget (then fewest ports) first. */
+export function poeSwitches(products: readonly CatalogProduct[]): CatalogProduct[] {
+  return products
+    .filter((product: CatalogProduct): boolean => product.category === 'switch' && (product.specs.poePorts ?? 0) > 0 && (product.specs.poeBudgetW ?? 0) > 0)
+    .sort((a: CatalogProduct, b: CatalogProduct): number =>
+      (a.specs.poeBudgetW ?? 0) - (b.specs.poeBudgetW ?? 0) || (a.specs.poePorts ?? 0) - (b.specs.poePorts ?? 0));
+}
+
+function maxClass(product: CatalogProduct): number {
+  return POE_STANDARD_MAX_CLASS[product.specs.poeStandard ?? '802.3af'];
+}
+
+/** How one switch copes with every device on its own. */
+export function evaluateSwitch(product: CatalogProduct, demands: readonly PoeDemand[]): PoeSwitchFit {
+  const ports: number = product.specs.poePorts ?? 0;
+  const budgetW: number = product.specs.poeBudgetW ?? 0;
+  const needed: number = portsNeeded(demands);
+  const drawW: number = totalDraw(demands);
+  const portShortfall: number = Math.max(0, needed - ports);
+  const overBudgetW: number = roundTenths(Math.max(0, drawW - budgetW));
+  const classesOk: boolean = demands.every((demand: PoeDemand): boolean => demand.poeClass <= maxClass(product));
+  return {
+    product,
+    ports,
+    budgetW,
+    portsNeeded: needed,
+    drawW,
+    utilization: budgetW ? drawW / budgetW : Infinity,
+    portShortfall,
+    overBudgetW,
+    fits: classesOk && !portShortfall && !overBudgetW
+  };
+}
+
+/**
+ * The smallest switch that powers every device, or else a combination:
+ * the largest switch filled with the hungriest devices first, repeated
+ * until the rest fit on one switch.
+ */
+export function recommendPoeSwitches(products: readonly CatalogProduct[], demands: readonly PoeDemand[]): PoeRecommendation {
+  const switches: CatalogProduct[] = poeSwitches(products);
+  const portClass: number = Math.max(-1, ...switches.map(maxClass));
+  const unsupported: PoeDemand[] = demands.filter((demand: PoeDemand): boolean => demand.count > 0 && demand.poeClass > portClass);
+  if (!switches.length) return { switches: [], unsupported };
+
+  // One entry per device, hungriest first
+  const devices: number[] = demands
+    .filter((demand: PoeDemand): boolean => demand.count > 0 && demand.poeClass <= portClass)
+    .flatMap((demand: PoeDemand): number[] => Array<number>(demand.count).fill(classWatts(demand.poeClass)))
+    .sort((a: number, b: number): number => b - a);
+
+  const largest: CatalogProduct = switches[switches.length - 1];
+  const assignments: PoeAssignment[] = [];
+  let remaining: number[] = devices;
+
+  while (remaining.length) {
+    const drawW: number = roundTenths(remaining.reduce((total: number, watts: number): number => total + watts, 0));
+    const single: CatalogProduct | undefined = switches.find((product: CatalogProduct): boolean =>
+      (product.specs.poePorts ?? 0) >= remaining.length
+      && (product.specs.poeBudgetW ?? 0) >= drawW
+      && remaining[0] <= classWatts(maxClass(product)));
+    if (single) {
+      assignments.push({ product: single, devices: remaining.length, drawW });
+      break;
+    }
+
+    let budget: number = largest.specs.poeBudgetW ?? 0;
+    let ports: number = largest.specs.poePorts ?? 0;
+    const left: number[] = [];
+    const placed: number[] = [];
+    remaining.forEach((watts: number): void => {
+      if (ports > 0 && watts <= budget) {
+        placed.push(watts);
+        budget -= watts;
+        ports--;
+      } else {
+        left.push(watts);
+      }
+    });
+    // A device bigger than any budget would loop forever -- the class filter above rules it out
+    if (!placed.length) break;
+
+    assignments.push({
+      product: largest,
+      devices: placed.length,
+      drawW: roundTenths(placed.reduce((total: number, watts: number): number => total + watts, 0))
+    });
+    remaining = left;
+  }
+
+  return { switches: assignments, unsupported };
+}
@@ -0,0 +1,161 @@
+/**
+ * SonicWall Amazon Storefront - Product filters
+ * Pure functions (no DOM access) behind the category-page filter bar: the
+ * filter state, its query-string form, and matching / sorting of product
+ * facets read from the build-time data attributes on each card.
+ */
+
+export type ProductSort = 'featured' | 'price-asc' | 'price-desc' | 'rating' | 'newest';
+
+/** What one card exposes to the filter bar (see facetAttributes() in scripts/render-catalog.js). */
+export interface ProductFacets {
+  readonly series: string | null;
+  readonly generation: number | null;
+  readonly price: number | null;
+  readonly rating: number | null;
+  readonly throughputMbps: number | null;
+  readonly ports: number | null;
+  readonly wireless: boolean | null;
+  /** Catalog position, used for the "featured" order. */
+  readonly order: number;
+}
+
+export interface FilterState {
+  readonly series: readonly string[];
+  readonly generations: readonly number[];
+  readonly priceMin: number | null;
+  readonly priceMax: number | null;
+  readonly minThroughputMbps: number | null;
+  readonly minPorts: number | null;
+  readonly wireless: boolean | null;
+  readonly minRating: number | null;
+  readonly sort: ProductSort;
+}
+
+export const EMPTY_FILTER_STATE: FilterState = {
+  series: [],
+  generations: [],
+  priceMin: null,
+  priceMax: null,
+  minThroughputMbps: null,
+  minPorts: null,
+  wireless: null,
+  minRating: null,
+  sort: 'featured'
+};
+
+export const PRODUCT_SORTS: readonly ProductSort[] = ['featured', 'price-asc', 'price-desc', 'rating', 'newest'];
+
+// Query-string keys, kept short so shared links stay readable
+const PARAM_KEYS = ['series', 'gen', 'price', 'throughput', 'ports', 'wireless', 'rating', 'sort'] as const;
+
+function parsePositive(value: string | null): number | null {
+  if (value === null || value === '') return null;
+  const parsed: number = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : null;
+}
+
+function parseList(value: string | null): string[] {
+  return (value ?? '').split(',').map((item: string): string => item.trim()).filter(Boolean);
+}
+
+/** Reads the filter state from a query string; unknown or malformed values are ignored. */
+export function parseFilterState(params: URLSearchParams): FilterState {
+  const [priceMin = '', priceMax = ''] = (params.get('price') ?? '').split('-');
+  const wireless: string | null = params.get('wireless');
+  const sort: string | null = params.get('sort');
+
+  return {
+    series: parseList(params.get('series')),
+    generations: parseList(params.get('gen'))
+      .map(Number)
+      .filter((gen: number): boolean => Number.isInteger(gen)),
+    priceMin: parsePositive(priceMin),
+    priceMax: parsePositive(priceMax),
+    minThroughputMbps: parsePositive(params.get('throughput')),
+    minPorts: parsePositive(params.get('ports')),
+    wireless: wireless === 'yes' ? true : wireless === 'no' ? false : null,
+    minRating: parsePositive(params.get('rating')),
+    sort: PRODUCT_SORTS.includes(sort as ProductSort) ? sort as ProductSort : 'featured'
+  };
+}
+
+/**
+ * Writes the filter state into a copy of `params`, leaving unrelated keys
+ * (e.g. campaign tags) alone and dropping keys that are at their default.
+ */
+export function serializeFilterState(state: FilterState, params: URLSearchParams): URLSearchParams {
+  const next: URLSearchParams = new URLSearchParams(params);
+  PARAM_KEYS.forEach((key: string): void => next.delete(key));
+
+  if (state.series.length) next.set('series', state.series.join(','));
+  if (state.generations.length) next.set('gen', state.generations.join(','));
+  if (state.priceMin !== null || state.priceMax !== null) {
+    next.set('price', `${state.priceMin ?? ''}-${state.priceMax ?? ''}`);
+  }
+  if (state.minThroughputMbps !== null) next.set('throughput', String(state.minThroughputMbps));
+  if (state.minPorts !== null) next.set('ports', String(state.minPorts));
+  if (state.wireless !== null) next.set('wireless', state.wireless ? 'yes' : 'no');
+  if (state.minRating !== null) next.set('rating', String(state.minRating));
+  if (state.sort !== 'featured') next.set('sort', state.sort);
+
+  return next;
+}
+
+/** True when any facet (not just the sort order) hides products. */
+export function isNarrowing(state: FilterState): boolean {
+  return state.series.length > 0
+    || state.generations.length > 0
+    || state.priceMin !== null
+    || state.priceMax !== null
+    || state.minThroughputMbps !== null
+    || state.minPorts !== null
+    || state.wireless !== null
+    || state.minRating !== null;
+}
+
+// A product without a value for an active facet never matches it
+function atLeast(value: number | null, min: number | null): boolean {
+  return min === null || (value !== null && value >= min);
+}
+
+export function matchesFilters(facets: ProductFacets, state: FilterState): boolean {
+  if (state.series.length && (facets.series === null || !state.series.includes(facets.series))) return false;
+  if (state.generations.length && (facets.generation === null || !state.generations.includes(facets.generation))) return false;
+  if (!atLeast(facets.price, state.priceMin)) return false;
+  if (state.priceMax !== null && (facets.price === null || facets.price > state.priceMax)) return false;
+  if (!atLeast(facets.throughputMbps, state.minThroughputMbps)) return false;
+  if (!atLeast(facets.ports, state.minPorts)) return false;
+  if (state.wireless !== null && facets.wireless !== state.wireless) return false;
+  return atLeast(facets.rating, state.minRating);
+}
+
+// Missing values sort last whichever direction is chosen
+function byNumber(a: number | null, b: number | null, direction: 1 | -1): number {
+  if (a === b) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return (a - b) * direction;
+}
+
+/** Comparator for Array#sort; ties keep catalog ("featured") order. */
+export function compareFacets(sort: ProductSort): (a: ProductFacets, b: ProductFacets) => number {
+  return (a: ProductFacets, b: ProductFacets): number => {
+    let result: number = 0;
+    switch (sort) {
+      case 'price-asc':
+        result = byNumber(a.price, b.price, 1);
+        break;
+      case 'price-desc':
+        result = byNumber(a.price, b.price, -1);
+        break;
+      case 'rating':
+        result = byNumber(a.rating, b.rating, -1);
+        break;
+      case 'newest':
+        result = byNumber(a.generation, b.generation, -1);
+        break;
+    }
+    return result || a.order - b.order;
+  };
+}
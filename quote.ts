@@ -0,0 +1,218 @@
+/**
+ * SonicWall Amazon Storefront - Quotes
+ * Pure functions (no DOM access) that price a firewall with a security
+ * bundle, add-on services and a managed tier over a 1/3/5-year term, and
+ * export the result as CSV or JSON.
+ */
+
+import type { CatalogProduct } from './catalog.js';
+import { applianceClassFor } from './services.js';
+import type { ApplianceClass, SecurityBundle, ServiceCatalog, ServiceOffering, ServiceTerm } from './services.js';
+
+export type QuoteLineKind = 'hardware' | 'bundle' | 'add-on' | 'managed';
+
+/** What to price with a firewall; the firewall itself is passed to buildQuote(). */
+export interface QuoteSelection {
+  readonly quantity: number;
+  readonly termYears: number;
+  readonly bundleId: string | null;
+  readonly addOnIds: readonly string[];
+  readonly managedTierId: string | null;
+}
+
+export interface QuoteLine {
+  readonly kind: QuoteLineKind;
+  /** SKU for hardware, the service id otherwise. */
+  readonly id: string;
+  readonly description: string;
+  readonly quantity: number;
+  /** One-time for hardware, list price per year for services; null when sales quotes it. */
+  readonly unitPrice: number | null;
+  /** Services only: every unit, term discount applied. */
+  readonly perYear: number | null;
+  /** Hardware once plus services for the whole term. */
+  readonly total: number | null;
+}
+
+export interface QuoteTotals {
+  readonly hardware: number;
+  readonly servicesPerYear: number;
+  readonly services: number;
+  /** What the term discount takes off the services against paying yearly list price. */
+  readonly termSavings: number;
+  readonly total: number;
+}
+
+export interface Quote {
+  readonly product: CatalogProduct;
+  readonly applianceClass: ApplianceClass;
+  readonly quantity: number;
+  readonly term: ServiceTerm;
+  readonly lines: readonly QuoteLine[];
+  readonly totals: QuoteTotals;
+}
+
+export const QUOTE_CURRENCY = 'USD' as const;
+export const MAX_QUOTE_QUANTITY = 100 as const;
+
+const KIND_LABELS: Readonly<Record<QuoteLineKind, string>> = {
+  'hardware': 'Hardware',
+  'bundle': 'Security bundle',
+  'add-on': 'Add-on service',
+  'managed': 'Managed service'
+};
+
+const CSV_HEADER: readonly string[] = ['Item', 'SKU / ID', 'Type', 'Quantity', 'Unit price', 'Per year', 'Term total'];
+
+function roundCents(amount: number): number {
+  return Math.round(amount * 100) / 100;
+}
+
+/** Add-ons the bundle does not already contain, in catalog order. */
+export function availableAddOns(services: ServiceCatalog, bundleId: string | null): ServiceOffering[] {
+  const bundle: SecurityBundle | undefined = services.bundles.find((entry: SecurityBundle): boolean => entry.id === bundleId);
+  return services.addOns.filter((addOn: ServiceOffering): boolean => !bundle?.includes.includes(addOn.id));
+}
+
+function serviceLine(
+  kind: QuoteLineKind,
+  offering: ServiceOffering,
+  applianceClass: ApplianceClass,
+  quantity: number,
+  term: ServiceTerm
+): QuoteLine {
+  const unitPrice: number | null = offering.annual ? offering.annual[applianceClass.id] : null;
+  const perYear: number | null = unitPrice === null ? null : roundCents(unitPrice * quantity * (1 - term.discount));
+  return {
+    kind,
+    id: offering.id,
+    description: offering.name,
+    quantity,
+    unitPrice,
+    perYear,
+    total: perYear === null ? null : roundCents(perYear * term.years)
+  };
+}
+
+/**
+ * Prices a selection. Returns null for a product that is not a priced
+ * firewall or a term the service catalog does not offer; unknown service
+ * ids and add-ons the bundle already contains are left out.
+ */
+export function buildQuote(product: CatalogProduct, services: ServiceCatalog, selection: QuoteSelection): Quote | null {
+  const applianceClass: ApplianceClass | null = applianceClassFor(services, product);
+  const term: ServiceTerm | undefined = services.terms.find((entry: ServiceTerm): boolean => entry.years === selection.termYears);
+  if (!applianceClass || !term || product.price === null) return null;
+
+  const quantity: number = Math.min(MAX_QUOTE_QUANTITY, Math.max(1, Math.floor(selection.quantity) || 1));
+  const lines: QuoteLine[] = [{
+    kind: 'hardware',
+    id: product.sku,
+    description: product.title,
+    quantity,
+    unitPrice: product.price,
+    perYear: null,
+    total: roundCents(product.price * quantity)
+  }];
+
+  const bundle: SecurityBundle | undefined = services.bundles.find((entry: SecurityBundle): boolean => entry.id === selection.bundleId);
+  if (bundle) lines.push(serviceLine('bundle', bundle, applianceClass, quantity, term));
+
+  availableAddOns(services, selection.bundleId)
+    .filter((addOn: ServiceOffering): boolean => selection.addOnIds.includes(addOn.id))
+    .forEach((addOn: ServiceOffering): void => {
+      lines.push(serviceLine('add-on', addOn, applianceClass, quantity, term));
+    });
+
+  const managed: ServiceOffering | undefined = services.managedTiers.find((entry: ServiceOffering): boolean => entry.id === selection.managedTierId);
+  if (managed) lines.push(serviceLine('managed', managed, applianceClass, quantity, term));
+
+  const serviceLines: QuoteLine[] = lines.filter((line: QuoteLine): boolean => line.kind !== 'hardware');
+  const sum = (values: readonly (number | null)[]): number =>
+    roundCents(values.reduce((total: number, value: number | null): number => total + (value ?? 0), 0));
+
+  const hardware: number = lines[0].total ?? 0;
+  const servicesPerYear: number = sum(serviceLines.map((line: QuoteLine): number | null => line.perYear));
+  const serviceTotal: number = sum(serviceLines.map((line: QuoteLine): number | null => line.total));
+  const listPrice: number = sum(serviceLines.map((line: QuoteLine): number | null =>
+    line.unitPrice === null ? null : line.unitPrice * line.quantity * term.years));
+
+  return {
+    product,
+    applianceClass,
+    quantity,
+    term,
+    lines,
+    totals: {
+      hardware,
+      servicesPerYear,
+      services: serviceTotal,
+      termSavings: roundCents(listPrice - serviceTotal),
+      total: roundCents(hardware + serviceTotal)
+    }
+  };
+}
+
+/** Lines sales has to price (managed tiers); they are not in the totals. */
+export function unpricedLines(quote: Quote): QuoteLine[] {
+  return quote.lines.filter((line: QuoteLine): boolean => line.total === null);
+}
+
+export function quoteKindLabel(kind: QuoteLineKind): string {
+  return KIND_LABELS[kind];
+}
+
+// ==========================================================================
+// EXPORT
+// ==========================================================================
+
+/** "sonicwall-quote-TZ280W-3yr.csv" */
+export function quoteFilename(quote: Quote, extension: 'csv' | 'json'): string {
+  return `sonicwall-quote-${quote.product.sku}-${quote.term.years}yr.${extension}`;
+}
+
+function csvField(value: string | number | null): string {
+  if (value === null) return '';
+  const text: string = typeof value === 'number' ? value.toFixed(2) : value;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/** One row per line, then the totals; amounts in USD with two decimals, blank where sales quotes. */
+export function quoteToCsv(quote: Quote): string {
+  const rows: (string | number | null)[][] = [
+    [...CSV_HEADER],
+    ...quote.lines.map((line: QuoteLine): (string | number | null)[] => [
+      line.description,
+      line.id,
+      KIND_LABELS[line.kind],
+      String(line.quantity),
+      line.unitPrice,
+      line.perYear,
+      line.total === null ? 'Quoted by SonicWall sales' : line.total
+    ]),
+    [],
+    ['Hardware', null, null, null, null, null, quote.totals.hardware],
+    ['Services', null, null, null, null, quote.totals.servicesPerYear, quote.totals.services],
+    [`Total (${quote.term.years}-year term, ${QUOTE_CURRENCY})`, null, null, null, null, null, quote.totals.total]
+  ];
+  return rows.map((row: (string | number | null)[]): string => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+export function quoteToJson(quote: Quote, generatedAt: Date): string {
+  return JSON.stringify({
+    generatedAt: generatedAt.toISOString(),
+    currency: QUOTE_CURRENCY,
+    termYears: quote.term.years,
+    termDiscount: quote.term.discount,
+    appliance: {
+      sku: quote.product.sku,
+      asin: quote.product.asin,
+      title: quote.product.title,
+      quantity: quote.quantity,
+      serviceClass: quote.applianceClass.id
+    },
+    lines: quote.lines,
+    totals: quote.totals,
+    quotedBySales: unpricedLines(quote).map((line: QuoteLine): string => line.id)
+  }, null, 2);
+}
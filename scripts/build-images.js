@@ -0,0 +1,249 @@
+/**
+ * Serves the storefront's images from local, responsive copies: every <img>
+ * whose source is in images/ (directly, or a hot-link ingested by
+ * ingest-images.js) becomes a <picture> with AVIF and WebP sources and a
+ * JPEG fallback (PNG when the source has transparency) in several widths,
+ * in the HTML pages of a build directory (in place).
+ *
+ * Usage: node scripts/build-images.js <dist-dir>
+ *
+ *   <img width="400" height="300" src="https://images-cms.sonicwall.com/.../tz380front.png" alt="..." loading="lazy">
+ *
+ * becomes
+ *
+ *   <picture>
+ *     <source type="image/avif" srcset="images/tz380front-320.avif 320w, ..." sizes="(max-width: 400px) 100vw, 400px">
+ *     <source type="image/webp" srcset="..." sizes="...">
+ *     <img width="400" height="300" src="images/tz380front-480.png" srcset="..." sizes="..." data-lqip="data:image/webp;base64,..." alt="..." loading="lazy">
+ *   </picture>
+ *
+ * Widths run up to twice the displayed width (the img width attribute, or
+ * the source's own), for high-density screens. A missing width or height is
+ * filled in from the source's aspect ratio, so the browser reserves the
+ * space before the image arrives. data-lqip is a tiny blurred preview that
+ * enhancements.ts shows while the image loads, or instead of it when it
+ * fails. Cart thumbnails (data-image) point at a small local copy too.
+ *
+ * Images without a local source keep their URL. Run after render-catalog.js
+ * (product cards carry most images) and before HTML minification.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { IMAGES_DIR, originalImageUrl, loadImageSources } = require('./lib/images');
+
+const OUTPUT_DIR = 'images';
+
+const VARIANT_WIDTHS = [160, 320, 480, 640, 960, 1280, 1920];
+// Displayed width assumed for an <img> without a width attribute
+const MAX_DISPLAY_WIDTH = 1280;
+// .mini-cart__item-image is 64px wide
+const CART_THUMBNAIL_WIDTH = 64;
+const PLACEHOLDER_WIDTH = 16;
+
+const ENCODERS = {
+  avif: { extension: 'avif', mime: 'image/avif', options: { quality: 50, effort: 4 } },
+  webp: { extension: 'webp', mime: 'image/webp', options: { quality: 72 } },
+  jpeg: { extension: 'jpg', mime: 'image/jpeg', options: { quality: 78, mozjpeg: true } },
+  png: { extension: 'png', mime: 'image/png', options: { compressionLevel: 9 } }
+};
+
+// Copied as they are -- vector or animated, nothing to resize
+const PASSTHROUGH_EXTENSIONS = new Set(['.svg', '.gif']);
+
+// An existing <picture> is left alone, along with the <img> inside it
+const IMAGE_TAG_PATTERN = /<picture\b[\s\S]*?<\/picture>|<img\b[^>]*>/g;
+const ATTRIBUTE_PATTERN = /\s([\w:-]+)(?:="([^"]*)")?/g;
+const DATA_IMAGE_PATTERN = /(\sdata-image=")([^"]+)(")/g;
+
+// ---------- Attributes ----------
+
+function parseAttributes(tag) {
+  const attributes = new Map();
+  const inner = tag.replace(/^<img\b/, '').replace(/\/?>$/, '');
+  let match;
+  ATTRIBUTE_PATTERN.lastIndex = 0;
+  while ((match = ATTRIBUTE_PATTERN.exec(inner)) !== null) {
+    attributes.set(match[1], match[2] === undefined ? null : match[2]);
+  }
+  return attributes;
+}
+
+function serializeAttributes(attributes) {
+  return [...attributes].map(([name, value]) => (value === null ? ` ${name}` : ` ${name}="${value}"`)).join('');
+}
+
+// ---------- Sources ----------
+
+/** The file in images/ behind src, or null when there is none. */
+function resolveSource(src, sources) {
+  const original = originalImageUrl(src);
+  const name = original ? sources[original] : (src.startsWith(`${OUTPUT_DIR}/`) ? src.slice(OUTPUT_DIR.length + 1) : null);
+  if (!name) return null;
+
+  const file = path.join(IMAGES_DIR, name);
+  return fs.existsSync(file) ? file : null;
+}
+
+// ---------- Rendering ----------
+
+function createRenderer(distDir) {
+  const written = new Set();
+  const metadataCache = new Map();
+  const placeholderCache = new Map();
+
+  const metadata = (file) => {
+    if (!metadataCache.has(file)) metadataCache.set(file, sharp(file).metadata());
+    return metadataCache.get(file);
+  };
+
+  const placeholder = (file) => {
+    if (!placeholderCache.has(file)) {
+      placeholderCache.set(file, sharp(file)
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .webp({ quality: 30 })
+        .toBuffer()
+        .then((data) => `data:image/webp;base64,${data.toString('base64')}`));
+    }
+    return placeholderCache.get(file);
+  };
+
+  async function encode(file, width, format) {
+    const stem = path.basename(file, path.extname(file));
+    const output = `${OUTPUT_DIR}/${stem}-${width}.${ENCODERS[format].extension}`;
+    if (!written.has(output)) {
+      written.add(output);
+      await sharp(file).resize({ width }).toFormat(format, ENCODERS[format].options).toFile(path.join(distDir, output));
+    }
+    return output;
+  }
+
+  function copy(file) {
+    const output = `${OUTPUT_DIR}/${path.basename(file)}`;
+    if (!written.has(output)) {
+      written.add(output);
+      fs.copyFileSync(file, path.join(distDir, output));
+    }
+    return output;
+  }
+
+  /**
+   * Every format of file in the widths worth having at displayWidth, and
+   * the fallback-format variant to use as src.
+   */
+  async function variants(file, displayWidth) {
+    const { width: sourceWidth, hasAlpha } = await metadata(file);
+    const maxWidth = Math.min(sourceWidth, displayWidth * 2);
+    const widths = [...new Set([...VARIANT_WIDTHS.filter((width) => width < maxWidth), maxWidth])];
+    const fallback = hasAlpha ? 'png' : 'jpeg';
+
+    const srcsets = {};
+    for (const format of ['avif', 'webp', fallback]) {
+      const files = [];
+      for (const width of widths) files.push(`${await encode(file, width, format)} ${width}w`);
+      srcsets[format] = files.join(', ');
+    }
+
+    const srcWidth = widths.find((width) => width >= displayWidth) || widths[widths.length - 1];
+    return { srcsets, fallback, src: await encode(file, srcWidth, fallback) };
+  }
+
+  return { metadata, placeholder, variants, copy, written };
+}
+
+async function rewriteImageTag(tag, sources, renderer) {
+  if (!tag.startsWith('<img')) return tag;
+
+  const attributes = parseAttributes(tag);
+  const file = attributes.get('src') ? resolveSource(attributes.get('src'), sources) : null;
+  if (!file) return tag;
+
+  if (PASSTHROUGH_EXTENSIONS.has(path.extname(file).toLowerCase())) {
+    attributes.set('src', renderer.copy(file));
+    return `<img${serializeAttributes(attributes)}>`;
+  }
+
+  const { width: sourceWidth, height: sourceHeight } = await renderer.metadata(file);
+  const declaredWidth = parseInt(attributes.get('width'), 10) || null;
+  const declaredHeight = parseInt(attributes.get('height'), 10) || null;
+  const displayWidth = declaredWidth || Math.min(sourceWidth, MAX_DISPLAY_WIDTH);
+  const displayHeight = declaredHeight || Math.round(displayWidth * sourceHeight / sourceWidth);
+
+  const { srcsets, fallback, src } = await renderer.variants(file, displayWidth);
+  const sizes = `(max-width: ${displayWidth}px) 100vw, ${displayWidth}px`;
+
+  attributes.set('width', String(displayWidth));
+  attributes.set('height', String(displayHeight));
+  attributes.set('src', src);
+  attributes.set('srcset', srcsets[fallback]);
+  attributes.set('sizes', sizes);
+  attributes.set('data-lqip', await renderer.placeholder(file));
+
+  const sourceTags = ['avif', 'webp']
+    .map((format) => `<source type="${ENCODERS[format].mime}" srcset="${srcsets[format]}" sizes="${sizes}">`)
+    .join('');
+  return `<picture>${sourceTags}<img${serializeAttributes(attributes)}></picture>`;
+}
+
+async function rewriteDataImage(value, sources, renderer) {
+  const file = resolveSource(value, sources);
+  if (!file) return value;
+  if (PASSTHROUGH_EXTENSIONS.has(path.extname(file).toLowerCase())) return renderer.copy(file);
+  return (await renderer.variants(file, CART_THUMBNAIL_WIDTH)).src;
+}
+
+// String.replace cannot wait for a promise: render every match, then splice
+async function replaceAsync(text, pattern, render) {
+  const rendered = [];
+  for (const match of text.matchAll(pattern)) rendered.push(await render(...match));
+  let index = 0;
+  return text.replace(pattern, () => rendered[index++]);
+}
+
+// ---------- Main ----------
+
+async function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/build-images.js <dist-dir>');
+    process.exit(1);
+  }
+
+  const sources = loadImageSources();
+  const hasSources = fs.existsSync(IMAGES_DIR)
+    && fs.readdirSync(IMAGES_DIR).some((name) => !name.startsWith('.') && name !== 'sources.json');
+  if (!hasSources) {
+    console.log('  No source images in images/ -- images stay hot-linked (npm run images:ingest)');
+    return;
+  }
+
+  fs.mkdirSync(path.join(distDir, OUTPUT_DIR), { recursive: true });
+  const renderer = createRenderer(distDir);
+  let pictures = 0;
+
+  const pages = fs.readdirSync(distDir).filter((file) => file.endsWith('.html'));
+  for (const file of pages) {
+    const fullPath = path.join(distDir, file);
+    const html = fs.readFileSync(fullPath, 'utf8');
+
+    let output = await replaceAsync(html, IMAGE_TAG_PATTERN, async (tag) => {
+      const rewritten = await rewriteImageTag(tag, sources, renderer);
+      if (rewritten.startsWith('<picture') && !tag.startsWith('<picture')) pictures++;
+      return rewritten;
+    });
+    output = await replaceAsync(output, DATA_IMAGE_PATTERN, async (match, open, value, close) =>
+      open + await rewriteDataImage(value, sources, renderer) + close);
+
+    if (output !== html) fs.writeFileSync(fullPath, output);
+  }
+
+  console.log(`  ${pictures} responsive image(s) across ${pages.length} pages (${renderer.written.size} files in ${OUTPUT_DIR}/)`);
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,169 @@
+/**
+ * Builds search-index.json for the storefront search (typeahead + search.html)
+ * from data/catalog.json and the storefront pages in a build directory.
+ *
+ * Usage: node scripts/build-search-index.js <dist-dir>
+ *
+ * Entry types:
+ *   product  -- every catalog model, linked to its series section
+ *   category -- every catalog series (TZ, NSa, switches, ...)
+ *   service  -- subscription / managed-service / software pages
+ *   page     -- the remaining storefront pages (home, networking overview)
+ *
+ * Run after render-catalog.js and before HTML minification so headings are
+ * still easy to pick out.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCatalog } = require('./lib/catalog');
+
+// Pages that are not part of the shopper-facing storefront
+const EXCLUDED_PAGES = new Set([
+  'tz280-listing.html',
+  'SonicWall_Amazon_Partnership_Proposal.html',
+  'search.html',
+  'offline.html',
+  '404.html'
+]);
+
+// Pages that belong to a product category; everything else not listed in
+// GENERAL_PAGES is a service page
+const PAGE_CATEGORIES = {
+  'firewalls.html': 'firewall',
+  'switches.html': 'switch',
+  'access-points.html': 'access-point',
+  'outdoor-access-points.html': 'access-point'
+};
+
+const GENERAL_PAGES = new Set(['index.html', 'networking.html']);
+
+// ---------- HTML helpers ----------
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", nbsp: ' ', middot: '·', rarr: '→', mdash: '—', ndash: '–' };
+
+function decodeEntities(text) {
+  return text.replace(/&(#?\w+);/g, (match, name) => (name in ENTITIES ? ENTITIES[name] : match));
+}
+
+function textContent(html) {
+  return decodeEntities(html.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function readMeta(html, name) {
+  const match = html.match(new RegExp(`<meta\\s+name="${name}"\\s+content="([^"]*)"`));
+  return match ? decodeEntities(match[1]) : '';
+}
+
+/**
+ * "SonicWall | Managed XDR - Official Store on Amazon" -> "Managed XDR".
+ * Drops the store/brand segments every page title carries.
+ */
+function cleanTitle(rawTitle) {
+  const title = rawTitle
+    .split(' | ')
+    .map((part) => part.replace(/ - Official Store on Amazon$/, '').trim())
+    .filter((part) => part !== 'SonicWall' && !/on Amazon$/.test(part))
+    .join(' | ');
+  return title || 'SonicWall Official Store';
+}
+
+function readHeadings(html) {
+  const headings = [];
+  const pattern = /<h[1-3]\b[^>]*>([\s\S]*?)<\/h[1-3]>/g;
+  let match;
+  while ((match = pattern.exec(html)) !== null) {
+    const text = textContent(match[1]);
+    if (text && !headings.includes(text)) headings.push(text);
+  }
+  return headings;
+}
+
+// ---------- Entries ----------
+
+function productEntries(catalog) {
+  const seriesById = new Map(catalog.series.map((entry) => [entry.id, entry]));
+
+  return catalog.products.map((product) => {
+    const series = seriesById.get(product.series);
+    const specs = Object.values(product.specs || {}).filter((value) => typeof value === 'string');
+    return {
+      id: `product:${product.sku}`,
+      type: 'product',
+      title: product.title,
+      subtitle: product.segment || series.label,
+      href: product.href || series.href,
+      category: product.category,
+      keywords: [product.sku, product.name, series.label, product.bestFor, product.tagline, ...specs]
+        .filter(Boolean)
+        .join(' '),
+      sku: product.sku,
+      asin: product.asin,
+      price: product.price,
+      rating: product.rating,
+      reviews: product.reviews,
+      prime: product.prime,
+      image: product.image ? product.image.src : null
+    };
+  });
+}
+
+function categoryEntries(catalog) {
+  return catalog.series.map((series) => ({
+    id: `category:${series.id}`,
+    type: 'category',
+    title: series.label,
+    subtitle: `${catalog.products.filter((p) => p.series === series.id).length} models`,
+    href: series.href,
+    category: series.category,
+    keywords: catalog.products.filter((p) => p.series === series.id).map((p) => p.name).join(' ')
+  }));
+}
+
+function pageEntry(file, html) {
+  const titleMatch = html.match(/<title>([^<]*)<\/title>/);
+  const category = PAGE_CATEGORIES[file] || (GENERAL_PAGES.has(file) ? null : 'service');
+
+  return {
+    id: `page:${file}`,
+    type: category === 'service' ? 'service' : 'page',
+    title: cleanTitle(decodeEntities(titleMatch ? titleMatch[1] : file)),
+    subtitle: readMeta(html, 'description'),
+    href: file,
+    category,
+    keywords: readHeadings(html).join(' ')
+  };
+}
+
+// ---------- Main ----------
+
+function buildIndex(distDir) {
+  const catalog = loadCatalog();
+  const pages = fs.readdirSync(distDir)
+    .filter((file) => file.endsWith('.html') && !EXCLUDED_PAGES.has(file))
+    .sort()
+    .map((file) => pageEntry(file, fs.readFileSync(path.join(distDir, file), 'utf8')));
+
+  return {
+    version: 1,
+    entries: [...productEntries(catalog), ...categoryEntries(catalog), ...pages]
+  };
+}
+
+function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/build-search-index.js <dist-dir>');
+    process.exit(1);
+  }
+
+  const index = buildIndex(distDir);
+  fs.writeFileSync(path.join(distDir, 'search-index.json'), JSON.stringify(index));
+  console.log(`  Indexed ${index.entries.length} entries into search-index.json`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildIndex, cleanTitle };
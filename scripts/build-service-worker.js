@@ -0,0 +1,93 @@
+/**
+ * Writes the offline service worker of a build directory: dist/sw.js, from
+ * scripts/templates/service-worker.js, and dist/precache-manifest.json, the
+ * list of files it precaches with a content hash per file.
+ *
+ * Usage: node scripts/build-service-worker.js <dist-dir>
+ *
+ * Precached: every HTML page (offline.html is the fallback for the rest),
+ * the CSS and JS, the logos, and the JSON the pages fetch at runtime. The
+ * manifest's hashes make up the worker's version, so any change to those
+ * files changes sw.js and browsers install the new version.
+ *
+ * Run after fingerprint-assets.js (the worker lists the hashed names) and
+ * before pre-compressing.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATE = path.join(__dirname, 'templates', 'service-worker.js');
+const WORKER_FILE = 'sw.js';
+const MANIFEST_FILE = 'precache-manifest.json';
+const OFFLINE_PAGE = 'offline.html';
+
+// Directories whose files are precached, by extension (null: every file)
+const PRECACHE_SOURCES = [
+  { dir: '.', extensions: ['.html', '.css', '.js', '.json'] },
+  { dir: 'modules', extensions: ['.js'] },
+  { dir: 'logos', extensions: null },
+  { dir: 'data', extensions: ['.json'] }
+];
+
+// Build bookkeeping, not something a page requests; 404.html is only served
+// by nginx in place of unknown URLs (requested by name it is a 404, which
+// would fail the install)
+const EXCLUDED_FILES = new Set([WORKER_FILE, MANIFEST_FILE, 'asset-manifest.json', '404.html']);
+
+// ---------- Helpers ----------
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+function listPrecacheFiles(distDir) {
+  return PRECACHE_SOURCES.flatMap(({ dir, extensions }) => {
+    const fullDir = path.join(distDir, dir);
+    if (!fs.existsSync(fullDir)) return [];
+    return fs.readdirSync(fullDir, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && !entry.name.startsWith('.'))
+      .map((entry) => (dir === '.' ? entry.name : `${dir}/${entry.name}`))
+      .filter((file) => !extensions || extensions.includes(path.posix.extname(file)));
+  }).filter((file) => !EXCLUDED_FILES.has(file)).sort();
+}
+
+// ---------- Main ----------
+
+function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/build-service-worker.js <dist-dir>');
+    process.exit(1);
+  }
+
+  const files = listPrecacheFiles(distDir);
+  if (!files.includes(OFFLINE_PAGE)) {
+    throw new Error(`build-service-worker: ${OFFLINE_PAGE} is missing from ${distDir} -- uncached pages would have no fallback`);
+  }
+
+  const entries = files.map((file) => ({
+    url: file,
+    revision: contentHash(fs.readFileSync(path.join(distDir, file))).slice(0, 16)
+  }));
+  const version = contentHash(JSON.stringify(entries)).slice(0, 12);
+
+  const template = fs.readFileSync(TEMPLATE, 'utf8');
+  ['__PRECACHE_VERSION__', '__PRECACHE_URLS__'].forEach((token) => {
+    if (!template.includes(token)) throw new Error(`build-service-worker: template has no ${token}`);
+  });
+  const worker = template
+    .replace('__PRECACHE_VERSION__', version)
+    .replace('__PRECACHE_URLS__', JSON.stringify(files));
+
+  fs.writeFileSync(path.join(distDir, WORKER_FILE), worker);
+  fs.writeFileSync(path.join(distDir, MANIFEST_FILE), `${JSON.stringify({ version, files: entries }, null, 2)}\n`);
+
+  const bytes = files.reduce((sum, file) => sum + fs.statSync(path.join(distDir, file)).size, 0);
+  console.log(`  Service worker ${version}: precaches ${files.length} files (${(bytes / 1024).toFixed(0)} kB)`);
+}
+
+if (require.main === module) {
+  main();
+}
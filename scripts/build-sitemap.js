@@ -0,0 +1,192 @@
+/**
+ * Prepares the pages of a build directory for search engines (in place):
+ *
+ *   - <link rel="canonical"> on every indexable page
+ *   - sitemap.xml listing the indexable pages, each with the date its
+ *     content last changed (lastmod)
+ *   - robots.txt pointing at the sitemap
+ *   - 404.html, which nginx serves for unknown URLs at any depth, gets
+ *     root-relative links and assets so it renders from /a/b/c too
+ *
+ * Usage: SITE_URL=https://store.example.com node scripts/build-sitemap.js <dist-dir>
+ *
+ * A page is indexable unless its <meta name="robots"> says noindex (search,
+ * offline, 404, the sales material). Canonical links and the sitemap need
+ * absolute URLs: without SITE_URL they are left out, with a warning, and
+ * robots.txt names no sitemap.
+ *
+ * lastmod comes from the page's content: a hash of its <title>, description
+ * and <main> is kept, with the date it last changed, in the committed
+ * data/sitemap-lastmod.json. The build only reads that file -- it never
+ * writes to the source tree. A page whose hash no longer matches is dated
+ * today in this build's sitemap, with a warning; to keep that date, refresh
+ * the file and commit it:
+ *
+ *   npm run sitemap:lastmod      (SITEMAP_LASTMOD=update sh build.sh)
+ *
+ * Run after preload-modules.js (its preload links are rooted in 404.html
+ * too) and before HTML minification.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { siteUrl, basePath, pageUrl } = require('./lib/site');
+
+const LASTMOD_PATH = path.resolve(__dirname, '../data/sitemap-lastmod.json');
+const UPDATE_LASTMOD = process.env.SITEMAP_LASTMOD === 'update';
+const NOT_FOUND_PAGE = '404.html';
+
+const ROBOTS_META_PATTERN = /<meta name="robots" content="([^"]*)"/;
+const TITLE_PATTERN = /<title>([\s\S]*?)<\/title>/;
+const DESCRIPTION_PATTERN = /<meta name="description" content="([^"]*)"/;
+const MAIN_PATTERN = /<main\b[\s\S]*<\/main>/;
+const URL_ATTR_PATTERN = /(\s(?:href|src|action|poster|data-src|data-image)=")([^"]*)(")/g;
+const SRCSET_ATTR_PATTERN = /(\s(?:srcset|imagesrcset)=")([^"]*)(")/g;
+
+// ---------- Helpers ----------
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function isIndexable(html) {
+  const robots = html.match(ROBOTS_META_PATTERN);
+  return !robots || !/\bnoindex\b/i.test(robots[1]);
+}
+
+// What a visitor reads -- asset names and head markup changing alone is not news
+function contentHash(html) {
+  const parts = [TITLE_PATTERN, DESCRIPTION_PATTERN, MAIN_PATTERN].map((pattern) => {
+    const match = html.match(pattern);
+    return match ? match[match.length - 1].replace(/\s+/g, ' ').trim() : '';
+  });
+  return crypto.createHash('sha256').update(parts.join('\n')).digest('hex').slice(0, 16);
+}
+
+// ---------- lastmod ----------
+
+function loadLastmod() {
+  if (!fs.existsSync(LASTMOD_PATH)) return {};
+  return JSON.parse(fs.readFileSync(LASTMOD_PATH, 'utf8'));
+}
+
+/** Dates every page by its content hash; returns the pages whose record changed. */
+function updateLastmod(records, pages, today) {
+  const changed = [];
+  pages.forEach(({ file, hash }) => {
+    if (records[file] && records[file].hash === hash) return;
+    records[file] = { hash, lastmod: today };
+    changed.push(file);
+  });
+
+  // Pages that no longer exist
+  const current = new Set(pages.map((page) => page.file));
+  Object.keys(records).filter((file) => !current.has(file)).forEach((file) => {
+    delete records[file];
+    changed.push(file);
+  });
+  return changed;
+}
+
+function saveLastmod(records) {
+  const sorted = Object.fromEntries(Object.keys(records).sort().map((file) => [file, records[file]]));
+  fs.writeFileSync(LASTMOD_PATH, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+// ---------- Output ----------
+
+function addCanonical(html, url) {
+  if (/<link rel="canonical"/.test(html)) return html;
+  return html.replace('</head>', `<link rel="canonical" href="${escapeXml(url)}">\n</head>`);
+}
+
+function renderSitemap(pages, records) {
+  const urls = pages.map(({ file }) => `  <url>
+    <loc>${escapeXml(pageUrl(file))}</loc>
+    <lastmod>${records[file].lastmod}</lastmod>
+  </url>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join('\n')}
+</urlset>
+`;
+}
+
+function renderRobots(base) {
+  const lines = ['User-agent: *', 'Allow: /'];
+  if (base) lines.push('', `Sitemap: ${base}/sitemap.xml`);
+  return `${lines.join('\n')}\n`;
+}
+
+// "styles.css" -> "/styles.css"; fragments, absolute and rooted URLs stay
+function rootReference(reference, root) {
+  if (!reference || /^(?:[a-z][a-z\d+.-]*:|\/|#)/i.test(reference)) return reference;
+  return root + reference.replace(/^\.\//, '');
+}
+
+function rootNotFoundPage(html, root) {
+  return html
+    .replace(URL_ATTR_PATTERN, (_, open, reference, close) => open + rootReference(reference, root) + close)
+    .replace(SRCSET_ATTR_PATTERN, (_, open, srcset, close) => open + srcset.split(',')
+      .map((candidate) => candidate.replace(/^(\s*)(\S+)/, (match, space, reference) => space + rootReference(reference, root)))
+      .join(',') + close);
+}
+
+// ---------- Main ----------
+
+function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/build-sitemap.js <dist-dir>');
+    process.exit(1);
+  }
+
+  const base = siteUrl();
+  const files = fs.readdirSync(distDir).filter((file) => file.endsWith('.html')).sort();
+  const pages = files
+    .map((file) => ({ file, html: fs.readFileSync(path.join(distDir, file), 'utf8') }))
+    .filter(({ html }) => isIndexable(html))
+    .map((page) => ({ ...page, hash: contentHash(page.html) }));
+
+  // Home page first, the rest alphabetically
+  pages.sort((a, b) => (b.file === 'index.html') - (a.file === 'index.html'));
+
+  // Checked with or without SITE_URL, so a stale file shows in the local build too
+  const records = loadLastmod();
+  const today = new Date().toISOString().slice(0, 10);
+  const changed = updateLastmod(records, pages, today);
+  if (changed.length && UPDATE_LASTMOD) {
+    saveLastmod(records);
+    console.log(`  lastmod updated for ${changed.length} page(s) -- commit data/sitemap-lastmod.json`);
+  } else if (changed.length) {
+    console.warn(`  WARNING: data/sitemap-lastmod.json is out of date for ${changed.join(', ')} -- `
+      + 'dated today in this build; run "npm run sitemap:lastmod" and commit the file to keep the date');
+  }
+
+  if (base) {
+    pages.forEach(({ file, html }) => fs.writeFileSync(path.join(distDir, file), addCanonical(html, pageUrl(file))));
+    fs.writeFileSync(path.join(distDir, 'sitemap.xml'), renderSitemap(pages, records));
+  } else {
+    console.warn('  WARNING: SITE_URL is not set -- no canonical links or sitemap.xml');
+  }
+  fs.writeFileSync(path.join(distDir, 'robots.txt'), renderRobots(base));
+
+  if (!files.includes(NOT_FOUND_PAGE)) {
+    throw new Error(`build-sitemap: ${NOT_FOUND_PAGE} is missing from ${distDir} -- nginx serves it for unknown URLs`);
+  }
+  const notFoundPath = path.join(distDir, NOT_FOUND_PAGE);
+  fs.writeFileSync(notFoundPath, rootNotFoundPage(fs.readFileSync(notFoundPath, 'utf8'), basePath()));
+
+  console.log(base
+    ? `  ${pages.length} indexable page(s) in sitemap.xml with canonical links; robots.txt`
+    : `  robots.txt (${pages.length} indexable page(s))`);
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,370 @@
+/**
+ * Checks the finished pages of a build directory for broken structure and
+ * fails the build with a report per page:
+ *
+ *   link     -- <a href> / <form action> to a page that is not in the build
+ *   anchor   -- #fragment with no matching id (same-page links may also
+ *               target a data-section, which the brand nav scrolls to)
+ *   section  -- brand nav tab pointing at its own page without a
+ *               section[data-section] there to scroll to
+ *   asset    -- src / srcset / poster / data-src / data-image, stylesheet,
+ *               icon and preload hrefs, og:image, CSS url() with no file
+ *   id       -- the same id twice on a page
+ *   alt      -- <img> without an alt attribute (alt="" marks decoration)
+ *   nav      -- storefront page the brand nav does not link to
+ *   jsonld   -- <script type="application/ld+json"> that does not parse, or
+ *               a schema.org node missing what search engines require of
+ *               it (see STRUCTURED_DATA_RULES)
+ *
+ * Videos are kept out of git and copied into the build where they are
+ * available (see Dockerfile), so a missing video is reported as a warning
+ * instead.
+ *
+ * Usage: node scripts/check-site.js <dist-dir>
+ *
+ * Run last, after fingerprint-assets.js, so asset references are checked
+ * as they ship.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Pages reached from elsewhere (search box, service worker, nginx, sales material)
+// rather than from the brand nav
+const OFF_NAV_PAGES = new Set([
+  'search.html',
+  'offline.html',
+  '404.html',
+  'tz280-listing.html',
+  'SonicWall_Amazon_Partnership_Proposal.html'
+]);
+
+const TAG_PATTERN = /<([a-zA-Z][\w-]*)\b((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+const ATTRIBUTE_PATTERN = /\s([\w:-]+)(?:=(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+// Contents that are not markup
+const RAW_TEXT_PATTERN = /<(script|style|template)\b[^>]*>[\s\S]*?<\/\1>/gi;
+const STYLE_BLOCK_PATTERN = /<style\b[^>]*>([\s\S]*?)<\/style>/gi;
+const CSS_URL_PATTERN = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+const BRAND_NAV_PATTERN = /<nav\b[^>]*\bclass="brand-header__nav"[^>]*>[\s\S]*?<\/nav>/;
+const JSON_LD_PATTERN = /<script\b[^>]*\btype="?application\/ld\+json"?[^>]*>([\s\S]*?)<\/script>/gi;
+
+// Missing files of these types warn rather than fail
+const OPTIONAL_ASSET_EXTENSIONS = ['.mp4', '.webm'];
+
+const ASSET_ATTRIBUTES = ['src', 'poster', 'data-src', 'data-image'];
+const ASSET_LINK_RELS = ['stylesheet', 'icon', 'apple-touch-icon', 'preload', 'modulepreload', 'manifest'];
+
+// ---------- Parsing ----------
+
+function decodeEntities(text) {
+  return text.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+function parseTags(html) {
+  const markup = html.replace(RAW_TEXT_PATTERN, (match, name) => `<${name}></${name}>`);
+  const tags = [];
+  let match;
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(markup)) !== null) {
+    const attributes = new Map();
+    let attribute;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((attribute = ATTRIBUTE_PATTERN.exec(match[2])) !== null) {
+      const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+      attributes.set(attribute[1].toLowerCase(), decodeEntities(value));
+    }
+    tags.push({ name: match[1].toLowerCase(), attributes });
+  }
+  return tags;
+}
+
+/** A local reference split into page/file and fragment, or null for external URLs. */
+function parseReference(reference) {
+  const value = reference.trim();
+  if (!value || /^(?:[a-z][a-z\d+.-]*:|\/\/)/i.test(value)) return null;
+
+  const [, file, fragment] = value.match(/^([^?#]*)(?:\?[^#]*)?(?:#(.*))?$/);
+  return { file: file.replace(/^\.?\//, ''), fragment: fragment === undefined ? null : decodeURIComponent(fragment) };
+}
+
+function srcsetUrls(srcset) {
+  return srcset.split(',').map((candidate) => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+// ---------- Structured data ----------
+
+const CURRENCY_PATTERN = /^[A-Z]{3}$/;
+const SCHEMA_URL_PATTERN = /^https:\/\/schema\.org\/\w+$/;
+
+const isNumber = (value) => value !== '' && value !== null && Number.isFinite(Number(value));
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) > 0;
+
+/** Positions 1..n in order, each element passing check. */
+function checkListElements(elements, problems, where, check) {
+  if (!Array.isArray(elements) || !elements.length) {
+    problems.push(`${where}: itemListElement must be a non-empty array`);
+    return;
+  }
+  elements.forEach((element, index) => {
+    const at = `${where}.itemListElement[${index}]`;
+    if (!element || element['@type'] !== 'ListItem') problems.push(`${at}: @type must be ListItem`);
+    else if (Number(element.position) !== index + 1) problems.push(`${at}: position ${element.position}, expected ${index + 1}`);
+    else check(element, at, index === elements.length - 1);
+  });
+}
+
+// What each type needs to be usable as a rich result
+const STRUCTURED_DATA_RULES = {
+  Product(node, problems, where) {
+    if (!node.name) problems.push(`${where}: Product needs a name`);
+    if (!node.offers && !node.aggregateRating) problems.push(`${where}: Product needs offers or aggregateRating`);
+  },
+  Offer(node, problems, where) {
+    if (!isNumber(node.price) || Number(node.price) < 0) problems.push(`${where}: Offer price "${node.price}" is not a number`);
+    if (!CURRENCY_PATTERN.test(node.priceCurrency || '')) problems.push(`${where}: Offer priceCurrency "${node.priceCurrency}" is not an ISO 4217 code`);
+    if (node.availability && !SCHEMA_URL_PATTERN.test(node.availability)) problems.push(`${where}: Offer availability must be a schema.org URL`);
+  },
+  AggregateRating(node, problems, where) {
+    const best = isNumber(node.bestRating) ? Number(node.bestRating) : 5;
+    const worst = isNumber(node.worstRating) ? Number(node.worstRating) : 1;
+    if (!isNumber(node.ratingValue) || node.ratingValue < worst || node.ratingValue > best) {
+      problems.push(`${where}: ratingValue "${node.ratingValue}" is outside ${worst}-${best}`);
+    }
+    if (!isPositiveInteger(node.reviewCount ?? node.ratingCount)) problems.push(`${where}: AggregateRating needs a positive reviewCount`);
+  },
+  ItemList(node, problems, where) {
+    checkListElements(node.itemListElement, problems, where, (element, at) => {
+      if (!element.item && !element.url) problems.push(`${at}: ListItem needs an item or url`);
+    });
+  },
+  BreadcrumbList(node, problems, where) {
+    checkListElements(node.itemListElement, problems, where, (element, at, last) => {
+      if (!element.name) problems.push(`${at}: breadcrumb needs a name`);
+      if (!last && !element.item) problems.push(`${at}: breadcrumb needs an item URL (only the last may omit it)`);
+    });
+  }
+};
+
+/** Walks every node of a JSON-LD document, applying STRUCTURED_DATA_RULES. */
+function validateStructuredData(data) {
+  const problems = [];
+  const roots = Array.isArray(data) ? data : [data];
+  roots.forEach((root, index) => {
+    if (!root || typeof root !== 'object' || !/^https?:\/\/schema\.org\/?$/.test(root['@context'] || '')) {
+      problems.push(`[${index}]: @context must be https://schema.org`);
+    }
+  });
+
+  const visit = (node, where) => {
+    if (Array.isArray(node)) {
+      node.forEach((child, index) => visit(child, `${where}[${index}]`));
+      return;
+    }
+    if (!node || typeof node !== 'object') return;
+
+    const type = node['@type'];
+    if (type && STRUCTURED_DATA_RULES[type]) STRUCTURED_DATA_RULES[type](node, problems, where || type);
+    Object.keys(node).forEach((key) => {
+      if (!key.startsWith('@') || key === '@graph') visit(node[key], where ? `${where}.${key}` : key);
+    });
+  };
+  roots.forEach((root, index) => visit(root, roots.length > 1 ? `[${index}]` : ''));
+  return problems;
+}
+
+function checkStructuredData(page, report) {
+  let match;
+  JSON_LD_PATTERN.lastIndex = 0;
+  while ((match = JSON_LD_PATTERN.exec(page.html)) !== null) {
+    let data;
+    try {
+      data = JSON.parse(match[1]);
+    } catch (error) {
+      report(page.file, 'jsonld', `JSON-LD does not parse: ${error.message}`);
+      continue;
+    }
+    validateStructuredData(data).forEach((problem) => report(page.file, 'jsonld', problem));
+  }
+}
+
+// ---------- Pages ----------
+
+function readPage(distDir, file) {
+  const html = fs.readFileSync(path.join(distDir, file), 'utf8');
+  const tags = parseTags(html);
+  const ids = new Map();
+  const sections = new Set();
+
+  tags.forEach(({ name, attributes }) => {
+    const id = attributes.get('id');
+    if (id) ids.set(id, (ids.get(id) || 0) + 1);
+    const section = attributes.get('data-section');
+    const isTab = /\bbrand-nav__/.test(attributes.get('class') || '');
+    if (section && (name === 'section' || name === 'div') && !isTab) sections.add(section);
+  });
+
+  const styles = [];
+  let match;
+  STYLE_BLOCK_PATTERN.lastIndex = 0;
+  while ((match = STYLE_BLOCK_PATTERN.exec(html)) !== null) styles.push(match[1]);
+
+  return { file, html, tags, ids, sections, styles };
+}
+
+function checkPage(page, pages, distDir, report) {
+  const fileExists = (file) => fs.existsSync(path.join(distDir, file)) && fs.statSync(path.join(distDir, file)).isFile();
+
+  const checkAsset = (reference, what) => {
+    const target = parseReference(reference);
+    if (!target || !target.file || fileExists(target.file)) return;
+    const kind = OPTIONAL_ASSET_EXTENSIONS.includes(path.posix.extname(target.file)) ? 'warning' : 'asset';
+    report(page.file, kind, `${what} "${reference}" is not in the build`);
+  };
+
+  const checkLink = (reference, what) => {
+    const target = parseReference(reference);
+    if (!target) return;
+
+    const targetFile = target.file || page.file;
+    if (!fileExists(targetFile)) {
+      report(page.file, 'link', `${what} "${reference}" points at a missing page`);
+      return;
+    }
+    if (!target.fragment || !targetFile.endsWith('.html')) return;
+
+    const targetPage = pages.get(targetFile);
+    const samePage = targetFile === page.file;
+    if (targetPage.ids.has(target.fragment) || (samePage && targetPage.sections.has(target.fragment))) return;
+    report(page.file, 'anchor', `${what} "${reference}" -- no id="${target.fragment}" on ${targetFile}`);
+  };
+
+  page.ids.forEach((count, id) => {
+    if (count > 1) report(page.file, 'id', `id="${id}" is used ${count} times`);
+  });
+
+  page.tags.forEach(({ name, attributes }) => {
+    if (name === 'a' && attributes.has('href')) checkLink(attributes.get('href'), 'link');
+    if (name === 'form' && attributes.has('action')) checkLink(attributes.get('action'), 'form action');
+
+    ASSET_ATTRIBUTES.forEach((attribute) => {
+      if (attributes.has(attribute)) checkAsset(attributes.get(attribute), `${name} ${attribute}`);
+    });
+    ['srcset', 'imagesrcset'].forEach((attribute) => {
+      if (attributes.has(attribute)) srcsetUrls(attributes.get(attribute)).forEach((url) => checkAsset(url, `${name} ${attribute}`));
+    });
+    if (name === 'link' && attributes.has('href')) {
+      const rels = (attributes.get('rel') || '').toLowerCase().split(/\s+/);
+      if (rels.some((rel) => ASSET_LINK_RELS.includes(rel))) checkAsset(attributes.get('href'), `<link rel="${attributes.get('rel')}">`);
+    }
+    if (name === 'meta' && /^(?:og:image|twitter:image)/.test(attributes.get('property') || attributes.get('name') || '')) {
+      checkAsset(attributes.get('content') || '', 'og:image');
+    }
+    if (name === 'img' && !attributes.has('alt')) {
+      report(page.file, 'alt', `<img src="${attributes.get('src') || ''}"> has no alt attribute`);
+    }
+
+    // A tab for the page it is on scrolls to its data-section instead of navigating
+    const classes = attributes.get('class') || '';
+    if (name === 'a' && /\bbrand-nav__tab\b/.test(classes) && attributes.get('data-section')) {
+      const target = parseReference(attributes.get('href') || '');
+      const section = attributes.get('data-section');
+      if (target && (target.file || page.file) === page.file && !page.sections.has(section)) {
+        report(page.file, 'section', `brand nav tab "${section}" links to this page, which has no section[data-section="${section}"]`);
+      }
+    }
+
+    const style = attributes.get('style');
+    if (style) page.styles.push(style);
+  });
+
+  page.styles.forEach((css) => {
+    let match;
+    CSS_URL_PATTERN.lastIndex = 0;
+    while ((match = CSS_URL_PATTERN.exec(css)) !== null) checkAsset(match[2], 'CSS url()');
+  });
+
+  checkStructuredData(page, report);
+}
+
+function checkStylesheets(distDir, report) {
+  const stylesheets = fs.readdirSync(distDir).filter((file) => file.endsWith('.css'));
+  stylesheets.forEach((file) => {
+    const css = fs.readFileSync(path.join(distDir, file), 'utf8');
+    let match;
+    CSS_URL_PATTERN.lastIndex = 0;
+    while ((match = CSS_URL_PATTERN.exec(css)) !== null) {
+      const target = parseReference(match[2]);
+      if (target && target.file && !fs.existsSync(path.join(distDir, target.file))) {
+        report(file, 'asset', `url("${match[2]}") is not in the build`);
+      }
+    }
+  });
+}
+
+function checkBrandNav(pages, report) {
+  const home = pages.get('index.html');
+  const nav = home && home.html.match(BRAND_NAV_PATTERN);
+  if (!nav) {
+    report('index.html', 'nav', 'no brand nav (nav.brand-header__nav) to check the pages against');
+    return;
+  }
+
+  const linked = new Set(parseTags(nav[0])
+    .filter(({ name, attributes }) => name === 'a' && attributes.has('href'))
+    .map(({ attributes }) => parseReference(attributes.get('href')))
+    .filter(Boolean)
+    .map((target) => target.file || 'index.html'));
+
+  [...pages.keys()]
+    .filter((file) => !OFF_NAV_PAGES.has(file) && !linked.has(file))
+    .forEach((file) => report(file, 'nav', 'not linked from the brand nav (partials/brand-nav.html)'));
+}
+
+// ---------- Main ----------
+
+function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/check-site.js <dist-dir>');
+    process.exit(1);
+  }
+
+  const problems = new Map();
+  const warnings = [];
+  const report = (file, kind, message) => {
+    if (kind === 'warning') {
+      warnings.push(`${file}: ${message}`);
+      return;
+    }
+    if (!problems.has(file)) problems.set(file, []);
+    problems.get(file).push(`${kind.padEnd(7)} ${message}`);
+  };
+
+  const pages = new Map(fs.readdirSync(distDir)
+    .filter((file) => file.endsWith('.html'))
+    .sort()
+    .map((file) => [file, readPage(distDir, file)]));
+
+  pages.forEach((page) => checkPage(page, pages, distDir, report));
+  checkStylesheets(distDir, report);
+  checkBrandNav(pages, report);
+
+  [...new Set(warnings)].forEach((warning) => console.warn(`  WARNING: ${warning}`));
+
+  if (!problems.size) {
+    console.log(`  ${pages.size} pages checked: links, anchors, assets, ids, alt text, brand nav and structured data are sound`);
+    return;
+  }
+
+  const total = [...problems.values()].reduce((sum, list) => sum + list.length, 0);
+  console.error(`check-site: ${total} problem(s) in ${problems.size} file(s)`);
+  [...problems.keys()].sort().forEach((file) => {
+    console.error(`\n  ${file}`);
+    [...new Set(problems.get(file))].forEach((message) => console.error(`    ${message}`));
+  });
+  process.exit(1);
+}
+
+if (require.main === module) {
+  main();
+}
@@ -0,0 +1,223 @@
+/**
+ * Renames the JavaScript, CSS, logos and images of a build directory to
+ * content-hashed filenames (styles.css -> styles.3f9a1c2e.css), rewrites
+ * every reference to them, and writes asset-manifest.json mapping each
+ * original path to its hashed one. nginx caches hashed files as immutable,
+ * so a deploy only has to change the HTML to ship new code.
+ *
+ * Usage: node scripts/fingerprint-assets.js <dist-dir>
+ *
+ * References are rewritten in:
+ *   - HTML: src, href, poster, data-src, srcset, og:/twitter: image meta
+ *     content, and url() in style attributes and <style> blocks
+ *   - CSS: url()
+ *   - JS: static and dynamic relative imports ("./modules/core.js")
+ * A file's hash covers its rewritten references, so a changed module also
+ * renames every module that imports it. Absolute URLs, videos, PDFs and
+ * JSON are left alone. An import cycle between modules fails the build.
+ *
+ * Run last before pre-compressing: after the HTML is minified and the
+ * logos and responsive images (build-images.js) are in the build directory.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_FILE = 'asset-manifest.json';
+const HASH_LENGTH = 8;
+
+// Where the assets live in the build directory; extensions: null takes every
+// file, recursive also takes subdirectories
+const ASSET_SOURCES = [
+  { dir: '.', extensions: ['.js', '.css'], recursive: false },
+  { dir: 'modules', extensions: ['.js'], recursive: false },
+  { dir: 'logos', extensions: null, recursive: true },
+  { dir: 'images', extensions: null, recursive: true }
+];
+
+const URL_ATTR_PATTERN = /(\s(?:src|href|poster|data-src)=)(["'])([^"']*)\2/g;
+const SRCSET_ATTR_PATTERN = /(\s(?:srcset|imagesrcset)=)(["'])([^"']*)\2/g;
+const META_IMAGE_PATTERN = /<meta\b[^>]*\s(?:property|name)=["'](?:og:image(?::url|:secure_url)?|twitter:image)["'][^>]*>/g;
+const META_CONTENT_PATTERN = /(\scontent=)(["'])([^"']*)\2/;
+const CSS_URL_PATTERN = /url\(\s*(["']?)([^"')]+)\1\s*\)/g;
+const JS_IMPORT_PATTERN = /(\bfrom\s*|\bimport\s*\(\s*|\bimport\s*)(["'])(\.{1,2}\/[^"']+\.js)\2/g;
+
+// ---------- Helpers ----------
+
+function contentHash(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, HASH_LENGTH);
+}
+
+function hashedName(file, content) {
+  const ext = path.posix.extname(file);
+  return `${file.slice(0, -ext.length)}.${contentHash(content)}${ext}`;
+}
+
+// Dotfiles (images/.gitkeep) are not assets
+function listFiles(distDir, dir, recursive) {
+  const fullDir = path.join(distDir, dir);
+  if (!fs.existsSync(fullDir)) return [];
+  return fs.readdirSync(fullDir, { withFileTypes: true }).flatMap((entry) => {
+    if (entry.name.startsWith('.')) return [];
+    const file = dir === '.' ? entry.name : `${dir}/${entry.name}`;
+    if (entry.isDirectory()) return recursive ? listFiles(distDir, file, true) : [];
+    return [file];
+  });
+}
+
+function collectAssets(distDir) {
+  return ASSET_SOURCES.flatMap(({ dir, extensions, recursive }) => listFiles(distDir, dir, recursive)
+    .filter((file) => !extensions || extensions.includes(path.posix.extname(file))));
+}
+
+/**
+ * Maps a reference found in fromFile to its hashed form, or returns it
+ * unchanged when it does not point at a fingerprinted asset.
+ */
+function rewriteReference(reference, fromFile, manifest) {
+  if (/^(?:[a-z][a-z\d+.-]*:|\/\/|#)/i.test(reference)) return reference;
+
+  const [, target, suffix] = reference.match(/^([^?#]*)(.*)$/);
+  if (!target) return reference;
+
+  const rooted = target.startsWith('/');
+  const resolved = rooted
+    ? path.posix.normalize(target.slice(1))
+    : path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), target));
+  const hashed = manifest[resolved];
+  if (!hashed) return reference;
+
+  // Keep the reference's own style: rooted, or relative to the referring file
+  if (rooted) return `/${hashed}${suffix}`;
+  const relative = path.posix.relative(path.posix.dirname(fromFile), hashed);
+  const prefix = target.startsWith('./') && !relative.startsWith('.') ? './' : '';
+  return `${prefix}${relative}${suffix}`;
+}
+
+function rewriteCssUrls(css, fromFile, manifest) {
+  return css.replace(CSS_URL_PATTERN, (match, quote, reference) => {
+    const rewritten = rewriteReference(reference, fromFile, manifest);
+    return rewritten === reference ? match : `url(${quote}${rewritten}${quote})`;
+  });
+}
+
+function rewriteSrcset(srcset, fromFile, manifest) {
+  return srcset.split(',').map((candidate) => candidate.replace(/^(\s*)(\S+)/,
+    (match, space, reference) => space + rewriteReference(reference, fromFile, manifest))).join(',');
+}
+
+// ---------- JavaScript import graph ----------
+
+function jsImports(file, source) {
+  const imports = [];
+  let match;
+  JS_IMPORT_PATTERN.lastIndex = 0;
+  while ((match = JS_IMPORT_PATTERN.exec(source)) !== null) {
+    imports.push(path.posix.normalize(path.posix.join(path.posix.dirname(file), match[3])));
+  }
+  return imports;
+}
+
+/** JS files ordered so that every file comes after the ones it imports. */
+function dependencyOrder(jsFiles, sources) {
+  const known = new Set(jsFiles);
+  const order = [];
+  const state = new Map();
+
+  const visit = (file, trail) => {
+    if (state.get(file) === 'done') return;
+    if (state.get(file) === 'visiting') {
+      const cycle = [...trail.slice(trail.indexOf(file)), file].join(' -> ');
+      throw new Error(`fingerprint-assets: import cycle ${cycle} -- a module's hash cannot include its own`);
+    }
+    state.set(file, 'visiting');
+    jsImports(file, sources.get(file))
+      .filter((dependency) => known.has(dependency))
+      .forEach((dependency) => visit(dependency, [...trail, file]));
+    state.set(file, 'done');
+    order.push(file);
+  };
+
+  jsFiles.forEach((file) => visit(file, []));
+  return order;
+}
+
+// ---------- Fingerprinting ----------
+
+function fingerprint(distDir) {
+  const assets = collectAssets(distDir);
+  const manifest = {};
+
+  const rename = (file, content) => {
+    const hashed = hashedName(file, content);
+    fs.writeFileSync(path.join(distDir, hashed), content);
+    fs.unlinkSync(path.join(distDir, file));
+    manifest[file] = hashed;
+  };
+
+  // Images first: CSS and HTML point at them, they point at nothing
+  assets
+    .filter((file) => !['.js', '.css'].includes(path.posix.extname(file)))
+    .forEach((file) => rename(file, fs.readFileSync(path.join(distDir, file))));
+
+  assets
+    .filter((file) => file.endsWith('.css'))
+    .forEach((file) => {
+      const css = fs.readFileSync(path.join(distDir, file), 'utf8');
+      rename(file, rewriteCssUrls(css, file, manifest));
+    });
+
+  const jsFiles = assets.filter((file) => file.endsWith('.js'));
+  const sources = new Map(jsFiles.map((file) => [file, fs.readFileSync(path.join(distDir, file), 'utf8')]));
+  dependencyOrder(jsFiles, sources).forEach((file) => {
+    const js = sources.get(file).replace(JS_IMPORT_PATTERN, (match, keyword, quote, reference) =>
+      `${keyword}${quote}${rewriteReference(reference, file, manifest)}${quote}`);
+    rename(file, js);
+  });
+
+  return manifest;
+}
+
+function rewriteHtml(html, file, manifest) {
+  const rewriteAttr = (match, attr, quote, value) =>
+    `${attr}${quote}${rewriteReference(value, file, manifest)}${quote}`;
+
+  return html
+    .replace(URL_ATTR_PATTERN, rewriteAttr)
+    .replace(SRCSET_ATTR_PATTERN, (match, attr, quote, value) =>
+      `${attr}${quote}${rewriteSrcset(value, file, manifest)}${quote}`)
+    .replace(META_IMAGE_PATTERN, (tag) => tag.replace(META_CONTENT_PATTERN, rewriteAttr))
+    .replace(/(\sstyle=)(["'])([^"']*)\2/g, (match, attr, quote, value) =>
+      `${attr}${quote}${rewriteCssUrls(value, file, manifest)}${quote}`)
+    .replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/g, (match, open, css, close) =>
+      open + rewriteCssUrls(css, file, manifest) + close);
+}
+
+// ---------- Main ----------
+
+function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/fingerprint-assets.js <dist-dir>');
+    process.exit(1);
+  }
+
+  const manifest = fingerprint(distDir);
+
+  const pages = fs.readdirSync(distDir).filter((file) => file.endsWith('.html'));
+  pages.forEach((file) => {
+    const fullPath = path.join(distDir, file);
+    fs.writeFileSync(fullPath, rewriteHtml(fs.readFileSync(fullPath, 'utf8'), file, manifest));
+  });
+
+  const sorted = Object.fromEntries(Object.keys(manifest).sort().map((file) => [file, manifest[file]]));
+  fs.writeFileSync(path.join(distDir, MANIFEST_FILE), `${JSON.stringify(sorted, null, 2)}\n`);
+  console.log(`  Fingerprinted ${Object.keys(sorted).length} assets across ${pages.length} pages (${MANIFEST_FILE})`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { rewriteReference };
@@ -0,0 +1,142 @@
+/**
+ * Downloads the product imagery the storefront hot-links (m.media-amazon.com,
+ * images-cms.sonicwall.com) into images/ as full-size originals, and records
+ * where each came from in images/sources.json. build-images.js then serves
+ * local, resized copies instead of the hot-links.
+ *
+ * Usage: node scripts/ingest-images.js [--refresh]
+ *
+ * Sources are the <img src> URLs in the pages and partials and every
+ * catalog image (data/catalog.json). Images already ingested are skipped
+ * unless --refresh is given. Commit images/ afterwards -- builds do not
+ * touch the network.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCatalog } = require('./lib/catalog');
+const { IMAGES_DIR, originalImageUrl, loadImageSources, saveImageSources } = require('./lib/images');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const PARTIALS_DIR = path.join(ROOT_DIR, 'partials');
+
+const IMG_SRC_PATTERN = /<img\b[^>]*\ssrc="([^"]+)"/g;
+const DOWNLOAD_CONCURRENCY = 4;
+
+const EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/avif': '.avif',
+  'image/gif': '.gif',
+  'image/svg+xml': '.svg'
+};
+
+// ---------- Sources ----------
+
+function htmlFiles() {
+  const pages = fs.readdirSync(ROOT_DIR).filter((file) => file.endsWith('.html')).map((file) => path.join(ROOT_DIR, file));
+  const partials = fs.readdirSync(PARTIALS_DIR).filter((file) => file.endsWith('.html')).map((file) => path.join(PARTIALS_DIR, file));
+  return [...pages, ...partials];
+}
+
+function collectImageUrls() {
+  const urls = new Set();
+  const add = (src) => {
+    const original = originalImageUrl(src);
+    if (original) urls.add(original);
+  };
+
+  htmlFiles().forEach((file) => {
+    const html = fs.readFileSync(file, 'utf8');
+    let match;
+    IMG_SRC_PATTERN.lastIndex = 0;
+    while ((match = IMG_SRC_PATTERN.exec(html)) !== null) add(match[1]);
+  });
+  loadCatalog().products.forEach((product) => {
+    if (product.image) add(product.image.src);
+  });
+
+  return [...urls].sort();
+}
+
+// ---------- Naming ----------
+
+function slugify(value) {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'image';
+}
+
+// TZ_280W-FRONT-20240719.0.png -> tz-280w-front-20240719-0; Amazon ids stay recognisable
+function baseName(url) {
+  const { hostname, pathname } = new URL(url);
+  const stem = path.posix.basename(pathname, path.posix.extname(pathname));
+  return hostname === 'm.media-amazon.com' ? `amazon-${slugify(stem)}` : slugify(stem);
+}
+
+function uniqueName(url, extension, taken) {
+  const base = baseName(url);
+  let name = `${base}${extension}`;
+  for (let n = 2; taken.has(name); n++) name = `${base}-${n}${extension}`;
+  taken.add(name);
+  return name;
+}
+
+// ---------- Download ----------
+
+async function download(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+
+  const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+  const extension = EXTENSIONS[type];
+  if (!extension) throw new Error(`not an image (${type || 'no content type'})`);
+  return { extension, data: Buffer.from(await response.arrayBuffer()) };
+}
+
+async function runQueue(items, worker) {
+  const queue = [...items];
+  const runners = Array.from({ length: Math.min(DOWNLOAD_CONCURRENCY, queue.length) }, async () => {
+    while (queue.length) await worker(queue.shift());
+  });
+  await Promise.all(runners);
+}
+
+// ---------- Main ----------
+
+async function main() {
+  const refresh = process.argv.includes('--refresh');
+  const sources = loadImageSources();
+  const taken = new Set(Object.values(sources));
+  const failures = [];
+  let downloaded = 0;
+
+  const pending = collectImageUrls().filter((url) =>
+    refresh || !sources[url] || !fs.existsSync(path.join(IMAGES_DIR, sources[url])));
+
+  await runQueue(pending, async (url) => {
+    try {
+      const { extension, data } = await download(url);
+      if (sources[url]) taken.delete(sources[url]);
+      const name = uniqueName(url, extension, taken);
+      fs.writeFileSync(path.join(IMAGES_DIR, name), data);
+      sources[url] = name;
+      downloaded++;
+    } catch (error) {
+      failures.push(`${url}: ${error.message}`);
+    }
+  });
+
+  saveImageSources(sources);
+  console.log(`  Ingested ${downloaded} image(s) into images/ (${Object.keys(sources).length} known)`);
+  if (failures.length) {
+    console.error(`  ${failures.length} image(s) failed -- they stay hot-linked:\n    ${failures.join('\n    ')}`);
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_PATH = path.resolve(__dirname, '../../data/catalog.json');
+const BUNDLES_PATH = path.resolve(__dirname, '../../data/bundles.json');
+const SERVICES_PATH = path.resolve(__dirname, '../../data/services.json');
+
+const DISCOUNT_TYPES = ['fixed', 'percent'];
+// mdr-estimate.ts recommends between these two and prices these units
+const DETECTION_PLAN_IDS = ['mdr', 'mxdr'];
+const DETECTION_UNIT_IDS = ['endpoints', 'sensors', 'workloads'];
+
+let cached = null;
+let cachedBundles = null;
+let cachedServices = null;
+
+/**
+ * Loads data/catalog.json once per process and validates the fields every
+ * consumer relies on, including that each product's series is declared. Throws on duplicate SKUs so a copy-paste mistake in the
+ * catalog fails the build instead of silently rendering the wrong card.
+ */
+function loadCatalog() {
+  if (cached) return cached;
+
+  const raw = JSON.parse(fs.readFileSync(CATALOG_PATH, 'utf8'));
+  const products = raw.products || [];
+  const series = raw.series || [];
+  const seriesIds = new Set(series.map((entry) => entry.id));
+  const bySku = new Map();
+
+  products.forEach((product) => {
+    if (!product.sku || !product.name) {
+      throw new Error(`catalog: product without sku/name: ${JSON.stringify(product).slice(0, 80)}`);
+    }
+    if (bySku.has(product.sku)) {
+      throw new Error(`catalog: duplicate sku "${product.sku}"`);
+    }
+    if (!seriesIds.has(product.series)) {
+      throw new Error(`catalog: "${product.sku}" references unknown series "${product.series}"`);
+    }
+    bySku.set(product.sku, product);
+  });
+
+  cached = { products, series, bySku };
+  return cached;
+}
+
+function findProduct(sku) {
+  const product = loadCatalog().bySku.get(sku);
+  if (!product) throw new Error(`catalog: unknown sku "${sku}"`);
+  return product;
+}
+
+/**
+ * Loads data/bundles.json once per process. Every bundle item must reference a
+ * priced catalog product -- quote-only models cannot be added to a cart --
+ * and discounts must be a known type with a positive value.
+ */
+function loadBundles() {
+  if (cachedBundles) return cachedBundles;
+
+  const raw = JSON.parse(fs.readFileSync(BUNDLES_PATH, 'utf8'));
+  const byId = new Map();
+
+  (raw.bundles || []).forEach((bundle) => {
+    if (!bundle.id) throw new Error('bundles: bundle without id');
+    if (byId.has(bundle.id)) throw new Error(`bundles: duplicate id "${bundle.id}"`);
+    if (!bundle.items || bundle.items.length < 2) {
+      throw new Error(`bundles: "${bundle.id}" needs at least two items`);
+    }
+
+    bundle.items.forEach((item) => {
+      const product = findProduct(item.sku);
+      if (product.price === null || product.price === undefined) {
+        throw new Error(`bundles: "${bundle.id}" includes quote-only sku "${item.sku}"`);
+      }
+      if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+        throw new Error(`bundles: "${bundle.id}" has invalid quantity for "${item.sku}"`);
+      }
+    });
+
+    const discount = bundle.discount;
+    if (discount) {
+      if (!DISCOUNT_TYPES.includes(discount.type) || !(discount.value > 0)) {
+        throw new Error(`bundles: "${bundle.id}" has an invalid discount`);
+      }
+      if (discount.type === 'percent' && discount.value >= 100) {
+        throw new Error(`bundles: "${bundle.id}" discount must be below 100%`);
+      }
+    }
+
+    byId.set(bundle.id, bundle);
+  });
+
+  cachedBundles = byId;
+  return cachedBundles;
+}
+
+function findBundle(id) {
+  const bundle = loadBundles().get(id);
+  if (!bundle) throw new Error(`bundles: unknown bundle "${id}"`);
+  return bundle;
+}
+
+function validateDetection(detection) {
+  const unitIds = (detection.units || []).map((unit) => unit.id);
+  const capabilityIds = new Set((detection.capabilities || []).map((capability) => capability.id));
+  if (unitIds.join() !== DETECTION_UNIT_IDS.join()) {
+    throw new Error(`services: detection units must be ${DETECTION_UNIT_IDS.join(', ')}`);
+  }
+  (detection.units || []).forEach((unit) => {
+    if (!Number.isInteger(unit.max) || unit.max < 1) throw new Error(`services: detection unit "${unit.id}" needs a max`);
+  });
+
+  DETECTION_PLAN_IDS.forEach((id) => {
+    const plan = (detection.plans || []).find((entry) => entry.id === id);
+    if (!plan) throw new Error(`services: detection plan "${id}" is missing`);
+    if (plan.monthlyMinimum !== null && !(plan.monthlyMinimum >= 0)) {
+      throw new Error(`services: detection plan "${id}" needs a monthlyMinimum (null where sales quotes it)`);
+    }
+
+    DETECTION_UNIT_IDS.forEach((unit) => {
+      const rate = (plan.rates || []).find((entry) => entry.unit === unit);
+      if (!rate || !(rate.monthly === null || rate.monthly > 0) || !rate.name || !rate.href) {
+        throw new Error(`services: detection plan "${id}" needs a name, href and monthly rate (null where sales quotes it) for ${unit}`);
+      }
+    });
+    (plan.capabilities || []).forEach((capability) => {
+      if (!capabilityIds.has(capability)) throw new Error(`services: detection plan "${id}" lists unknown capability "${capability}"`);
+    });
+  });
+}
+
+/**
+ * Loads data/services.json once per process. Every appliance class must
+ * name declared catalog series, every priced offering needs a price for each
+ * class (null means quoted by sales), bundles may only include known
+ * add-ons, and the MDR and MXDR plans must rate every detection unit (null
+ * again meaning quoted by sales).
+ */
+function loadServices() {
+  if (cachedServices) return cachedServices;
+
+  const raw = JSON.parse(fs.readFileSync(SERVICES_PATH, 'utf8'));
+  const seriesIds = new Set(loadCatalog().series.map((entry) => entry.id));
+  const classIds = (raw.applianceClasses || []).map((entry) => entry.id);
+
+  (raw.applianceClasses || []).forEach((entry) => {
+    (entry.series || []).forEach((series) => {
+      if (!seriesIds.has(series)) throw new Error(`services: class "${entry.id}" references unknown series "${series}"`);
+    });
+  });
+  (raw.terms || []).forEach((term) => {
+    if (!Number.isInteger(term.years) || term.years < 1 || !(term.discount >= 0 && term.discount < 1)) {
+      throw new Error(`services: invalid term ${JSON.stringify(term)}`);
+    }
+  });
+
+  const addOnIds = new Set((raw.addOns || []).map((addOn) => addOn.id));
+  ['bundles', 'addOns', 'managedTiers'].forEach((group) => {
+    const ids = new Set();
+    (raw[group] || []).forEach((offering) => {
+      if (!offering.id || !offering.name) throw new Error(`services: ${group} entry without id/name`);
+      if (ids.has(offering.id)) throw new Error(`services: duplicate ${group} id "${offering.id}"`);
+      ids.add(offering.id);
+
+      if (offering.annual !== null && !classIds.every((id) => offering.annual[id] > 0)) {
+        throw new Error(`services: "${offering.id}" needs a price for every appliance class (${classIds.join(', ')})`);
+      }
+      (offering.includes || []).forEach((id) => {
+        if (!addOnIds.has(id)) throw new Error(`services: "${offering.id}" includes unknown add-on "${id}"`);
+      });
+    });
+  });
+
+  validateDetection(raw.detection || {});
+  cachedServices = raw;
+  return cachedServices;
+}
+
+/**
+ * Parses a filter expression such as "series:TZ" or
+ * "category:access-point;placement:indoor" into [field, value] pairs.
+ */
+function parseFilter(expression) {
+  return expression
+    .split(';')
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [field, value] = part.split(':').map((s) => s.trim());
+      if (!field || value === undefined) {
+        throw new Error(`catalog: malformed filter "${expression}"`);
+      }
+      return [field, value];
+    });
+}
+
+function matchesFilter(product, pairs) {
+  return pairs.every(([field, value]) => String(product[field]) === value);
+}
+
+/** Returns catalog products matching the filter, in catalog order. */
+function queryProducts(expression) {
+  const pairs = parseFilter(expression);
+  return loadCatalog().products.filter((product) => matchesFilter(product, pairs));
+}
+
+/** Splits 1499.99 into { whole: '1,499', fraction: '.99' } for the card price markup. */
+function splitPrice(price) {
+  const [whole, fraction] = price.toFixed(2).split('.');
+  return {
+    whole: whole.replace(/\B(?=(\d{3})+(?!\d))/g, ','),
+    fraction: '.' + fraction
+  };
+}
+
+function formatPrice(price) {
+  const { whole, fraction } = splitPrice(price);
+  return '$' + whole + fraction;
+}
+
+module.exports = {
+  loadCatalog,
+  findProduct,
+  loadBundles,
+  findBundle,
+  loadServices,
+  parseFilter,
+  matchesFilter,
+  queryProducts,
+  splitPrice,
+  formatPrice
+};
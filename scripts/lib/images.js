@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+
+const IMAGES_DIR = path.resolve(__dirname, '../../images');
+const SOURCES_PATH = path.join(IMAGES_DIR, 'sources.json');
+
+// Hosts whose images are ingested into images/ and served locally
+const REMOTE_IMAGE_HOSTS = ['m.media-amazon.com', 'images-cms.sonicwall.com'];
+
+// Amazon renders sizes from one original: 31FWCUxLowL._AC_US40_.jpg is a
+// 40px rendition of 31FWCUxLowL.jpg
+const AMAZON_RENDITION_PATTERN = /\._[A-Z][A-Z0-9_,]*_(\.\w+)$/;
+
+/**
+ * The URL of the full-size original behind a hot-linked image, or null when
+ * src is not on one of REMOTE_IMAGE_HOSTS.
+ */
+function originalImageUrl(src) {
+  let url;
+  try {
+    url = new URL(src);
+  } catch {
+    // Relative path -- a local image, not a hot-link
+    return null;
+  }
+  if (!REMOTE_IMAGE_HOSTS.includes(url.hostname)) return null;
+
+  url.search = '';
+  url.hash = '';
+  if (url.hostname === 'm.media-amazon.com') {
+    url.pathname = url.pathname.replace(AMAZON_RENDITION_PATTERN, '$1');
+  }
+  return url.href;
+}
+
+/** images/sources.json: original URL -> file name in images/ ({} before the first ingest). */
+function loadImageSources() {
+  if (!fs.existsSync(SOURCES_PATH)) return {};
+  return JSON.parse(fs.readFileSync(SOURCES_PATH, 'utf8'));
+}
+
+function saveImageSources(sources) {
+  const sorted = Object.fromEntries(Object.keys(sources).sort().map((url) => [url, sources[url]]));
+  fs.writeFileSync(SOURCES_PATH, `${JSON.stringify(sorted, null, 2)}\n`);
+}
+
+module.exports = {
+  IMAGES_DIR,
+  REMOTE_IMAGE_HOSTS,
+  originalImageUrl,
+  loadImageSources,
+  saveImageSources
+};
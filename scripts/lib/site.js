@@ -0,0 +1,39 @@
+/**
+ * Where the storefront is served from: the SITE_URL environment variable
+ * (https://store.example.com, or with a path prefix) without a trailing
+ * slash, or null when it is not set. build.sh passes it through.
+ */
+function siteUrl() {
+  const value = (process.env.SITE_URL || '').trim();
+  if (!value) return null;
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    throw new Error(`site: SITE_URL "${value}" is not a URL`);
+  }
+  if (!/^https?:$/.test(url.protocol) || url.search || url.hash) {
+    throw new Error(`site: SITE_URL "${value}" must be a plain http(s) origin or path`);
+  }
+  return url.href.replace(/\/+$/, '');
+}
+
+/** The path the site is served under ("/" unless SITE_URL has a path). */
+function basePath() {
+  const url = siteUrl();
+  return url ? `${new URL(url).pathname.replace(/\/+$/, '')}/` : '/';
+}
+
+/** Absolute URL of a page in the build directory; index.html is the site root. */
+function pageUrl(file) {
+  const url = siteUrl();
+  if (!url) throw new Error('site: pageUrl() needs SITE_URL');
+  return file === 'index.html' ? `${url}/` : `${url}/${file}`;
+}
+
+module.exports = {
+  siteUrl,
+  basePath,
+  pageUrl
+};
@@ -0,0 +1,147 @@
+/**
+ * Adds <link rel="modulepreload"> tags for the feature modules each page
+ * uses, and reports how much JavaScript a page ships, in the HTML pages of
+ * a build directory (in place).
+ *
+ * Usage: node scripts/preload-modules.js <dist-dir>
+ *
+ * script.js mounts storefront.js on the page, which loads modules/<name>.js
+ * for every data-module="name" root (several names may be space-separated).
+ * Left alone, the browser only discovers those files after script.js has
+ * run, and their own imports after that; preloading the whole static import
+ * graph fetches it in parallel with script.js. An unknown module name fails
+ * the build.
+ *
+ * Run after the JS is minified into the build directory and after
+ * render-partials.js (the header and nav partials carry data-module too).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+const ENTRY = 'script.js';
+const MODULES_DIR = 'modules';
+
+const ENTRY_TAG_PATTERN = /^([ \t]*)<script type="module" src="script\.js"><\/script>/m;
+const MODULE_ATTR_PATTERN = /\sdata-module="([^"]*)"/g;
+// Static imports / re-exports only -- import("...") is what the registry defers
+const STATIC_IMPORT_PATTERN = /\b(?:import|export)\s*(?:[\w$*{}\s,]*?\s*from\s*)?["']([^"']+\.js)["']/g;
+
+// ---------- Import graph ----------
+
+const importCache = new Map();
+
+function staticImports(distDir, file) {
+  if (!importCache.has(file)) {
+    const fullPath = path.join(distDir, file);
+    if (!fs.existsSync(fullPath)) throw new Error(`preload-modules: ${file} not found in ${distDir}`);
+
+    const source = fs.readFileSync(fullPath, 'utf8');
+    const imports = [];
+    let match;
+    STATIC_IMPORT_PATTERN.lastIndex = 0;
+    while ((match = STATIC_IMPORT_PATTERN.exec(source)) !== null) {
+      imports.push(path.posix.normalize(path.posix.join(path.posix.dirname(file), match[1])));
+    }
+    importCache.set(file, imports);
+  }
+  return importCache.get(file);
+}
+
+/** The files and everything they statically import, in discovery order. */
+function importClosure(distDir, files) {
+  const seen = new Set();
+  const visit = (file) => {
+    if (seen.has(file)) return;
+    seen.add(file);
+    staticImports(distDir, file).forEach(visit);
+  };
+  files.forEach(visit);
+  return [...seen];
+}
+
+function gzipSize(distDir, files) {
+  return files.reduce((sum, file) => sum + zlib.gzipSync(fs.readFileSync(path.join(distDir, file)), { level: 9 }).length, 0);
+}
+
+function formatKb(bytes) {
+  return `${(bytes / 1024).toFixed(1)} kB`;
+}
+
+// ---------- Pages ----------
+
+function readModuleNames(html) {
+  const names = new Set();
+  let match;
+  MODULE_ATTR_PATTERN.lastIndex = 0;
+  while ((match = MODULE_ATTR_PATTERN.exec(html)) !== null) {
+    match[1].split(/\s+/).filter(Boolean).forEach((name) => names.add(name));
+  }
+  return [...names].sort();
+}
+
+function preloadPage(distDir, file, html) {
+  const entryTag = html.match(ENTRY_TAG_PATTERN);
+  if (!entryTag) return null;
+
+  const modules = readModuleNames(html).map((name) => {
+    const moduleFile = `${MODULES_DIR}/${name}.js`;
+    if (!fs.existsSync(path.join(distDir, moduleFile))) {
+      throw new Error(`preload-modules: ${file} uses data-module="${name}" but there is no ${moduleFile}`);
+    }
+    return moduleFile;
+  });
+
+  const shipped = importClosure(distDir, [ENTRY, ...modules]);
+  const links = shipped
+    .filter((jsFile) => jsFile !== ENTRY)
+    .map((jsFile) => `${entryTag[1]}<link rel="modulepreload" href="${jsFile}">\n`)
+    .join('');
+
+  return {
+    output: html.replace(ENTRY_TAG_PATTERN, (tag) => links + tag),
+    bytes: gzipSize(distDir, shipped)
+  };
+}
+
+// ---------- Main ----------
+
+function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/preload-modules.js <dist-dir>');
+    process.exit(1);
+  }
+
+  // What every page shipped before the split: the entry plus all feature code
+  const allJs = [ENTRY, ...fs.readdirSync(path.join(distDir, MODULES_DIR))
+    .filter((file) => file.endsWith('.js'))
+    .map((file) => `${MODULES_DIR}/${file}`)];
+  const fullBytes = gzipSize(distDir, importClosure(distDir, allJs));
+
+  const sizes = [];
+  fs.readdirSync(distDir)
+    .filter((file) => file.endsWith('.html'))
+    .forEach((file) => {
+      const fullPath = path.join(distDir, file);
+      const result = preloadPage(distDir, file, fs.readFileSync(fullPath, 'utf8'));
+      if (!result) return;
+      fs.writeFileSync(fullPath, result.output);
+      sizes.push({ file, bytes: result.bytes });
+    });
+
+  if (!sizes.length) return;
+  sizes.sort((a, b) => a.bytes - b.bytes);
+  const average = sizes.reduce((sum, page) => sum + page.bytes, 0) / sizes.length;
+  const largest = sizes[sizes.length - 1];
+  console.log(`  JS per page (gzip): ${formatKb(sizes[0].bytes)}–${formatKb(largest.bytes)}, `
+    + `avg ${formatKb(average)} across ${sizes.length} pages (largest: ${largest.file}); `
+    + `all modules: ${formatKb(fullBytes)}`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { importClosure, readModuleNames };
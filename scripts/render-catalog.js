@@ -0,0 +1,368 @@
+/**
+ * Renders product cards and comparison price rows from data/catalog.json
+ * into the HTML pages of a build directory (in place).
+ *
+ * Usage: node scripts/render-catalog.js <dist-dir>
+ *
+ * Pages mark where catalog content goes with empty placeholder elements:
+ *
+ *   <div class="product-grid" id="tz-products"
+ *        data-catalog="series:TZ" data-catalog-more="generation:7"></div>
+ *     Renders every matching product as a card. Products matching
+ *     data-catalog-more are emitted last as hidden .product-card--gen7 cards,
+ *     the "see more" group that modules/product-toggle.ts reveals.
+ *     data-catalog-layout picks the card template: "card" (default),
+ *     "spec" (switch cards) or "ap" (access point cards). Product and spec
+ *     cards also carry data-series/-generation/-rating/-throughput/-ports/
+ *     -wireless for the filter bar.
+ *
+ *   <tr class="comparison-table__row comparison-table__row--price"
+ *       data-catalog-prices="TZ280W,TZ480" data-catalog-highlight="TZ480"></tr>
+ *     Renders the label cell plus one price cell per SKU, in column order.
+ *
+ *   <section class="frequently-bought-together" data-bundle="tz280-small-office"></section>
+ *     Renders a Frequently Bought Together block from data/bundles.json. Each
+ *     item row carries data-sku/data-asin/data-price/data-name and the bundle
+ *     discount rule rides on .fbt-container for modules/frequently-bought-together.ts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const {
+  queryProducts,
+  findProduct,
+  findBundle,
+  parseFilter,
+  matchesFilter,
+  splitPrice,
+  formatPrice
+} = require('./lib/catalog');
+
+// ---------- Helpers ----------
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function readAttribute(openTag, name) {
+  const match = openTag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? match[1] : null;
+}
+
+function dataAttributes(product) {
+  const attrs = [`data-sku="${escapeHtml(product.sku)}"`];
+  if (product.asin) attrs.push(`data-asin="${escapeHtml(product.asin)}"`);
+  if (product.price !== null && product.price !== undefined) {
+    attrs.push(`data-price="${product.price.toFixed(2)}"`);
+  }
+  return attrs.join(' ');
+}
+
+// Facets for the category-page filter bar (modules/filter-bar.ts).
+// Attributes are omitted when the model has no value, so it never matches.
+function facetAttributes(product) {
+  const specs = product.specs || {};
+  const ports = specs.ports ?? specs.totalInterfaces;
+  const attrs = [`data-series="${escapeHtml(product.series)}"`];
+  if (product.generation) attrs.push(`data-generation="${product.generation}"`);
+  if (product.rating) attrs.push(`data-rating="${product.rating}"`);
+  if (specs.firewallThroughputMbps) attrs.push(`data-throughput="${specs.firewallThroughputMbps}"`);
+  if (ports) attrs.push(`data-ports="${ports}"`);
+  if (specs.wireless) attrs.push(`data-wireless="${specs.wireless === 'built-in' ? 'yes' : 'no'}"`);
+  return attrs.join(' ');
+}
+
+// ---------- Card fragments ----------
+
+function renderStars(rating, reviews) {
+  const full = Math.floor(rating);
+  const half = rating - full >= 0.5;
+  const stars = '<span class="star-filled"></span>'.repeat(full) + (half ? '<span class="star-half"></span>' : '');
+  return `<div class="product-card__rating">
+    <span class="stars" role="img" aria-label="${rating} out of 5 stars">${stars}</span>
+    <a href="#" class="rating-count" aria-label="${reviews} customer reviews">${reviews}</a>
+</div>`;
+}
+
+function renderPrice(price) {
+  const { whole, fraction } = splitPrice(price);
+  return `<span class="product-card__price">
+    <span class="product-card__price-symbol">$</span>
+    <span class="product-card__price-whole">${whole}</span>
+    <span class="product-card__price-fraction">${fraction}</span>
+</span>`;
+}
+
+// Chassis illustration used for models without product photography (NSsp).
+// Status LEDs alternate orange/green, starting colour flips card to card.
+function renderPlaceholderImage(product, position) {
+  const leds = position % 2 === 0
+    ? ['#ff6e42', '#4ade80', '#ff6e42']
+    : ['#4ade80', '#ff6e42', '#4ade80'];
+  return `<div class="fw-nssp-placeholder">
+    <svg width="120" height="80" viewBox="0 0 120 80" fill="none" aria-hidden="true"><rect x="10" y="10" width="100" height="60" rx="6" stroke="#ff6e42" stroke-width="1.5" fill="none"/><rect x="20" y="20" width="80" height="8" rx="2" fill="#2a2a4e"/><rect x="20" y="34" width="80" height="8" rx="2" fill="#2a2a4e"/><rect x="20" y="48" width="80" height="8" rx="2" fill="#2a2a4e"/><circle cx="28" cy="24" r="2" fill="${leds[0]}"/><circle cx="28" cy="38" r="2" fill="${leds[1]}"/><circle cx="28" cy="52" r="2" fill="${leds[2]}"/><text x="60" y="72" text-anchor="middle" font-size="8" fill="#9ca3af" font-family="Inter, Arial, sans-serif">${escapeHtml(product.name)}</text></svg>
+</div>`;
+}
+
+function renderImage(image) {
+  return `<img width="${image.width}" height="${image.height}" src="${escapeHtml(image.src)}" alt="${escapeHtml(image.alt)}" loading="lazy">`;
+}
+
+// ---------- Card templates ----------
+
+function renderProductCard(product, { position, more }) {
+  const classes = more ? 'product-card product-card--gen7' : 'product-card';
+  const hidden = more ? ' style="display: none;" aria-hidden="true"' : '';
+  const parts = [];
+
+  product.badges.forEach((badge) => {
+    parts.push(`<span class="product-card__badge product-card__badge--${escapeHtml(badge.variant)}">${escapeHtml(badge.label)}</span>`);
+  });
+  parts.push(`<div class="product-card__image">
+    ${product.image ? renderImage(product.image) : renderPlaceholderImage(product, position)}
+</div>`);
+  parts.push(`<h3 class="product-card__name">${escapeHtml(product.title)}</h3>`);
+  if (product.rating) parts.push(renderStars(product.rating, product.reviews));
+  if (product.price !== null) parts.push(renderPrice(product.price));
+  if (product.prime) {
+    parts.push(`<span class="product-card__prime">
+    <img width="200" height="40" loading="lazy" src="logos/prime-badge.avif" alt="Prime" class="prime-badge">
+</span>`);
+  }
+  parts.push(`<button class="btn btn--modern btn--amazon btn--small">${escapeHtml(product.cta || 'View Details')} &rarr;</button>`);
+
+  return `<!-- ${escapeHtml(product.name)} -->
+<article class="${classes}" ${dataAttributes(product)} ${facetAttributes(product)}${hidden}>
+${parts.join('\n')}
+</article>`;
+}
+
+function renderSpecCard(product) {
+  const badges = product.badges
+    .map((badge) => `<span class="sw-product-badge sw-product-badge--${escapeHtml(badge.variant)}">${escapeHtml(badge.label)}</span>`)
+    .join('\n');
+  const specs = (product.cardSpecs || [])
+    .map((spec) => `<div class="sw-product-spec">
+    <span class="sw-product-spec__label">${escapeHtml(spec.label)}:</span>
+    <span>${escapeHtml(spec.value)}</span>
+</div>`)
+    .join('\n');
+
+  return `<!-- ${escapeHtml(product.name)} -->
+<article class="product-card" ${dataAttributes(product)} ${facetAttributes(product)}>
+<div class="product-card__image">
+    <div class="sw-product-img">
+        ${renderImage(product.image)}
+    </div>
+</div>
+<h3 class="product-card__name">${escapeHtml(product.title)}</h3>
+${badges}
+<div class="sw-product-specs">
+${specs}
+</div>
+<p class="sw-product-use">Best for: ${escapeHtml(product.bestFor)}</p>
+<a href="#" class="btn btn--modern btn--amazon btn--small">${escapeHtml(product.cta || 'Request Quote')} &rarr;</a>
+</article>`;
+}
+
+const CHECK_ICON = '<svg width="14" height="14" viewBox="0 0 14 14" fill="none" aria-hidden="true"><circle cx="7" cy="7" r="6" stroke="#ff6e42" stroke-width="1.5"/><path d="M4.5 7l2 2 3.5-3.5" stroke="#ff6e42" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round"/></svg>';
+
+function renderApCard(product) {
+  const badge = product.badges[0]
+    ? `<span class="ap-card__badge">${escapeHtml(product.badges[0].label)}</span>\n`
+    : '';
+  const features = (product.features || [])
+    .map((feature) => `<li>\n    ${CHECK_ICON}\n    ${escapeHtml(feature)}\n</li>`)
+    .join('\n');
+
+  return `<!-- ${escapeHtml(product.name)} -->
+<div class="ap-card" ${dataAttributes(product)}>
+${badge}<div class="ap-card__img">
+    ${renderImage(product.image)}
+</div>
+<h3 class="ap-card__name">${escapeHtml(product.title)}</h3>
+<p class="ap-card__wifi">${escapeHtml(product.tagline)}</p>
+<ul class="ap-card__specs">
+${features}
+</ul>
+<div class="ap-card__best-for"><strong>Best for:</strong> ${escapeHtml(product.bestFor)}</div>
+<a href="#" class="ap-card__cta">${escapeHtml(product.cta || 'Contact Sales')} &rarr;</a>
+</div>`;
+}
+
+const LAYOUTS = {
+  card: renderProductCard,
+  spec: renderSpecCard,
+  ap: renderApCard
+};
+
+// ---------- Frequently Bought Together ----------
+
+/**
+ * Applies a bundle discount rule to the selected items. Mirrors
+ * bundleSavings() in modules/frequently-bought-together.ts so the
+ * pre-rendered total matches the first client-side update.
+ */
+function bundleSavings(discount, selectedCount, total) {
+  if (!discount || selectedCount < (discount.minItems || Infinity)) return 0;
+  const savings = discount.type === 'percent' ? total * discount.value / 100 : discount.value;
+  return Math.min(Math.round(savings * 100) / 100, total);
+}
+
+function renderFbtItem(product, item) {
+  const label = `${product.title} - ${formatPrice(product.price)}`;
+  const image = product.image ? ` data-image="${escapeHtml(product.image.src)}"` : '';
+  return `<li class="fbt-item" ${dataAttributes(product)} data-name="${escapeHtml(product.title)}"${image}>
+    <label class="fbt-checkbox">
+        <input type="checkbox"${item.selected ? ' checked' : ''}>
+        <span>${escapeHtml(label)}</span>
+    </label>
+    <input type="number" class="fbt-quantity" min="1" max="99" value="${item.quantity}" aria-label="Quantity of ${escapeHtml(product.title)}">
+</li>`;
+}
+
+function renderFbtProduct(product, position) {
+  const image = product.image
+    ? `<div class="fbt-product__image">\n    ${renderImage(product.image)}\n</div>`
+    : `<div class="fbt-product__image fbt-product__image--placeholder">\n    ${renderPlaceholderImage(product, position)}\n</div>`;
+  return `<div class="fbt-product" data-sku="${escapeHtml(product.sku)}">
+${image}
+<p class="fbt-product__name">${escapeHtml(product.title)}</p>
+</div>`;
+}
+
+function renderBundle(openTag) {
+  const bundle = findBundle(readAttribute(openTag, 'data-bundle'));
+  const entries = bundle.items.map((item) => ({ item, product: findProduct(item.sku) }));
+  const discount = bundle.discount
+    ? { ...bundle.discount, minItems: bundle.discount.minItems || entries.length }
+    : null;
+
+  const selected = entries.filter(({ item }) => item.selected);
+  const total = selected.reduce((sum, { item, product }) => sum + product.price * item.quantity, 0);
+  const savings = bundleSavings(discount, selected.length, total);
+
+  const products = entries
+    .map(({ product }, position) => renderFbtProduct(product, position))
+    .join('\n<span class="fbt-plus" aria-hidden="true">+</span>\n');
+  const items = entries.map(({ item, product }) => renderFbtItem(product, item)).join('\n');
+  const discountAttrs = discount
+    ? ` data-discount-type="${discount.type}" data-discount-value="${discount.value}" data-discount-min-items="${discount.minItems}"`
+    : '';
+  const buttonLabel = selected.length === entries.length ? `Add all ${entries.length} to Cart` : `Add ${selected.length} to Cart`;
+
+  return `<div class="container">
+<h2 class="section-title">${escapeHtml(bundle.title || 'Frequently Bought Together')}</h2>
+<div class="fbt-container"${discountAttrs}>
+<div class="fbt-products">
+${products}
+</div>
+<div class="fbt-pricing">
+<div class="fbt-price-info">
+    <p class="fbt-total-price">Total price: <span class="fbt-price-amount">${formatPrice(total - savings)}</span></p>
+    <p class="fbt-savings" aria-live="polite">${savings > 0 ? `You save ${formatPrice(savings)} when bought together` : ''}</p>
+</div>
+<ul class="fbt-checkboxes">
+${items}
+</ul>
+<button class="btn btn--modern btn--amazon">${buttonLabel}</button>
+</div>
+</div>
+</div>`;
+}
+
+// ---------- Placeholders ----------
+
+/**
+ * The products a data-catalog grid shows, split into the primary cards and
+ * the hidden "see more" group -- in render order, which is primary first.
+ */
+function gridProducts(openTag) {
+  const filter = readAttribute(openTag, 'data-catalog');
+  const moreFilter = readAttribute(openTag, 'data-catalog-more');
+
+  const products = queryProducts(filter);
+  if (!products.length) throw new Error(`render-catalog: no products match "${filter}"`);
+
+  // Stable partition: primary cards first, "see more" cards last
+  const morePairs = moreFilter ? parseFilter(moreFilter) : null;
+  const primary = morePairs ? products.filter((p) => !matchesFilter(p, morePairs)) : products;
+  const more = morePairs ? products.filter((p) => matchesFilter(p, morePairs)) : [];
+  return { primary, more };
+}
+
+function renderGrid(openTag) {
+  const layout = readAttribute(openTag, 'data-catalog-layout') || 'card';
+  const template = LAYOUTS[layout];
+
+  if (!template) throw new Error(`render-catalog: unknown layout "${layout}"`);
+
+  const { primary, more } = gridProducts(openTag);
+  return primary
+    .map((product, position) => template(product, { position, more: false }))
+    .concat(more.map((product, position) => template(product, { position, more: true })))
+    .join('\n\n');
+}
+
+function renderPriceRow(openTag) {
+  const skus = readAttribute(openTag, 'data-catalog-prices').split(',').map((s) => s.trim());
+  const highlight = readAttribute(openTag, 'data-catalog-highlight');
+
+  const cells = skus.map((sku) => {
+    const product = findProduct(sku);
+    const classes = ['comparison-table__cell', 'comparison-table__cell--price'];
+    if (sku === highlight) classes.push('comparison-table__cell--highlight');
+    const label = product.price === null ? 'Contact Sales' : formatPrice(product.price);
+    return `<td class="${classes.join(' ')}"><strong>${label}</strong></td>`;
+  });
+
+  return '<th scope="row" class="comparison-table__cell comparison-table__cell--label"><strong>Price</strong></th>\n'
+    + cells.join('\n');
+}
+
+const GRID_PATTERN = /(<(div)\b[^>]*\sdata-catalog="[^"]*"[^>]*>)\s*(<\/div>)/g;
+const PRICE_ROW_PATTERN = /(<(tr)\b[^>]*\sdata-catalog-prices="[^"]*"[^>]*>)\s*(<\/tr>)/g;
+const BUNDLE_PATTERN = /(<(section)\b[^>]*\sdata-bundle="[^"]*"[^>]*>)\s*(<\/section>)/g;
+
+function renderPage(html) {
+  return html
+    .replace(GRID_PATTERN, (_, openTag, _tag, closeTag) => `${openTag}\n${renderGrid(openTag)}\n${closeTag}`)
+    .replace(PRICE_ROW_PATTERN, (_, openTag, _tag, closeTag) => `${openTag}\n${renderPriceRow(openTag)}\n${closeTag}`)
+    .replace(BUNDLE_PATTERN, (_, openTag, _tag, closeTag) => `${openTag}\n${renderBundle(openTag)}\n${closeTag}`);
+}
+
+// ---------- Main ----------
+
+function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/render-catalog.js <dist-dir>');
+    process.exit(1);
+  }
+
+  let rendered = 0;
+  fs.readdirSync(distDir)
+    .filter((file) => file.endsWith('.html'))
+    .forEach((file) => {
+      const filePath = path.join(distDir, file);
+      const html = fs.readFileSync(filePath, 'utf8');
+      const output = renderPage(html);
+      if (output !== html) {
+        fs.writeFileSync(filePath, output);
+        rendered++;
+        console.log(`  Rendered catalog content into ${file}`);
+      }
+    });
+
+  console.log(`  ${rendered} page(s) updated from data/catalog.json`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { renderPage, renderProductCard, gridProducts, readAttribute, escapeHtml };
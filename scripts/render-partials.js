@@ -0,0 +1,212 @@
+/**
+ * Assembles the shared page chrome (Amazon header, brand nav, breadcrumbs,
+ * footer) from partials/*.html into the HTML pages of a build directory
+ * (in place), so the navigation is defined once.
+ *
+ * Usage: node scripts/render-partials.js <dist-dir>
+ *
+ * Pages mark where a partial goes with an empty placeholder element:
+ *
+ *   <div data-partial="amazon-header"></div>
+ *   <div data-partial="brand-nav"></div>
+ *   <nav data-partial="breadcrumbs" data-current="Access Points"></nav>
+ *   <footer data-partial="footer"></footer>
+ *
+ * Variables come from the page's <body data-*> attributes, overridden by the
+ * placeholder's own data-* attributes, and fill {{camelCase}} slots in the
+ * partial. The one every page sets is data-active-category (a brand nav
+ * data-section: home, network-security, email-security, networking-access,
+ * security-service-edge, managed-xdr), which marks the active tab and picks
+ * the category crumb. The rendered markup is re-indented to the placeholder.
+ *
+ * Run before render-catalog.js and build-search-index.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const PARTIALS_DIR = path.join(__dirname, '..', 'partials');
+
+const PLACEHOLDER_PATTERN = /^([ \t]*)<(\w+)\b([^>]*\sdata-partial="([\w-]+)"[^>]*)>\s*<\/\2>/gm;
+
+// Defaults for variables a page may leave out (e.g. search.html has no category)
+const DEFAULT_VARIABLES = {
+  activeCategory: ''
+};
+
+const STORE_CRUMB = { href: 'index.html', label: 'SonicWall Official Store' };
+
+// ---------- Helpers ----------
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function decodeEntities(text) {
+  return text.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+// data-active-category -> activeCategory
+function readDataAttributes(attrs) {
+  const variables = {};
+  const pattern = /\sdata-([\w-]+)="([^"]*)"/g;
+  let match;
+  while ((match = pattern.exec(attrs)) !== null) {
+    const name = match[1].replace(/-([a-z])/g, (m, letter) => letter.toUpperCase());
+    variables[name] = decodeEntities(match[2]);
+  }
+  delete variables.partial;
+  return variables;
+}
+
+function indent(html, prefix) {
+  return html
+    .trimEnd()
+    .split('\n')
+    .map((line) => (line ? prefix + line : line))
+    .join('\n');
+}
+
+const partialCache = new Map();
+
+function readPartial(name) {
+  if (!partialCache.has(name)) {
+    const file = path.join(PARTIALS_DIR, `${name}.html`);
+    if (!fs.existsSync(file)) throw new Error(`render-partials: unknown partial "${name}"`);
+    partialCache.set(name, fs.readFileSync(file, 'utf8'));
+  }
+  return partialCache.get(name);
+}
+
+/** Fills {{name}} slots; raw (pre-rendered) values are passed through unescaped. */
+function fillTemplate(name, template, variables, raw = {}) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => {
+    if (key in raw) return raw[key];
+    if (!(key in variables)) throw new Error(`render-partials: ${name} needs a value for {{${key}}}`);
+    return escapeHtml(variables[key]);
+  });
+}
+
+// ---------- Brand nav ----------
+
+/** Top-level tabs of the brand nav partial: data-section -> { href, label }. */
+function readNavCategories() {
+  const categories = new Map();
+  const pattern = /<a href="([^"]*)" class="brand-nav__tab" data-section="([\w-]+)">([^<]*)/g;
+  let match;
+  while ((match = pattern.exec(readPartial('brand-nav'))) !== null) {
+    categories.set(match[2], { href: match[1], label: titleCase(decodeEntities(match[3]).trim()) });
+  }
+  return categories;
+}
+
+// "NETWORKING & ACCESS" -> "Networking & Access"; short all-caps words (XDR) stay acronyms
+function titleCase(text) {
+  return text
+    .split(' ')
+    .map((word) => (word.length <= 3 ? word : word.charAt(0) + word.slice(1).toLowerCase()))
+    .join(' ');
+}
+
+function renderBrandNav(variables) {
+  const { activeCategory } = variables;
+  let html = fillTemplate('brand-nav', readPartial('brand-nav'), variables);
+
+  if (activeCategory) {
+    const tab = `class="brand-nav__tab" data-section="${activeCategory}"`;
+    if (!html.includes(tab)) throw new Error(`render-partials: no brand nav tab for data-active-category="${activeCategory}"`);
+    html = html.replace(tab, `class="brand-nav__tab brand-nav__tab--active" data-section="${activeCategory}"`);
+  }
+  return html;
+}
+
+// ---------- Breadcrumbs ----------
+
+function crumb(item, current) {
+  return current
+    ? `<li class="breadcrumb__item" aria-current="page">${escapeHtml(item.label)}</li>`
+    : `<li class="breadcrumb__item"><a href="${escapeHtml(item.href)}">${escapeHtml(item.label)}</a></li>`;
+}
+
+/**
+ * Home > Electronics (fixed, in the partial) > SonicWall Official Store >
+ * category landing page > current page. Crumbs that point at the page itself
+ * are dropped, so the store and category landing pages end one level up.
+ */
+function renderBreadcrumbs(variables, file) {
+  if (!variables.current) throw new Error(`render-partials: breadcrumbs in ${file} need data-current`);
+
+  const trail = [];
+  if (file !== STORE_CRUMB.href) trail.push(STORE_CRUMB);
+
+  const category = variables.activeCategory && variables.activeCategory !== 'home'
+    ? readNavCategories().get(variables.activeCategory)
+    : null;
+  if (category && category.href !== file) trail.push(category);
+
+  const items = trail.map((item) => crumb(item, false));
+  items.push(crumb({ label: variables.current }, true));
+
+  return fillTemplate('breadcrumbs', readPartial('breadcrumbs'), variables, {
+    items: indent(items.join('\n'), '            ')
+  });
+}
+
+// ---------- Main ----------
+
+function renderPartial(name, variables, file) {
+  switch (name) {
+    case 'brand-nav':
+      return renderBrandNav(variables);
+    case 'breadcrumbs':
+      return renderBreadcrumbs(variables, file);
+    default:
+      return fillTemplate(name, readPartial(name), variables);
+  }
+}
+
+function renderPage(html, file) {
+  const bodyMatch = html.match(/<body\b([^>]*)>/);
+  const pageVariables = { ...DEFAULT_VARIABLES, ...readDataAttributes(bodyMatch ? bodyMatch[1] : '') };
+  let count = 0;
+
+  const output = html.replace(PLACEHOLDER_PATTERN, (match, prefix, tag, attrs, name) => {
+    count++;
+    const variables = { ...pageVariables, ...readDataAttributes(attrs) };
+    return indent(renderPartial(name, variables, file), prefix);
+  });
+
+  return { output, count };
+}
+
+function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/render-partials.js <dist-dir>');
+    process.exit(1);
+  }
+
+  let pages = 0;
+  let partials = 0;
+  fs.readdirSync(distDir)
+    .filter((file) => file.endsWith('.html'))
+    .forEach((file) => {
+      const fullPath = path.join(distDir, file);
+      const { output, count } = renderPage(fs.readFileSync(fullPath, 'utf8'), file);
+      if (count === 0) return;
+      fs.writeFileSync(fullPath, output);
+      pages++;
+      partials += count;
+    });
+  console.log(`  Assembled ${partials} partials into ${pages} pages`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { renderPage, titleCase };
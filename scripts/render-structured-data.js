@@ -0,0 +1,235 @@
+/**
+ * Adds schema.org structured data (JSON-LD) and per-page social tags to the
+ * HTML pages of a build directory (in place), from data/catalog.json and the
+ * rendered markup:
+ *
+ *   Product       -- every product card (.product-card / .ap-card with
+ *                    data-sku), with an Offer (price, currency,
+ *                    availability) when it has a price and an
+ *                    AggregateRating when it has reviews
+ *   ItemList      -- every data-catalog grid, its cards in render order
+ *   BreadcrumbList -- the breadcrumb trail (render-partials.js), as absolute
+ *                    URLs when SITE_URL is set (see build-sitemap.js)
+ *
+ * The Product and Offer url is the product's Amazon listing when it has a
+ * verified ASIN, else its storefront page (absolute when SITE_URL is set) --
+ * never an Amazon URL guessed from nothing. Quote-only models without
+ * reviews (the switches) get no Product: with neither an offer nor a rating
+ * it is not a valid one.
+ *
+ * og:title / og:image (and twitter:title) are set from the page's featured
+ * product: <body data-featured-sku="TZ280W">, or else the first product card
+ * with a photo. Pages without products keep their own tags.
+ *
+ * Usage: node scripts/render-structured-data.js <dist-dir>
+ *
+ * Run after render-catalog.js. check-site.js validates the result.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadCatalog, findProduct, formatPrice } = require('./lib/catalog');
+const { siteUrl, pageUrl } = require('./lib/site');
+const { gridProducts, readAttribute, escapeHtml } = require('./render-catalog');
+
+const BRAND = 'SonicWall';
+const STORE_NAME = 'SonicWall Official Store on Amazon';
+const AMAZON_PRODUCT_URL = 'https://www.amazon.com/dp/';
+
+const CARD_PATTERN = /<(?:article|div) class="(?:product-card|ap-card)\b[^"]*" data-sku="([^"]+)"/g;
+const GRID_PATTERN = /<div\b[^>]*\sdata-catalog="[^"]*"[^>]*>/g;
+const BREADCRUMB_LIST_PATTERN = /<ol class="breadcrumb__list">([\s\S]*?)<\/ol>/;
+const CRUMB_PATTERN = /<li class="breadcrumb__item"(?: aria-current="page")?>(?:<a href="([^"]*)">)?([^<]*)/g;
+
+// ---------- Helpers ----------
+
+function decodeEntities(text) {
+  return text.replace(/&amp;/g, '&').replace(/&quot;/g, '"').replace(/&lt;/g, '<').replace(/&gt;/g, '>');
+}
+
+/** JSON for a <script> element: "</script>" inside a value must not end it. */
+function scriptJson(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
+
+// ---------- Schema.org nodes ----------
+
+// The page section the storefront shows the product in
+function storefrontUrl(product) {
+  const href = product.href || loadCatalog().series.find((entry) => entry.id === product.series).href;
+  return siteUrl() ? pageUrl(href) : href;
+}
+
+function productNode(product) {
+  const node = {
+    '@type': 'Product',
+    name: product.title,
+    sku: product.sku,
+    brand: { '@type': 'Brand', name: BRAND }
+  };
+  if (product.image) node.image = product.image.src;
+  if (product.asin) node.url = AMAZON_PRODUCT_URL + product.asin;
+
+  if (product.price !== null && product.price !== undefined) {
+    node.offers = {
+      '@type': 'Offer',
+      price: product.price.toFixed(2),
+      priceCurrency: product.currency || 'USD',
+      availability: 'https://schema.org/InStock',
+      itemCondition: 'https://schema.org/NewCondition',
+      url: node.url || storefrontUrl(product)
+    };
+  }
+  if (product.rating && product.reviews) {
+    node.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: product.rating,
+      reviewCount: product.reviews,
+      bestRating: 5,
+      worstRating: 1
+    };
+  }
+  return node.offers || node.aggregateRating ? node : null;
+}
+
+function itemListNode(openTag, products) {
+  const filter = readAttribute(openTag, 'data-catalog');
+  const seriesId = (filter.match(/(?:^|;)\s*series:\s*([^;]+)/) || [])[1];
+  const series = seriesId && loadCatalog().series.find((entry) => entry.id === seriesId.trim());
+
+  const node = {
+    '@type': 'ItemList',
+    numberOfItems: products.length,
+    itemListElement: products.map((product, index) => ({
+      '@type': 'ListItem',
+      position: index + 1,
+      item: product
+    }))
+  };
+  if (series) node.name = series.label;
+  return node;
+}
+
+/**
+ * The visible trail as a BreadcrumbList. Amazon's own Home > Electronics
+ * crumbs link nowhere on this site (href="#") and are left out.
+ */
+function breadcrumbNode(html) {
+  const list = html.match(BREADCRUMB_LIST_PATTERN);
+  if (!list) return null;
+
+  const crumbs = [];
+  let match;
+  CRUMB_PATTERN.lastIndex = 0;
+  while ((match = CRUMB_PATTERN.exec(list[1])) !== null) {
+    const href = match[1] === undefined ? null : decodeEntities(match[1]);
+    if (href === '#') continue;
+    crumbs.push({ name: decodeEntities(match[2].trim()), href });
+  }
+  // A lone crumb is the page itself -- no trail to describe
+  if (crumbs.length < 2) return null;
+
+  return {
+    '@type': 'BreadcrumbList',
+    itemListElement: crumbs.map((crumb, index) => {
+      const element = { '@type': 'ListItem', position: index + 1, name: crumb.name };
+      if (crumb.href) element.item = siteUrl() ? pageUrl(crumb.href) : crumb.href;
+      return element;
+    })
+  };
+}
+
+// ---------- Social tags ----------
+
+function featuredProduct(html, skus) {
+  const body = html.match(/<body\b[^>]*>/);
+  const featuredSku = body && readAttribute(body[0], 'data-featured-sku');
+  if (featuredSku) return findProduct(featuredSku);
+  return skus.map((sku) => findProduct(sku)).find((product) => product.image) || null;
+}
+
+function setMeta(html, attribute, name, content) {
+  const pattern = new RegExp(`(<meta ${attribute}="${name}" content=")[^"]*(")`);
+  return html.replace(pattern, (_, open, close) => open + escapeHtml(content) + close);
+}
+
+function applySocialTags(html, product) {
+  const price = product.price === null || product.price === undefined ? '' : ` - ${formatPrice(product.price)}`;
+  const title = `${product.title}${price} | ${STORE_NAME}`;
+
+  let output = setMeta(html, 'property', 'og:title', title);
+  output = setMeta(output, 'name', 'twitter:title', title);
+  if (product.image) output = setMeta(output, 'property', 'og:image', product.image.src);
+  return output;
+}
+
+// ---------- Main ----------
+
+function renderPage(html) {
+  const skus = [];
+  let match;
+  CARD_PATTERN.lastIndex = 0;
+  while ((match = CARD_PATTERN.exec(html)) !== null) skus.push(match[1]);
+
+  const nodes = new Map();
+  skus.forEach((sku) => {
+    if (!nodes.has(sku)) nodes.set(sku, productNode(findProduct(sku)));
+  });
+
+  // Cards in a grid are listed there; any others stand alone
+  const graph = [];
+  const listed = new Set();
+  (html.match(GRID_PATTERN) || []).forEach((openTag) => {
+    const { primary, more } = gridProducts(openTag);
+    const products = [...primary, ...more].filter((product) => nodes.get(product.sku));
+    products.forEach((product) => listed.add(product.sku));
+    if (products.length) graph.push(itemListNode(openTag, products.map((product) => nodes.get(product.sku))));
+  });
+  nodes.forEach((node, sku) => {
+    if (node && !listed.has(sku)) graph.push(node);
+  });
+
+  const breadcrumbs = breadcrumbNode(html);
+  if (breadcrumbs) graph.push(breadcrumbs);
+
+  let output = html;
+  const featured = featuredProduct(html, skus);
+  if (featured) output = applySocialTags(output, featured);
+
+  if (graph.length) {
+    const data = { '@context': 'https://schema.org', '@graph': graph };
+    output = output.replace('</head>', `<script type="application/ld+json">${scriptJson(data)}</script>\n</head>`);
+  }
+  return { html: output, products: [...nodes.values()].filter(Boolean).length };
+}
+
+function main() {
+  const distDir = process.argv[2];
+  if (!distDir) {
+    console.error('Usage: node scripts/render-structured-data.js <dist-dir>');
+    process.exit(1);
+  }
+
+  let pages = 0;
+  let products = 0;
+  fs.readdirSync(distDir)
+    .filter((file) => file.endsWith('.html'))
+    .forEach((file) => {
+      const filePath = path.join(distDir, file);
+      const html = fs.readFileSync(filePath, 'utf8');
+      const result = renderPage(html);
+      if (result.html !== html) {
+        fs.writeFileSync(filePath, result.html);
+        pages++;
+        products += result.products;
+      }
+    });
+
+  console.log(`  Structured data for ${pages} page(s), ${products} product(s)`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { renderPage };
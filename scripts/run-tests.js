@@ -0,0 +1,42 @@
+/**
+ * Runs the unit tests: node's built-in runner over the compiled test files.
+ *
+ * Usage: node scripts/run-tests.js   (npm test compiles them first, with
+ *        tsc -p tsconfig.test.json, into .test-build/)
+ *
+ * The sources compile to ES modules with a .js extension; the package.json
+ * written next to them tells node so, without changing how the CommonJS
+ * build scripts load.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+const BUILD_DIR = path.resolve(__dirname, '../.test-build');
+const TEST_DIR = path.join(BUILD_DIR, 'test');
+
+function main() {
+  if (!fs.existsSync(TEST_DIR)) {
+    console.error('run-tests: .test-build/test is missing -- run "npm test", which compiles the tests first');
+    process.exit(1);
+  }
+
+  fs.writeFileSync(path.join(BUILD_DIR, 'package.json'), `${JSON.stringify({ type: 'module' })}\n`);
+
+  const files = fs.readdirSync(TEST_DIR)
+    .filter((file) => file.endsWith('.test.js'))
+    .sort()
+    .map((file) => path.join(TEST_DIR, file));
+  if (!files.length) {
+    console.error('run-tests: no *.test.js files in .test-build/test');
+    process.exit(1);
+  }
+
+  const result = spawnSync(process.execPath, ['--test', ...files], { stdio: 'inherit' });
+  process.exit(result.status ?? 1);
+}
+
+if (require.main === module) {
+  main();
+}
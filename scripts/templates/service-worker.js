@@ -0,0 +1,136 @@
+/**
+ * SonicWall Amazon Storefront - Service worker
+ * Template: scripts/build-service-worker.js fills in the version and the
+ * precache list and writes the result to dist/sw.js.
+ *
+ *   Precached files (pages, CSS, JS, logos, catalog data) -- served from the
+ *     installed version's cache, so the store keeps working offline
+ *   Images -- stale-while-revalidate from a bounded runtime cache
+ *   Other pages -- network, falling back to offline.html
+ *
+ * A new version installs in the background and waits; the page offers to
+ * switch (modules/service-worker.ts) and posts SKIP_WAITING when the visitor
+ * agrees.
+ */
+
+const CACHE_PREFIX = 'sonicwall-storefront-';
+const PRECACHE_VERSION = '__PRECACHE_VERSION__';
+const PRECACHE_URLS = __PRECACHE_URLS__;
+
+const PRECACHE = `${CACHE_PREFIX}precache-${PRECACHE_VERSION}`;
+const IMAGE_CACHE = `${CACHE_PREFIX}images`;
+const OFFLINE_URL = 'offline.html';
+
+// Cross-origin product images are opaque responses, which browsers count
+// against the storage quota at several MB each -- keep the cache small
+const IMAGE_CACHE_MAX_ENTRIES = 80;
+
+// name.<8 hex>.ext (scripts/fingerprint-assets.js) -- never changes content
+const FINGERPRINTED_PATTERN = /\.[0-9a-f]{8}\.\w+$/;
+
+function scopedUrl(path) {
+  return new URL(path, self.registration.scope).href;
+}
+
+// ---------- Install / activate ----------
+
+async function precache() {
+  const cache = await caches.open(PRECACHE);
+  await Promise.all(PRECACHE_URLS.map(async (path) => {
+    const url = scopedUrl(path);
+    // Reuse the previous version's copy of a hashed file -- fewer downloads on bad Wi-Fi
+    if (FINGERPRINTED_PATTERN.test(path)) {
+      const previous = await caches.match(url);
+      if (previous) return cache.put(url, previous);
+    }
+    const response = await fetch(url, { cache: 'reload' });
+    if (!response.ok) throw new Error(`Precaching ${path} failed: ${response.status}`);
+    return cache.put(url, response);
+  }));
+}
+
+async function removeOldPrecaches() {
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter((name) => name.startsWith(`${CACHE_PREFIX}precache-`) && name !== PRECACHE)
+    .map((name) => caches.delete(name)));
+}
+
+// One failed download fails the install; the browser tries again on a later visit
+self.addEventListener('install', (event) => {
+  event.waitUntil(precache());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(removeOldPrecaches().then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ---------- Strategies ----------
+
+async function fromPrecache(request, options) {
+  const cache = await caches.open(PRECACHE);
+  return cache.match(request, options);
+}
+
+// "/" is index.html; ?q= and friends do not change the page's HTML
+async function handleNavigation(request) {
+  const url = new URL(request.url);
+  const page = url.pathname.endsWith('/') ? new URL('index.html', url).href : url.href;
+  const cached = await fromPrecache(page, { ignoreSearch: true });
+  if (cached) return cached;
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    const offline = await fromPrecache(scopedUrl(OFFLINE_URL));
+    if (offline) return offline;
+    throw error;
+  }
+}
+
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map((key) => cache.delete(key)));
+}
+
+async function staleWhileRevalidate(event) {
+  const { request } = event;
+  const precached = await fromPrecache(request);
+  if (precached) return precached;
+
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(request);
+  const network = fetch(request).then(async (response) => {
+    if (response.ok || response.type === 'opaque') {
+      await cache.put(request, response.clone());
+      await trimCache(cache, IMAGE_CACHE_MAX_ENTRIES);
+    }
+    return response;
+  });
+
+  if (!cached) return network;
+  // Offline: the cached copy stands, the failed refresh is not an error
+  event.waitUntil(network.catch(() => undefined));
+  return cached;
+}
+
+async function cacheFirst(request) {
+  return (await fromPrecache(request)) || fetch(request);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(request));
+  } else if (request.destination === 'image') {
+    event.respondWith(staleWhileRevalidate(event));
+  } else if (new URL(request.url).origin === self.location.origin) {
+    event.respondWith(cacheFirst(request));
+  }
+});
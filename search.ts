@@ -0,0 +1,147 @@
+/**
+ * SonicWall Amazon Storefront - Site search
+ * Loads the build-time index (scripts/build-search-index.js) and ranks
+ * entries for the header typeahead and the search.html results page.
+ * No DOM access beyond fetch.
+ */
+
+import type { CatalogCategory } from './catalog.js';
+
+export type SearchEntryType = 'product' | 'category' | 'service' | 'page';
+
+/** Header <select> values: a catalog category, "service", or "" for everything. */
+export type SearchCategory = CatalogCategory | 'service' | '';
+
+export interface SearchEntry {
+  readonly id: string;
+  readonly type: SearchEntryType;
+  readonly title: string;
+  readonly subtitle: string;
+  readonly href: string;
+  readonly category: CatalogCategory | 'service' | null;
+  readonly keywords: string;
+  // Products only
+  readonly sku?: string;
+  readonly asin?: string | null;
+  readonly price?: number | null;
+  readonly rating?: number | null;
+  readonly reviews?: number | null;
+  readonly prime?: boolean;
+  readonly image?: string | null;
+}
+
+export interface SearchOptions {
+  readonly category?: SearchCategory;
+  readonly limit?: number;
+}
+
+/** Shopper-facing name of each entry type (suggestion meta, result badges). */
+export const SEARCH_TYPE_LABELS: Readonly<Record<SearchEntryType, string>> = {
+  product: 'Product',
+  category: 'Category',
+  service: 'Service',
+  page: 'Page'
+};
+
+export const SEARCH_INDEX_URL = 'search-index.json' as const;
+
+export interface PreparedEntry {
+  readonly entry: SearchEntry;
+  readonly title: string;
+  readonly words: readonly string[];
+  readonly haystack: string;
+}
+
+export type SearchIndex = readonly PreparedEntry[];
+
+let pending: Promise<SearchIndex> | null = null;
+
+/** Lowercases and strips punctuation so "NSa-2800", "nsa 2800" and "NSA2800" meet. */
+export function normalizeQuery(text: string): string {
+  return text.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+function prepare(entry: SearchEntry): PreparedEntry {
+  const title: string = normalizeQuery(entry.title);
+  const haystack: string = normalizeQuery(`${entry.title} ${entry.subtitle} ${entry.keywords}`);
+  return {
+    entry,
+    title,
+    words: title.split(' '),
+    // Also index a space-free copy so "tz280w" matches "TZ 280W"-style splits
+    haystack: `${haystack} ${haystack.replace(/ /g, '')}`
+  };
+}
+
+/** Fetches and prepares the index once per page; failures are not cached. */
+export function loadSearchIndex(url: string = SEARCH_INDEX_URL): Promise<SearchIndex> {
+  if (pending) return pending;
+
+  pending = fetch(url, { credentials: 'same-origin' })
+    .then((response: Response): Promise<{ entries?: SearchEntry[] }> => {
+      if (!response.ok) throw new Error(`Search index request failed: ${response.status}`);
+      return response.json();
+    })
+    .then((raw): SearchIndex => (raw.entries ?? []).map(prepare))
+    .catch((err: unknown): never => {
+      pending = null;
+      throw err;
+    });
+
+  return pending;
+}
+
+// Products first at equal relevance -- they are what the storefront sells
+const TYPE_BOOST: Readonly<Record<SearchEntryType, number>> = {
+  product: 3,
+  category: 2,
+  service: 1,
+  page: 0
+};
+
+function scoreToken(prepared: PreparedEntry, token: string): number {
+  if (prepared.title === token) return 100;
+  if (prepared.title.startsWith(token)) return 60;
+  // A whole word ("tz280") ahead of longer words it starts ("tz280w")
+  if (prepared.words.includes(token)) return 50;
+  if (prepared.words.some((word: string): boolean => word.startsWith(token))) return 40;
+  if (prepared.title.includes(token)) return 25;
+  if (prepared.haystack.includes(token)) return 10;
+  return 0;
+}
+
+/**
+ * Ranks entries against a free-text query. Every query word must match
+ * somewhere (title, subtitle or keywords); title matches rank highest.
+ */
+export function searchEntries(
+  index: SearchIndex,
+  query: string,
+  options: SearchOptions = {}
+): SearchEntry[] {
+  const normalized: string = normalizeQuery(query);
+  if (!normalized) return [];
+
+  const tokens: string[] = normalized.split(' ');
+  const category: SearchCategory = options.category ?? '';
+  const scored: { entry: SearchEntry; score: number }[] = [];
+
+  index.forEach((prepared: PreparedEntry): void => {
+    if (category && prepared.entry.category !== category) return;
+
+    let score: number = 0;
+    for (const token of tokens) {
+      const tokenScore: number = scoreToken(prepared, token);
+      if (tokenScore === 0) return;
+      score += tokenScore;
+    }
+    // Whole query as a title prefix ("nsa 28") beats scattered word hits
+    if (tokens.length > 1 && prepared.title.startsWith(normalized)) score += 50;
+
+    scored.push({ entry: prepared.entry, score: score + TYPE_BOOST[prepared.entry.type] });
+  });
+
+  scored.sort((a, b): number => b.score - a.score || a.entry.title.localeCompare(b.entry.title));
+  const results: SearchEntry[] = scored.map((item): SearchEntry => item.entry);
+  return options.limit ? results.slice(0, options.limit) : results;
+}
@@ -0,0 +1,115 @@
+/**
+ * SonicWall Amazon Storefront - Runtime service pricing
+ * Typed access to data/services.json (security bundles, add-ons and managed
+ * tiers, priced per appliance class, and SonicSentry MDR/MXDR coverage and
+ * rates), which build.sh validates and copies next to the pages.
+ */
+
+import type { CatalogProduct } from './catalog.js';
+
+export type ApplianceClassId = 'small' | 'medium' | 'large';
+
+/** Yearly list price per appliance class; null where only sales can quote. */
+export type ServicePrice = Readonly<Record<ApplianceClassId, number>> | null;
+
+export interface ApplianceClass {
+  readonly id: ApplianceClassId;
+  readonly label: string;
+  /** Catalog series priced at this class. */
+  readonly series: readonly string[];
+}
+
+export interface ServiceTerm {
+  readonly years: number;
+  /** Off the yearly price for every year of the term (0.15 = 15%). */
+  readonly discount: number;
+}
+
+export interface ServiceOffering {
+  readonly id: string;
+  readonly name: string;
+  readonly annual: ServicePrice;
+}
+
+export interface SecurityBundle extends ServiceOffering {
+  /** Add-on ids the bundle already contains. */
+  readonly includes: readonly string[];
+}
+
+export type DetectionUnitId = 'endpoints' | 'sensors' | 'workloads';
+
+/** Something MDR/MXDR is priced by: endpoints, network sensors, cloud workloads. */
+export interface DetectionUnit {
+  readonly id: DetectionUnitId;
+  readonly label: string;
+  /** Largest count the estimator accepts; beyond it, sales quotes. */
+  readonly max: number;
+}
+
+export interface DetectionCapability {
+  readonly id: string;
+  readonly label: string;
+}
+
+/** The service covering one unit type, and its price per unit per month; null where only sales can quote. */
+export interface DetectionRate {
+  readonly unit: DetectionUnitId;
+  readonly name: string;
+  readonly href: string;
+  readonly monthly: number | null;
+}
+
+export interface DetectionPlan {
+  readonly id: string;
+  readonly name: string;
+  readonly href: string;
+  /** The least a month is billed at, however few units are covered; null where only sales can quote. */
+  readonly monthlyMinimum: number | null;
+  readonly rates: readonly DetectionRate[];
+  /** DetectionCapability ids the plan includes. */
+  readonly capabilities: readonly string[];
+}
+
+export interface DetectionPricing {
+  readonly units: readonly DetectionUnit[];
+  readonly capabilities: readonly DetectionCapability[];
+  readonly plans: readonly DetectionPlan[];
+}
+
+export interface ServiceCatalog {
+  readonly applianceClasses: readonly ApplianceClass[];
+  readonly terms: readonly ServiceTerm[];
+  readonly bundles: readonly SecurityBundle[];
+  readonly addOns: readonly ServiceOffering[];
+  readonly managedTiers: readonly ServiceOffering[];
+  readonly detection: DetectionPricing;
+}
+
+export const SERVICES_URL = 'data/services.json' as const;
+
+let pending: Promise<ServiceCatalog> | null = null;
+
+/**
+ * Fetches the service pricing once per page. A failed request is not
+ * cached, so a later caller can retry.
+ */
+export function loadServices(url: string = SERVICES_URL): Promise<ServiceCatalog> {
+  if (pending) return pending;
+
+  pending = fetch(url, { credentials: 'same-origin' })
+    .then((response: Response): Promise<ServiceCatalog> => {
+      if (!response.ok) throw new Error(`Services request failed: ${response.status}`);
+      return response.json();
+    })
+    .catch((err: unknown): never => {
+      pending = null;
+      throw err;
+    });
+
+  return pending;
+}
+
+/** The class a firewall's services are priced at, or null for other products. */
+export function applianceClassFor(services: ServiceCatalog, product: CatalogProduct): ApplianceClass | null {
+  return services.applianceClasses.find((entry: ApplianceClass): boolean => entry.series.includes(product.series)) ?? null;
+}
@@ -0,0 +1,290 @@
+/**
+ * SonicWall Amazon Storefront - Public API
+ * Mounts the storefront behaviour on a root element and tears it down
+ * again, so the store can be embedded in (and removed from) other pages.
+ * Importing this module exposes it as window.Storefront:
+ *
+ *   const store = Storefront.mount(document.querySelector('#shop'));
+ *   await store.ready;
+ *   // ...insert more storefront markup under #shop...
+ *   await store.refresh();
+ *   store.destroy();            // or Storefront.destroy(root)
+ *
+ * Feature code lives in modules/ and is loaded only for elements marked
+ * data-module="name" (several names may be space-separated). Every query a
+ * mount makes is scoped to its root, and every listener, timer, observer
+ * and inserted element is released through one AbortController per
+ * data-module root. script.ts mounts document.body on the storefront pages.
+ *
+ * Storefront.analytics is the page's analytics bus (modules/analytics.ts):
+ * add sinks or track host-page events alongside ours. Storefront.consent
+ * reads and records the visitor's choices (modules/consent-store.ts), which
+ * gate analytics and third-party embeds.
+ */
+
+import {
+  addAnalyticsSink,
+  beaconSink,
+  consoleSink,
+  dataLayerSink,
+  flushAnalytics,
+  track
+} from './modules/analytics.js';
+import { getConsentChoices, hasConsent, onConsentChange, setConsentChoices } from './modules/consent-store.js';
+import type { FeatureModule } from './modules/core.js';
+import { onAbort } from './modules/core.js';
+import { initEnhancements } from './modules/enhancements.js';
+
+export interface MountOptions {
+  /** Only initialise these modules (default: every registered one). */
+  readonly modules?: readonly string[];
+  /** Apply the page-wide enhancements (scroll reveals, button polish, ...). Default true. */
+  readonly enhancements?: boolean;
+  /** Call refresh() automatically whenever nodes are added or removed under the root. Default false. */
+  readonly observe?: boolean;
+}
+
+export interface StorefrontMount {
+  readonly root: HTMLElement;
+  /**
+   * Settles once the modules found at mount time have been initialised (or
+   * failed to load or initialise -- logged, never a rejection).
+   */
+  readonly ready: Promise<void>;
+  /**
+   * Initialises data-module roots added since the last scan and tears down
+   * the ones that have left the DOM. Content inserted without a data-module
+   * root only gets the page enhancements if it is a mount root of its own.
+   */
+  refresh(): Promise<void>;
+  destroy(): void;
+}
+
+export interface StorefrontAnalyticsApi {
+  readonly track: typeof track;
+  readonly addSink: typeof addAnalyticsSink;
+  readonly flush: typeof flushAnalytics;
+  readonly sinks: {
+    readonly console: typeof consoleSink;
+    readonly beacon: typeof beaconSink;
+    readonly dataLayer: typeof dataLayerSink;
+  };
+}
+
+export interface StorefrontConsentApi {
+  readonly get: typeof getConsentChoices;
+  readonly has: typeof hasConsent;
+  readonly set: typeof setConsentChoices;
+  readonly onChange: typeof onConsentChange;
+}
+
+export interface StorefrontApi {
+  mount(root: HTMLElement, options?: MountOptions): StorefrontMount;
+  destroy(root: HTMLElement): void;
+  readonly analytics: StorefrontAnalyticsApi;
+  readonly consent: StorefrontConsentApi;
+}
+
+declare global {
+  interface Window {
+    Storefront: StorefrontApi;
+  }
+}
+
+export class StorefrontError extends Error {
+  constructor(message: string) {
+    super(message);
+    this.name = 'StorefrontError';
+  }
+}
+
+// ============================================================================
+// MODULE REGISTRY
+// ============================================================================
+
+// One entry per modules/<name>.ts -- keep the key equal to the file name
+// (scripts/preload-modules.js resolves data-module values the same way)
+const MODULE_LOADERS: Readonly<Record<string, () => Promise<FeatureModule>>> = {
+  'brand-nav': () => import('./modules/brand-nav.js'),
+  'cart': () => import('./modules/cart.js'),
+  'category-tiles': () => import('./modules/category-tiles.js'),
+  'comparison-table': () => import('./modules/comparison-table.js'),
+  'consent': () => import('./modules/consent.js'),
+  'coverage-estimator': () => import('./modules/coverage-estimator.js'),
+  'filter-bar': () => import('./modules/filter-bar.js'),
+  'frequently-bought-together': () => import('./modules/frequently-bought-together.js'),
+  'hero-video': () => import('./modules/hero-video.js'),
+  'mdr-estimator': () => import('./modules/mdr-estimator.js'),
+  'poe-calculator': () => import('./modules/poe-calculator.js'),
+  'product-cards': () => import('./modules/product-cards.js'),
+  'product-toggle': () => import('./modules/product-toggle.js'),
+  'quote-builder': () => import('./modules/quote-builder.js'),
+  'search-results': () => import('./modules/search-results.js'),
+  'site-search': () => import('./modules/site-search.js'),
+  'sizing-wizard': () => import('./modules/sizing-wizard.js'),
+  'testimonials': () => import('./modules/testimonials.js'),
+  'video-thumbnails': () => import('./modules/video-thumbnails.js')
+};
+
+/** One initialised data-module element; aborting its controller undoes all of its modules. */
+interface ModuleRoot {
+  readonly controller: AbortController;
+  readonly names: readonly string[];
+}
+
+const mounts: Map<HTMLElement, StorefrontMount> = new Map();
+
+function readModuleNames(element: HTMLElement, allowed: ReadonlySet<string>): string[] {
+  return (element.dataset.module ?? '')
+    .split(/\s+/)
+    // Skips names this mount leaves out; unknown ones are rejected at build time
+    .filter((name: string): boolean => allowed.has(name));
+}
+
+/** The root itself and its descendants carrying data-module, in document order. */
+function findModuleElements(root: HTMLElement): HTMLElement[] {
+  const elements: HTMLElement[] = Array.from(root.querySelectorAll<HTMLElement>('[data-module]'));
+  if (root.matches('[data-module]')) elements.unshift(root);
+  return elements;
+}
+
+// Chunks are fetched once per name however many roots use them
+function loadModules(names: readonly string[]): Promise<Map<string, FeatureModule>> {
+  const loaded: Map<string, FeatureModule> = new Map();
+  return Promise.all(names.map((name: string): Promise<void> =>
+    MODULE_LOADERS[name]()
+      .then((feature: FeatureModule): void => {
+        loaded.set(name, feature);
+      })
+      .catch((): void => {
+        // Chunk failed to load (offline, deploy in progress) -- the static markup stays usable
+      })
+  )).then((): Map<string, FeatureModule> => loaded);
+}
+
+// One broken module must not keep the others on the page (or ready) from settling
+function initModule(name: string, feature: FeatureModule | undefined, element: HTMLElement, signal: AbortSignal): void {
+  try {
+    feature?.init(element, signal);
+  } catch (err: unknown) {
+    console.error(`Storefront: the "${name}" module failed to initialise`, err);
+  }
+}
+
+// ============================================================================
+// MOUNT / DESTROY
+// ============================================================================
+
+export function mount(root: HTMLElement, options: MountOptions = {}): StorefrontMount {
+  if (!(root instanceof HTMLElement)) throw new StorefrontError('Storefront.mount() needs an element');
+  mounts.forEach((_mounted: StorefrontMount, mountedRoot: HTMLElement): void => {
+    if (mountedRoot.contains(root) || root.contains(mountedRoot)) {
+      throw new StorefrontError('Storefront is already mounted on this element or one that overlaps it');
+    }
+  });
+
+  const requested: readonly string[] = options.modules ?? Object.keys(MODULE_LOADERS);
+  const unknown: string[] = requested.filter((name: string): boolean => !(name in MODULE_LOADERS));
+  if (unknown.length) throw new StorefrontError(`Unknown storefront module: ${unknown.join(', ')}`);
+  const allowed: ReadonlySet<string> = new Set(requested);
+
+  const controller: AbortController = new AbortController();
+  const signal: AbortSignal = controller.signal;
+  const moduleRoots: Map<HTMLElement, ModuleRoot> = new Map();
+
+  if (options.enhancements !== false) initEnhancements(root, signal);
+
+  function refresh(): Promise<void> {
+    if (signal.aborted) return Promise.resolve();
+
+    // Roots that were removed (or lost their data-module) release everything they held
+    moduleRoots.forEach((moduleRoot: ModuleRoot, element: HTMLElement): void => {
+      if (root.contains(element) && element.dataset.module !== undefined) return;
+      moduleRoot.controller.abort();
+      moduleRoots.delete(element);
+    });
+
+    const added: Map<HTMLElement, ModuleRoot> = new Map();
+    findModuleElements(root).forEach((element: HTMLElement): void => {
+      if (moduleRoots.has(element)) return;
+      const names: string[] = readModuleNames(element, allowed);
+      if (!names.length) return;
+
+      const moduleRoot: ModuleRoot = { controller: new AbortController(), names };
+      // Tied to the root's own signal, so a removed root doesn't leave its listener on the mount
+      signal.addEventListener('abort', (): void => moduleRoot.controller.abort(), {
+        once: true,
+        signal: moduleRoot.controller.signal
+      });
+      moduleRoots.set(element, moduleRoot);
+      added.set(element, moduleRoot);
+    });
+    if (!added.size) return Promise.resolve();
+
+    const names: Set<string> = new Set();
+    added.forEach((moduleRoot: ModuleRoot): void => moduleRoot.names.forEach((name: string): void => {
+      names.add(name);
+    }));
+
+    return loadModules([...names]).then((loaded: Map<string, FeatureModule>): void => {
+      added.forEach((moduleRoot: ModuleRoot, element: HTMLElement): void => {
+        const rootSignal: AbortSignal = moduleRoot.controller.signal;
+        moduleRoot.names.forEach((name: string): void => {
+          // Removed or destroyed while its chunk was loading
+          if (rootSignal.aborted) return;
+          initModule(name, loaded.get(name), element, rootSignal);
+        });
+      });
+    });
+  }
+
+  if (options.observe) {
+    let scheduled: boolean = false;
+    const observer: MutationObserver = new MutationObserver((): void => {
+      // One refresh per frame, however many nodes a render inserts
+      if (scheduled) return;
+      scheduled = true;
+      requestAnimationFrame((): void => {
+        scheduled = false;
+        void refresh();
+      });
+    });
+    observer.observe(root, { childList: true, subtree: true });
+    onAbort(signal, (): void => observer.disconnect());
+  }
+
+  const mounted: StorefrontMount = {
+    root,
+    ready: refresh(),
+    refresh,
+    destroy(): void {
+      if (mounts.get(root) !== mounted) return;
+      mounts.delete(root);
+      controller.abort();
+    }
+  };
+  mounts.set(root, mounted);
+  return mounted;
+}
+
+/** Tears down the mount on root; a no-op when nothing is mounted there. */
+export function destroy(root: HTMLElement): void {
+  mounts.get(root)?.destroy();
+}
+
+window.Storefront = {
+  mount,
+  destroy,
+  analytics: {
+    track,
+    addSink: addAnalyticsSink,
+    flush: flushAnalytics,
+    sinks: { console: consoleSink, beacon: beaconSink, dataLayer: dataLayerSink }
+  },
+  consent: {
+    get: getConsentChoices,
+    has: hasConsent,
+    set: setConsentChoices,
+    onChange: onConsentChange
+  }
+};
@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { AmazonUrlError, MAX_LINE_QUANTITY, buildCartAddUrl, isValidAsin } from '../amazon-url.js';
+
+describe('isValidAsin', () => {
+  it('accepts ten letters and digits, ignoring case and padding', () => {
+    assert.equal(isValidAsin(' b0fmhwfrff '), true);
+  });
+
+  it('rejects anything else', () => {
+    assert.equal(isValidAsin('B0FMHWFRF'), false);
+    assert.equal(isValidAsin('B0FMHWFRF!'), false);
+  });
+});
+
+describe('buildCartAddUrl', () => {
+  it('numbers every line from 1 and adds the associate tag', () => {
+    const url: URL = new URL(buildCartAddUrl(
+      [{ asin: 'B0FMHWFRFF', quantity: 2 }, { asin: 'B000000001', quantity: 1 }],
+      { associateTag: 'store-20' }
+    ));
+    assert.equal(url.origin + url.pathname, 'https://www.amazon.com/gp/aws/cart/add.html');
+    assert.deepEqual(Array.from(url.searchParams), [
+      ['ASIN.1', 'B0FMHWFRFF'],
+      ['Quantity.1', '2'],
+      ['ASIN.2', 'B000000001'],
+      ['Quantity.2', '1'],
+      ['AssociateTag', 'store-20']
+    ]);
+  });
+
+  it('merges lines that share an ASIN', () => {
+    const url: URL = new URL(buildCartAddUrl([{ asin: 'b0fmhwfrff', quantity: 2 }, { asin: 'B0FMHWFRFF', quantity: 3 }]));
+    assert.equal(url.searchParams.get('ASIN.1'), 'B0FMHWFRFF');
+    assert.equal(url.searchParams.get('Quantity.1'), '5');
+    assert.equal(url.searchParams.has('ASIN.2'), false);
+  });
+
+  it('rejects a merged quantity over the per-line limit', () => {
+    const lines = [
+      { asin: 'B0FMHWFRFF', quantity: MAX_LINE_QUANTITY },
+      { asin: 'B0FMHWFRFF', quantity: 1 }
+    ];
+    assert.throws(() => buildCartAddUrl(lines), (err: unknown): boolean =>
+      err instanceof AmazonUrlError && err.message.includes(String(MAX_LINE_QUANTITY)));
+  });
+
+  it('accepts a merged quantity exactly at the limit', () => {
+    const url: URL = new URL(buildCartAddUrl([
+      { asin: 'B0FMHWFRFF', quantity: MAX_LINE_QUANTITY - 1 },
+      { asin: 'B0FMHWFRFF', quantity: 1 }
+    ]));
+    assert.equal(url.searchParams.get('Quantity.1'), String(MAX_LINE_QUANTITY));
+  });
+
+  it('rejects an empty cart, bad ASINs and quantities, and non-Amazon domains', () => {
+    assert.throws(() => buildCartAddUrl([]), AmazonUrlError);
+    assert.throws(() => buildCartAddUrl([{ asin: 'NOT-AN-ASIN', quantity: 1 }]), AmazonUrlError);
+    assert.throws(() => buildCartAddUrl([{ asin: 'B0FMHWFRFF', quantity: 0 }]), AmazonUrlError);
+    assert.throws(() => buildCartAddUrl([{ asin: 'B0FMHWFRFF', quantity: 1.5 }]), AmazonUrlError);
+    assert.throws(() => buildCartAddUrl([{ asin: 'B0FMHWFRFF', quantity: 1 }], { domain: 'amazon.example.com' }), AmazonUrlError);
+  });
+});
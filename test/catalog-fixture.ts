@@ -0,0 +1,21 @@
+import { readFileSync } from 'node:fs';
+
+import type { CatalogProduct } from '../catalog.js';
+import type { ServiceCatalog } from '../services.js';
+
+// Tests run from .test-build/test, two levels below the data directory
+function readData<T>(file: string): T {
+  return JSON.parse(readFileSync(new URL(`../../data/${file}`, import.meta.url), 'utf8'));
+}
+
+/** The products of data/catalog.json, as the storefront loads them. */
+export const products: readonly CatalogProduct[] = readData<{ products: CatalogProduct[] }>('catalog.json').products;
+
+/** data/services.json, as the storefront loads it. */
+export const services: ServiceCatalog = readData<ServiceCatalog>('services.json');
+
+export function product(sku: string): CatalogProduct {
+  const found: CatalogProduct | undefined = products.find((entry: CatalogProduct): boolean => entry.sku === sku);
+  if (!found) throw new Error(`catalog fixture: unknown sku "${sku}"`);
+  return found;
+}
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import { formatThroughput } from '../catalog.js';
+import { EMPTY_CELL, allEqual, buildComparisonRows } from '../comparison.js';
+import type { ComparisonRow } from '../comparison.js';
+import { product } from './catalog-fixture.js';
+
+function row(rows: readonly ComparisonRow[], label: string): ComparisonRow {
+  const found: ComparisonRow | undefined = rows.find((entry: ComparisonRow): boolean => entry.label === label);
+  assert.ok(found, `no "${label}" row`);
+  return found;
+}
+
+function labels(rows: readonly ComparisonRow[]): string[] {
+  return rows.map((entry: ComparisonRow): string => entry.label);
+}
+
+describe('formatThroughput', () => {
+  it('switches to Gbps from 1,000 Mbps', () => {
+    assert.equal(formatThroughput(500), '500 Mbps');
+    assert.equal(formatThroughput(1500), '1.5 Gbps');
+    assert.equal(formatThroughput(undefined), null);
+  });
+});
+
+describe('buildComparisonRows', () => {
+  it('formats each model\'s value and flags specs that differ', () => {
+    const rows: ComparisonRow[] = buildComparisonRows([product('TZ280W'), product('TZ280')]);
+    assert.deepEqual(row(rows, 'Firewall Throughput'), {
+      label: 'Firewall Throughput', values: ['1.0 Gbps', '2.5 Gbps'], identical: false
+    });
+    assert.deepEqual(row(rows, 'Max Connections').values, ['1,000,000', '1,000,000']);
+    assert.equal(row(rows, 'Max Users').identical, true);
+    assert.equal(row(rows, 'Category').identical, true);
+  });
+
+  it('keeps display order and drops specs no compared model has', () => {
+    const rows: ComparisonRow[] = buildComparisonRows([product('TZ280W'), product('TZ280')]);
+    assert.deepEqual(labels(rows).slice(0, 4), ['Category', 'Max Users', 'Firewall Throughput', 'IPS Throughput']);
+    assert.ok(!labels(rows).includes('Switching Capacity'));
+    assert.ok(!labels(rows).includes('Wi-Fi Standard'));
+  });
+
+  it('shows a placeholder where a model has no value, which counts toward identical', () => {
+    const rows: ComparisonRow[] = buildComparisonRows([product('TZ280'), product('SWS12-8')]);
+    assert.deepEqual(row(rows, 'Max Users').values, ['10-25', EMPTY_CELL]);
+    assert.equal(row(rows, 'Max Users').identical, false);
+    assert.deepEqual(row(rows, 'Switching Capacity').values, [EMPTY_CELL, '20 Gbps']);
+    // No Wi-Fi on the firewall reads as the dash the switch shows for no value at all
+    assert.deepEqual(row(rows, 'Wireless'), { label: 'Wireless', values: [EMPTY_CELL, EMPTY_CELL], identical: true });
+  });
+
+  it('shows zero counts and budgets as the placeholder', () => {
+    const rows: ComparisonRow[] = buildComparisonRows([product('SWS12-8'), product('SWS12-8POE')]);
+    assert.deepEqual(row(rows, 'PoE+ Ports').values, [EMPTY_CELL, '8']);
+    assert.deepEqual(row(rows, 'PoE Budget').values, [EMPTY_CELL, '130 W']);
+    assert.deepEqual(row(rows, 'SFP / SFP+ Ports').values, ['0 / 0', '2 / 0']);
+  });
+
+  it('marks every row identical for a single model and returns none for no models', () => {
+    const rows: ComparisonRow[] = buildComparisonRows([product('TZ280')]);
+    assert.ok(rows.length > 0);
+    assert.ok(rows.every((entry: ComparisonRow): boolean => entry.identical));
+    assert.deepEqual(buildComparisonRows([]), []);
+  });
+});
+
+describe('allEqual', () => {
+  it('compares every value with the first', () => {
+    assert.equal(allEqual(['1', '1', '1']), true);
+    assert.equal(allEqual(['1', '1', '2']), false);
+    assert.equal(allEqual([]), true);
+  });
+});
@@ -0,0 +1,99 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  recommendFirewalls,
+  scoreFirewall,
+  sizingRequirements,
+  userCapacity
+} from '../firewall-sizing.js';
+import type { SizingAnswers, SizingRecommendation } from '../firewall-sizing.js';
+import { product, products } from './catalog-fixture.js';
+
+const SMALL_OFFICE: SizingAnswers = {
+  users: 20,
+  bandwidthMbps: 300,
+  vpnUsers: 5,
+  sites: 1,
+  wifi: 'none',
+  compliance: [],
+  growthYears: 3
+};
+
+function skus(recommendations: readonly SizingRecommendation[]): string[] {
+  return recommendations.map((recommendation: SizingRecommendation): string => recommendation.product.sku);
+}
+
+describe('userCapacity', () => {
+  it('reads the top of a range and doubles an open-ended rating', () => {
+    assert.equal(userCapacity('25-50'), 50);
+    assert.equal(userCapacity('1,000+'), 2000);
+    assert.equal(userCapacity(undefined), null);
+  });
+});
+
+describe('sizingRequirements', () => {
+  it('grows users and VPN users and adds a tunnel per other site', () => {
+    const requirements = sizingRequirements({ ...SMALL_OFFICE, sites: 3 });
+    assert.equal(requirements.users, 27);
+    assert.equal(requirements.throughputMbps, 375);
+    assert.equal(requirements.vpnTunnels, 9);
+    assert.equal(requirements.connections, 13500);
+    assert.equal(requirements.connectionsPerSecond, 405);
+  });
+
+  it('counts at least one user', () => {
+    assert.equal(sizingRequirements({ ...SMALL_OFFICE, users: 0 }).users, 2);
+  });
+});
+
+describe('scoreFirewall', () => {
+  it('does not score every model alike when there is nothing to size against', () => {
+    const answers: SizingAnswers = { ...SMALL_OFFICE, users: 0, bandwidthMbps: 0, vpnUsers: 0 };
+    const requirements = sizingRequirements(answers);
+    const small = scoreFirewall(product('TZ280W'), requirements, answers);
+    const large = scoreFirewall(product('NSA6800'), requirements, answers);
+    assert.ok(small && large);
+    assert.ok(small.utilization > large.utilization);
+  });
+
+  it('falls short on a connection table the model cannot hold', () => {
+    const requirements = { ...sizingRequirements(SMALL_OFFICE), connections: 2000000 };
+    const recommendation = scoreFirewall(product('TZ280'), requirements, SMALL_OFFICE);
+    assert.ok(recommendation);
+    assert.equal(recommendation.fits, false);
+    assert.equal(recommendation.utilization, 2);
+  });
+
+  it('keeps scores finite for empty requirements', () => {
+    const requirements = {
+      ...sizingRequirements(SMALL_OFFICE), users: 0, throughputMbps: 0, vpnTunnels: 0, connections: 0, connectionsPerSecond: 0
+    };
+    const recommendation = scoreFirewall(product('TZ280W'), requirements, SMALL_OFFICE);
+    assert.ok(recommendation);
+    assert.ok(Number.isFinite(recommendation.score));
+    assert.equal(recommendation.fits, true);
+  });
+});
+
+describe('recommendFirewalls', () => {
+  it('recommends a model that fits, best first', () => {
+    const recommendations = recommendFirewalls(products, SMALL_OFFICE);
+    assert.equal(recommendations.length, 3);
+    assert.ok(recommendations.every((recommendation: SizingRecommendation): boolean => recommendation.fits));
+    assert.ok(recommendations[0].score >= recommendations[1].score);
+  });
+
+  it('picks the smallest model for a single user', () => {
+    const answers: SizingAnswers = { ...SMALL_OFFICE, users: 0, bandwidthMbps: 0, vpnUsers: 0 };
+    const [best] = recommendFirewalls(products, answers);
+    assert.equal(best.product.sku, 'SOHO250');
+    assert.ok(best.fits);
+  });
+
+  it('ranks models that fall short by capacity, largest first', () => {
+    const recommendations = recommendFirewalls(products, { ...SMALL_OFFICE, users: 1e9 });
+    assert.deepEqual(skus(recommendations), ['NSSP15800', 'NSSP13800', 'NSSP11800']);
+    assert.ok(recommendations.every((recommendation: SizingRecommendation): boolean => !recommendation.fits));
+  });
+});
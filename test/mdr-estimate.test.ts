@@ -0,0 +1,116 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  estimateDetection,
+  hasCoverage,
+  parseDetectionDefaults,
+  parseDetectionParams,
+  recommendDetectionPlan,
+  serializeDetectionParams
+} from '../mdr-estimate.js';
+import type { DetectionEstimate, DetectionInputs, DetectionLine } from '../mdr-estimate.js';
+import type { DetectionPlan, DetectionRate } from '../services.js';
+import { services } from './catalog-fixture.js';
+
+const { detection, terms } = services;
+
+function plan(id: string): DetectionPlan {
+  const found: DetectionPlan | undefined = detection.plans.find((entry: DetectionPlan): boolean => entry.id === id);
+  assert.ok(found);
+  return found;
+}
+
+function inputs(counts: Partial<DetectionInputs['counts']>, termYears: number = 1): DetectionInputs {
+  return { counts: { endpoints: 0, sensors: 0, workloads: 0, ...counts }, termYears };
+}
+
+// Round figures standing in for published rates, to exercise the arithmetic
+function priced(id: string): DetectionPlan {
+  const quoted: DetectionPlan = plan(id);
+  return {
+    ...quoted,
+    monthlyMinimum: 1000,
+    rates: quoted.rates.map((rate: DetectionRate): DetectionRate => ({ ...rate, monthly: 10 }))
+  };
+}
+
+describe('estimateDetection', () => {
+  it('prices every unit with the term discount', () => {
+    const estimate: DetectionEstimate | null = estimateDetection(priced('mdr'), terms, inputs({ endpoints: 200 }, 3));
+    assert.ok(estimate);
+    assert.equal(estimate.lines.length, 1);
+    assert.equal(estimate.lines[0].unitMonthly, 8.5);
+    assert.equal(estimate.minimumApplied, false);
+    assert.equal(estimate.monthly, 1700);
+    assert.equal(estimate.annual, 20400);
+    assert.equal(estimate.termTotal, 61200);
+  });
+
+  it('bills at least the monthly minimum', () => {
+    const estimate: DetectionEstimate | null = estimateDetection(priced('mdr'), terms, inputs({ endpoints: 50 }));
+    assert.ok(estimate);
+    assert.equal(estimate.minimumApplied, true);
+    assert.equal(estimate.monthly, 1000);
+  });
+
+  it('leaves the price to sales when a covered unit has no published rate', () => {
+    const unrated: DetectionPlan = {
+      ...priced('mxdr'),
+      rates: priced('mxdr').rates.map((rate: DetectionRate): DetectionRate => rate.unit === 'sensors' ? { ...rate, monthly: null } : rate)
+    };
+    const estimate: DetectionEstimate | null = estimateDetection(unrated, terms, inputs({ endpoints: 200, sensors: 2 }));
+    assert.ok(estimate);
+    assert.deepEqual(estimate.lines.map((line: DetectionLine): number | null => line.monthly), [2000, null]);
+    assert.equal(estimate.monthly, null);
+    assert.equal(estimate.annual, null);
+    assert.equal(estimate.termTotal, null);
+    assert.equal(estimateDetection(unrated, terms, inputs({ endpoints: 200 }))?.monthly, 2000);
+  });
+
+  it('quotes the shipped plans through sales', () => {
+    detection.plans.forEach((entry: DetectionPlan): void => {
+      const estimate: DetectionEstimate | null = estimateDetection(entry, terms, inputs({ endpoints: 100, sensors: 1 }));
+      assert.ok(estimate);
+      assert.equal(estimate.lines.length, 2);
+      assert.equal(estimate.minimumApplied, false);
+      assert.equal(estimate.termTotal, null);
+    });
+  });
+
+  it('returns null for a term the pricing does not offer', () => {
+    assert.equal(estimateDetection(plan('mdr'), terms, inputs({ endpoints: 100 }, 2)), null);
+  });
+});
+
+describe('recommendDetectionPlan', () => {
+  it('recommends MDR for one domain and MXDR for two or more', () => {
+    assert.equal(recommendDetectionPlan(inputs({ endpoints: 50 }), detection.units).planId, 'mdr');
+    assert.equal(recommendDetectionPlan(inputs({ endpoints: 50, workloads: 10 }), detection.units).planId, 'mxdr');
+  });
+
+  it('asks for something to cover when every count is zero', () => {
+    assert.equal(hasCoverage(inputs({})), false);
+    assert.equal(recommendDetectionPlan(inputs({}), detection.units).planId, 'mdr');
+  });
+});
+
+describe('shareable links', () => {
+  it('round-trips the inputs and keeps unrelated keys', () => {
+    const params: URLSearchParams = serializeDetectionParams(inputs({ endpoints: 250, sensors: 2 }, 5), new URLSearchParams('ref=mail'));
+    assert.equal(params.get('ref'), 'mail');
+    assert.deepEqual(parseDetectionParams(params, detection, terms), inputs({ endpoints: 250, sensors: 2 }, 5));
+  });
+
+  it('clamps counts to the unit limits and ignores unknown terms', () => {
+    const parsed: DetectionInputs = parseDetectionParams(new URLSearchParams('endpoints=-5&sensors=1e9&term=2'), detection, terms);
+    assert.equal(parsed.counts.endpoints, 0);
+    assert.equal(parsed.counts.sensors, 500);
+    assert.equal(parsed.termYears, 1);
+  });
+
+  it('reads page defaults from a data attribute expression', () => {
+    const parsed: DetectionInputs = parseDetectionDefaults('endpoints:0; sensors:2; term:3; colour:blue', detection, terms);
+    assert.deepEqual(parsed, inputs({ endpoints: 0, sensors: 2 }, 3));
+  });
+});
@@ -0,0 +1,77 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  classWatts,
+  evaluateSwitch,
+  poeSwitches,
+  portsNeeded,
+  recommendPoeSwitches,
+  totalDraw
+} from '../poe-budget.js';
+import type { PoeAssignment, PoeDemand, PoeRecommendation, PoeSwitchFit } from '../poe-budget.js';
+import type { CatalogProduct } from '../catalog.js';
+import { product, products } from './catalog-fixture.js';
+
+const OFFICE: readonly PoeDemand[] = [
+  { label: 'SonicWave 641', poeClass: 4, count: 4 },
+  { label: 'VoIP phone', poeClass: 2, count: 2 }
+];
+
+function summary(recommendation: PoeRecommendation): [string, number][] {
+  return recommendation.switches.map((assignment: PoeAssignment): [string, number] => [assignment.product.sku, assignment.devices]);
+}
+
+describe('power draw', () => {
+  it('reserves the class budget per device, unknown classes like class 0', () => {
+    assert.equal(classWatts(4), 30);
+    assert.equal(classWatts(9), classWatts(0));
+    assert.equal(totalDraw(OFFICE), 134);
+    assert.equal(portsNeeded(OFFICE), 6);
+  });
+});
+
+describe('poeSwitches', () => {
+  it('lists PoE switches only, smallest budget first', () => {
+    const skus: string[] = poeSwitches(products).map((entry: CatalogProduct): string => entry.sku);
+    assert.deepEqual(skus, ['SWS12-8POE', 'SWS12-10FPOE', 'SWS14-24FPOE', 'SWS14-48FPOE']);
+  });
+});
+
+describe('evaluateSwitch', () => {
+  it('reports what a switch falls short by', () => {
+    const fit: PoeSwitchFit = evaluateSwitch(product('SWS12-8POE'), OFFICE);
+    assert.equal(fit.fits, false);
+    assert.equal(fit.overBudgetW, 4);
+    assert.equal(fit.portShortfall, 0);
+  });
+
+  it('rejects classes the ports cannot supply', () => {
+    const fit: PoeSwitchFit = evaluateSwitch(product('SWS14-48FPOE'), [{ label: 'PTZ heater', poeClass: 6, count: 1 }]);
+    assert.equal(fit.fits, false);
+  });
+});
+
+describe('recommendPoeSwitches', () => {
+  it('picks the smallest switch that powers everything', () => {
+    assert.deepEqual(summary(recommendPoeSwitches(products, OFFICE)), [['SWS14-24FPOE', 6]]);
+  });
+
+  it('combines switches, largest first, when no single one is enough', () => {
+    const recommendation: PoeRecommendation = recommendPoeSwitches(products, [{ label: 'SonicWave 681', poeClass: 4, count: 60 }]);
+    assert.deepEqual(summary(recommendation), [['SWS14-48FPOE', 24], ['SWS14-48FPOE', 24], ['SWS14-24FPOE', 12]]);
+  });
+
+  it('sets aside devices no port can power', () => {
+    const recommendation: PoeRecommendation = recommendPoeSwitches(products, [
+      ...OFFICE,
+      { label: 'Display', poeClass: 6, count: 1 }
+    ]);
+    assert.deepEqual(recommendation.unsupported.map((demand: PoeDemand): string => demand.label), ['Display']);
+    assert.deepEqual(summary(recommendation), [['SWS14-24FPOE', 6]]);
+  });
+
+  it('recommends nothing with nothing to power', () => {
+    assert.deepEqual(recommendPoeSwitches(products, []), { switches: [], unsupported: [] });
+  });
+});
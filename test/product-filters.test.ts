@@ -0,0 +1,105 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  EMPTY_FILTER_STATE,
+  compareFacets,
+  isNarrowing,
+  matchesFilters,
+  parseFilterState,
+  serializeFilterState
+} from '../product-filters.js';
+import type { FilterState, ProductFacets } from '../product-filters.js';
+
+function facets(overrides: Partial<ProductFacets>): ProductFacets {
+  return {
+    series: 'TZ',
+    generation: 8,
+    price: 999.99,
+    rating: 4.5,
+    throughputMbps: 800,
+    ports: 8,
+    wireless: false,
+    order: 0,
+    ...overrides
+  };
+}
+
+describe('parseFilterState', () => {
+  it('reads every facet from the query string', () => {
+    const state: FilterState = parseFilterState(new URLSearchParams(
+      'series=TZ,NSa&gen=8&price=500-2000&throughput=1000&ports=8&wireless=yes&rating=4&sort=price-desc'
+    ));
+    assert.deepEqual(state, {
+      series: ['TZ', 'NSa'],
+      generations: [8],
+      priceMin: 500,
+      priceMax: 2000,
+      minThroughputMbps: 1000,
+      minPorts: 8,
+      wireless: true,
+      minRating: 4,
+      sort: 'price-desc'
+    });
+  });
+
+  it('ignores malformed values', () => {
+    const state: FilterState = parseFilterState(new URLSearchParams('gen=eight&price=-abc&ports=-2&wireless=maybe&sort=cheapest'));
+    assert.deepEqual(state, EMPTY_FILTER_STATE);
+  });
+});
+
+describe('serializeFilterState', () => {
+  it('round-trips through the query string and keeps unrelated keys', () => {
+    const state: FilterState = { ...EMPTY_FILTER_STATE, series: ['NSa'], priceMax: 5000, wireless: false, sort: 'rating' };
+    const params: URLSearchParams = serializeFilterState(state, new URLSearchParams('utm_source=mail&series=TZ'));
+    assert.equal(params.get('utm_source'), 'mail');
+    assert.equal(params.get('price'), '-5000');
+    assert.deepEqual(parseFilterState(params), state);
+  });
+
+  it('drops keys at their default', () => {
+    assert.equal(serializeFilterState(EMPTY_FILTER_STATE, new URLSearchParams('sort=rating')).toString(), '');
+  });
+});
+
+describe('isNarrowing', () => {
+  it('ignores the sort order', () => {
+    assert.equal(isNarrowing({ ...EMPTY_FILTER_STATE, sort: 'newest' }), false);
+    assert.equal(isNarrowing({ ...EMPTY_FILTER_STATE, minPorts: 8 }), true);
+  });
+});
+
+describe('matchesFilters', () => {
+  it('matches every active facet', () => {
+    const state: FilterState = { ...EMPTY_FILTER_STATE, series: ['TZ'], generations: [8], priceMax: 1000, minThroughputMbps: 800 };
+    assert.equal(matchesFilters(facets({}), state), true);
+    assert.equal(matchesFilters(facets({ series: 'NSa' }), state), false);
+    assert.equal(matchesFilters(facets({ price: 1499.99 }), state), false);
+  });
+
+  it('never matches a missing value against an active facet', () => {
+    assert.equal(matchesFilters(facets({ price: null }), { ...EMPTY_FILTER_STATE, priceMax: 1000 }), false);
+    assert.equal(matchesFilters(facets({ rating: null }), { ...EMPTY_FILTER_STATE, minRating: 4 }), false);
+    assert.equal(matchesFilters(facets({ rating: null }), EMPTY_FILTER_STATE), true);
+  });
+});
+
+describe('compareFacets', () => {
+  const cards: ProductFacets[] = [
+    facets({ order: 0, price: 999.99 }),
+    facets({ order: 1, price: null }),
+    facets({ order: 2, price: 499.99 }),
+    facets({ order: 3, price: 499.99 })
+  ];
+
+  function orders(sort: Parameters<typeof compareFacets>[0]): number[] {
+    return [...cards].sort(compareFacets(sort)).map((card: ProductFacets): number => card.order);
+  }
+
+  it('sorts missing values last in either direction, ties in catalog order', () => {
+    assert.deepEqual(orders('price-asc'), [2, 3, 0, 1]);
+    assert.deepEqual(orders('price-desc'), [0, 2, 3, 1]);
+    assert.deepEqual(orders('featured'), [0, 1, 2, 3]);
+  });
+});
@@ -0,0 +1,95 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  MAX_QUOTE_QUANTITY,
+  availableAddOns,
+  buildQuote,
+  quoteFilename,
+  quoteToCsv,
+  quoteToJson,
+  unpricedLines
+} from '../quote.js';
+import type { Quote, QuoteLine, QuoteSelection } from '../quote.js';
+import type { ServiceOffering } from '../services.js';
+import { product, services } from './catalog-fixture.js';
+
+const SELECTION: QuoteSelection = {
+  quantity: 2,
+  termYears: 3,
+  bundleId: 'essential',
+  addOnIds: ['content-filtering', 'capture-atp'],
+  managedTierId: null
+};
+
+function quoteFor(selection: Partial<QuoteSelection> = {}, sku: string = 'TZ280W'): Quote {
+  const quote: Quote | null = buildQuote(product(sku), services, { ...SELECTION, ...selection });
+  assert.ok(quote);
+  return quote;
+}
+
+describe('availableAddOns', () => {
+  it('leaves out add-ons the bundle already contains', () => {
+    const ids: string[] = availableAddOns(services, 'essential').map((addOn: ServiceOffering): string => addOn.id);
+    assert.equal(ids.includes('content-filtering'), false);
+    assert.equal(ids.includes('capture-atp'), true);
+  });
+});
+
+describe('buildQuote', () => {
+  it('prices hardware once and services per year with the term discount', () => {
+    const quote: Quote = quoteFor();
+    assert.deepEqual(quote.lines.map((line: QuoteLine): string => line.id), ['TZ280W', 'essential', 'capture-atp']);
+    assert.equal(quote.applianceClass.id, 'small');
+    assert.deepEqual(quote.totals, {
+      hardware: 999.98,
+      servicesPerYear: 591.6,
+      services: 1774.8,
+      termSavings: 313.2,
+      total: 2774.78
+    });
+  });
+
+  it('prices by the appliance class of the series', () => {
+    const quote: Quote = quoteFor({ addOnIds: [] }, 'NSA2800');
+    assert.equal(quote.applianceClass.id, 'medium');
+    assert.equal(quote.lines[1].unitPrice, services.bundles[0].annual?.medium);
+  });
+
+  it('keeps managed tiers out of the totals for sales to price', () => {
+    const quote: Quote = quoteFor({ managedTierId: 'professional' });
+    assert.deepEqual(unpricedLines(quote).map((line: QuoteLine): string => line.id), ['professional']);
+    assert.equal(quote.totals.total, quoteFor().totals.total);
+  });
+
+  it('clamps the quantity', () => {
+    assert.equal(quoteFor({ quantity: 0 }).quantity, 1);
+    assert.equal(quoteFor({ quantity: 10000 }).quantity, MAX_QUOTE_QUANTITY);
+  });
+
+  it('returns null for quote-only products, non-firewalls and unknown terms', () => {
+    assert.equal(buildQuote({ ...product('NSA6800'), price: null }, services, SELECTION), null);
+    assert.equal(buildQuote(product('SWAVE621'), services, SELECTION), null);
+    assert.equal(buildQuote(product('TZ280W'), services, { ...SELECTION, termYears: 2 }), null);
+  });
+});
+
+describe('export', () => {
+  it('names the file after the model and term', () => {
+    assert.equal(quoteFilename(quoteFor(), 'csv'), 'sonicwall-quote-TZ280W-3yr.csv');
+  });
+
+  it('writes one CSV row per line plus the totals, blank where sales quotes', () => {
+    const rows: string[] = quoteToCsv(quoteFor({ managedTierId: 'essential' })).trimEnd().split('\r\n');
+    assert.equal(rows[0], 'Item,SKU / ID,Type,Quantity,Unit price,Per year,Term total');
+    assert.equal(rows[4], 'Managed Firewall Essential,essential,Managed service,2,,,Quoted by SonicWall sales');
+    assert.equal(rows[rows.length - 1], '"Total (3-year term, USD)",,,,,,2774.78');
+  });
+
+  it('writes JSON with the generation time and what sales quotes', () => {
+    const json = JSON.parse(quoteToJson(quoteFor({ managedTierId: 'essential' }), new Date('2026-01-02T03:04:05Z')));
+    assert.equal(json.generatedAt, '2026-01-02T03:04:05.000Z');
+    assert.equal(json.appliance.sku, 'TZ280W');
+    assert.deepEqual(json.quotedBySales, ['essential']);
+  });
+});
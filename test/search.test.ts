@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { before, describe, it } from 'node:test';
+
+import { loadSearchIndex, normalizeQuery, searchEntries } from '../search.js';
+import type { SearchEntry, SearchIndex } from '../search.js';
+
+function entry(id: string, overrides: Partial<SearchEntry>): SearchEntry {
+  return {
+    id,
+    type: 'product',
+    title: id,
+    subtitle: '',
+    href: `${id}.html`,
+    category: 'firewall',
+    keywords: '',
+    ...overrides
+  };
+}
+
+const ENTRIES: readonly SearchEntry[] = [
+  entry('tz280w', { title: 'SonicWall TZ280W', subtitle: 'Small Office', keywords: 'TZ280W wireless' }),
+  entry('tz280', { title: 'SonicWall TZ280', subtitle: 'Small Office', keywords: 'TZ280' }),
+  entry('nsa2800', { title: 'SonicWall NSa 2800', subtitle: 'Mid-Size Business', keywords: 'NSA2800' }),
+  entry('nsa', { type: 'category', title: 'NSa Series', subtitle: '2 models', keywords: 'NSa 2800 NSa 3800' }),
+  entry('sws12-8', { title: 'SonicWall SWS12-8', category: 'switch', keywords: 'SWS12-8 switch' }),
+  entry('capture', {
+    type: 'service', title: 'Capture ATP', subtitle: 'Sandboxing for unknown threats', category: 'service', keywords: 'NSa TZ'
+  }),
+  entry('blog', { type: 'page', title: 'Network Security Blog', category: null, keywords: 'switch' })
+];
+
+let index: SearchIndex;
+
+function ids(query: string, options?: Parameters<typeof searchEntries>[2]): string[] {
+  return searchEntries(index, query, options).map((result: SearchEntry): string => result.id);
+}
+
+before(async () => {
+  index = await loadSearchIndex(`data:application/json,${encodeURIComponent(JSON.stringify({ entries: ENTRIES }))}`);
+});
+
+describe('normalizeQuery', () => {
+  it('lowercases and collapses punctuation', () => {
+    assert.equal(normalizeQuery('  NSa-2800! '), 'nsa 2800');
+  });
+});
+
+describe('searchEntries', () => {
+  it('returns nothing for an empty or punctuation-only query', () => {
+    assert.deepEqual(ids(''), []);
+    assert.deepEqual(ids('   '), []);
+    assert.deepEqual(ids('-/-'), []);
+  });
+
+  it('ranks an exact SKU ahead of longer SKUs it starts', () => {
+    assert.deepEqual(ids('tz280'), ['tz280', 'tz280w']);
+    assert.deepEqual(ids('TZ280W'), ['tz280w']);
+  });
+
+  it('matches a SKU however it is spaced or punctuated', () => {
+    assert.deepEqual(ids('nsa2800')[0], 'nsa2800');
+    assert.deepEqual(ids('SWS12 8')[0], 'sws12-8');
+  });
+
+  it('ranks a title prefix over a word prefix over a substring', () => {
+    // "NSa Series" starts with it; "SonicWall NSa 2800" has a word starting with it;
+    // Capture ATP only mentions it in its keywords
+    assert.deepEqual(ids('nsa'), ['nsa', 'nsa2800', 'capture']);
+    // Inside a title word beats the subtitle and keywords
+    assert.deepEqual(ids('800'), ['nsa2800', 'nsa']);
+  });
+
+  it('needs every word to match, adding up each word\'s score', () => {
+    // Both words in the model's title outrank one in the series title and one in its keywords
+    assert.deepEqual(ids('nsa 2800'), ['nsa2800', 'nsa']);
+    assert.deepEqual(ids('nsa wireless'), []);
+  });
+
+  it('puts products first at equal relevance', () => {
+    assert.deepEqual(ids('switch'), ['sws12-8', 'blog']);
+  });
+
+  it('filters by category and caps the results', () => {
+    assert.deepEqual(ids('tz', { category: 'service' }), ['capture']);
+    assert.deepEqual(ids('tz280', { limit: 1 }), ['tz280']);
+  });
+});
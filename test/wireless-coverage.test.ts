@@ -0,0 +1,87 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+
+import {
+  DEFAULT_COVERAGE_INPUTS,
+  clientCapacity,
+  coveragePlans,
+  estimateCoverage,
+  parseCoverageDefaults
+} from '../wireless-coverage.js';
+import type { CoverageEstimate, CoverageInputs, CoveragePlan } from '../wireless-coverage.js';
+import { product, products } from './catalog-fixture.js';
+
+function estimate(inputs: Partial<CoverageInputs>): CoverageEstimate {
+  return estimateCoverage(products, { ...DEFAULT_COVERAGE_INPUTS, ...inputs });
+}
+
+describe('clientCapacity', () => {
+  it('counts clients per spatial stream, capped at the radio rating', () => {
+    assert.equal(clientCapacity(product('SWAVE621')), 50);
+    assert.equal(clientCapacity(product('SWAVE681')), 150);
+    assert.equal(clientCapacity(product('SWAVE432O')), 48);
+  });
+});
+
+describe('estimateCoverage', () => {
+  it('sizes a typical office by signal reach and picks the cheapest model', () => {
+    const { indoor, outdoor }: CoverageEstimate = estimate({});
+    assert.ok(indoor);
+    assert.equal(indoor.product.sku, 'SWAVE621');
+    assert.equal(indoor.forArea, 4);
+    assert.equal(indoor.forClients, 3);
+    assert.equal(indoor.quantity, 4);
+    assert.equal(indoor.total, 1799.96);
+    assert.equal(outdoor, null);
+  });
+
+  it('sizes a dense venue by client load', () => {
+    const { indoor }: CoverageEstimate = estimate({ density: 'venue' });
+    assert.ok(indoor);
+    assert.equal(indoor.product.sku, 'SWAVE641');
+    assert.equal(indoor.quantity, indoor.forClients);
+    assert.ok(indoor.forClients > indoor.forArea);
+  });
+
+  it('covers every floor on its own', () => {
+    const { indoorSqFt, indoor }: CoverageEstimate = estimate({ floors: 3 });
+    assert.equal(indoorSqFt, 30000);
+    assert.equal(indoor?.forArea, 12);
+  });
+
+  it('splits the footprint between indoor and outdoor models', () => {
+    const { indoor, outdoor, outdoorSqFt }: CoverageEstimate = estimate({ outdoorPercent: 100, density: 'light' });
+    assert.equal(indoor, null);
+    assert.equal(outdoorSqFt, 10000);
+    assert.equal(outdoor?.product.sku, 'SWAVE432O');
+    assert.equal(outdoor?.quantity, 2);
+  });
+});
+
+describe('coveragePlans', () => {
+  it('lists every model of the placement, cheapest first', () => {
+    const plans: CoveragePlan[] = coveragePlans(products, 'indoor', DEFAULT_COVERAGE_INPUTS);
+    assert.deepEqual(plans.map((plan: CoveragePlan): string => plan.product.sku), ['SWAVE621', 'SWAVE641', 'SWAVE681']);
+  });
+
+  it('returns nothing for an empty area', () => {
+    assert.deepEqual(coveragePlans(products, 'indoor', { ...DEFAULT_COVERAGE_INPUTS, areaSqFt: 0 }), []);
+  });
+});
+
+describe('parseCoverageDefaults', () => {
+  it('reads page defaults and keeps the rest', () => {
+    assert.deepEqual(parseCoverageDefaults('outdoorPercent:100;density:light'), {
+      ...DEFAULT_COVERAGE_INPUTS,
+      outdoorPercent: 100,
+      density: 'light'
+    });
+  });
+
+  it('ignores unknown keys and bad values and clamps numbers', () => {
+    assert.deepEqual(parseCoverageDefaults('material:glass;floors:0;areaSqFt:lots;outdoorPercent:250;colour:blue'), {
+      ...DEFAULT_COVERAGE_INPUTS,
+      outdoorPercent: 100
+    });
+  });
+});
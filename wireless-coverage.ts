@@ -0,0 +1,188 @@
+/**
+ * SonicWall Amazon Storefront - Wireless coverage
+ * Pure functions (no DOM access) behind the access point estimator: turn a
+ * site's floor area, floors, building material, client density and
+ * indoor/outdoor split into the SonicWave model and quantity that covers
+ * it, sized by whichever runs out first -- signal reach or client capacity.
+ */
+
+import type { CatalogProduct } from './catalog.js';
+
+export type CoverageMaterial = 'open' | 'drywall' | 'brick' | 'concrete';
+export type CoverageDensity = 'light' | 'typical' | 'high' | 'venue';
+export type CoveragePlacement = NonNullable<CatalogProduct['placement']>;
+
+export interface CoverageInputs {
+  /** Footprint of one floor, in square feet. */
+  readonly areaSqFt: number;
+  readonly floors: number;
+  readonly material: CoverageMaterial;
+  readonly density: CoverageDensity;
+  /** Share of the footprint that is outdoors (0-100), covered at ground level only. */
+  readonly outdoorPercent: number;
+}
+
+export interface CoverageMaterialOption {
+  readonly id: CoverageMaterial;
+  readonly label: string;
+  /** Indoor area one access point covers through this construction. */
+  readonly sqFtPerAp: number;
+}
+
+export interface CoverageDensityOption {
+  readonly id: CoverageDensity;
+  readonly label: string;
+  readonly clientsPer1000SqFt: number;
+}
+
+export interface CoveragePlan {
+  readonly product: CatalogProduct;
+  readonly quantity: number;
+  /** Access points for signal reach alone, and for client load alone. */
+  readonly forArea: number;
+  readonly forClients: number;
+  readonly clients: number;
+  /** Null for quote-only models. */
+  readonly total: number | null;
+}
+
+export interface CoverageEstimate {
+  /** Indoor area across every floor, and the outdoor area, in square feet. */
+  readonly indoorSqFt: number;
+  readonly outdoorSqFt: number;
+  readonly indoor: CoveragePlan | null;
+  readonly outdoor: CoveragePlan | null;
+}
+
+export const COVERAGE_MATERIALS: readonly CoverageMaterialOption[] = [
+  { id: 'open', label: 'Open plan, few walls', sqFtPerAp: 3000 },
+  { id: 'drywall', label: 'Drywall offices', sqFtPerAp: 2500 },
+  { id: 'brick', label: 'Brick, block or glass', sqFtPerAp: 1800 },
+  { id: 'concrete', label: 'Concrete or metal', sqFtPerAp: 1200 }
+];
+
+export const COVERAGE_DENSITIES: readonly CoverageDensityOption[] = [
+  { id: 'light', label: 'Light (warehouse, retail floor)', clientsPer1000SqFt: 5 },
+  { id: 'typical', label: 'Typical office', clientsPer1000SqFt: 15 },
+  { id: 'high', label: 'High (classrooms, meeting rooms)', clientsPer1000SqFt: 40 },
+  { id: 'venue', label: 'Very high (auditoriums, venues)', clientsPer1000SqFt: 80 }
+];
+
+export const DEFAULT_COVERAGE_INPUTS: CoverageInputs = {
+  areaSqFt: 10000,
+  floors: 1,
+  material: 'drywall',
+  density: 'typical',
+  outdoorPercent: 0
+};
+
+// Open sky: walls don't apply, distance does
+const OUTDOOR_SQFT_PER_AP = 10000 as const;
+
+// Clients one spatial stream serves well at once: the planning figure,
+// well under the radios' connection ceiling
+const CLIENTS_PER_STREAM = 25 as const;
+
+export function materialSqFtPerAp(material: CoverageMaterial): number {
+  return (COVERAGE_MATERIALS.find((entry: CoverageMaterialOption): boolean => entry.id === material) ?? COVERAGE_MATERIALS[0]).sqFtPerAp;
+}
+
+export function densityPer1000SqFt(density: CoverageDensity): number {
+  return (COVERAGE_DENSITIES.find((entry: CoverageDensityOption): boolean => entry.id === density) ?? COVERAGE_DENSITIES[0]).clientsPer1000SqFt;
+}
+
+/** Spatial streams from a MIMO rating such as "4x4"; 2 when it is missing. */
+function spatialStreams(mimo: string | undefined): number {
+  const streams: number = Number((mimo ?? '').split('x')[0]);
+  return Number.isFinite(streams) && streams > 0 ? streams : 2;
+}
+
+/** Clients an access point serves at once in this plan: its streams, capped at one radio's rating. */
+export function clientCapacity(product: CatalogProduct): number {
+  const byStreams: number = spatialStreams(product.specs.mimo) * CLIENTS_PER_STREAM;
+  return Math.min(byStreams, product.specs.clientsPerRadio ?? byStreams);
+}
+
+export function accessPointsFor(products: readonly CatalogProduct[], placement: CoveragePlacement): CatalogProduct[] {
+  return products.filter((product: CatalogProduct): boolean => product.category === 'access-point' && product.placement === placement);
+}
+
+function planFor(product: CatalogProduct, zones: number, sqFtPerZone: number, sqFtPerAp: number, clientsPerZone: number): CoveragePlan {
+  // Signal doesn't carry usefully through floor slabs: every zone gets its own
+  const forArea: number = zones * Math.ceil(sqFtPerZone / sqFtPerAp);
+  const forClients: number = zones * Math.ceil(clientsPerZone / clientCapacity(product));
+  const quantity: number = Math.max(forArea, forClients);
+  return {
+    product,
+    quantity,
+    forArea,
+    forClients,
+    clients: zones * clientsPerZone,
+    total: product.price === null ? null : Math.round(product.price * quantity * 100) / 100
+  };
+}
+
+/** Cheapest plan first; quote-only models after priced ones, fewest access points first. */
+function comparePlans(a: CoveragePlan, b: CoveragePlan): number {
+  return (a.total ?? Infinity) - (b.total ?? Infinity) || a.quantity - b.quantity;
+}
+
+/** Every model of a placement for one area, best first. */
+export function coveragePlans(
+  products: readonly CatalogProduct[],
+  placement: CoveragePlacement,
+  inputs: CoverageInputs
+): CoveragePlan[] {
+  const outdoor: boolean = placement === 'outdoor';
+  const share: number = Math.min(100, Math.max(0, inputs.outdoorPercent)) / 100;
+  const sqFtPerZone: number = inputs.areaSqFt * (outdoor ? share : 1 - share);
+  if (sqFtPerZone <= 0) return [];
+
+  const zones: number = outdoor ? 1 : Math.max(1, inputs.floors);
+  const sqFtPerAp: number = outdoor ? OUTDOOR_SQFT_PER_AP : materialSqFtPerAp(inputs.material);
+  const clientsPerZone: number = Math.ceil(sqFtPerZone / 1000 * densityPer1000SqFt(inputs.density));
+
+  return accessPointsFor(products, placement)
+    .map((product: CatalogProduct): CoveragePlan => planFor(product, zones, sqFtPerZone, sqFtPerAp, clientsPerZone))
+    .sort(comparePlans);
+}
+
+export function estimateCoverage(products: readonly CatalogProduct[], inputs: CoverageInputs): CoverageEstimate {
+  const share: number = Math.min(100, Math.max(0, inputs.outdoorPercent)) / 100;
+  return {
+    indoorSqFt: Math.round(inputs.areaSqFt * (1 - share) * Math.max(1, inputs.floors)),
+    outdoorSqFt: Math.round(inputs.areaSqFt * share),
+    indoor: coveragePlans(products, 'indoor', inputs)[0] ?? null,
+    outdoor: coveragePlans(products, 'outdoor', inputs)[0] ?? null
+  };
+}
+
+/**
+ * Page defaults from a data-coverage-defaults expression such as
+ * "outdoorPercent:100;density:light"; unknown keys and bad values keep
+ * DEFAULT_COVERAGE_INPUTS.
+ */
+export function parseCoverageDefaults(expression: string): CoverageInputs {
+  const values: Map<string, string> = new Map();
+  expression.split(';').forEach((part: string): void => {
+    const [key, value] = part.split(':').map((item: string): string => item.trim());
+    if (key && value) values.set(key, value);
+  });
+
+  const readNumber = (key: 'areaSqFt' | 'floors' | 'outdoorPercent', min: number, max: number): number => {
+    const value: number = Number(values.get(key));
+    return values.has(key) && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : DEFAULT_COVERAGE_INPUTS[key];
+  };
+  const material: CoverageMaterialOption | undefined = COVERAGE_MATERIALS
+    .find((entry: CoverageMaterialOption): boolean => entry.id === values.get('material'));
+  const density: CoverageDensityOption | undefined = COVERAGE_DENSITIES
+    .find((entry: CoverageDensityOption): boolean => entry.id === values.get('density'));
+
+  return {
+    areaSqFt: readNumber('areaSqFt', 0, Infinity),
+    floors: Math.floor(readNumber('floors', 1, Infinity)),
+    material: material?.id ?? DEFAULT_COVERAGE_INPUTS.material,
+    density: density?.id ?? DEFAULT_COVERAGE_INPUTS.density,
+    outdoorPercent: readNumber('outdoorPercent', 0, 100)
+  };
+}